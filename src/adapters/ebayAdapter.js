@@ -1,6 +1,11 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const puppeteerScraper = require('../services/puppeteerScraper');
+const { normalizeCurrency } = require('../utils/currency');
+const { resolveMarketplace, marketplaceIdForUrl, ebayItemUrl } = require('../utils/ebayMarketplace');
+const { LIMITS, EBAY_API_KEY, hostKey, waitForToken } = require('../utils/rateLimiter');
+const { parseBrowseResponse } = require('../parsers/browseApi');
+const { isEbayApiConfigured, getEbayApiUrl, getEbayToken, clearEbayToken } = require('../services/ebayAuthService');
 
 const MAX_RETRIES = parseInt(process.env.MAX_RETRY_ATTEMPTS || '3', 10);
 const BASE_DELAY = parseInt(process.env.RETRY_BASE_DELAY || '1000', 10);
@@ -54,62 +59,112 @@ const extractItemId = (url) => {
   }
 };
 
+const BROWSE_ITEM_PATH = '/buy/browse/v1/item';
+
+// Browse API error for the legacy ID of a multi-variation listing
+const ITEM_GROUP_ERROR_ID = 11006;
+
+/**
+ * GET a Browse API item resource on a marketplace (EBAY_GB, EBAY_US...)
+ * A rejected token is dropped so the retry fetches a new one
+ */
+const browseGet = async (path, params, marketplaceId) => {
+  await waitForToken(EBAY_API_KEY, LIMITS.ebayApi);
+  const token = await getEbayToken();
+
+  try {
+    return await axios.get(getEbayApiUrl(`${BROWSE_ITEM_PATH}${path}`), {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'X-EBAY-C-MARKETPLACE-ID': marketplaceId
+      },
+      params,
+      timeout: 10000
+    });
+  } catch (error) {
+    if (error.response?.status === 401) {
+      clearEbayToken();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Browse API getItem, by RESTful item ID (v1|<legacy item id>|<variation id>)
+ */
+const getItem = (restfulItemId, marketplaceId) => browseGet(`/${encodeURIComponent(restfulItemId)}`, {}, marketplaceId);
+
 /**
- * Fetch item using eBay Finding API with retry logic
+ * Browse API getItemByLegacyId, by the item ID in the listing URL
  */
-const fetchWithAPI = async (itemId) => {
-  const appId = process.env.EBAY_APP_ID;
-  
-  if (!appId || appId === 'your_ebay_app_id') {
+const getItemByLegacyId = (legacyItemId, marketplaceId) => browseGet('/get_item_by_legacy_id', { legacy_item_id: legacyItemId }, marketplaceId);
+
+/**
+ * Browse API getItemsByItemGroup, every variation of a multi-variation listing
+ */
+const getItemsByItemGroup = (itemGroupId, marketplaceId) => browseGet('/get_items_by_item_group', { item_group_id: itemGroupId }, marketplaceId);
+
+const hasErrorId = (error, errorId) => (error.response?.data?.errors || []).some(item => item.errorId === errorId);
+
+/**
+ * Raw Browse API response for an item, the item group for a multi-variation listing
+ * @param {string} itemId - Legacy item ID, or a RESTful v1|... ID
+ * @param {string} marketplaceId - Marketplace the listing is on
+ * @returns {Promise<Object>} axios response; response.data has items[] for a group
+ */
+const fetchBrowseItem = async (itemId, marketplaceId) => {
+  try {
+    return itemId.startsWith('v1|')
+      ? await getItem(itemId, marketplaceId)
+      : await getItemByLegacyId(itemId, marketplaceId);
+  } catch (error) {
+    if (hasErrorId(error, ITEM_GROUP_ERROR_ID)) {
+      // The group ID is the listing's legacy item ID
+      return getItemsByItemGroup(itemId.split('|')[1] || itemId, marketplaceId);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch item using eBay Browse API with retry logic
+ * Multi-variation listings are fetched as their item group
+ * @param {string} itemId - Legacy item ID, or a RESTful v1|... ID
+ * @param {Object} attempt - Receives httpStatus and error for the check log
+ * @param {string} marketplaceId - Marketplace the listing is on
+ */
+const fetchWithAPI = async (itemId, attempt = {}, marketplaceId) => {
+  if (!isEbayApiConfigured()) {
+    attempt.error = 'eBay API not configured';
     return null;
   }
 
   try {
     return await retryWithBackoff(async () => {
-      const apiUrl = process.env.EBAY_ENV === 'PRODUCTION'
-        ? 'https://svcs.ebay.com/services/search/FindingService/v1'
-        : 'https://svcs.sandbox.ebay.com/services/search/FindingService/v1';
-
-      const response = await axios.get(apiUrl, {
-        params: {
-          'OPERATION-NAME': 'findItemsAdvanced',
-          'SERVICE-VERSION': '1.0.0',
-          'SECURITY-APPNAME': appId,
-          'RESPONSE-DATA-FORMAT': 'JSON',
-          'REST-PAYLOAD': true,
-          'itemFilter(0).name': 'ItemID',
-          'itemFilter(0).value': itemId,
-          'paginationInput.entriesPerPage': 1
-        },
-        timeout: 10000
-      });
-
-      const items = response.data?.findItemsAdvancedResponse?.[0]?.searchResult?.[0]?.item;
-
-      if (items && items.length > 0) {
-        const item = items[0];
-        const title = item.title?.[0] || 'Unknown Product';
-        const price = parseFloat(item.sellingStatus?.[0]?.currentPrice?.[0]?.__value__ || 0);
-        
-        if (!title || price === 0) {
-          throw new Error('Invalid data from eBay API');
-        }
-        
-        return {
-          title,
-          price,
-          stock: 'in_stock',
-          images: item.galleryURL?.[0] ? [item.galleryURL[0]] : [], // ZERO PLACEHOLDER IMAGES
-          itemId: item.itemId?.[0] || itemId,
-          description: '', // API doesn't provide description, will need scraping
-          variations: [] // API doesn't provide variations, will need scraping
-        };
+      let response;
+      try {
+        response = await fetchBrowseItem(itemId, marketplaceId);
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+
+        // Ended or removed listings don't come back on a retry
+        attempt.httpStatus = 404;
+        attempt.error = 'Item not found by eBay API';
+        return null;
       }
+      attempt.httpStatus = response.status;
 
-      return null;
+      const data = parseBrowseResponse(response.data);
+      if (!data) {
+        throw new Error('Invalid data from eBay API');
+      }
+
+      return { ...data, source: 'api' };
     }, 3, 1000);
   } catch (error) {
     console.error('eBay API error after retries:', error.message);
+    attempt.httpStatus = error.response?.status ?? attempt.httpStatus ?? null;
+    attempt.error = error.message;
     return null;
   }
 };
@@ -121,23 +176,32 @@ const fetchWithAPI = async (itemId) => {
 const fetchWithScraping = async (url) => {
   try {
     // MUST scrape product page with Puppeteer first
+    await waitForToken(hostKey(url), LIMITS.ebay);
     const puppeteerData = await puppeteerScraper.scrapeProductDetails(url);
     
     if (puppeteerData && puppeteerData.title && puppeteerData.price > 0) {
       return {
         title: puppeteerData.title,
         price: puppeteerData.price,
+        currency: puppeteerData.currency,
         stock: puppeteerData.stock || 'in_stock',
+        quantity: puppeteerData.quantity ?? null,
         images: puppeteerData.images && puppeteerData.images.length > 0 
           ? puppeteerData.images 
           : [], // ZERO PLACEHOLDER IMAGES
         itemId: puppeteerData.itemId || extractItemId(url) || 'unknown',
         description: puppeteerData.description || '',
-        variations: puppeteerData.variations || []
+        variations: puppeteerData.variations || [],
+        source: 'puppeteer',
+        httpStatus: puppeteerData.httpStatus ?? null,
+        selectors: puppeteerData.selectors || null
       };
     }
 
-    throw new Error('Could not extract valid product data with Puppeteer');
+    const parseError = new Error('Could not extract valid product data with Puppeteer');
+    parseError.httpStatus = puppeteerData?.httpStatus ?? null;
+    parseError.selectors = puppeteerData?.selectors || null;
+    throw parseError;
   } catch (error) {
     console.error('Puppeteer scraping failed:', error.message);
     throw error;
@@ -147,25 +211,52 @@ const fetchWithScraping = async (url) => {
 /**
  * Main function to fetch eBay item
  * MUST scrape with Puppeteer first, then try eBay API if Puppeteer fails
- * MUST return: title, images[], price, itemId, variations[]
+ * MUST return: title, images[], price, currency, itemId, variations[], quantity (null when unknown)
+ * condition, seller { username, feedbackScore, feedbackPercentage } and
+ * shipping { cost, currency, costType, service } come from the API only (null when scraped)
+ * Also returns marketplace (the marketplace ID used), source ('puppeteer' or 'api') and attempts [{ source, httpStatus, selectors, error, durationMs }];
+ * a failure carries the attempts on error.attempts
  * ZERO PLACEHOLDER IMAGES, ZERO DEMO DATA, ZERO fallbackPrice
+ * @param {string} url - Listing URL
+ * @param {Object} options
+ * @param {string} options.marketplace - Marketplace ID set on the product, inferred from the URL when empty;
+ *   a listing URL on another eBay site is scraped on the marketplace's own host
  */
-const fetchEbayItem = async (url) => {
+const fetchEbayItem = async (url, { marketplace: marketplaceId } = {}) => {
   const itemId = extractItemId(url);
+  const marketplace = resolveMarketplace(marketplaceId, url);
+  const scrapeUrl = itemId && marketplaceIdForUrl(url) !== marketplace.id
+    ? ebayItemUrl(itemId, marketplace.id)
+    : url;
+  const attempts = [];
 
   try {
     let data = null;
 
     // MUST scrape product page with Puppeteer first
+    const scrapeAttempt = { source: 'puppeteer', httpStatus: null, error: null };
+    let startedAt = Date.now();
     try {
-      data = await fetchWithScraping(url);
+      data = await fetchWithScraping(scrapeUrl);
+      scrapeAttempt.httpStatus = data.httpStatus;
+      scrapeAttempt.selectors = data.selectors;
     } catch (scrapingError) {
+      scrapeAttempt.httpStatus = scrapingError.httpStatus ?? null;
+      scrapeAttempt.selectors = scrapingError.selectors || null;
+      scrapeAttempt.error = scrapingError.message;
+    }
+    scrapeAttempt.durationMs = Date.now() - startedAt;
+    attempts.push(scrapeAttempt);
+
+    // If Puppeteer fails → try eBay API
+    if (!data && itemId) {
       console.log('Puppeteer scraping failed, trying eBay API fallback...');
-      
-      // If Puppeteer fails → try eBay API
-      if (itemId) {
-        data = await fetchWithAPI(itemId);
-      }
+
+      const apiAttempt = { source: 'api', httpStatus: null, error: null };
+      startedAt = Date.now();
+      data = await fetchWithAPI(itemId, apiAttempt, marketplace.id);
+      apiAttempt.durationMs = Date.now() - startedAt;
+      attempts.push(apiAttempt);
     }
 
     if (!data || !data.title || data.price === 0) {
@@ -177,19 +268,30 @@ const fetchEbayItem = async (url) => {
       title: data.title,
       images: data.images || [], // ZERO PLACEHOLDER IMAGES
       price: data.price, // ZERO fallbackPrice
+      currency: normalizeCurrency(data.currency) || marketplace.currency,
       itemId: data.itemId || itemId || 'unknown',
       variations: data.variations || [],
       stock: data.stock || 'in_stock',
-      description: data.description || ''
+      quantity: data.quantity ?? null,
+      description: data.description || '',
+      condition: data.condition || null,
+      seller: data.seller || null,
+      shipping: data.shipping || null,
+      marketplace: marketplace.id,
+      source: data.source,
+      attempts
     };
   } catch (error) {
     console.error('fetchEbayItem error:', error.message);
-    throw new Error(`Failed to fetch eBay product data: ${error.message}`);
+    const fetchError = new Error(`Failed to fetch eBay product data: ${error.message}`);
+    fetchError.attempts = attempts;
+    throw fetchError;
   }
 };
 
 module.exports = {
   fetchEbayItem,
+  fetchBrowseItem,
   extractItemId
 };
 
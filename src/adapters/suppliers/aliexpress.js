@@ -0,0 +1,57 @@
+const { parsePrice } = require('./common');
+const { detectCurrency } = require('../../utils/currency');
+const { parseQuantity } = require('../../utils/stock');
+
+/**
+ * AliExpress supplier adapter
+ */
+module.exports = {
+  name: 'aliexpress',
+  label: 'AliExpress',
+  hostnames: ['aliexpress.*'],
+  headers: {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+  },
+
+  parse($) {
+    // Extract title
+    let title = $('.product-title-text').text().trim();
+    if (!title) title = $('h1.product-name').text().trim();
+    if (!title) title = $('h1').first().text().trim();
+
+    // Extract price
+    let priceText = $('.product-price-value').text().trim();
+    if (!priceText) priceText = $('.uniform-banner-box-price').text().trim();
+    if (!priceText) priceText = $('[itemprop="price"]').attr('content');
+
+    const price = parsePrice(priceText);
+    const currency = detectCurrency(priceText) || $('[itemprop="priceCurrency"]').attr('content');
+
+    // Extract stock status
+    let stock = 'in_stock';
+    const stockText = $('.product-quantity-tip').text().toLowerCase();
+    const availText = $('.product-reviewer').text().toLowerCase();
+
+    if (stockText.includes('sold out') || availText.includes('unavailable')) {
+      stock = 'out_of_stock';
+    } else if (stockText.includes('only') || /\d+\s*pieces available/.test(stockText)) {
+      stock = 'low_stock';
+    }
+
+    // Extract images
+    const images = [];
+    $('img').each((i, elem) => {
+      const src = $(elem).attr('src') || $(elem).attr('data-src');
+      if (src && (src.includes('alicdn.com') || src.includes('ae01'))) {
+        images.push(src.startsWith('//') ? 'https:' + src : src);
+      }
+    });
+
+    // "123 pieces available"
+    const quantity = stock === 'out_of_stock' ? 0 : parseQuantity(stockText);
+
+    return { title, price, currency, stock, quantity, images };
+  }
+};
@@ -0,0 +1,54 @@
+const { parsePrice } = require('./common');
+const { detectCurrency } = require('../../utils/currency');
+const { parseQuantity } = require('../../utils/stock');
+
+/**
+ * Amazon supplier adapter
+ */
+module.exports = {
+  name: 'amazon',
+  label: 'Amazon',
+  hostnames: ['amazon.*'],
+  headers: {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+  },
+
+  parse($) {
+    // Extract title
+    const title = $('#productTitle').text().trim();
+
+    // Extract price
+    let priceText = $('.a-price .a-offscreen').first().text().trim();
+    if (!priceText) priceText = $('#priceblock_ourprice').text().trim();
+    if (!priceText) priceText = $('#priceblock_dealprice').text().trim();
+
+    const price = parsePrice(priceText);
+    const currency = detectCurrency(priceText) || $('[itemprop="priceCurrency"]').attr('content');
+
+    // Extract stock status
+    let stock = 'in_stock';
+    const availText = $('#availability').text().toLowerCase();
+
+    if (availText.includes('out of stock') || availText.includes('unavailable')) {
+      stock = 'out_of_stock';
+    } else if (availText.includes('only') && availText.includes('left')) {
+      stock = 'low_stock';
+    }
+
+    // Extract images
+    const images = [];
+    $('#altImages img').each((i, elem) => {
+      const src = $(elem).attr('src');
+      if (src) {
+        images.push(src.replace(/\._.*_\./, '.'));
+      }
+    });
+
+    // "Only 3 left in stock"
+    const quantity = stock === 'out_of_stock' ? 0 : parseQuantity(availText);
+
+    return { title, price, currency, stock, quantity, images };
+  }
+};
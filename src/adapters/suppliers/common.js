@@ -0,0 +1,118 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { parseAmount, normalizeCurrency, DEFAULT_CURRENCY } = require('../../utils/currency');
+const { LIMITS, hostKey, waitForToken } = require('../../utils/rateLimiter');
+
+const MAX_RETRIES = parseInt(process.env.MAX_RETRY_ATTEMPTS || '3', 10);
+const BASE_DELAY = parseInt(process.env.RETRY_BASE_DELAY || '1000', 10);
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+};
+
+/**
+ * Retry helper with exponential backoff
+ */
+const retryWithBackoff = async (fn, maxRetries = MAX_RETRIES, baseDelay = BASE_DELAY) => {
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt === maxRetries - 1) {
+        throw error;
+      }
+      
+      // Exponential backoff: 1s, 2s, 4s
+      const delay = baseDelay * Math.pow(2, attempt);
+      console.log(`Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+
+/**
+ * Rate limiting per supplier domain (token bucket, see utils/rateLimiter)
+ */
+const waitForRateLimit = async (url) => {
+  await waitForToken(hostKey(url), LIMITS.supplier);
+};
+
+/**
+ * Parse a price out of scraped text
+ * With a regex the first capture group (or the whole match) is used;
+ * thousands and decimal separators are detected ("€12,50" is 12.5)
+ */
+const parsePrice = (text, priceRegex = null) => {
+  if (!text) return 0;
+
+  let value = String(text);
+  if (priceRegex) {
+    const match = value.match(priceRegex);
+    if (!match) return 0;
+    value = match[1] !== undefined ? match[1] : match[0];
+  }
+
+  return parseAmount(value);
+};
+
+/**
+ * Run an adapter's parser over a supplier page and normalize the result
+ * Adapters provide: name, label, parse($, url) and optionally headers
+ * and a default currency for pages whose price names none.
+ * parse() may return a numeric quantity when the page shows one
+ * @throws When no product title could be read
+ */
+const parseWithAdapter = (adapter, html, url) => {
+  const $ = cheerio.load(html);
+  const data = adapter.parse($, url);
+
+  if (!data.title || data.title.length < 3) {
+    throw new Error(`Could not extract valid product title from ${adapter.label} page`);
+  }
+
+  return {
+    ...data,
+    adapter: adapter.name,
+    price: data.price || 0,
+    quantity: Number.isFinite(data.quantity) ? data.quantity : null,
+    currency: normalizeCurrency(data.currency) || adapter.currency || DEFAULT_CURRENCY,
+    images: data.images && data.images.length > 0 ? data.images.slice(0, 5) : []
+  };
+};
+
+/**
+ * Fetch a supplier page and parse it with the adapter, see parseWithAdapter
+ */
+const fetchWithAdapter = async (adapter, url) => {
+  await waitForRateLimit(url);
+
+  try {
+    return await retryWithBackoff(async () => {
+      const response = await axios.get(url, {
+        headers: adapter.headers || DEFAULT_HEADERS,
+        timeout: 15000
+      });
+
+      return {
+        ...parseWithAdapter(adapter, response.data, url),
+        httpStatus: response.status
+      };
+    }, 3, 1000);
+  } catch (error) {
+    console.error(`${adapter.label} scraping error after retries:`, error.message);
+    const fetchError = new Error(`Failed to fetch ${adapter.label} product data: ${error.message}`);
+    // Recorded in the product's check log
+    fetchError.adapter = adapter.name;
+    fetchError.httpStatus = error.response?.status ?? null;
+    throw fetchError;
+  }
+};
+
+module.exports = {
+  DEFAULT_HEADERS,
+  retryWithBackoff,
+  waitForRateLimit,
+  parsePrice,
+  parseWithAdapter,
+  fetchWithAdapter
+};
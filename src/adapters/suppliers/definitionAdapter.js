@@ -0,0 +1,161 @@
+const { parsePrice } = require('./common');
+const { detectCurrency } = require('../../utils/currency');
+const { parseQuantity } = require('../../utils/stock');
+
+/**
+ * Definition Adapter
+ * Builds a supplier adapter from a stored SupplierDefinition
+ * (CSS selectors, price regex, stock phrases and currency)
+ */
+
+// Stored price regexes run against scraped text on every check, so both are kept small
+// and patterns that can backtrack catastrophically are refused
+const MAX_PRICE_REGEX_LENGTH = 100;
+const MAX_PRICE_TEXT_LENGTH = 200;
+
+/**
+ * Check a price regex before it is stored or used
+ * Refuses backreferences and repeated groups that contain a quantifier or
+ * an alternation, e.g. (a+)+ or (a|ab)*
+ * @returns {string|null} Error message, null when the pattern is safe
+ */
+const checkPriceRegex = (pattern) => {
+  if (typeof pattern !== 'string') {
+    return 'Price regex must be a string';
+  }
+  if (pattern.length > MAX_PRICE_REGEX_LENGTH) {
+    return `Price regex must be at most ${MAX_PRICE_REGEX_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return `Invalid price regex: ${error.message}`;
+  }
+
+  if (/\\[1-9]|\\k</.test(pattern)) {
+    return 'Price regex cannot use backreferences';
+  }
+
+  // For each open group: whether it contains a repetition or alternation
+  const groups = [];
+  let lastGroupRisky = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const closedRiskyGroup = lastGroupRisky;
+    lastGroupRisky = false;
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      lastGroupRisky = groups.pop();
+      if (lastGroupRisky && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (char === '*' || char === '+' || char === '{' || char === '|') {
+      if (char !== '|' && closedRiskyGroup) {
+        return 'Price regex cannot repeat a group that contains a quantifier or alternation';
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    }
+  }
+
+  return null;
+};
+
+const includesAny = (text, phrases = []) => {
+  return phrases.some(phrase => phrase && text.includes(phrase.toLowerCase()));
+};
+
+/**
+ * Create adapter from definition
+ */
+const createDefinitionAdapter = (definition) => {
+  const selectors = definition.selectors || {};
+  const phrases = definition.stockPhrases || {};
+  // Definitions stored before patterns were checked may hold an unsafe one
+  const priceRegex = definition.priceRegex && !checkPriceRegex(definition.priceRegex)
+    ? new RegExp(definition.priceRegex)
+    : null;
+
+  return {
+    name: `definition:${definition._id}`,
+    label: definition.name,
+    hostnames: definition.hostnames,
+    currency: definition.currency,
+
+    parse($) {
+      const title = selectors.title
+        ? $(selectors.title).first().text().trim()
+        : $('h1').first().text().trim();
+
+      let priceText = '';
+      if (selectors.price) {
+        const priceEl = $(selectors.price).first();
+        priceText = priceEl.attr('content') || priceEl.text().trim();
+      } else {
+        priceText = $('[itemprop="price"]').attr('content') || '';
+      }
+      const price = parsePrice(priceText.slice(0, MAX_PRICE_TEXT_LENGTH), priceRegex);
+
+      // Stock phrases are searched in the stock element when configured,
+      // otherwise in the whole page; out-of-stock wording wins over in-stock
+      const stockText = (selectors.stock ? $(selectors.stock).text() : $('body').text()).toLowerCase();
+      let stock = 'unknown';
+      if (includesAny(stockText, phrases.outOfStock)) {
+        stock = 'out_of_stock';
+      } else if (includesAny(stockText, phrases.lowStock)) {
+        stock = 'low_stock';
+      } else if (includesAny(stockText, phrases.inStock)) {
+        stock = 'in_stock';
+      }
+
+      const images = [];
+      if (selectors.images) {
+        $(selectors.images).each((i, elem) => {
+          const src = $(elem).attr('src') || $(elem).attr('data-src');
+          if (src && !src.includes('data:image')) {
+            images.push(src.startsWith('//') ? 'https:' + src : src);
+          }
+        });
+      }
+
+      const data = {
+        title,
+        price,
+        currency: detectCurrency(priceText) || definition.currency,
+        stock,
+        images
+      };
+
+      // Quantity from its own element, or the stock element ("12 in stock")
+      if (selectors.quantity) {
+        const quantityElement = $(selectors.quantity).first();
+        data.quantity = parseQuantity(quantityElement.text()) ?? parseQuantity(quantityElement.attr('content'));
+      } else if (selectors.stock) {
+        data.quantity = parseQuantity(stockText);
+      }
+
+      if (selectors.sku) {
+        data.sku = $(selectors.sku).first().text().replace(/SKU[:\s]*/i, '').trim();
+      }
+
+      return data;
+    }
+  };
+};
+
+module.exports = {
+  checkPriceRegex,
+  createDefinitionAdapter
+};
@@ -0,0 +1,72 @@
+const { parsePrice } = require('./common');
+const { detectCurrency } = require('../../utils/currency');
+const { parseQuantity } = require('../../utils/stock');
+
+// schema.org availability values
+const AVAILABILITY = {
+  instock: 'in_stock',
+  limitedavailability: 'low_stock',
+  outofstock: 'out_of_stock',
+  soldout: 'out_of_stock',
+  discontinued: 'out_of_stock'
+};
+
+/**
+ * Generic supplier adapter
+ * Used for any host without a dedicated module or stored definition
+ */
+module.exports = {
+  name: 'generic',
+  label: 'supplier',
+  hostnames: [],
+
+  parse($) {
+    // Try to find title
+    let title = $('h1').first().text().trim();
+    if (!title) title = $('title').text().trim();
+    if (!title) title = $('[itemprop="name"]').text().trim();
+
+    // Try to find price
+    let priceText = $('[itemprop="price"]').attr('content');
+    if (!priceText) priceText = $('.price').first().text().trim();
+    if (!priceText) priceText = $('[class*="price"]').first().text().trim();
+
+    const price = parsePrice(priceText);
+    const currency = detectCurrency(priceText) || $('[itemprop="priceCurrency"]').attr('content');
+
+    // Stock detection: structured availability, then stock elements, then the page text
+    let stock = 'unknown';
+    const availability = $('[itemprop="availability"]').first();
+    const availabilityValue = (availability.attr('href') || availability.attr('content') || '')
+      .split('/').pop().toLowerCase();
+
+    const stockText = $('[class*="stock"], [class*="availability"], [id*="stock"], [id*="availability"]')
+      .map((i, elem) => $(elem).text()).get().join(' ').toLowerCase();
+    const quantity = parseQuantity(stockText);
+
+    if (AVAILABILITY[availabilityValue]) {
+      stock = AVAILABILITY[availabilityValue];
+    } else {
+      const text = stockText || $('body').text().toLowerCase();
+
+      if (text.includes('out of stock') || text.includes('sold out') || text.includes('unavailable')) {
+        stock = 'out_of_stock';
+      } else if (text.includes('low stock') || text.includes('limited')) {
+        stock = 'low_stock';
+      } else if (text.includes('in stock') || text.includes('available')) {
+        stock = 'in_stock';
+      }
+    }
+
+    // Extract images
+    const images = [];
+    $('img').each((i, elem) => {
+      const src = $(elem).attr('src');
+      if (src && !src.includes('data:image') && (src.startsWith('http') || src.startsWith('//'))) {
+        images.push(src.startsWith('//') ? 'https:' + src : src);
+      }
+    });
+
+    return { title, price, currency, stock, quantity, images };
+  }
+};
@@ -0,0 +1,109 @@
+const SupplierDefinition = require('../../models/SupplierDefinition');
+const { createDefinitionAdapter } = require('./definitionAdapter');
+const aliexpress = require('./aliexpress');
+const amazon = require('./amazon');
+const generic = require('./generic');
+
+/**
+ * Supplier Registry
+ * Resolves the adapter for a supplier URL by hostname:
+ * stored definitions first, then built-in modules, then the generic scraper
+ */
+
+const builtInAdapters = [aliexpress, amazon];
+
+/**
+ * Register an additional built-in supplier module
+ * Modules provide: name, label, hostnames[], parse($, url) and optionally headers
+ */
+const registerSupplierAdapter = (adapter) => {
+  if (!adapter || !adapter.name || typeof adapter.parse !== 'function') {
+    throw new Error('Supplier adapter must have a name and a parse function');
+  }
+
+  const existingIndex = builtInAdapters.findIndex(a => a.name === adapter.name);
+  if (existingIndex >= 0) {
+    builtInAdapters[existingIndex] = adapter;
+  } else {
+    builtInAdapters.push(adapter);
+  }
+};
+
+/**
+ * Check a hostname against a pattern
+ * "example.com" matches example.com and any subdomain,
+ * "example.*" matches example on any TLD (example.de, www.example.co.uk)
+ */
+const matchesHostname = (hostname, pattern) => {
+  const host = hostname.toLowerCase().replace(/^www\./, '');
+  const target = pattern.toLowerCase().replace(/^www\./, '');
+
+  if (target.endsWith('.*')) {
+    const base = target.slice(0, -2);
+    return new RegExp(`(^|\\.)${base.replace(/\./g, '\\.')}\\.[a-z.]+$`).test(host);
+  }
+
+  return host === target || host.endsWith(`.${target}`);
+};
+
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Find built-in adapter for URL (no database lookup)
+ */
+const findBuiltInAdapter = (url) => {
+  const hostname = getHostname(url);
+  if (!hostname) return generic;
+
+  return builtInAdapters.find(adapter =>
+    adapter.hostnames.some(pattern => matchesHostname(hostname, pattern))
+  ) || generic;
+};
+
+/**
+ * Resolve adapter for URL
+ * @param {string} url - Supplier product URL
+ * @param {Object} options
+ * @param {ObjectId} options.userId - Owner whose stored definitions are checked first
+ */
+const resolveSupplierAdapter = async (url, { userId } = {}) => {
+  const hostname = getHostname(url);
+
+  if (hostname && userId) {
+    const definitions = await SupplierDefinition.find({ userId, isActive: true });
+    const definition = definitions.find(def =>
+      def.hostnames.some(pattern => matchesHostname(hostname, pattern))
+    );
+
+    if (definition) {
+      return createDefinitionAdapter(definition);
+    }
+  }
+
+  return findBuiltInAdapter(url);
+};
+
+/**
+ * List built-in adapters (for the suppliers API)
+ */
+const listBuiltInAdapters = () => {
+  return builtInAdapters.map(adapter => ({
+    name: adapter.name,
+    label: adapter.label,
+    hostnames: adapter.hostnames
+  }));
+};
+
+module.exports = {
+  registerSupplierAdapter,
+  resolveSupplierAdapter,
+  findBuiltInAdapter,
+  listBuiltInAdapters,
+  matchesHostname
+};
@@ -12,6 +12,17 @@ const alertRoutes = require('./routes/alertRoutes');
 const settingsRoutes = require('./routes/settingsRoutes');
 const metricsRoutes = require('./routes/metricsRoutes');
 const importRoutes = require('./routes/importRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const repricingRoutes = require('./routes/repricingRoutes');
+const alertRuleRoutes = require('./routes/alertRuleRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const currencyRoutes = require('./routes/currencyRoutes');
+const feeProfileRoutes = require('./routes/feeProfileRoutes');
+const monitoringRoutes = require('./routes/monitoringRoutes');
+const systemAlertRoutes = require('./routes/systemAlertRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
 
 const app = express();
 
@@ -54,6 +65,17 @@ app.use('/api/alerts', alertRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/metrics', metricsRoutes);
 app.use('/api/import', importRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/repricing', repricingRoutes);
+app.use('/api/alert-rules', alertRuleRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/currency', currencyRoutes);
+app.use('/api/fee-profiles', feeProfileRoutes);
+app.use('/api/monitoring', monitoringRoutes);
+app.use('/api/system-alerts', systemAlertRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -0,0 +1,457 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Settings = require('../models/Settings');
+const MonitoringRun = require('../models/MonitoringRun');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { getUsersLoad, recordAdminAction } = require('../services/adminService');
+const { getSystemDefaults, updateSystemDefaults } = require('../services/systemDefaultsService');
+const { createImpersonationSession, revokeUserSessions } = require('../services/sessionService');
+const { findUserWithTwoFactor, disableTwoFactor } = require('../services/twoFactorService');
+const { createUserCron, stopUserCron, restartUserCron, getCronState } = require('../services/cronService');
+const { hasRate } = require('../services/currencyService');
+const { normalizeCurrency } = require('../utils/currency');
+
+// Impersonation tokens are short-lived and cannot be refreshed
+const IMPERSONATION_TOKEN_EXPIRE = process.env.IMPERSONATION_TOKEN_EXPIRE || '1h';
+
+// Password reset tokens stay out of admin responses
+const USER_FIELDS = '-resetPasswordToken -resetPasswordExpire';
+
+const findUser = (id) => (mongoose.isValidObjectId(id) ? User.findById(id).select(USER_FIELDS) : null);
+
+const userNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'User not found'
+});
+
+// @desc    Get users with product counts and monitoring load
+// @route   GET /api/admin/users
+// @access  Private/Admin
+exports.getUsers = async (req, res) => {
+  try {
+    const { search, role, isActive, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ email: pattern }, { name: pattern }];
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (isActive === 'true') {
+      query.isActive = { $ne: false };
+    } else if (isActive === 'false') {
+      query.isActive = false;
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const users = await User.find(query)
+      .select(USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await User.countDocuments(query);
+    const load = await getUsersLoad(users.map(user => user._id));
+    const scheduled = new Set(getCronState().users.map(entry => entry.userId));
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: users.map(user => ({
+        ...user.toObject(),
+        ...load.get(String(user._id)),
+        cronScheduled: scheduled.has(String(user._id))
+      }))
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users'
+    });
+  }
+};
+
+// @desc    Get a user with their load, settings, organizations, cron job and recent runs
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+exports.getUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const [load, settings, organizations, recentRuns] = await Promise.all([
+      getUsersLoad([user._id]),
+      Settings.findOne({ userId: user._id }),
+      Organization.find({ 'members.userId': user._id }).select('name ownerId members'),
+      MonitoringRun.find({ userId: user._id, organizationId: null })
+        .sort({ startedAt: -1 })
+        .limit(10)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        load: load.get(String(user._id)),
+        settings,
+        organizations: organizations.map(organization => ({
+          _id: organization._id,
+          name: organization.name,
+          role: organization.getMember(user._id).role,
+          memberCount: organization.members.length
+        })),
+        cron: getCronState().users.find(entry => entry.userId === String(user._id)) || null,
+        recentRuns
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user'
+    });
+  }
+};
+
+// @desc    Deactivate a user: sign-in is refused and monitoring stops
+// @route   POST /api/admin/users/:id/deactivate
+// @access  Private/Admin
+exports.deactivateUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (String(user._id) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    if (user.isActive !== false) {
+      user.isActive = false;
+      user.deactivatedAt = new Date();
+      await user.save();
+    }
+    stopUserCron(user._id);
+    // Reactivating does not bring old sign-ins back
+    await revokeUserSessions(user._id);
+    await recordAdminAction(req, 'deactivate_user', user._id);
+
+    res.status(200).json({
+      success: true,
+      data: user,
+      message: `${user.email} has been deactivated`
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating user'
+    });
+  }
+};
+
+// @desc    Reactivate a user and resume their monitoring
+// @route   POST /api/admin/users/:id/activate
+// @access  Private/Admin
+exports.activateUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (user.isActive === false) {
+      user.isActive = true;
+      user.deactivatedAt = undefined;
+      await user.save();
+    }
+    await createUserCron(user._id);
+    await recordAdminAction(req, 'activate_user', user._id);
+
+    res.status(200).json({
+      success: true,
+      data: user,
+      message: `${user.email} has been reactivated`
+    });
+  } catch (error) {
+    console.error('Activate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error activating user'
+    });
+  }
+};
+
+// @desc    Get a short-lived token to act as a user
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private/Admin
+exports.impersonateUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (user.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admins cannot be impersonated'
+      });
+    }
+
+    if (user.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deactivated users cannot be impersonated'
+      });
+    }
+
+    // A session of its own, so it can be revoked like any sign-in
+    const { token, session } = await createImpersonationSession(user, req.user, req, IMPERSONATION_TOKEN_EXPIRE);
+    await recordAdminAction(req, 'impersonate', user._id, {
+      sessionId: session._id,
+      expiresAt: session.expiresAt
+    });
+
+    res.status(200).json({
+      success: true,
+      token,
+      expiresIn: IMPERSONATION_TOKEN_EXPIRE,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error impersonating user'
+    });
+  }
+};
+
+// @desc    Turn off a user's 2FA, e.g. after losing their device and recovery codes
+// @route   POST /api/admin/users/:id/2fa/reset
+// @access  Private/Admin
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) && await findUserWithTwoFactor(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (!user.twoFactorEnabled && !user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not set up for this user'
+      });
+    }
+
+    await disableTwoFactor(user);
+    await recordAdminAction(req, 'reset_two_factor', user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Two-factor authentication reset for ${user.email}`
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting two-factor authentication'
+    });
+  }
+};
+
+// @desc    Recreate a user's monitoring cron job from their settings
+// @route   POST /api/admin/users/:id/cron/restart
+// @access  Private/Admin
+exports.restartCronJob = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (user.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deactivated users are not monitored'
+      });
+    }
+
+    await restartUserCron(user._id);
+    await recordAdminAction(req, 'restart_cron', user._id);
+
+    res.status(200).json({
+      success: true,
+      data: getCronState().users.find(entry => entry.userId === String(user._id)) || null,
+      message: 'Monitoring cron restarted'
+    });
+  } catch (error) {
+    console.error('Restart user cron error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restarting monitoring cron'
+    });
+  }
+};
+
+// @desc    Get the state of scheduled monitoring cron jobs
+// @route   GET /api/admin/cron
+// @access  Private/Admin
+exports.getCronJobs = async (req, res) => {
+  try {
+    const state = getCronState();
+    const users = await User.find({ _id: { $in: state.users.map(entry => entry.userId) } })
+      .select('email name');
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...state,
+        users: state.users.map(entry => ({
+          ...entry,
+          email: usersById.get(entry.userId)?.email || null,
+          name: usersById.get(entry.userId)?.name || null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get cron jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cron jobs'
+    });
+  }
+};
+
+// @desc    Get the system-wide defaults new settings inherit
+// @route   GET /api/admin/defaults
+// @access  Private/Admin
+exports.getDefaults = async (req, res) => {
+  try {
+    const defaults = await getSystemDefaults();
+
+    res.status(200).json({
+      success: true,
+      data: defaults
+    });
+  } catch (error) {
+    console.error('Get system defaults error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching system defaults'
+    });
+  }
+};
+
+// @desc    Update the system-wide defaults (existing settings are unchanged)
+// @route   PUT /api/admin/defaults
+// @access  Private/Admin
+exports.updateDefaults = async (req, res) => {
+  try {
+    const values = { ...req.body };
+
+    if (values.baseCurrency !== undefined && values.baseCurrency !== null) {
+      if (!hasRate(normalizeCurrency(values.baseCurrency))) {
+        return res.status(400).json({
+          success: false,
+          message: `No exchange rate available for base currency ${values.baseCurrency}`
+        });
+      }
+      values.baseCurrency = normalizeCurrency(values.baseCurrency);
+    }
+
+    const { defaults, error } = await updateSystemDefaults(values, req.user._id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    await recordAdminAction(req, 'update_defaults', null, values);
+
+    res.status(200).json({
+      success: true,
+      data: defaults,
+      message: 'System defaults updated'
+    });
+  } catch (error) {
+    console.error('Update system defaults error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating system defaults'
+    });
+  }
+};
+
+// @desc    Get the admin audit log
+// @route   GET /api/admin/audit
+// @access  Private/Admin
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { action, adminId, targetUserId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (action) {
+      query.action = action;
+    }
+    if (adminId && mongoose.isValidObjectId(adminId)) {
+      query.adminId = adminId;
+    }
+    if (targetUserId && mongoose.isValidObjectId(targetUserId)) {
+      query.targetUserId = targetUserId;
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const entries = await AdminAuditLog.find(query)
+      .populate('adminId', 'name email')
+      .populate('targetUserId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await AdminAuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: entries
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log'
+    });
+  }
+};
@@ -1,5 +1,6 @@
 const Alert = require('../models/Alert');
 const Product = require('../models/Product');
+const { workspaceQuery, inWorkspace } = require('../utils/workspace');
 
 // @desc    Get all alerts with search, filtering, and pagination
 // @route   GET /api/alerts
@@ -23,7 +24,7 @@ exports.getAlerts = async (req, res) => {
     const query = {};
     
     // Get user's products
-    const userProducts = await Product.find({ userId: req.user._id }).select('_id');
+    const userProducts = await Product.find(workspaceQuery(req)).select('_id');
     const productIds = userProducts.map(p => p._id);
     
     query.productId = { $in: productIds };
@@ -112,8 +113,8 @@ exports.markAlertRead = async (req, res) => {
       });
     }
 
-    // Check if user owns the product
-    if (alert.productId.userId.toString() !== req.user._id.toString()) {
+    // Check the product belongs to the workspace
+    if (!inWorkspace(req, alert.productId)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -142,7 +143,7 @@ exports.markAlertRead = async (req, res) => {
 exports.markAllAlertsRead = async (req, res) => {
   try {
     // Get user's products
-    const userProducts = await Product.find({ userId: req.user._id }).select('_id');
+    const userProducts = await Product.find(workspaceQuery(req)).select('_id');
     const productIds = userProducts.map(p => p._id);
 
     await Alert.updateMany(
@@ -171,7 +172,7 @@ exports.exportAlerts = async (req, res) => {
     const { format = 'json' } = req.query;
     
     // Get user's products
-    const userProducts = await Product.find({ userId: req.user._id }).select('_id');
+    const userProducts = await Product.find(workspaceQuery(req)).select('_id');
     const productIds = userProducts.map(p => p._id);
     
     const alerts = await Alert.find({ productId: { $in: productIds } })
@@ -180,13 +181,14 @@ exports.exportAlerts = async (req, res) => {
 
     if (format === 'csv') {
       // Generate CSV
-      const headers = ['Type', 'Severity', 'Message', 'Old Value', 'New Value', 'Product Title', 'Read', 'Created At'];
+      const headers = ['Type', 'Severity', 'Message', 'Old Value', 'New Value', 'Occurrences', 'Product Title', 'Read', 'Created At'];
       const rows = alerts.map(a => [
         a.type,
         a.severity,
         a.message,
         a.oldValue || '',
         a.newValue || '',
+        a.occurrences || 1,
         a.productId?.title || 'N/A',
         a.read ? 'Yes' : 'No',
         a.createdAt ? new Date(a.createdAt).toISOString() : ''
@@ -222,7 +224,7 @@ exports.exportAlerts = async (req, res) => {
 
 // @desc    Delete alert
 // @route   DELETE /api/alerts/:id
-// @access  Private
+// @access  Private/Editor
 exports.deleteAlert = async (req, res) => {
   try {
     const alert = await Alert.findById(req.params.id).populate('productId');
@@ -234,8 +236,8 @@ exports.deleteAlert = async (req, res) => {
       });
     }
 
-    // Check if user owns the product
-    if (alert.productId.userId.toString() !== req.user._id.toString()) {
+    // Check the product belongs to the workspace
+    if (!inWorkspace(req, alert.productId)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -272,7 +274,7 @@ exports.bulkMarkAlertsRead = async (req, res) => {
     }
 
     // Get user's products to verify ownership
-    const userProducts = await Product.find({ userId: req.user._id }).select('_id');
+    const userProducts = await Product.find(workspaceQuery(req)).select('_id');
     const productIds = userProducts.map(p => p._id);
 
     // Update alerts that belong to user's products
@@ -300,7 +302,7 @@ exports.bulkMarkAlertsRead = async (req, res) => {
 
 // @desc    Bulk delete alerts
 // @route   DELETE /api/alerts/bulk
-// @access  Private
+// @access  Private/Editor
 exports.bulkDeleteAlerts = async (req, res) => {
   try {
     const { ids } = req.body;
@@ -313,7 +315,7 @@ exports.bulkDeleteAlerts = async (req, res) => {
     }
 
     // Get user's products to verify ownership
-    const userProducts = await Product.find({ userId: req.user._id }).select('_id');
+    const userProducts = await Product.find(workspaceQuery(req)).select('_id');
     const productIds = userProducts.map(p => p._id);
 
     // Delete alerts that belong to user's products
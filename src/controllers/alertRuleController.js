@@ -0,0 +1,221 @@
+const AlertRule = require('../models/AlertRule');
+const { validateScope } = require('../utils/ruleScope');
+const { validateCondition } = require('../services/alertRuleService');
+
+const EDITABLE_FIELDS = ['name', 'condition', 'scope', 'severity', 'channels', 'isActive'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const CHANNELS = ['email', 'webhook'];
+
+/**
+ * Validate rule fields shared by create and update
+ * Returns an error message or null
+ */
+const validateRule = (body, isCreate) => {
+  if (isCreate && !body.name) {
+    return 'Rule name is required';
+  }
+
+  if (isCreate || body.condition !== undefined) {
+    try {
+      validateCondition(body.condition);
+    } catch (error) {
+      if (error.name === 'ConditionError') {
+        return `Invalid condition: ${error.message}`;
+      }
+      throw error;
+    }
+  }
+
+  const scopeError = validateScope(body.scope);
+  if (scopeError) return scopeError;
+
+  if (body.severity !== undefined && !SEVERITIES.includes(body.severity)) {
+    return `Severity must be one of: ${SEVERITIES.join(', ')}`;
+  }
+
+  if (body.channels !== undefined) {
+    if (!Array.isArray(body.channels) || body.channels.some(channel => !CHANNELS.includes(channel))) {
+      return `Channels must be a list of: ${CHANNELS.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @desc    Get alert rules
+// @route   GET /api/alert-rules
+// @access  Private
+exports.getAlertRules = async (req, res) => {
+  try {
+    const rules = await AlertRule.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get alert rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching alert rules'
+    });
+  }
+};
+
+// @desc    Get single alert rule
+// @route   GET /api/alert-rules/:id
+// @access  Private
+exports.getAlertRule = async (req, res) => {
+  try {
+    const rule = await AlertRule.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Get alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching alert rule'
+    });
+  }
+};
+
+// @desc    Create alert rule
+// @route   POST /api/alert-rules
+// @access  Private
+exports.createAlertRule = async (req, res) => {
+  try {
+    const validationError = validateRule(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const rule = await AlertRule.create({
+      ...pickEditableFields(req.body),
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    console.error('Create alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating alert rule'
+    });
+  }
+};
+
+// @desc    Update alert rule
+// @route   PUT /api/alert-rules/:id
+// @access  Private
+exports.updateAlertRule = async (req, res) => {
+  try {
+    const rule = await AlertRule.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    const validationError = validateRule(req.body, false);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    rule.set(pickEditableFields(req.body));
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      message: 'Alert rule updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    console.error('Update alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating alert rule'
+    });
+  }
+};
+
+// @desc    Delete alert rule
+// @route   DELETE /api/alert-rules/:id
+// @access  Private
+exports.deleteAlertRule = async (req, res) => {
+  try {
+    const rule = await AlertRule.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    await rule.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting alert rule'
+    });
+  }
+};
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+
+// @desc    Get the current user's API keys
+// @route   GET /api/api-keys
+// @access  Private
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      scopes: API_KEY_SCOPES,
+      data: apiKeys
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys'
+    });
+  }
+};
+
+// @desc    Create an API key, returned once
+// @route   POST /api/api-keys
+// @access  Private
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    if (req.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'API keys cannot be created while impersonating a user'
+      });
+    }
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key name is required'
+      });
+    }
+
+    const invalid = Array.isArray(scopes)
+      ? scopes.filter(scope => !API_KEY_SCOPES.includes(scope))
+      : null;
+    if (!invalid || invalid.length > 0 || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `scopes must be a list of: ${API_KEY_SCOPES.join(', ')}`
+      });
+    }
+
+    const apiKey = new ApiKey({
+      userId: req.user._id,
+      name: name.trim(),
+      scopes: [...new Set(scopes)]
+    });
+    const key = apiKey.generateKey();
+
+    try {
+      await apiKey.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(item => item.message).join(', ')
+        });
+      }
+      throw error;
+    }
+
+    // The key itself is only stored as a hash
+    const data = apiKey.toObject();
+    delete data.keyHash;
+
+    res.status(201).json({
+      success: true,
+      data,
+      key,
+      message: 'Copy this key now, it will not be shown again'
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key'
+    });
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.id)
+      && await ApiKey.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key'
+    });
+  }
+};
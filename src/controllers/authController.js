@@ -1,7 +1,27 @@
 const User = require('../models/User');
 const Settings = require('../models/Settings');
-const generateToken = require('../utils/generateToken');
+const Session = require('../models/Session');
 const { sendPasswordResetEmail } = require('../services/emailService');
+const {
+  ACCESS_TOKEN_EXPIRE,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessionService');
+const {
+  TWO_FACTOR_CHALLENGE_EXPIRE,
+  findUserWithTwoFactor,
+  setupTwoFactor,
+  generateRecoveryCodes,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  createChallengeToken,
+  readChallengeToken,
+  isChallengeCurrent
+} = require('../services/twoFactorService');
+const mongoose = require('mongoose');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 
@@ -40,12 +60,31 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.isActive === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been deactivated'
+      });
+    }
+
+    // With 2FA the login finishes at POST /api/auth/2fa/login
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user),
+        expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE
+      });
+    }
+
+    // Access token and refresh token for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE,
       user: {
         id: user._id,
         email: user.email,
@@ -128,13 +167,15 @@ exports.register = async (req, res) => {
       console.error('Settings creation error (non-critical):', settingsError.message);
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Access token and refresh token for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     return res.status(201).json({
       success: true,
       message: "User registered",
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE,
       user: {
         id: user._id,
         email: user.email,
@@ -167,8 +208,11 @@ exports.getMe = async (req, res) => {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: user.role
-      }
+        role: user.role,
+        twoFactorEnabled: Boolean(user.twoFactorEnabled)
+      },
+      // Set while an admin is signed in as this user
+      impersonatedBy: req.impersonatedBy || null
     });
   } catch (error) {
     console.error('Get me error:', error);
@@ -334,9 +378,16 @@ exports.changePassword = async (req, res) => {
     user.markModified('passwordHash'); // Ensure it's marked as modified
     await user.save();
 
+    // Sign out every device; this one continues with a new session
+    await revokeUserSessions(user._id);
+    const { token, refreshToken } = await createSession(user, req);
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -393,12 +444,27 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Sign out every device, the reset may follow a stolen password
+    await revokeUserSessions(user._id);
+
+    // The reset link proves the email address, not the second factor
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Password reset successful',
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user),
+        expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE,
       message: 'Password reset successful',
       user: {
         id: user._id,
@@ -415,3 +481,409 @@ exports.resetPassword = async (req, res) => {
     });
   }
 };
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const result = await refreshSession(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Sign out the device holding the refresh token
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    // Unknown or already revoked tokens are signed out too
+    await Session.updateOne(
+      { tokenHash: Session.hashToken(refreshToken), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the devices signed in to the current user's account
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        // Set for an admin signed in as the user
+        impersonatedBy: session.impersonatedBy,
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+};
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const revoked = mongoose.isValidObjectId(req.params.id)
+      && await revokeSession(req.params.id, req.user._id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session'
+    });
+  }
+};
+
+// @desc    Sign out every device except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user._id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      count,
+      message: `${count} session(s) revoked`
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions'
+    });
+  }
+};
+
+// @desc    Finish a login with an authenticator or recovery code
+// @route   POST /api/auth/2fa/login
+// @access  Public
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and a code or recovery code'
+      });
+    }
+
+    const challenge = readChallengeToken(challengeToken);
+    const user = challenge && await findUserWithTwoFactor(challenge.userId);
+
+    if (!user || user.isActive === false || !user.twoFactorEnabled || !isChallengeCurrent(user, challenge)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login, please sign in again'
+      });
+    }
+
+    const { recoveryCodesRemaining, error } = await verifySecondFactor(user, { code, recoveryCode });
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Access token and refresh token for this device
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE,
+      // Left after signing in with a recovery code
+      recoveryCodesRemaining,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// @desc    Start 2FA enrolment: a new secret and its provisioning URI for a QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication cannot be changed while impersonating a user'
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = await setupTwoFactor(user);
+
+    res.status(200).json({
+      success: true,
+      data: { secret, otpauthUrl },
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication'
+    });
+  }
+};
+
+// @desc    Turn 2FA on with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    if (req.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication cannot be changed while impersonating a user'
+      });
+    }
+
+    if (!req.body.code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the code from your authenticator app'
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { recoveryCodes, error } = await enableTwoFactor(user, req.body.code);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are only shown once'
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (req.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication cannot be changed while impersonating a user'
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { error } = await verifySecondFactor(user, { code: req.body.code });
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes(user);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes,
+      message: 'New recovery codes generated, the old ones no longer work'
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes'
+    });
+  }
+};
+
+// @desc    Turn 2FA off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (req.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication cannot be changed while impersonating a user'
+      });
+    }
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password and a code or recovery code'
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id, '+passwordHash');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!await user.comparePassword(password)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const { error } = await verifySecondFactor(user, { code, recoveryCode });
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await disableTwoFactor(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication'
+    });
+  }
+};
@@ -0,0 +1,58 @@
+const currencyService = require('../services/currencyService');
+const { normalizeCurrency } = require('../utils/currency');
+
+// @desc    Get exchange rates
+// @route   GET /api/currency/rates
+// @access  Private
+exports.getRates = async (req, res) => {
+  try {
+    const base = normalizeCurrency(req.query.base) || currencyService.RATES_BASE;
+
+    if (!currencyService.hasRate(base)) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for ${base}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: currencyService.getRates(base)
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exchange rates'
+    });
+  }
+};
+
+// @desc    Update exchange rates
+// @route   PUT /api/currency/rates
+// @access  Private/Admin
+exports.updateRates = async (req, res) => {
+  try {
+    const { base = currencyService.RATES_BASE, rates } = req.body;
+
+    const result = await currencyService.updateRates(base, rates, req.user._id);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: currencyService.getRates(normalizeCurrency(base)),
+      message: 'Exchange rates updated successfully'
+    });
+  } catch (error) {
+    console.error('Update exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating exchange rates'
+    });
+  }
+};
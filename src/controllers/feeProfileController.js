@@ -0,0 +1,268 @@
+const FeeProfile = require('../models/FeeProfile');
+const Product = require('../models/Product');
+const { hasRate } = require('../services/currencyService');
+const { recalculateUserProfits } = require('../services/profitService');
+const { VAT_SCHEMES } = require('../utils/landedCost');
+const { normalizeCurrency } = require('../utils/currency');
+
+const EDITABLE_FIELDS = ['name', 'isDefault', 'currency', 'finalValueFee', 'perOrderFee', 'promotedRate', 'paymentFee', 'vat'];
+const NESTED_FIELDS = ['finalValueFee', 'paymentFee', 'vat'];
+
+/**
+ * Validate fields that the schema can't check on its own
+ * Returns an error message or null
+ */
+const validateFeeProfile = (fields) => {
+  if (fields.currency !== undefined) {
+    const currency = normalizeCurrency(fields.currency);
+    if (!currency || !hasRate(currency)) {
+      return 'Currency must be a 3-letter code with a known exchange rate';
+    }
+  }
+
+  if (fields.vat?.scheme !== undefined && !VAT_SCHEMES.includes(fields.vat.scheme)) {
+    return `VAT scheme must be one of: ${VAT_SCHEMES.join(', ')}`;
+  }
+
+  const categories = fields.finalValueFee?.categories;
+  if (categories !== undefined && !Array.isArray(categories)) {
+    return 'finalValueFee.categories must be an array of { category, percent }';
+  }
+
+  return null;
+};
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+/**
+ * Only one profile per user is the default
+ */
+const clearOtherDefaults = async (profile) => {
+  if (profile.isDefault) {
+    await FeeProfile.updateMany(
+      { userId: profile.userId, _id: { $ne: profile._id }, isDefault: true },
+      { isDefault: false }
+    );
+  }
+};
+
+const validationErrorResponse = (res, error) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', ')
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A fee profile with this name already exists'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    Get fee profiles
+// @route   GET /api/fee-profiles
+// @access  Private
+exports.getFeeProfiles = async (req, res) => {
+  try {
+    const profiles = await FeeProfile.find({ userId: req.user._id }).sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: profiles.length,
+      data: profiles
+    });
+  } catch (error) {
+    console.error('Get fee profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching fee profiles'
+    });
+  }
+};
+
+// @desc    Get single fee profile
+// @route   GET /api/fee-profiles/:id
+// @access  Private
+exports.getFeeProfile = async (req, res) => {
+  try {
+    const profile = await FeeProfile.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee profile not found'
+      });
+    }
+
+    const productCount = await Product.countDocuments({
+      userId: req.user._id,
+      feeProfileId: profile._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: profile,
+      productCount
+    });
+  } catch (error) {
+    console.error('Get fee profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching fee profile'
+    });
+  }
+};
+
+// @desc    Create fee profile
+// @route   POST /api/fee-profiles
+// @access  Private
+exports.createFeeProfile = async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+
+    const validationError = validateFeeProfile(fields);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    // The first profile becomes the default
+    const existing = await FeeProfile.countDocuments({ userId: req.user._id });
+
+    const profile = await FeeProfile.create({
+      ...fields,
+      isDefault: existing === 0 ? true : Boolean(fields.isDefault),
+      userId: req.user._id
+    });
+
+    await clearOtherDefaults(profile);
+    await recalculateUserProfits(req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    if (validationErrorResponse(res, error)) return;
+
+    console.error('Create fee profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating fee profile'
+    });
+  }
+};
+
+// @desc    Update fee profile
+// @route   PUT /api/fee-profiles/:id
+// @access  Private
+exports.updateFeeProfile = async (req, res) => {
+  try {
+    const profile = await FeeProfile.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee profile not found'
+      });
+    }
+
+    const fields = pickEditableFields(req.body);
+
+    const validationError = validateFeeProfile(fields);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    // Nested groups are merged so partial updates keep the other values
+    const current = profile.toObject();
+    NESTED_FIELDS.forEach(field => {
+      if (fields[field]) {
+        fields[field] = { ...current[field], ...fields[field] };
+      }
+    });
+
+    profile.set(fields);
+    await profile.save();
+
+    await clearOtherDefaults(profile);
+    await recalculateUserProfits(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: profile,
+      message: 'Fee profile updated successfully'
+    });
+  } catch (error) {
+    if (validationErrorResponse(res, error)) return;
+
+    console.error('Update fee profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating fee profile'
+    });
+  }
+};
+
+// @desc    Delete fee profile
+// @route   DELETE /api/fee-profiles/:id
+// @access  Private
+exports.deleteFeeProfile = async (req, res) => {
+  try {
+    const profile = await FeeProfile.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee profile not found'
+      });
+    }
+
+    await profile.deleteOne();
+
+    // Products using it fall back to the default profile
+    await Product.updateMany(
+      { userId: req.user._id, feeProfileId: profile._id },
+      { feeProfileId: null }
+    );
+    await recalculateUserProfits(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Fee profile deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete fee profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting fee profile'
+    });
+  }
+};
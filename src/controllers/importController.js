@@ -1,11 +1,15 @@
-const importService = require('../services/importService');
+const ImportJob = require('../models/ImportJob');
+const { enqueueImportJob, cancelImportJob } = require('../services/importJobService');
+const { validateMarketplace } = require('../services/productService');
+const { isEbayUrl } = require('../utils/ebayMarketplace');
+const { workspaceOwner, workspaceQuery } = require('../utils/workspace');
 
-// @desc    Import all listings from an eBay store
+// @desc    Queue an import of all listings from an eBay store
 // @route   POST /api/import/store
-// @access  Private
+// @access  Private/Editor
 exports.importStore = async (req, res) => {
   try {
-    const { storeUrl } = req.body;
+    const { storeUrl, marketplace } = req.body;
 
     // Validation
     if (!storeUrl) {
@@ -15,29 +19,30 @@ exports.importStore = async (req, res) => {
       });
     }
 
-    // Validate eBay URL
-    if (!storeUrl.includes('ebay.co.uk') && !storeUrl.includes('ebay.com')) {
+    // Validate eBay URL (any marketplace)
+    if (!isEbayUrl(storeUrl)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid eBay store URL'
       });
     }
 
-    console.log(`Starting store import for user ${req.user._id}: ${storeUrl}`);
+    const marketplaceError = validateMarketplace(marketplace);
+    if (marketplaceError) {
+      return res.status(400).json({
+        success: false,
+        message: marketplaceError
+      });
+    }
 
-    // Import store listings
-    const results = await importService.importStoreListings(storeUrl, req.user._id);
+    console.log(`Queueing store import for user ${req.user._id}: ${storeUrl}`);
 
-    res.status(200).json({
+    const job = await enqueueImportJob(storeUrl, workspaceOwner(req), marketplace);
+
+    res.status(202).json({
       success: true,
-      message: `Store import completed successfully`,
-      imported: results.imported,
-      updated: results.updated,
-      total: results.total,
-      supplierMapped: results.supplierMapped,
-      competitorSynced: results.competitorSynced,
-      items: results.total > 0 ? results.total : 0,
-      data: results
+      message: 'Store import queued',
+      data: job
     });
   } catch (error) {
     console.error('Import store error:', error);
@@ -49,3 +54,120 @@ exports.importStore = async (req, res) => {
   }
 };
 
+// @desc    Get import job history
+// @route   GET /api/import/jobs
+// @access  Private
+exports.getImportJobs = async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+
+    const query = workspaceQuery(req);
+    if (status) {
+      query.status = status;
+    }
+    if (type) {
+      query.type = type;
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Per-item errors and row results can be large, they are returned by GET /jobs/:id
+    const jobs = await ImportJob.find(query)
+      .select('-itemErrors -rows')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await ImportJob.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Get import jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import jobs'
+    });
+  }
+};
+
+// @desc    Get import job progress
+// @route   GET /api/import/jobs/:id
+// @access  Private
+exports.getImportJob = async (req, res) => {
+  try {
+    const job = await ImportJob.findOne({
+      _id: req.params.id,
+      ...workspaceQuery(req)
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import job'
+    });
+  }
+};
+
+// @desc    Cancel an import job
+// @route   DELETE /api/import/jobs/:id
+// @access  Private/Editor
+exports.cancelImportJob = async (req, res) => {
+  try {
+    const job = await ImportJob.findOne({
+      _id: req.params.id,
+      ...workspaceQuery(req)
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    if (!['queued', 'running'].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Import job is already ${job.status}`
+      });
+    }
+
+    await cancelImportJob(job);
+
+    res.status(200).json({
+      success: true,
+      data: job,
+      message: job.status === 'cancelled'
+        ? 'Import job cancelled'
+        : 'Import job will stop after the current item'
+    });
+  } catch (error) {
+    console.error('Cancel import job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling import job'
+    });
+  }
+};
@@ -1,6 +1,12 @@
 const Product = require('../models/Product');
 const Alert = require('../models/Alert');
 const PriceHistory = require('../models/PriceHistory');
+const { convert, getBaseCurrency } = require('../services/currencyService');
+const browserPool = require('../services/browserPool');
+const { getWorkerStats } = require('../services/monitoringWorker');
+const { getRateLimiterStats } = require('../utils/rateLimiter');
+const { getHealthStats } = require('../services/scraperHealthService');
+const { workspaceOwner, workspaceQuery } = require('../utils/workspace');
 
 // @desc    Get dashboard metrics
 // @route   GET /api/metrics
@@ -8,7 +14,7 @@ const PriceHistory = require('../models/PriceHistory');
 exports.getMetrics = async (req, res) => {
   try {
     // Get user's products
-    const products = await Product.find({ userId: req.user._id });
+    const products = await Product.find(workspaceQuery(req));
     const productIds = products.map(p => p._id);
 
     // Total products
@@ -38,8 +44,29 @@ exports.getMetrics = async (req, res) => {
       createdAt: { $gte: yesterday }
     });
 
-    // Total profit
-    const totalProfit = products.reduce((sum, p) => sum + (p.profit || 0), 0);
+    // Net profit, gross profit, fees and VAT in the user's base currency
+    const baseCurrency = await getBaseCurrency(workspaceOwner(req));
+    const sumInBase = (getAmount) => products.reduce(
+      (sum, p) => sum + (convert(getAmount(p) || 0, p.profitCurrency, baseCurrency) ?? 0),
+      0
+    );
+    const totalProfit = sumInBase(p => p.profit);
+    const totalGrossProfit = sumInBase(p => p.profitBreakdown?.grossProfit ?? p.profit);
+    const totalFees = sumInBase(p => p.profitBreakdown?.totalFees);
+    const totalVat = sumInBase(p => p.profitBreakdown?.vat);
+
+    // Listed below their break-even price, worst first
+    const lossMakingProducts = products
+      .filter(p => p.profitBreakdown && p.profit < 0)
+      .sort((a, b) => a.profit - b.profit);
+    const belowBreakEven = lossMakingProducts.slice(0, 10).map(p => ({
+      _id: p._id,
+      title: p.title,
+      netProfit: p.profit,
+      salePrice: p.profitBreakdown.salePrice,
+      breakEvenPrice: p.profitBreakdown.breakEvenPrice,
+      currency: p.profitCurrency
+    }));
 
     // Average profit margin
     const avgProfitMargin = products.length > 0
@@ -82,6 +109,12 @@ exports.getMetrics = async (req, res) => {
         unreadAlerts,
         recentPriceChanges,
         totalProfit: totalProfit.toFixed(2),
+        totalGrossProfit: totalGrossProfit.toFixed(2),
+        totalFees: totalFees.toFixed(2),
+        totalVat: totalVat.toFixed(2),
+        lossMaking: lossMakingProducts.length,
+        belowBreakEven,
+        currency: baseCurrency,
         avgProfitMargin: avgProfitMargin.toFixed(2),
         activeMonitoring,
         alertsByType,
@@ -97,3 +130,25 @@ exports.getMetrics = async (req, res) => {
   }
 };
 
+// @desc    Get scraper browser pool, monitoring worker, rate limiter and parse health stats
+// @route   GET /api/metrics/scraper
+// @access  Private/Admin
+exports.getScraperStats = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        browserPool: browserPool.getStats(),
+        monitoringWorker: getWorkerStats(),
+        rateLimits: getRateLimiterStats(),
+        health: getHealthStats()
+      }
+    });
+  } catch (error) {
+    console.error('Get scraper stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scraper stats'
+    });
+  }
+};
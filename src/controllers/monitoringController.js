@@ -0,0 +1,84 @@
+const MonitoringRun = require('../models/MonitoringRun');
+const CheckLog = require('../models/CheckLog');
+const { workspaceQuery } = require('../utils/workspace');
+
+// @desc    Get monitoring run history
+// @route   GET /api/monitoring/runs
+// @access  Private
+exports.getMonitoringRuns = async (req, res) => {
+  try {
+    const { status, trigger, page = 1, limit = 20 } = req.query;
+
+    const query = workspaceQuery(req);
+    if (status) {
+      query.status = status;
+    }
+    if (trigger) {
+      query.trigger = trigger;
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const runs = await MonitoringRun.find(query)
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await MonitoringRun.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: runs
+    });
+  } catch (error) {
+    console.error('Get monitoring runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching monitoring runs'
+    });
+  }
+};
+
+// @desc    Get a monitoring run with its product checks
+// @route   GET /api/monitoring/runs/:id
+// @access  Private
+exports.getMonitoringRun = async (req, res) => {
+  try {
+    const run = await MonitoringRun.findOne({
+      _id: req.params.id,
+      ...workspaceQuery(req)
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Monitoring run not found'
+      });
+    }
+
+    const checks = await CheckLog.find({ runId: run._id })
+      .populate('productId', 'title')
+      .sort({ checkedAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...run.toObject(),
+        checks
+      }
+    });
+  } catch (error) {
+    console.error('Get monitoring run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching monitoring run'
+    });
+  }
+};
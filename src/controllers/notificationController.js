@@ -0,0 +1,281 @@
+const NotificationChannel = require('../models/NotificationChannel');
+const Alert = require('../models/Alert');
+const { CREDENTIAL_FIELDS, validateTemplate, deliverToChannel } = require('../services/notificationService');
+
+const EDITABLE_FIELDS = ['name', 'type', 'config', 'severities', 'alertTypes', 'isActive'];
+const CREDENTIALS = ['url', 'botToken'];
+const CHANNEL_TYPES = ['slack', 'discord', 'telegram', 'webhook'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate a channel after applying the requested changes
+ * Returns an error message or null
+ */
+const validateChannel = (channel) => {
+  if (!channel.name) {
+    return 'Channel name is required';
+  }
+
+  if (!CHANNEL_TYPES.includes(channel.type)) {
+    return `Channel type must be one of: ${CHANNEL_TYPES.join(', ')}`;
+  }
+
+  const config = channel.config || {};
+
+  if (channel.type === 'telegram') {
+    if (!config.botToken || !config.chatId) {
+      return 'Telegram channels need config.botToken and config.chatId';
+    }
+  } else if (!config.url || !isValidUrl(config.url)) {
+    return 'config.url must be a valid URL';
+  }
+
+  if (channel.type === 'webhook' && config.template) {
+    const templateError = validateTemplate(config.template);
+    if (templateError) return templateError;
+  }
+
+  if (channel.severities && channel.severities.some(severity => !SEVERITIES.includes(severity))) {
+    return `Severities must be any of: ${SEVERITIES.join(', ')}`;
+  }
+
+  const alertTypes = Alert.schema.path('type').enumValues;
+  if (channel.alertTypes && channel.alertTypes.some(type => !alertTypes.includes(type))) {
+    return `Alert types must be any of: ${alertTypes.join(', ')}`;
+  }
+
+  return null;
+};
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @desc    Get notification channels
+// @route   GET /api/notifications
+// @access  Private
+exports.getChannels = async (req, res) => {
+  try {
+    // Credentials are loaded to show them masked
+    const channels = await NotificationChannel.find({ userId: req.user._id })
+      .select(CREDENTIAL_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: channels.length,
+      data: channels
+    });
+  } catch (error) {
+    console.error('Get notification channels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notification channels'
+    });
+  }
+};
+
+// @desc    Create notification channel
+// @route   POST /api/notifications
+// @access  Private
+exports.createChannel = async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+
+    const validationError = validateChannel(fields);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const channel = await NotificationChannel.create({
+      ...fields,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: channel
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    console.error('Create notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating notification channel'
+    });
+  }
+};
+
+// @desc    Update notification channel
+// @route   PUT /api/notifications/:id
+// @access  Private
+exports.updateChannel = async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).select(CREDENTIAL_FIELDS);
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    const fields = pickEditableFields(req.body);
+
+    // A masked credential sent back unchanged keeps the stored one
+    const current = channel.toObject().config || {};
+    if (fields.config) {
+      fields.config = { ...fields.config };
+      CREDENTIALS.forEach(key => {
+        if (current[key] && fields.config[key] === NotificationChannel.maskCredential(current[key])) {
+          delete fields.config[key];
+        }
+      });
+    }
+
+    const merged = {
+      ...channel.toObject(),
+      ...fields,
+      config: { ...channel.toObject().config, ...fields.config }
+    };
+
+    const validationError = validateChannel(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    channel.set({ ...fields, config: merged.config });
+    await channel.save();
+
+    res.status(200).json({
+      success: true,
+      data: channel,
+      message: 'Notification channel updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    console.error('Update notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification channel'
+    });
+  }
+};
+
+// @desc    Delete notification channel
+// @route   DELETE /api/notifications/:id
+// @access  Private
+exports.deleteChannel = async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    await channel.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification channel deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting notification channel'
+    });
+  }
+};
+
+// @desc    Send a test notification
+// @route   POST /api/notifications/:id/test
+// @access  Private
+exports.testChannel = async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).select(CREDENTIAL_FIELDS);
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    const alert = {
+      type: 'price_increase',
+      message: 'Test notification from eBay Monitor',
+      severity: 'low',
+      oldValue: 10,
+      newValue: 12,
+      createdAt: new Date()
+    };
+    const product = {
+      title: 'Test product',
+      ebayUrl: 'https://www.ebay.co.uk/'
+    };
+
+    const sent = await deliverToChannel(channel, alert, product);
+
+    if (sent) {
+      res.status(200).json({
+        success: true,
+        message: `Test notification sent to ${channel.name}`
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: `Failed to send test notification: ${channel.lastError}`
+      });
+    }
+  } catch (error) {
+    console.error('Test notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending test notification'
+    });
+  }
+};
@@ -0,0 +1,449 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Invitation = require('../models/Invitation');
+const Settings = require('../models/Settings');
+const Product = require('../models/Product');
+const Alert = require('../models/Alert');
+const organizationService = require('../services/organizationService');
+const { restartOrganizationCron, stopOrganizationCron } = require('../services/cronService');
+
+const INVITABLE_ROLES = ['editor', 'viewer'];
+const ALERT_TYPES = Alert.schema.path('type').enumValues;
+
+const validateName = (name) => {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return 'Organization name is required';
+  }
+  if (name.trim().length > 100) {
+    return 'Organization name must be at most 100 characters';
+  }
+  return null;
+};
+
+// @desc    Create an organization, owned by the current user
+// @route   POST /api/organizations
+// @access  Private
+exports.createOrganization = async (req, res) => {
+  try {
+    const nameError = validateName(req.body.name);
+    if (nameError) {
+      return res.status(400).json({
+        success: false,
+        message: nameError
+      });
+    }
+
+    const organization = await organizationService.createOrganization(req.body.name.trim(), req.user);
+    await restartOrganizationCron(organization._id);
+
+    res.status(201).json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating organization'
+    });
+  }
+};
+
+// @desc    Get organizations the current user is a member of
+// @route   GET /api/organizations
+// @access  Private
+exports.getOrganizations = async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'members.userId': req.user._id }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: organizations.length,
+      data: organizations.map(organization => ({
+        _id: organization._id,
+        name: organization.name,
+        ownerId: organization.ownerId,
+        memberCount: organization.members.length,
+        role: organization.getMember(req.user._id).role,
+        createdAt: organization.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching organizations'
+    });
+  }
+};
+
+// @desc    Get an organization with its members
+// @route   GET /api/organizations/:id
+// @access  Private/Member
+exports.getOrganization = async (req, res) => {
+  try {
+    await req.organization.populate('members.userId', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...req.organization.toObject(),
+        role: req.workspaceRole
+      }
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching organization'
+    });
+  }
+};
+
+// @desc    Rename an organization
+// @route   PUT /api/organizations/:id
+// @access  Private/Owner
+exports.updateOrganization = async (req, res) => {
+  try {
+    const nameError = validateName(req.body.name);
+    if (nameError) {
+      return res.status(400).json({
+        success: false,
+        message: nameError
+      });
+    }
+
+    req.organization.name = req.body.name.trim();
+    await req.organization.save();
+
+    res.status(200).json({
+      success: true,
+      data: req.organization
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating organization'
+    });
+  }
+};
+
+// @desc    Delete an organization without products
+// @route   DELETE /api/organizations/:id
+// @access  Private/Owner
+exports.deleteOrganization = async (req, res) => {
+  try {
+    const organizationId = req.organization._id;
+
+    if (await Product.exists({ organizationId })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delete the organization\'s products before deleting the organization'
+      });
+    }
+
+    stopOrganizationCron(organizationId);
+    await Promise.all([
+      Settings.deleteOne({ organizationId }),
+      Invitation.deleteMany({ organizationId }),
+      req.organization.deleteOne()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting organization'
+    });
+  }
+};
+
+// @desc    Invite someone to the organization by email
+// @route   POST /api/organizations/:id/invitations
+// @access  Private/Owner
+exports.inviteMember = async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email'
+      });
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${INVITABLE_ROLES.join(', ')}`
+      });
+    }
+
+    await req.organization.populate('members.userId', 'email');
+    const alreadyMember = req.organization.members
+      .some(member => member.userId && member.userId.email === email.toLowerCase());
+    if (alreadyMember) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the organization'
+      });
+    }
+
+    const { invitation, emailSent } = await organizationService.inviteMember(req.organization, email, role, req.user);
+
+    // The token only travels in the email
+    const data = invitation.toObject();
+    delete data.token;
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: emailSent
+        ? `Invitation sent to ${invitation.email}`
+        : 'Invitation created but the email could not be sent. Please check your SMTP configuration.'
+    });
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error inviting member'
+    });
+  }
+};
+
+// @desc    Get pending invitations
+// @route   GET /api/organizations/:id/invitations
+// @access  Private/Owner
+exports.getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      organizationId: req.organization._id,
+      acceptedAt: null
+    })
+      .select('-token')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitations'
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/organizations/:id/invitations/:invitationId
+// @access  Private/Owner
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = mongoose.isValidObjectId(req.params.invitationId)
+      && await Invitation.findOneAndDelete({
+        _id: req.params.invitationId,
+        organizationId: req.organization._id,
+        acceptedAt: null
+      });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation'
+    });
+  }
+};
+
+// @desc    Accept an invitation as the current user
+// @route   POST /api/organizations/invitations/accept
+// @access  Private
+exports.acceptInvitation = async (req, res) => {
+  try {
+    if (!req.body.token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation token is required'
+      });
+    }
+
+    const { organization, error } = await organizationService.acceptInvitation(req.body.token, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: organization,
+      message: `You joined ${organization.name}`
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation'
+    });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private/Owner
+exports.updateMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${INVITABLE_ROLES.join(', ')}`
+      });
+    }
+
+    const member = req.organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner\'s role cannot be changed'
+      });
+    }
+
+    member.role = role;
+    await req.organization.save();
+
+    res.status(200).json({
+      success: true,
+      data: member
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating member'
+    });
+  }
+};
+
+// @desc    Remove a member, or leave the organization
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private/Owner (members can remove themselves)
+exports.removeMember = async (req, res) => {
+  try {
+    const leaving = String(req.params.userId) === String(req.user._id);
+
+    if (!leaving && req.workspaceRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: `Organization role '${req.workspaceRole}' is not authorized to access this route`
+      });
+    }
+
+    const member = req.organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot leave the organization'
+      });
+    }
+
+    req.organization.members = req.organization.members.filter(item => item !== member);
+    await req.organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: leaving ? 'You left the organization' : 'Member removed'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing member'
+    });
+  }
+};
+
+// @desc    Update the current member's notification preferences
+// @route   PUT /api/organizations/:id/notifications
+// @access  Private/Member
+exports.updateNotifications = async (req, res) => {
+  try {
+    const { email, alertTypes } = req.body;
+
+    if (email !== undefined && typeof email !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'email must be true or false'
+      });
+    }
+
+    if (alertTypes !== undefined) {
+      const invalid = Array.isArray(alertTypes)
+        ? alertTypes.filter(type => !ALERT_TYPES.includes(type))
+        : null;
+      if (!invalid || invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `alertTypes must be a list of: ${ALERT_TYPES.join(', ')}`
+        });
+      }
+    }
+
+    const member = req.organization.getMember(req.user._id);
+    if (email !== undefined) {
+      member.notifications.email = email;
+    }
+    if (alertTypes !== undefined) {
+      member.notifications.alertTypes = alertTypes;
+    }
+    await req.organization.save();
+
+    res.status(200).json({
+      success: true,
+      data: member.notifications,
+      message: 'Notification preferences updated'
+    });
+  } catch (error) {
+    console.error('Update notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification preferences'
+    });
+  }
+};
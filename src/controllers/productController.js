@@ -1,7 +1,63 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const PriceHistory = require('../models/PriceHistory');
+const FeeProfile = require('../models/FeeProfile');
+const ProductVariation = require('../models/ProductVariation');
+const CheckLog = require('../models/CheckLog');
 const ebayAdapter = require('../adapters/ebayAdapter');
 const supplierAdapter = require('../adapters/supplierAdapter');
+const { getProfitContext, updateProfit } = require('../services/profitService');
+const { resolveHistoryOptions, getPriceHistorySeries } = require('../services/priceHistoryService');
+const { syncVariations, syncVariationSuppliers } = require('../services/variationService');
+const { validateProductUrls, validateMarketplace, createProduct } = require('../services/productService');
+const { readImportFile } = require('../services/productImportService');
+const { enqueueProductImportJob } = require('../services/importJobService');
+const { applyEbayStock, applySupplierStock, refreshStockStatus, updateSalesVelocity } = require('../services/stockService');
+const { marketplaceIdForUrl } = require('../utils/ebayMarketplace');
+const { workspaceOwner, workspaceQuery } = require('../utils/workspace');
+
+const SHIPPING_FIELDS = ['shippingCharged', 'shippingCostOut', 'shippingCostIn'];
+
+/**
+ * Copy category, shipping, fee profile and low-stock threshold fields from the request body
+ * Returns an error message or null
+ */
+const applyCostFields = async (target, body, userId) => {
+  for (const field of SHIPPING_FIELDS) {
+    if (body[field] !== undefined) {
+      const value = Number(body[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        return `${field} must be a non-negative number`;
+      }
+      target[field] = value;
+    }
+  }
+
+  if (body.ebayCategory !== undefined) {
+    target.ebayCategory = body.ebayCategory;
+  }
+
+  if (body.feeProfileId !== undefined) {
+    if (body.feeProfileId) {
+      const feeProfile = mongoose.isValidObjectId(body.feeProfileId)
+        && await FeeProfile.exists({ _id: body.feeProfileId, userId });
+      if (!feeProfile) {
+        return 'Fee profile not found';
+      }
+    }
+    target.feeProfileId = body.feeProfileId || null;
+  }
+
+  if (body.lowStockThreshold !== undefined) {
+    const threshold = Number(body.lowStockThreshold);
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      return 'lowStockThreshold must be a non-negative whole number';
+    }
+    target.lowStockThreshold = threshold;
+  }
+
+  return null;
+};
 
 // @desc    Get all products with search, filtering, and pagination
 // @route   GET /api/products
@@ -27,7 +83,7 @@ exports.getProducts = async (req, res) => {
     } = req.query;
 
     // Build query
-    const query = { userId: req.user._id };
+    const query = workspaceQuery(req);
 
     // Search by title
     if (search) {
@@ -78,7 +134,7 @@ exports.getProducts = async (req, res) => {
     // Filter by alerts (products with unread alerts)
     if (hasAlerts === 'true') {
       const Alert = require('../models/Alert');
-      const userProducts = await Product.find({ userId: req.user._id }).select('_id');
+      const userProducts = await Product.find(workspaceQuery(req)).select('_id');
       const productIds = userProducts.map(p => p._id);
       
       const alerts = await Alert.find({
@@ -131,7 +187,7 @@ exports.getProduct = async (req, res) => {
   try {
     const product = await Product.findOne({
       _id: req.params.id,
-      userId: req.user._id
+      ...workspaceQuery(req)
     });
 
     if (!product) {
@@ -143,13 +199,20 @@ exports.getProduct = async (req, res) => {
 
     // Get price history
     const priceHistory = await PriceHistory.find({
-      productId: product._id
+      productId: product._id,
+      variationId: null
     }).sort({ checkedAt: -1 }).limit(100);
 
+    const variations = await ProductVariation.find({
+      productId: product._id,
+      isActive: true
+    }).sort({ createdAt: 1 });
+
     res.status(200).json({
       success: true,
       data: {
         product,
+        variations,
         priceHistory
       }
     });
@@ -162,53 +225,149 @@ exports.getProduct = async (req, res) => {
   }
 };
 
-// @desc    Add product
-// @route   POST /api/products
+// @desc    Get downsampled price history for a product
+// @route   GET /api/products/:id/history
 // @access  Private
-exports.addProduct = async (req, res) => {
+exports.getProductHistory = async (req, res) => {
   try {
-    const { ebayUrl, supplierUrl } = req.body;
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...workspaceQuery(req)
+    }).select('_id');
 
-    if (!ebayUrl) {
-      return res.status(400).json({
+    if (!product) {
+      return res.status(404).json({
         success: false,
-        message: 'eBay URL is required'
+        message: 'Product not found'
       });
     }
 
-    // Basic URL validation
-    try {
-      new URL(ebayUrl);
-    } catch (error) {
+    const options = resolveHistoryOptions(req.query);
+    if (options.error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid eBay URL format'
+        message: options.error
       });
     }
 
-    // Check if it's an eBay URL
-    if (!ebayUrl.includes('ebay.com') && !ebayUrl.includes('ebay.co.uk') && !ebayUrl.includes('ebay.ca')) {
+    // Optional single variation
+    let variation = null;
+    if (req.query.variationId) {
+      variation = mongoose.isValidObjectId(req.query.variationId)
+        && await ProductVariation.findOne({ _id: req.query.variationId, productId: product._id }).select('_id');
+
+      if (!variation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variation not found'
+        });
+      }
+    }
+
+    const history = await getPriceHistorySeries(product._id, options, variation?._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        productId: product._id,
+        variationId: variation?._id || null,
+        source: options.source || 'all',
+        bucket: options.bucket,
+        from: options.from,
+        to: options.to,
+        ...history
+      }
+    });
+  } catch (error) {
+    console.error('Get product history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price history'
+    });
+  }
+};
+
+// @desc    Get a product's monitoring check log
+// @route   GET /api/products/:id/checks
+// @access  Private
+exports.getProductChecks = async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...workspaceQuery(req)
+    }).select('_id');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { productId: product._id };
+    if (status) {
+      query.status = status;
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const checks = await CheckLog.find(query)
+      .sort({ checkedAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await CheckLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: checks.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: checks
+    });
+  } catch (error) {
+    console.error('Get product checks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product checks'
+    });
+  }
+};
+
+// @desc    Add product
+// @route   POST /api/products
+// @access  Private/Editor
+exports.addProduct = async (req, res) => {
+  try {
+    const { ebayUrl, supplierUrl, ebayMarketplace } = req.body;
+
+    const urlError = validateProductUrls(ebayUrl, supplierUrl) || validateMarketplace(ebayMarketplace);
+    if (urlError) {
       return res.status(400).json({
         success: false,
-        message: 'URL must be from eBay domain'
+        message: urlError
       });
     }
 
-    if (supplierUrl) {
-      try {
-        new URL(supplierUrl);
-      } catch (error) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid supplier URL format'
-        });
-      }
+    const costFields = {};
+    const costError = await applyCostFields(costFields, req.body, workspaceOwner(req).userId);
+    if (costError) {
+      return res.status(400).json({
+        success: false,
+        message: costError
+      });
     }
 
     // Fetch eBay data
     let ebayData;
     try {
-      ebayData = await ebayAdapter.fetchEbayItem(ebayUrl);
+      ebayData = await ebayAdapter.fetchEbayItem(ebayUrl, { marketplace: ebayMarketplace });
     } catch (error) {
       console.error('Error fetching eBay product data:', error.message);
       return res.status(400).json({
@@ -227,7 +386,7 @@ exports.addProduct = async (req, res) => {
     // Check if product already exists
     const existingProduct = await Product.findOne({
       ebayItemId: ebayData.itemId,
-      userId: req.user._id
+      ...workspaceQuery(req)
     });
 
     if (existingProduct) {
@@ -237,73 +396,77 @@ exports.addProduct = async (req, res) => {
       });
     }
 
-    // Fetch supplier data if URL provided
-    let supplierData = null;
-    if (supplierUrl) {
-      supplierData = await supplierAdapter.fetchSupplierData(supplierUrl);
-    }
+    const product = await createProduct(workspaceOwner(req), ebayUrl, ebayData, {
+      supplierUrl,
+      fields: costFields
+    });
 
-    // Create product
-    const productData = {
-      title: ebayData.title,
-      ebayUrl,
-      ebayItemId: ebayData.itemId,
-      ebayPrice: ebayData.price,
-      stockStatus: ebayData.stock,
-      images: ebayData.images,
-      userId: req.user._id
-    };
+    res.status(201).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    console.error('Add product error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error adding product'
+    });
+  }
+};
 
-    if (supplierData) {
-      productData.supplierUrl = supplierUrl;
-      productData.supplierPrice = supplierData.price;
-      productData.supplierStockStatus = supplierData.stock;
+// @desc    Queue an import of products from a CSV or XLSX file
+// @route   POST /api/products/import
+// @access  Private/Editor
+exports.importProducts = async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send a CSV or XLSX file as the request body'
+      });
     }
 
-    const product = await Product.create(productData);
-
-    // Calculate profit
-    product.calculateProfit();
-    await product.save();
-
-    // Create initial price history entries
-    await PriceHistory.create({
-      productId: product._id,
-      source: 'ebay',
-      price: ebayData.price,
-      stock: ebayData.stock
-    });
+    let parsed;
+    try {
+      parsed = readImportFile(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read file: ${error.message}`
+      });
+    }
 
-    if (supplierData) {
-      await PriceHistory.create({
-        productId: product._id,
-        source: 'supplier',
-        price: supplierData.price,
-        stock: supplierData.stock
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
       });
     }
 
-    res.status(201).json({
+    const job = await enqueueProductImportJob(workspaceOwner(req), parsed.records);
+
+    res.status(202).json({
       success: true,
-      data: product
+      message: `Import of ${parsed.records.length} row(s) queued`,
+      data: job
     });
   } catch (error) {
-    console.error('Add product error:', error);
+    console.error('Import products error:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Error adding product'
+      message: 'Error importing products'
     });
   }
 };
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private
+// @access  Private/Editor
 exports.deleteProduct = async (req, res) => {
   try {
     const product = await Product.findOne({
       _id: req.params.id,
-      userId: req.user._id
+      ...workspaceQuery(req)
     });
 
     if (!product) {
@@ -315,8 +478,10 @@ exports.deleteProduct = async (req, res) => {
 
     await product.deleteOne();
 
-    // Delete associated price history
+    // Delete associated price history, variations and check logs
     await PriceHistory.deleteMany({ productId: product._id });
+    await ProductVariation.deleteMany({ productId: product._id });
+    await CheckLog.deleteMany({ productId: product._id });
 
     res.status(200).json({
       success: true,
@@ -333,12 +498,12 @@ exports.deleteProduct = async (req, res) => {
 
 // @desc    Update product
 // @route   PUT /api/products/:id
-// @access  Private
+// @access  Private/Editor
 exports.updateProduct = async (req, res) => {
   try {
     const product = await Product.findOne({
       _id: req.params.id,
-      userId: req.user._id
+      ...workspaceQuery(req)
     });
 
     if (!product) {
@@ -348,7 +513,15 @@ exports.updateProduct = async (req, res) => {
       });
     }
 
-    const { title, ebayUrl, supplierUrl, tags, notes, minPriceThreshold, isActive } = req.body;
+    const { title, ebayUrl, supplierUrl, ebayMarketplace, tags, notes, minPriceThreshold, isActive } = req.body;
+
+    const marketplaceError = validateMarketplace(ebayMarketplace);
+    if (marketplaceError) {
+      return res.status(400).json({
+        success: false,
+        message: marketplaceError
+      });
+    }
 
     // Update allowed fields
     if (title !== undefined) product.title = title;
@@ -357,39 +530,65 @@ exports.updateProduct = async (req, res) => {
     if (minPriceThreshold !== undefined) product.minPriceThreshold = minPriceThreshold;
     if (isActive !== undefined) product.isActive = isActive;
 
+    const costError = await applyCostFields(product, req.body, product.userId);
+    if (costError) {
+      return res.status(400).json({
+        success: false,
+        message: costError
+      });
+    }
+
+    // Re-evaluate the stored quantities against a new threshold
+    if (req.body.lowStockThreshold !== undefined) {
+      refreshStockStatus(product);
+    }
+
+    // An empty marketplace goes back to the one the URL is on
+    if (ebayMarketplace !== undefined) {
+      product.ebayMarketplace = ebayMarketplace || marketplaceIdForUrl(ebayUrl || product.ebayUrl) || undefined;
+    }
+
     // Handle URL updates - if URLs change, fetch new data
     if (ebayUrl && ebayUrl !== product.ebayUrl) {
-      const ebayData = await ebayAdapter.fetchEbayItem(ebayUrl);
+      const ebayData = await ebayAdapter.fetchEbayItem(ebayUrl, { marketplace: ebayMarketplace });
       if (ebayData) {
         product.ebayUrl = ebayUrl;
+        product.ebayMarketplace = ebayData.marketplace;
         product.ebayItemId = ebayData.itemId;
         product.ebayPrice = ebayData.price;
-        product.stockStatus = ebayData.stock;
+        product.ebayCurrency = ebayData.currency;
+        applyEbayStock(product, ebayData);
         if (ebayData.title) product.title = ebayData.title;
         if (ebayData.images && ebayData.images.length > 0) {
           product.images = ebayData.images;
         }
+
+        // Variations belong to the old listing
+        await ProductVariation.deleteMany({ productId: product._id });
+        await syncVariations(product, ebayData.variations);
       }
     }
 
     if (supplierUrl !== undefined) {
       if (supplierUrl && supplierUrl !== product.supplierUrl) {
-        const supplierData = await supplierAdapter.fetchSupplierData(supplierUrl);
+        const supplierData = await supplierAdapter.fetchSupplierData(supplierUrl, { userId: workspaceOwner(req).userId });
         if (supplierData) {
           product.supplierUrl = supplierUrl;
           product.supplierPrice = supplierData.price;
-          product.supplierStockStatus = supplierData.stock;
+          product.supplierCurrency = supplierData.currency;
+          applySupplierStock(product, supplierData);
         }
       } else if (!supplierUrl) {
         // Remove supplier URL
         product.supplierUrl = '';
         product.supplierPrice = 0;
         product.supplierStockStatus = 'unknown';
+        product.supplierQuantity = null;
       }
     }
 
     // Recalculate profit
-    product.calculateProfit();
+    await updateProfit(product);
     await product.save();
 
     res.status(200).json({
@@ -406,6 +605,109 @@ exports.updateProduct = async (req, res) => {
   }
 };
 
+// @desc    Get product variations
+// @route   GET /api/products/:id/variations
+// @access  Private
+exports.getProductVariations = async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...workspaceQuery(req)
+    }).select('_id');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const query = { productId: product._id };
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const variations = await ProductVariation.find(query).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: variations.length,
+      data: variations
+    });
+  } catch (error) {
+    console.error('Get product variations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product variations'
+    });
+  }
+};
+
+// @desc    Map a variation to a supplier SKU / page
+// @route   PUT /api/products/:id/variations/:variationId
+// @access  Private/Editor
+exports.updateProductVariation = async (req, res) => {
+  try {
+    const variation = mongoose.isValidObjectId(req.params.variationId)
+      && await ProductVariation.findOne({
+        _id: req.params.variationId,
+        productId: req.params.id,
+        userId: workspaceOwner(req).userId
+      });
+
+    if (!variation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variation not found'
+      });
+    }
+
+    const { supplierSku, supplierUrl } = req.body;
+
+    if (supplierUrl) {
+      try {
+        new URL(supplierUrl);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid supplier URL format'
+        });
+      }
+    }
+
+    if (supplierSku !== undefined) variation.supplierSku = supplierSku;
+
+    if (supplierUrl !== undefined && supplierUrl !== variation.supplierUrl) {
+      variation.supplierUrl = supplierUrl || '';
+      variation.supplierPrice = 0;
+      variation.supplierStockStatus = 'unknown';
+
+      if (supplierUrl) {
+        const supplierData = await supplierAdapter.fetchSupplierData(supplierUrl, { userId: workspaceOwner(req).userId });
+        if (supplierData) {
+          variation.supplierPrice = supplierData.price;
+          variation.supplierCurrency = supplierData.currency;
+          variation.supplierStockStatus = supplierData.stock;
+        }
+      }
+    }
+
+    await variation.save();
+
+    res.status(200).json({
+      success: true,
+      data: variation,
+      message: 'Variation updated successfully'
+    });
+  } catch (error) {
+    console.error('Update product variation error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error updating variation'
+    });
+  }
+};
+
 // @desc    Export products as CSV or JSON
 // @route   GET /api/products/export
 // @access  Private
@@ -413,22 +715,35 @@ exports.exportProducts = async (req, res) => {
   try {
     const { format = 'json' } = req.query;
     
-    const products = await Product.find({ userId: req.user._id })
+    const products = await Product.find(workspaceQuery(req))
       .sort({ createdAt: -1 });
 
     if (format === 'csv') {
       // Generate CSV
-      const headers = ['Title', 'eBay URL', 'eBay Price', 'Supplier URL', 'Supplier Price', 'Profit', 'Profit Margin', 'Stock Status', 'Supplier Stock', 'Last Checked', 'Created At'];
+      const headers = ['Title', 'eBay URL', 'eBay Price', 'eBay Currency', 'Supplier URL', 'Supplier Price', 'Supplier Currency', 'Shipping Charged', 'Shipping Cost Out', 'Shipping Cost In', 'Gross Profit', 'Fees', 'VAT', 'Net Profit', 'Profit Currency', 'Net Margin', 'Break-even Price', 'Stock Status', 'eBay Quantity', 'Supplier Stock', 'Supplier Quantity', 'Sold Per Day', 'Last Checked', 'Created At'];
       const rows = products.map(p => [
         p.title,
         p.ebayUrl,
         p.ebayPrice,
+        p.ebayCurrency || 'GBP',
         p.supplierUrl || '',
         p.supplierPrice || 0,
+        p.supplierCurrency || 'GBP',
+        p.shippingCharged || 0,
+        p.shippingCostOut || 0,
+        p.shippingCostIn || 0,
+        p.profitBreakdown?.grossProfit ?? '',
+        p.profitBreakdown?.totalFees ?? '',
+        p.profitBreakdown?.vat ?? '',
         p.profit || 0,
+        p.profitCurrency || 'GBP',
         p.profitMargin || 0,
+        p.profitBreakdown?.breakEvenPrice ?? '',
         p.stockStatus,
+        p.ebayQuantity ?? '',
         p.supplierStockStatus || 'unknown',
+        p.supplierQuantity ?? '',
+        p.salesVelocity?.perDay ?? '',
         p.lastCheckedAt ? new Date(p.lastCheckedAt).toISOString() : '',
         p.createdAt ? new Date(p.createdAt).toISOString() : ''
       ]);
@@ -463,12 +778,12 @@ exports.exportProducts = async (req, res) => {
 
 // @desc    Sync product manually
 // @route   POST /api/products/:id/sync
-// @access  Private
+// @access  Private/Editor
 exports.syncProduct = async (req, res) => {
   try {
     const product = await Product.findOne({
       _id: req.params.id,
-      userId: req.user._id
+      ...workspaceQuery(req)
     });
 
     if (!product) {
@@ -479,11 +794,12 @@ exports.syncProduct = async (req, res) => {
     }
 
     // Fetch latest eBay data
-    const ebayData = await ebayAdapter.fetchEbayItem(product.ebayUrl);
+    const ebayData = await ebayAdapter.fetchEbayItem(product.ebayUrl, { marketplace: product.ebayMarketplace });
 
     if (ebayData) {
       product.ebayPrice = ebayData.price;
-      product.stockStatus = ebayData.stock;
+      product.ebayCurrency = ebayData.currency;
+      applyEbayStock(product, ebayData);
       product.title = ebayData.title;
       product.images = ebayData.images;
 
@@ -491,29 +807,39 @@ exports.syncProduct = async (req, res) => {
         productId: product._id,
         source: 'ebay',
         price: ebayData.price,
-        stock: ebayData.stock
+        currency: ebayData.currency,
+        stock: ebayData.stock,
+        quantity: product.ebayQuantity
       });
+      await updateSalesVelocity(product);
+
+      await syncVariations(product, ebayData.variations);
     }
 
     // Fetch latest supplier data if URL exists
     if (product.supplierUrl) {
-      const supplierData = await supplierAdapter.fetchSupplierData(product.supplierUrl);
+      const supplierData = await supplierAdapter.fetchSupplierData(product.supplierUrl, { userId: product.userId });
 
       if (supplierData) {
         product.supplierPrice = supplierData.price;
-        product.supplierStockStatus = supplierData.stock;
+        product.supplierCurrency = supplierData.currency;
+        applySupplierStock(product, supplierData);
 
         await PriceHistory.create({
           productId: product._id,
           source: 'supplier',
           price: supplierData.price,
-          stock: supplierData.stock
+          currency: supplierData.currency,
+          stock: supplierData.stock,
+          quantity: product.supplierQuantity
         });
       }
     }
 
+    await syncVariationSuppliers(product);
+
     product.lastCheckedAt = Date.now();
-    product.calculateProfit();
+    await updateProfit(product);
     await product.save();
 
     res.status(200).json({
@@ -531,7 +857,7 @@ exports.syncProduct = async (req, res) => {
 
 // @desc    Bulk delete products
 // @route   DELETE /api/products/bulk
-// @access  Private
+// @access  Private/Editor
 exports.bulkDeleteProducts = async (req, res) => {
   try {
     const { ids } = req.body;
@@ -546,7 +872,7 @@ exports.bulkDeleteProducts = async (req, res) => {
     // Delete products and their associated data
     const result = await Product.deleteMany({
       _id: { $in: ids },
-      userId: req.user._id
+      ...workspaceQuery(req)
     });
 
     if (result.deletedCount === 0) {
@@ -556,10 +882,16 @@ exports.bulkDeleteProducts = async (req, res) => {
       });
     }
 
-    // Delete associated price history
+    // Delete associated price history, variations and check logs
     await PriceHistory.deleteMany({
       productId: { $in: ids }
     });
+    await ProductVariation.deleteMany({
+      productId: { $in: ids }
+    });
+    await CheckLog.deleteMany({
+      productId: { $in: ids }
+    });
 
     // Delete associated alerts
     const Alert = require('../models/Alert');
@@ -583,7 +915,7 @@ exports.bulkDeleteProducts = async (req, res) => {
 
 // @desc    Bulk sync products
 // @route   POST /api/products/bulk-sync
-// @access  Private
+// @access  Private/Editor
 exports.bulkSyncProducts = async (req, res) => {
   try {
     const { ids } = req.body;
@@ -597,7 +929,7 @@ exports.bulkSyncProducts = async (req, res) => {
 
     const products = await Product.find({
       _id: { $in: ids },
-      userId: req.user._id
+      ...workspaceQuery(req)
     });
 
     if (products.length === 0) {
@@ -609,15 +941,17 @@ exports.bulkSyncProducts = async (req, res) => {
 
     let successCount = 0;
     let errorCount = 0;
+    const profitContext = await getProfitContext(workspaceOwner(req));
 
     for (const product of products) {
       try {
         // Fetch latest eBay data
-        const ebayData = await ebayAdapter.fetchEbayItem(product.ebayUrl);
+        const ebayData = await ebayAdapter.fetchEbayItem(product.ebayUrl, { marketplace: product.ebayMarketplace });
 
         if (ebayData) {
           product.ebayPrice = ebayData.price;
-          product.stockStatus = ebayData.stock;
+          product.ebayCurrency = ebayData.currency;
+          applyEbayStock(product, ebayData);
           product.title = ebayData.title;
           product.images = ebayData.images;
 
@@ -625,29 +959,39 @@ exports.bulkSyncProducts = async (req, res) => {
             productId: product._id,
             source: 'ebay',
             price: ebayData.price,
-            stock: ebayData.stock
+            currency: ebayData.currency,
+            stock: ebayData.stock,
+            quantity: product.ebayQuantity
           });
+          await updateSalesVelocity(product);
+
+          await syncVariations(product, ebayData.variations);
         }
 
         // Fetch latest supplier data if URL exists
         if (product.supplierUrl) {
-          const supplierData = await supplierAdapter.fetchSupplierData(product.supplierUrl);
+          const supplierData = await supplierAdapter.fetchSupplierData(product.supplierUrl, { userId: product.userId });
 
           if (supplierData) {
             product.supplierPrice = supplierData.price;
-            product.supplierStockStatus = supplierData.stock;
+            product.supplierCurrency = supplierData.currency;
+            applySupplierStock(product, supplierData);
 
             await PriceHistory.create({
               productId: product._id,
               source: 'supplier',
               price: supplierData.price,
-              stock: supplierData.stock
+              currency: supplierData.currency,
+              stock: supplierData.stock,
+              quantity: product.supplierQuantity
             });
           }
         }
 
+        await syncVariationSuppliers(product);
+
         product.lastCheckedAt = Date.now();
-        product.calculateProfit();
+        await updateProfit(product, profitContext);
         await product.save();
 
         successCount++;
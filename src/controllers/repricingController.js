@@ -0,0 +1,287 @@
+const RepricingRule = require('../models/RepricingRule');
+const RepricingDecision = require('../models/RepricingDecision');
+const Product = require('../models/Product');
+const { validateScope } = require('../utils/ruleScope');
+const repricingService = require('../services/repricingService');
+
+const EDITABLE_FIELDS = ['name', 'scope', 'beatBy', 'minMargin', 'maxPrice', 'maxDailyChangePercent', 'autoApply', 'priority', 'isActive'];
+
+/**
+ * Validate rule fields shared by create and update
+ * Returns an error message or null
+ */
+const validateRule = (body, isCreate) => {
+  if (isCreate && !body.name) {
+    return 'Rule name is required';
+  }
+
+  const scopeError = validateScope(body.scope);
+  if (scopeError) return scopeError;
+
+  for (const field of ['beatBy', 'minMargin']) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    if (typeof value.amount !== 'number' || value.amount < 0) {
+      return `${field}.amount must be a positive number`;
+    }
+    if (value.type && !['fixed', 'percent'].includes(value.type)) {
+      return `${field}.type must be fixed or percent`;
+    }
+  }
+
+  if (body.minMargin?.type === 'percent' && body.minMargin.amount >= 100) {
+    return 'Minimum margin must be below 100 percent';
+  }
+
+  if (body.maxDailyChangePercent !== undefined) {
+    if (body.maxDailyChangePercent < 0 || body.maxDailyChangePercent > 100) {
+      return 'Daily change cap must be between 0 and 100 percent';
+    }
+  }
+
+  return null;
+};
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @desc    Get repricing rules
+// @route   GET /api/repricing/rules
+// @access  Private
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await RepricingRule.find({ userId: req.user._id })
+      .sort({ priority: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get repricing rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching repricing rules'
+    });
+  }
+};
+
+// @desc    Create repricing rule
+// @route   POST /api/repricing/rules
+// @access  Private
+exports.createRule = async (req, res) => {
+  try {
+    const validationError = validateRule(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const rule = await RepricingRule.create({
+      ...pickEditableFields(req.body),
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    console.error('Create repricing rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating repricing rule'
+    });
+  }
+};
+
+// @desc    Update repricing rule
+// @route   PUT /api/repricing/rules/:id
+// @access  Private
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await RepricingRule.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repricing rule not found'
+      });
+    }
+
+    const validationError = validateRule(req.body, false);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    rule.set(pickEditableFields(req.body));
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      message: 'Repricing rule updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    console.error('Update repricing rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating repricing rule'
+    });
+  }
+};
+
+// @desc    Delete repricing rule
+// @route   DELETE /api/repricing/rules/:id
+// @access  Private
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await RepricingRule.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repricing rule not found'
+      });
+    }
+
+    await rule.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Repricing rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete repricing rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting repricing rule'
+    });
+  }
+};
+
+// @desc    Get repricing audit trail
+// @route   GET /api/repricing/decisions
+// @access  Private
+exports.getDecisions = async (req, res) => {
+  try {
+    const { productId, status, page = 1, limit = 50 } = req.query;
+
+    const query = { userId: req.user._id };
+    if (productId) query.productId = productId;
+    if (status) query.status = status;
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const decisions = await RepricingDecision.find(query)
+      .populate('productId', 'title ebayUrl')
+      .populate('ruleId', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await RepricingDecision.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: decisions.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: decisions
+    });
+  } catch (error) {
+    console.error('Get repricing decisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching repricing decisions'
+    });
+  }
+};
+
+// @desc    Apply a recommended price through the listing writer
+// @route   POST /api/repricing/decisions/:id/apply
+// @access  Private
+exports.applyDecision = async (req, res) => {
+  try {
+    const decision = await RepricingDecision.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!decision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repricing decision not found'
+      });
+    }
+
+    if (!['recommended', 'dry_run', 'failed'].includes(decision.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Decision is ${decision.status} and cannot be applied`
+      });
+    }
+
+    const product = await Product.findById(decision.productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    await repricingService.applyDecision(decision, product);
+
+    res.status(200).json({
+      success: decision.status !== 'failed',
+      data: decision,
+      message: decision.status === 'applied'
+        ? 'Price applied to eBay listing'
+        : decision.status === 'dry_run'
+          ? 'Dry run: listing writer did not change the eBay price'
+          : `Listing writer failed: ${decision.error}`
+    });
+  } catch (error) {
+    console.error('Apply repricing decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying repricing decision'
+    });
+  }
+};
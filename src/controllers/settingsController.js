@@ -1,17 +1,24 @@
 const Settings = require('../models/Settings');
-const { restartUserCron } = require('../services/cronService');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { restartUserCron, restartOrganizationCron } = require('../services/cronService');
 const { sendTestEmail } = require('../services/emailService');
+const { sendDigestForUser, sendDigestForOrganization } = require('../services/alertDigestService');
+const webhookService = require('../services/webhookService');
+const { recalculateUserProfits } = require('../services/profitService');
+const { hasRate } = require('../services/currencyService');
+const { normalizeCurrency } = require('../utils/currency');
+const { workspaceOwner, workspaceQuery } = require('../utils/workspace');
 
-// @desc    Get user settings
+// @desc    Get user or organization settings
 // @route   GET /api/settings
 // @access  Private
 exports.getSettings = async (req, res) => {
   try {
-    let settings = await Settings.findOne({ userId: req.user._id });
+    let settings = await Settings.findOne(workspaceQuery(req));
 
     // Create default settings if not exists
     if (!settings) {
-      settings = await Settings.create({ userId: req.user._id });
+      settings = await Settings.create(workspaceQuery(req));
     }
 
     res.status(200).json({
@@ -27,9 +34,9 @@ exports.getSettings = async (req, res) => {
   }
 };
 
-// @desc    Update user settings
+// @desc    Update user or organization settings
 // @route   PUT /api/settings
-// @access  Private
+// @access  Private/Owner
 exports.updateSettings = async (req, res) => {
   try {
     const {
@@ -37,7 +44,10 @@ exports.updateSettings = async (req, res) => {
       emailAlerts,
       alertTypes,
       priceChangeThreshold,
-      webhookUrl
+      webhookUrl,
+      alertCooldownMinutes,
+      alertDigest,
+      baseCurrency
     } = req.body;
 
     // Validate monitoring frequency
@@ -71,15 +81,41 @@ exports.updateSettings = async (req, res) => {
       }
     }
 
-    let settings = await Settings.findOne({ userId: req.user._id });
+    // Validate alert cooldown (up to a week)
+    if (alertCooldownMinutes !== undefined) {
+      if (alertCooldownMinutes < 0 || alertCooldownMinutes > 10080) {
+        return res.status(400).json({
+          success: false,
+          message: 'Alert cooldown must be between 0 and 10080 minutes'
+        });
+      }
+    }
+
+    if (alertDigest !== undefined && !['off', 'hourly', 'daily'].includes(alertDigest)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Alert digest must be off, hourly or daily'
+      });
+    }
+
+    if (baseCurrency !== undefined && !hasRate(normalizeCurrency(baseCurrency))) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for base currency ${baseCurrency}`
+      });
+    }
+
+    let settings = await Settings.findOne(workspaceQuery(req));
+    const previousBaseCurrency = settings?.baseCurrency || 'GBP';
+    const previousDigest = settings?.alertDigest;
     const wasNew = !settings;
     const frequencyChanged = settings && monitoringFrequency !== undefined && 
                             settings.monitoringFrequency !== monitoringFrequency;
 
     if (!settings) {
       settings = await Settings.create({
-        userId: req.user._id,
-        ...req.body
+        ...req.body,
+        ...workspaceQuery(req)
       });
     } else {
       if (monitoringFrequency !== undefined) {
@@ -97,14 +133,43 @@ exports.updateSettings = async (req, res) => {
       if (webhookUrl !== undefined) {
         settings.webhookUrl = webhookUrl || '';
       }
+      if (alertCooldownMinutes !== undefined) {
+        settings.alertCooldownMinutes = alertCooldownMinutes;
+      }
+      if (alertDigest !== undefined) {
+        settings.alertDigest = alertDigest;
+      }
+      if (baseCurrency !== undefined) {
+        settings.baseCurrency = normalizeCurrency(baseCurrency);
+      }
 
       await settings.save();
     }
 
-    // Restart cron for this user if monitoring frequency changed
+    const owner = workspaceOwner(req);
+
+    // Profit is stored in the base currency, so recalculate it
+    if (settings.baseCurrency !== previousBaseCurrency) {
+      await recalculateUserProfits(owner.userId, owner.organizationId);
+    }
+
+    // Turning the digest off sends whatever is still waiting for it
+    if (previousDigest && previousDigest !== 'off' && alertDigest === 'off') {
+      if (owner.organizationId) {
+        await sendDigestForOrganization(owner.organizationId, previousDigest);
+      } else {
+        await sendDigestForUser(req.user._id, previousDigest);
+      }
+    }
+
+    // Restart cron for this user or organization if monitoring frequency changed
     if (frequencyChanged || wasNew) {
-      console.log('Monitoring frequency changed, restarting cron for user');
-      await restartUserCron(req.user._id);
+      console.log('Monitoring frequency changed, restarting cron');
+      if (owner.organizationId) {
+        await restartOrganizationCron(owner.organizationId);
+      } else {
+        await restartUserCron(req.user._id);
+      }
     }
 
     res.status(200).json({
@@ -158,3 +223,113 @@ exports.sendTestEmail = async (req, res) => {
   }
 };
 
+
+// @desc    Generate a new webhook signing secret
+// @route   POST /api/settings/webhook/secret
+// @access  Private/Owner
+exports.rotateWebhookSecret = async (req, res) => {
+  try {
+    let settings = await Settings.findOne(workspaceQuery(req)).select('+webhookSecret');
+    if (!settings) {
+      settings = new Settings(workspaceQuery(req));
+    }
+
+    settings.rotateWebhookSecret();
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      data: { webhookSecret: settings.webhookSecret },
+      message: 'Webhook secret rotated'
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating webhook secret'
+    });
+  }
+};
+
+// @desc    Get webhook delivery log
+// @route   GET /api/settings/webhook/deliveries
+// @access  Private
+exports.getWebhookDeliveries = async (req, res) => {
+  try {
+    const { status, alertId, page = 1, limit = 50 } = req.query;
+
+    const query = workspaceQuery(req);
+    if (status) query.status = status;
+    if (alertId) query.alertId = alertId;
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook deliveries'
+    });
+  }
+};
+
+// @desc    Replay a webhook delivery
+// @route   POST /api/settings/webhook/deliveries/:id/redeliver
+// @access  Private/Editor
+exports.redeliverWebhook = async (req, res) => {
+  try {
+    const original = await WebhookDelivery.findOne({
+      _id: req.params.id,
+      ...workspaceQuery(req)
+    });
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    const settings = await Settings.findOne(workspaceQuery(req));
+    if (!settings || !settings.webhookUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'No webhook URL configured'
+      });
+    }
+
+    const delivery = await webhookService.redeliverWebhook(original, settings);
+
+    res.status(200).json({
+      success: delivery.status === 'delivered',
+      data: delivery,
+      message: delivery.status === 'delivered'
+        ? 'Webhook redelivered'
+        : `Redelivery failed: ${delivery.error}`
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error redelivering webhook'
+    });
+  }
+};
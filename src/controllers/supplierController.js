@@ -0,0 +1,274 @@
+const SupplierDefinition = require('../models/SupplierDefinition');
+const { listBuiltInAdapters, resolveSupplierAdapter } = require('../adapters/suppliers');
+const { checkPriceRegex } = require('../adapters/suppliers/definitionAdapter');
+const supplierAdapter = require('../adapters/supplierAdapter');
+
+const EDITABLE_FIELDS = ['name', 'hostnames', 'selectors', 'priceRegex', 'stockPhrases', 'currency', 'isActive'];
+
+/**
+ * Validate supplier definition fields shared by create and update
+ * Returns an error message or null
+ */
+const validateDefinition = (body, isCreate) => {
+  const { name, hostnames, priceRegex } = body;
+
+  if (isCreate && !name) {
+    return 'Supplier name is required';
+  }
+
+  if (isCreate || hostnames !== undefined) {
+    if (!Array.isArray(hostnames) || hostnames.length === 0) {
+      return 'Please provide an array of hostnames';
+    }
+
+    const invalid = hostnames.find(host => typeof host !== 'string' || !/^[a-z0-9.-]+(\.\*)?$/i.test(host.trim()));
+    if (invalid !== undefined) {
+      return `Invalid hostname: ${invalid}`;
+    }
+  }
+
+  if (priceRegex) {
+    const regexError = checkPriceRegex(priceRegex);
+    if (regexError) {
+      return regexError;
+    }
+  }
+
+  return null;
+};
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @desc    Get supplier definitions and built-in supplier modules
+// @route   GET /api/suppliers
+// @access  Private
+exports.getSuppliers = async (req, res) => {
+  try {
+    const definitions = await SupplierDefinition.find({ userId: req.user._id })
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: definitions.length,
+      data: definitions,
+      builtIn: listBuiltInAdapters()
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching suppliers'
+    });
+  }
+};
+
+// @desc    Get single supplier definition
+// @route   GET /api/suppliers/:id
+// @access  Private
+exports.getSupplier = async (req, res) => {
+  try {
+    const definition = await SupplierDefinition.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: definition
+    });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching supplier'
+    });
+  }
+};
+
+// @desc    Create supplier definition
+// @route   POST /api/suppliers
+// @access  Private
+exports.createSupplier = async (req, res) => {
+  try {
+    const validationError = validateDefinition(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const definition = await SupplierDefinition.create({
+      ...pickEditableFields(req.body),
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: definition
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A supplier with this name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    console.error('Create supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating supplier'
+    });
+  }
+};
+
+// @desc    Update supplier definition
+// @route   PUT /api/suppliers/:id
+// @access  Private
+exports.updateSupplier = async (req, res) => {
+  try {
+    const definition = await SupplierDefinition.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const validationError = validateDefinition(req.body, false);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    definition.set(pickEditableFields(req.body));
+    await definition.save();
+
+    res.status(200).json({
+      success: true,
+      data: definition,
+      message: 'Supplier updated successfully'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A supplier with this name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    console.error('Update supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating supplier'
+    });
+  }
+};
+
+// @desc    Delete supplier definition
+// @route   DELETE /api/suppliers/:id
+// @access  Private
+exports.deleteSupplier = async (req, res) => {
+  try {
+    const definition = await SupplierDefinition.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    await definition.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting supplier'
+    });
+  }
+};
+
+// @desc    Fetch a supplier URL with the adapter that would be used for it
+// @route   POST /api/suppliers/test
+// @access  Private
+exports.testSupplier = async (req, res) => {
+  try {
+    const { url } = req.body;
+
+    try {
+      new URL(url);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid supplier URL'
+      });
+    }
+
+    const adapter = await resolveSupplierAdapter(url, { userId: req.user._id });
+
+    try {
+      const data = await supplierAdapter.fetchSupplierData(url, { userId: req.user._id });
+
+      res.status(200).json({
+        success: true,
+        adapter: adapter.label,
+        data
+      });
+    } catch (error) {
+      res.status(422).json({
+        success: false,
+        adapter: adapter.label,
+        message: error.message
+      });
+    }
+  } catch (error) {
+    console.error('Test supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error testing supplier'
+    });
+  }
+};
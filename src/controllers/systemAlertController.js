@@ -0,0 +1,134 @@
+const SystemAlert = require('../models/SystemAlert');
+const ScraperSnapshot = require('../models/ScraperSnapshot');
+
+// @desc    Get system alerts
+// @route   GET /api/system-alerts
+// @access  Private/Admin
+exports.getSystemAlerts = async (req, res) => {
+  try {
+    const { type, resolved, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (type) {
+      query.type = type;
+    }
+    if (resolved === 'true') {
+      query.resolvedAt = { $ne: null };
+    } else if (resolved === 'false') {
+      query.resolvedAt = null;
+    }
+
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const alerts = await SystemAlert.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await SystemAlert.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: alerts
+    });
+  } catch (error) {
+    console.error('Get system alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching system alerts'
+    });
+  }
+};
+
+// @desc    Get a system alert with its snapshots (without HTML)
+// @route   GET /api/system-alerts/:id
+// @access  Private/Admin
+exports.getSystemAlert = async (req, res) => {
+  try {
+    const alert = await SystemAlert.findById(req.params.id)
+      .populate('snapshots', '-html');
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'System alert not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    console.error('Get system alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching system alert'
+    });
+  }
+};
+
+// @desc    Acknowledge a system alert
+// @route   PUT /api/system-alerts/:id/acknowledge
+// @access  Private/Admin
+exports.acknowledgeSystemAlert = async (req, res) => {
+  try {
+    const alert = await SystemAlert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'System alert not found'
+      });
+    }
+
+    alert.acknowledgedBy = req.user._id;
+    alert.acknowledgedAt = new Date();
+    await alert.save();
+
+    res.status(200).json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    console.error('Acknowledge system alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error acknowledging system alert'
+    });
+  }
+};
+
+// @desc    Get the captured HTML of a failed page
+// @route   GET /api/system-alerts/snapshots/:id
+// @access  Private/Admin
+exports.getScraperSnapshot = async (req, res) => {
+  try {
+    const snapshot = await ScraperSnapshot.findById(req.params.id);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snapshot not found'
+      });
+    }
+
+    // Served as text so the captured page's scripts never run in the admin's browser
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="snapshot-${snapshot._id}.html"`);
+    res.status(200).send(snapshot.html || '');
+  } catch (error) {
+    console.error('Get scraper snapshot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching snapshot'
+    });
+  }
+};
@@ -1,6 +1,41 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const ApiKey = require('../models/ApiKey');
+const { ORGANIZATION_HEADER } = require('../utils/workspace');
+const { isApiKey } = require('../utils/apiKeys');
+const { isSessionActive } = require('../services/sessionService');
 
+/**
+ * Set the organization workspace on the request
+ * req.organization and req.membership for a member, the role in req.workspaceRole
+ * @returns {boolean} false when the user is not a member
+ */
+const setOrganization = async (req, organizationId) => {
+  const organization = mongoose.isValidObjectId(organizationId)
+    ? await Organization.findOne({ _id: organizationId, 'members.userId': req.user._id })
+    : null;
+
+  if (!organization) {
+    return false;
+  }
+
+  req.organization = organization;
+  req.membership = organization.getMember(req.user._id);
+  req.workspaceRole = req.membership.role;
+  return true;
+};
+
+const isActiveAdmin = async (userId) => {
+  const admin = await User.findById(userId).select('role isActive');
+  return Boolean(admin) && admin.role === 'admin' && admin.isActive !== false;
+};
+
+/**
+ * Authenticate a Bearer JWT, or a personal API key on routes that declare
+ * the scope a key needs with apiKeyScopes
+ */
 const protect = async (req, res, next) => {
   let token;
 
@@ -9,11 +44,69 @@ const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (isApiKey(token)) {
+        const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(token) });
+
+        if (!apiKey) {
+          return res.status(401).json({
+            success: false,
+            message: 'Not authorized, invalid API key'
+          });
+        }
+
+        if (!req.apiKeyScope) {
+          return res.status(403).json({
+            success: false,
+            message: 'API keys cannot access this route'
+          });
+        }
+
+        if (!apiKey.scopes.includes(req.apiKeyScope)) {
+          return res.status(403).json({
+            success: false,
+            message: `API key does not have the '${req.apiKeyScope}' scope`
+          });
+        }
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-passwordHash');
+        req.apiKey = apiKey;
+        req.user = await User.findById(apiKey.userId).select('-passwordHash');
+
+        ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+          .catch(error => console.error('API key last used update error:', error.message));
+      } else {
+        // Verify token
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // 2FA challenge tokens only finish a login
+        if (decoded.purpose) {
+          return res.status(401).json({
+            success: false,
+            message: 'Not authorized, token failed'
+          });
+        }
+
+        // Get user from token
+        req.user = await User.findById(decoded.id).select('-passwordHash');
+
+        // Tokens issued before a password change, of a revoked session, or of an
+        // impersonating admin who is no longer an active admin, no longer work
+        const passwordChangedAt = req.user && req.user.passwordChangedAt;
+        const revoked = (passwordChangedAt && decoded.iat < Math.floor(passwordChangedAt.getTime() / 1000))
+          || (decoded.sid && !await isSessionActive(decoded.sid))
+          || (decoded.impersonatedBy && !await isActiveAdmin(decoded.impersonatedBy));
+        if (revoked) {
+          return res.status(401).json({
+            success: false,
+            message: 'Not authorized, token revoked'
+          });
+        }
+        req.sessionId = decoded.sid;
+
+        // Admin acting as the user through /api/admin/users/:id/impersonate
+        if (decoded.impersonatedBy) {
+          req.impersonatedBy = decoded.impersonatedBy;
+        }
+      }
 
       if (!req.user) {
         return res.status(401).json({
@@ -22,6 +115,25 @@ const protect = async (req, res, next) => {
         });
       }
 
+      if (req.user.isActive === false) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized, account deactivated'
+        });
+      }
+
+      // Users own their personal workspace
+      req.workspaceRole = 'owner';
+
+      // Organization workspace for products, alerts, settings and imports
+      const organizationId = req.headers[ORGANIZATION_HEADER];
+      if (organizationId && !await setOrganization(req, organizationId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not a member of this organization'
+        });
+      }
+
       next();
     } catch (error) {
       console.error('Auth middleware error:', error);
@@ -40,17 +152,57 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Restrict a route to user roles ('admin') or workspace roles ('owner', 'editor', 'viewer')
+ * The workspace role is the organization role, or 'owner' in the personal workspace
+ */
 const authorize = (...roles) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!roles.includes(req.user.role) && !roles.includes(req.workspaceRole)) {
+      const role = req.organization ? `Organization role '${req.workspaceRole}'` : `User role '${req.user.role}'`;
       return res.status(403).json({
         success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route`
+        message: `${role} is not authorized to access this route`
       });
     }
     next();
   };
 };
 
-module.exports = { protect, authorize };
+/**
+ * Let API keys use a router's routes, placed before protect
+ * Reads (GET) need the read scope and other methods the write scope;
+ * without a write scope keys can only read
+ * @param {Object} scopes - { read, write }, e.g. { read: 'products:read', write: 'products:write' }
+ */
+const apiKeyScopes = ({ read, write }) => {
+  return (req, res, next) => {
+    req.apiKeyScope = ['GET', 'HEAD'].includes(req.method) ? read : write;
+    next();
+  };
+};
+
+/**
+ * Load the organization in req.params.id as the workspace
+ * Responds 404 when the user is not a member
+ */
+const organizationMember = async (req, res, next) => {
+  try {
+    if (!await setOrganization(req, req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Organization middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading organization'
+    });
+  }
+};
+
+module.exports = { protect, authorize, apiKeyScopes, organizationMember };
 
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// An action taken through /api/admin
+const adminAuditLogSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'impersonate',
+      'deactivate_user',
+      'activate_user',
+      'reset_two_factor',
+      'restart_cron',
+      'update_defaults'
+    ],
+    required: true
+  },
+  // User the action was taken on, if any
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // e.g. the impersonation session and its expiry, or the changed defaults
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+adminAuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AdminAuditLog', adminAuditLogSchema);
@@ -17,16 +17,40 @@ const alertSchema = new mongoose.Schema({
       'supplier_unavailable',
       'supplier_available',
       'low_stock',
-      'competitor_price'
+      'competitor_price',
+      'custom_rule',
+      'variation_out_of_stock',
+      'variation_back_in_stock'
     ],
     required: true
   },
+  // Where the change was seen; eBay and supplier events share alert types
+  source: {
+    type: String,
+    enum: ['ebay', 'supplier', 'competitor', null],
+    default: null
+  },
+  // Set for alerts raised by a user-defined AlertRule
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule'
+  },
+  // Set for alerts about one variation of the listing
+  variationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariation'
+  },
   oldValue: {
     type: mongoose.Schema.Types.Mixed
   },
   newValue: {
     type: mongoose.Schema.Types.Mixed
   },
+  // Currency of oldValue / newValue for price alerts
+  currency: {
+    type: String,
+    uppercase: true
+  },
   message: {
     type: String,
     required: true
@@ -44,6 +68,20 @@ const alertSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Waiting for the next digest email (Settings.alertDigest)
+  digestPending: {
+    type: Boolean,
+    default: false
+  },
+  // Repeats within the cooldown window are collapsed into this alert
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  lastOccurredAt: {
+    type: Date,
+    default: Date.now
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -54,6 +92,7 @@ const alertSchema = new mongoose.Schema({
 // Index for efficient queries
 alertSchema.index({ productId: 1, createdAt: -1 });
 alertSchema.index({ read: 1, createdAt: -1 });
+alertSchema.index({ productId: 1, type: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Alert', alertSchema);
 
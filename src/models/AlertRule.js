@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const alertRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+  // Expression over product fields, see utils/alertCondition
+  condition: {
+    type: String,
+    required: [true, 'Condition is required'],
+    trim: true
+  },
+  scope: {
+    type: {
+      type: String,
+      enum: ['all', 'tag', 'products'],
+      default: 'all'
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    productIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }]
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  channels: {
+    type: [{
+      type: String,
+      enum: ['email', 'webhook']
+    }],
+    default: ['email']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastTriggeredAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamps
+alertRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_KEY_PREFIX, API_KEY_SCOPES } = require('../utils/apiKeys');
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Label shown in the key list, e.g. "Inventory sync script"
+  name: {
+    type: String,
+    required: [true, 'Please provide a name'],
+    trim: true,
+    maxlength: [100, 'Name must be at most 100 characters']
+  },
+  // Start of the key, to recognise it in the list
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the key, which is only shown once
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'Please provide at least one scope'
+    }
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamps
+apiKeySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Generate the key
+ * Stores its hash and prefix and returns the plain key for the user to copy
+ */
+apiKeySchema.methods.generateKey = function() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  this.keyHash = hashApiKey(key);
+  this.prefix = key.slice(0, API_KEY_PREFIX.length + 6);
+  return key;
+};
+
+apiKeySchema.statics.hashKey = hashApiKey;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
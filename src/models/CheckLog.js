@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.CHECK_LOG_RETENTION_DAYS || '30', 10);
+
+// One fetch attempt (eBay tries Puppeteer, then the API)
+const attemptSchema = new mongoose.Schema({
+  source: String,
+  httpStatus: Number,
+  // Selector that matched each field when scraping, e.g. { title: 'h1', price: null }
+  selectors: mongoose.Schema.Types.Mixed,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+// How one page was fetched and what could be read from it
+const fetchSchema = new mongoose.Schema({
+  // 'puppeteer' / 'api' for eBay, the adapter name for suppliers, 'none' when every attempt failed
+  source: {
+    type: String,
+    default: 'none'
+  },
+  url: String,
+  httpStatus: Number,
+  // ok: title, price and stock read; partial: price read but not everything; failed: no usable data
+  parseResult: {
+    type: String,
+    enum: ['ok', 'partial', 'failed'],
+    default: 'failed'
+  },
+  error: String,
+  durationMs: Number,
+  attempts: {
+    type: [attemptSchema],
+    default: undefined
+  }
+}, { _id: false });
+
+const checkLogSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Monitoring cycle the check ran in (null for checks outside a cycle)
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitoringRun',
+    default: null,
+    index: true
+  },
+  // success: eBay and supplier fetched; partial: supplier failed; failed: eBay failed or the check errored
+  status: {
+    type: String,
+    enum: ['success', 'partial', 'failed'],
+    required: true
+  },
+  ebay: fetchSchema,
+  supplier: fetchSchema,
+  // Price or stock changed
+  changed: {
+    type: Boolean,
+    default: false
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  },
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for a product's check history
+checkLogSchema.index({ productId: 1, checkedAt: -1 });
+// Old logs expire after CHECK_LOG_RETENTION_DAYS
+checkLogSchema.index({ checkedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('CheckLog', checkLogSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Units of `currency` per one unit of the rates base currency (see currencyService)
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code']
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Rate must be positive']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp
+exchangeRateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { VAT_SCHEMES } = require('../utils/landedCost');
+
+const feeProfileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Fee profile name is required'],
+    trim: true
+  },
+  // Used for products without an explicit feeProfileId
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Currency of the fixed fees (perOrderFee, paymentFee.fixed)
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code'],
+    default: 'GBP'
+  },
+  // eBay final value fee, a percentage of the order total
+  finalValueFee: {
+    defaultPercent: {
+      type: Number,
+      default: 12.8,
+      min: 0,
+      max: 100
+    },
+    categories: {
+      type: [
+        {
+          category: {
+            type: String,
+            required: [true, 'Category name is required'],
+            trim: true
+          },
+          percent: {
+            type: Number,
+            required: [true, 'Category fee percent is required'],
+            min: 0,
+            max: 100
+          },
+          _id: false
+        }
+      ],
+      default: []
+    }
+  },
+  perOrderFee: {
+    type: Number,
+    default: 0.30,
+    min: 0
+  },
+  // Promoted listings ad rate, percentage of the order total
+  promotedRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  paymentFee: {
+    percent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    fixed: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  vat: {
+    scheme: {
+      type: String,
+      enum: VAT_SCHEMES,
+      default: 'none'
+    },
+    rate: {
+      type: Number,
+      default: 20,
+      min: 0,
+      max: 100
+    },
+    // Flat rate scheme percentage for the business sector
+    flatRatePercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamps
+feeProfileSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+feeProfileSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('FeeProfile', feeProfileSchema);
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { MARKETPLACE_IDS } = require('../utils/ebayMarketplace');
+
+const importJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Set when the store is imported into an organization's catalogue
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  // store: all listings of an eBay store, spreadsheet: rows of a CSV / XLSX file
+  type: {
+    type: String,
+    enum: ['store', 'spreadsheet'],
+    default: 'store',
+    index: true
+  },
+  storeUrl: {
+    type: String,
+    required: [function() { return this.type === 'store'; }, 'Store URL is required'],
+    trim: true
+  },
+  // Spreadsheet rows waiting to be imported, read by the worker
+  records: {
+    type: [mongoose.Schema.Types.Mixed],
+    select: false
+  },
+  // eBay site the store is on, from the request or the store URL
+  marketplace: {
+    type: String,
+    enum: MARKETPLACE_IDS
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  // Set by DELETE /api/import/jobs/:id, checked by the worker between items
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  imported: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  supplierMapped: {
+    type: Number,
+    default: 0
+  },
+  competitorSynced: {
+    type: Number,
+    default: 0
+  },
+  // Spreadsheet rows that could not be imported
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // Result of each spreadsheet row
+  rows: {
+    type: [
+      {
+        row: Number,
+        ebayUrl: String,
+        ebayItemId: String,
+        status: {
+          type: String,
+          enum: ['created', 'updated', 'failed']
+        },
+        productId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product'
+        },
+        message: String,
+        _id: false
+      }
+    ],
+    default: []
+  },
+  itemErrors: {
+    type: [
+      {
+        itemId: String,
+        title: String,
+        message: String,
+        occurredAt: {
+          type: Date,
+          default: Date.now
+        },
+        _id: false
+      }
+    ],
+    default: []
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamps
+importJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// The queued rows are only for the worker
+importJobSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.records;
+    return ret;
+  }
+});
+
+// Index for job history queries
+importJobSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
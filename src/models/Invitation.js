@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Please provide an email'],
+    lowercase: true,
+    trim: true
+  },
+  // Role the member joins with; ownership is not transferable by invitation
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'viewer'
+  },
+  // SHA-256 of the token sent in the invitation email
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate the invitation token
+ * Stores the hash and returns the plain token for the email link
+ */
+invitationSchema.methods.generateToken = function() {
+  const token = crypto.randomBytes(20).toString('hex');
+  this.token = hashInvitationToken(token);
+  return token;
+};
+
+invitationSchema.statics.hashToken = hashInvitationToken;
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const monitoringRunSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Set for an organization's cycle (userId is then the organization owner)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  // What started the cycle
+  trigger: {
+    type: String,
+    enum: ['cron', 'startup', 'manual'],
+    default: 'cron'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  // Active products at the start of the cycle
+  totalProducts: {
+    type: Number,
+    default: 0
+  },
+  checked: {
+    type: Number,
+    default: 0
+  },
+  // Not due yet under the user's monitoring frequency
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // Checks that found a price or stock change
+  changed: {
+    type: Number,
+    default: 0
+  },
+  // Checks queued ahead of the rest because the product changed recently
+  prioritized: {
+    type: Number,
+    default: 0
+  },
+  concurrency: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamps
+monitoringRunSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for run history queries
+monitoringRunSchema.index({ userId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('MonitoringRun', monitoringRunSchema);
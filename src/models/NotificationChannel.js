@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const notificationChannelSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Channel name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['slack', 'discord', 'telegram', 'webhook'],
+    required: [true, 'Channel type is required']
+  },
+  // url and botToken are credentials: only loaded with '+config.url +config.botToken'
+  // and masked when serialized
+  config: {
+    // Slack / Discord incoming webhook, or generic webhook URL
+    url: {
+      type: String,
+      trim: true,
+      select: false
+    },
+    // Telegram
+    botToken: {
+      type: String,
+      trim: true,
+      select: false
+    },
+    chatId: {
+      type: String,
+      trim: true
+    },
+    // Generic webhook: JSON body with {{alert.*}} / {{product.*}} placeholders
+    template: {
+      type: String
+    }
+  },
+  // Empty means every severity / alert type
+  severities: [{
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical']
+  }],
+  alertTypes: [{
+    type: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastSentAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Masked form of a credential, enough to tell channels apart
+ * "https://hooks.slack.com/services/T0/B0/abcd1234" -> "https://hooks.slack.com/••••1234"
+ */
+const maskCredential = (value) => {
+  if (!value) return value;
+
+  const tail = value.length > 8 ? value.slice(-4) : '';
+  try {
+    return `${new URL(value).origin}/••••${tail}`;
+  } catch (error) {
+    return `••••${tail}`;
+  }
+};
+
+notificationChannelSchema.statics.maskCredential = maskCredential;
+
+// Never serialize the credentials in full
+notificationChannelSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.config) {
+      ret.config.url = maskCredential(ret.config.url);
+      ret.config.botToken = maskCredential(ret.config.botToken);
+    }
+    return ret;
+  }
+});
+
+// Update timestamps
+notificationChannelSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('NotificationChannel', notificationChannelSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { ORGANIZATION_ROLES } = require('../utils/workspace');
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'viewer'
+  },
+  // Which of the organization's alerts are emailed to this member
+  notifications: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    // Alert types to receive, empty for all
+    alertTypes: [{
+      type: String
+    }]
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  // Products of the organization are stored with this user as userId
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+organizationSchema.index({ 'members.userId': 1 });
+
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => String(member.userId) === String(userId)) || null;
+};
+
+// Update timestamps
+organizationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -7,6 +7,12 @@ const priceHistorySchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Set for rows that track a single variation of a multi-variation listing
+  variationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariation',
+    default: null
+  },
   source: {
     type: String,
     enum: ['ebay', 'supplier', 'competitor'],
@@ -16,11 +22,21 @@ const priceHistorySchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'GBP'
+  },
   stock: {
     type: String,
     enum: ['in_stock', 'out_of_stock', 'low_stock', 'unknown'],
     default: 'unknown'
   },
+  // Available quantity at the time of the check (null when unknown)
+  quantity: {
+    type: Number,
+    default: null
+  },
   checkedAt: {
     type: Date,
     default: Date.now,
@@ -30,6 +46,7 @@ const priceHistorySchema = new mongoose.Schema({
 
 // Index for efficient queries
 priceHistorySchema.index({ productId: 1, checkedAt: -1 });
+priceHistorySchema.index({ variationId: 1, checkedAt: -1 });
 
 module.exports = mongoose.model('PriceHistory', priceHistorySchema);
 
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { convert } = require('../services/currencyService');
+const { calculateLandedCost } = require('../utils/landedCost');
+const { MARKETPLACE_IDS } = require('../utils/ebayMarketplace');
 
 const productSchema = new mongoose.Schema({
   title: {
@@ -20,6 +23,17 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  ebayCurrency: {
+    type: String,
+    uppercase: true,
+    default: 'GBP'
+  },
+  // eBay site the listing is on (EBAY_GB, EBAY_US, EBAY_DE...)
+  // Set from ebayUrl when the product is added; older products fall back to their URL
+  ebayMarketplace: {
+    type: String,
+    enum: MARKETPLACE_IDS
+  },
   supplierUrl: {
     type: String,
     trim: true
@@ -28,6 +42,11 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  supplierCurrency: {
+    type: String,
+    uppercase: true,
+    default: 'GBP'
+  },
   stockStatus: {
     type: String,
     enum: ['in_stock', 'out_of_stock', 'low_stock', 'unknown'],
@@ -38,10 +57,42 @@ const productSchema = new mongoose.Schema({
     enum: ['in_stock', 'out_of_stock', 'low_stock', 'unknown'],
     default: 'unknown'
   },
+  // Available quantities when the page shows one (null when unknown)
+  ebayQuantity: {
+    type: Number,
+    default: null
+  },
+  supplierQuantity: {
+    type: Number,
+    default: null
+  },
+  // Quantities at or below this count as low stock
+  lowStockThreshold: {
+    type: Number,
+    default: 3,
+    min: 0
+  },
+  // Sell-through from drops in the eBay quantity
+  salesVelocity: {
+    type: {
+      unitsSold: Number,
+      days: Number,
+      perDay: Number,
+      daysOfStockLeft: Number,
+      calculatedAt: Date
+    },
+    default: undefined,
+    _id: false
+  },
   lastCheckedAt: {
     type: Date,
     default: Date.now
   },
+  // Last check that found a price or stock change; recently changed products are checked first
+  lastChangedAt: {
+    type: Date,
+    default: null
+  },
   images: {
     type: [String],
     default: []
@@ -58,11 +109,46 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Matched against the fee profile's final value fee categories
+  ebayCategory: {
+    type: String,
+    trim: true
+  },
+  // Shipping the buyer pays and our postage cost (listing currency)
+  shippingCharged: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  shippingCostOut: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Shipping from the supplier per unit (supplier currency)
+  shippingCostIn: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Falls back to the owner's default fee profile
+  feeProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeProfile',
+    default: null
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Shared catalogue the product belongs to; userId is then the organization owner
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
   profit: {
     type: Number,
     default: 0
@@ -71,6 +157,38 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Currency of profit (the owner's base currency when last calculated)
+  profitCurrency: {
+    type: String,
+    uppercase: true,
+    default: 'GBP'
+  },
+  // How profit was reached, in profitCurrency
+  profitBreakdown: {
+    type: {
+      salePrice: Number,
+      shippingCharged: Number,
+      supplierCost: Number,
+      shippingIn: Number,
+      shippingOut: Number,
+      finalValueFeePercent: Number,
+      finalValueFee: Number,
+      perOrderFee: Number,
+      promotedFee: Number,
+      paymentFee: Number,
+      totalFees: Number,
+      vatScheme: String,
+      vat: Number,
+      grossProfit: Number,
+      netProfit: Number,
+      netMargin: Number,
+      breakEvenPrice: Number,
+      feeProfileId: mongoose.Schema.Types.ObjectId,
+      calculatedAt: Date
+    },
+    default: undefined,
+    _id: false
+  },
   competitorListings: {
     type: [
       {
@@ -126,17 +244,50 @@ productSchema.pre('save', function(next) {
   next();
 });
 
-// Calculate profit and margin
-productSchema.methods.calculateProfit = function() {
+// Calculate net profit and margin after fees, shipping and VAT
+// Everything is converted to the base currency first
+productSchema.methods.calculateProfit = function(baseCurrency = this.profitCurrency || 'GBP', feeProfile = null) {
   if (this.ebayPrice && this.supplierPrice) {
-    this.profit = this.ebayPrice - this.supplierPrice;
-    const margin = (this.profit / this.ebayPrice) * 100;
-    this.profitMargin = Number.isFinite(margin) ? Number(margin.toFixed(2)) : 0;
+    const toBase = (amount, currency) => convert(amount || 0, currency, baseCurrency);
+
+    const amounts = {
+      salePrice: toBase(this.ebayPrice, this.ebayCurrency),
+      shippingCharged: toBase(this.shippingCharged, this.ebayCurrency),
+      shippingOut: toBase(this.shippingCostOut, this.ebayCurrency),
+      supplierCost: toBase(this.supplierPrice, this.supplierCurrency),
+      shippingIn: toBase(this.shippingCostIn, this.supplierCurrency)
+    };
+
+    let profile = null;
+    if (feeProfile) {
+      profile = typeof feeProfile.toObject === 'function' ? feeProfile.toObject() : { ...feeProfile };
+      profile.perOrderFee = toBase(profile.perOrderFee, profile.currency);
+      profile.paymentFee = {
+        ...profile.paymentFee,
+        fixed: toBase(profile.paymentFee?.fixed, profile.currency)
+      };
+    }
+
+    if (Object.values(amounts).includes(null) || (profile && (profile.perOrderFee === null || profile.paymentFee.fixed === null))) {
+      console.error(`No exchange rate to convert product ${this._id} prices to ${baseCurrency}`);
+      return;
+    }
+
+    const breakdown = calculateLandedCost({ ...amounts, category: this.ebayCategory }, profile);
+
+    this.profit = breakdown.netProfit;
+    this.profitMargin = breakdown.netMargin;
+    this.profitCurrency = baseCurrency;
+    this.profitBreakdown = {
+      ...breakdown,
+      feeProfileId: feeProfile?._id || null,
+      calculatedAt: new Date()
+    };
   }
 };
 
-// Compound index: ebayItemId should be unique per user
-productSchema.index({ userId: 1, ebayItemId: 1 }, { unique: true });
+// Compound index: ebayItemId should be unique per user and per organization
+productSchema.index({ userId: 1, organizationId: 1, ebayItemId: 1 }, { unique: true });
 
 module.exports = mongoose.model('Product', productSchema);
 
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const STOCK_STATUSES = ['in_stock', 'out_of_stock', 'low_stock', 'unknown'];
+
+const productVariationSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // eBay variation id, or the specifics key when the page has none
+  variationId: {
+    type: String,
+    required: true
+  },
+  // e.g. { Size: 'M', Colour: 'Red' }
+  specifics: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  price: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'GBP'
+  },
+  // Quantity available on eBay, null when the listing doesn't say
+  quantity: {
+    type: Number,
+    default: null
+  },
+  stockStatus: {
+    type: String,
+    enum: STOCK_STATUSES,
+    default: 'unknown'
+  },
+  // Supplier mapping
+  supplierSku: {
+    type: String,
+    trim: true
+  },
+  // Supplier page for this variation, checked instead of the product's supplierUrl
+  supplierUrl: {
+    type: String,
+    trim: true
+  },
+  supplierPrice: {
+    type: Number,
+    default: 0
+  },
+  supplierCurrency: {
+    type: String,
+    uppercase: true,
+    default: 'GBP'
+  },
+  supplierStockStatus: {
+    type: String,
+    enum: STOCK_STATUSES,
+    default: 'unknown'
+  },
+  // False once the variation disappears from the listing
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamps
+productVariationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+productVariationSchema.index({ productId: 1, variationId: 1 }, { unique: true });
+
+module.exports = mongoose.model('ProductVariation', productVariationSchema);
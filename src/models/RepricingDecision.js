@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const repricingDecisionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RepricingRule'
+  },
+  currentPrice: {
+    type: Number,
+    required: true
+  },
+  recommendedPrice: {
+    type: Number,
+    required: true
+  },
+  competitorPrice: {
+    type: Number
+  },
+  supplierPrice: {
+    type: Number
+  },
+  floorPrice: {
+    type: Number
+  },
+  explanation: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['unchanged', 'recommended', 'dry_run', 'applied', 'failed'],
+    default: 'recommended'
+  },
+  writer: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  appliedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for audit trail queries
+repricingDecisionSchema.index({ productId: 1, createdAt: -1 });
+repricingDecisionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RepricingDecision', repricingDecisionSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const repricingRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+  scope: {
+    type: {
+      type: String,
+      enum: ['all', 'tag', 'products'],
+      default: 'all'
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    productIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }]
+  },
+  // Undercut the lowest competitor by this amount (0 = match them)
+  beatBy: {
+    amount: {
+      type: Number,
+      default: 0.01,
+      min: 0
+    },
+    type: {
+      type: String,
+      enum: ['fixed', 'percent'],
+      default: 'fixed'
+    }
+  },
+  // Floor: supplier cost plus this margin
+  minMargin: {
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    type: {
+      type: String,
+      enum: ['fixed', 'percent'],
+      default: 'percent'
+    }
+  },
+  maxPrice: {
+    type: Number,
+    min: 0
+  },
+  // Maximum movement per day as a percentage of the day's starting price
+  maxDailyChangePercent: {
+    type: Number,
+    default: 10,
+    min: 0,
+    max: 100
+  },
+  // When false recommendations are only recorded, never sent to the listing writer
+  autoApply: {
+    type: Boolean,
+    default: false
+  },
+  // Higher priority wins between rules of the same scope specificity
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamps
+repricingRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('RepricingRule', repricingRuleSchema);
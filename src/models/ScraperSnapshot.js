@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.SCRAPER_SNAPSHOT_RETENTION_DAYS || '14', 10);
+
+// HTML of a page a scraper could not parse, kept for debugging selector breakage
+const scraperSnapshotSchema = new mongoose.Schema({
+  // Scraper that failed, e.g. 'ebay_product'
+  scraper: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  httpStatus: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  // Selector that matched each field (null when none did)
+  selectors: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  html: {
+    type: String
+  },
+  // The page was longer than SCRAPER_SNAPSHOT_MAX_LENGTH and was cut
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Old snapshots expire after SCRAPER_SNAPSHOT_RETENTION_DAYS
+scraperSnapshotSchema.index({ capturedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ScraperSnapshot', scraperSnapshotSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A signed-in device: its refresh token rotates on every refresh
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // SHA-256 of the token it replaced; presenting it again means the token was stolen
+  previousTokenHash: {
+    type: String,
+    index: true,
+    select: false
+  },
+  // Admin signed in as the user; these sessions have no usable refresh token
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // e.g. "Chrome on Windows", from the user agent
+  device: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Update timestamps
+sessionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a new refresh token, keeping the hash of the one it replaces
+ * Returns the plain token for the client
+ */
+const generateRefreshToken = () => crypto.randomBytes(32).toString('hex');
+
+sessionSchema.methods.rotateToken = function() {
+  const token = generateRefreshToken();
+  if (this.tokenHash) {
+    this.previousTokenHash = this.tokenHash;
+  }
+  this.tokenHash = hashRefreshToken(token);
+  return token;
+};
+
+sessionSchema.statics.hashToken = hashRefreshToken;
+sessionSchema.statics.generateToken = generateRefreshToken;
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,11 +1,16 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { applySystemDefaults } = require('../services/systemDefaultsService');
 
 const settingsSchema = new mongoose.Schema({
+  // Personal settings belong to a user, shared ones to an organization
   userId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    unique: true
+    ref: 'User'
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
   },
   monitoringFrequency: {
     type: Number,
@@ -21,6 +26,12 @@ const settingsSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // HMAC-SHA256 key for the X-Webhook-Signature header
+  // Kept out of queries and JSON: organization viewers can read settings; only the owner-only rotate endpoint returns it
+  webhookSecret: {
+    type: String,
+    select: false
+  },
   alertTypes: {
     priceIncrease: {
       type: Boolean,
@@ -47,23 +58,82 @@ const settingsSchema = new mongoose.Schema({
       default: true
     }
   },
+  // Currency profit and margins are reported in
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Base currency must be a 3-letter code'],
+    default: 'GBP'
+  },
   priceChangeThreshold: {
     type: Number,
     default: 5,
     min: 0,
     max: 100
   },
+  // Repeated alerts of the same type for a product within this window
+  // are collapsed into one alert instead of notifying again (0 = off)
+  alertCooldownMinutes: {
+    type: Number,
+    default: 60,
+    min: 0,
+    max: 10080
+  },
+  // Send one summary email per period instead of an email per alert
+  alertDigest: {
+    type: String,
+    enum: ['off', 'hourly', 'daily'],
+    default: 'off'
+  },
+  lastDigestSentAt: {
+    type: Date
+  },
   updatedAt: {
     type: Date,
     default: Date.now
   }
 });
 
-// Update timestamp
+// One settings document per user and per organization
+// Named apart from the old plain userId_1 index, which scripts/migrateIndexes drops
+settingsSchema.index({ userId: 1 }, {
+  name: 'userId_personal',
+  unique: true,
+  partialFilterExpression: { userId: { $type: 'objectId' } }
+});
+settingsSchema.index({ organizationId: 1 }, { unique: true, partialFilterExpression: { organizationId: { $type: 'objectId' } } });
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+settingsSchema.methods.rotateWebhookSecret = function() {
+  this.webhookSecret = generateWebhookSecret();
+  return this.webhookSecret;
+};
+
+// Never serialize the signing secret, including right after Settings.create
+settingsSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.webhookSecret;
+    return ret;
+  }
+});
+
+// Update timestamp and make sure a webhook secret exists
+// Loaded documents only have it when selected with '+webhookSecret'
 settingsSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  if (!this.webhookSecret && (this.isNew || this.isSelected('webhookSecret'))) {
+    this.webhookSecret = generateWebhookSecret();
+  }
   next();
 });
 
+// New settings start from the system-wide defaults managed in /api/admin/defaults
+settingsSchema.pre('save', async function() {
+  if (this.isNew) {
+    await applySystemDefaults(this);
+  }
+});
+
 module.exports = mongoose.model('Settings', settingsSchema);
 
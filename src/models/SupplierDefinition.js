@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const supplierDefinitionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true
+  },
+  // Matched against the supplier URL hostname, e.g. "bestwaywholesale.co.uk"
+  // also matches "www.bestwaywholesale.co.uk"; "booker.*" matches any TLD
+  hostnames: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    validate: [hostnames => hostnames.length > 0, 'At least one hostname is required']
+  },
+  selectors: {
+    title: {
+      type: String,
+      trim: true
+    },
+    price: {
+      type: String,
+      trim: true
+    },
+    stock: {
+      type: String,
+      trim: true
+    },
+    // Element holding the available quantity, e.g. "12 in stock"
+    quantity: {
+      type: String,
+      trim: true
+    },
+    images: {
+      type: String,
+      trim: true
+    },
+    sku: {
+      type: String,
+      trim: true
+    }
+  },
+  // Applied to the price text; the first capture group is used if present
+  priceRegex: {
+    type: String,
+    trim: true
+  },
+  stockPhrases: {
+    inStock: {
+      type: [String],
+      default: ['in stock', 'available']
+    },
+    outOfStock: {
+      type: [String],
+      default: ['out of stock', 'sold out', 'unavailable']
+    },
+    lowStock: {
+      type: [String],
+      default: ['low stock', 'limited']
+    }
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'GBP',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamps
+supplierDefinitionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Supplier names are unique per user
+supplierDefinitionSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('SupplierDefinition', supplierDefinitionSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Alert about the system rather than a product, sent to admins
+const systemAlertSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['scraper_health'],
+    required: true
+  },
+  // Scraper the alert is about, e.g. 'ebay_product'
+  scraper: {
+    type: String
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'high'
+  },
+  // Parse success rate of the recent window and of the window before it (0-1)
+  successRate: {
+    type: Number
+  },
+  baselineRate: {
+    type: Number
+  },
+  sampleSize: {
+    type: Number
+  },
+  failingUrls: [{
+    type: String
+  }],
+  // How often each selector matched per field in the recent window, e.g. { title: { h1: 4, none: 16 } }
+  selectorUsage: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  snapshots: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScraperSnapshot'
+  }],
+  emailSent: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the success rate recovers
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamps
+systemAlertSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for open alert queries
+systemAlertSchema.index({ type: 1, scraper: 1, resolvedAt: 1 });
+systemAlertSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SystemAlert', systemAlertSchema);
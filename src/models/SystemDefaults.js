@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Single document; fields left unset fall back to the Settings schema defaults
+const systemDefaultsSchema = new mongoose.Schema({
+  monitoringFrequency: {
+    type: Number,
+    min: [15, 'Monitoring frequency must be between 15 and 1440 minutes'],
+    max: [1440, 'Monitoring frequency must be between 15 and 1440 minutes']
+  },
+  emailAlerts: {
+    type: Boolean
+  },
+  alertTypes: {
+    priceIncrease: Boolean,
+    priceDecrease: Boolean,
+    outOfStock: Boolean,
+    supplierUnavailable: Boolean,
+    lowStock: Boolean,
+    competitorPrice: Boolean
+  },
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Base currency must be a 3-letter code']
+  },
+  priceChangeThreshold: {
+    type: Number,
+    min: [0, 'Price change threshold must be between 0 and 100 percent'],
+    max: [100, 'Price change threshold must be between 0 and 100 percent']
+  },
+  alertCooldownMinutes: {
+    type: Number,
+    min: [0, 'Alert cooldown must be between 0 and 10080 minutes'],
+    max: [10080, 'Alert cooldown must be between 0 and 10080 minutes']
+  },
+  alertDigest: {
+    type: String,
+    enum: {
+      values: ['off', 'hourly', 'daily'],
+      message: 'Alert digest must be off, hourly or daily'
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamps
+systemDefaultsSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('SystemDefaults', systemDefaultsSchema);
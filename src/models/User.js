@@ -26,6 +26,50 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  // Deactivated users cannot sign in and are not monitored
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  // Two-factor authentication: sign-in also needs a code from an authenticator app
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Base32 TOTP secret, set at setup and used once verified
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last time step a code was accepted for, so a code cannot be used twice
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // Invalid codes in a row, and the second step lockout they lead to
+  twoFactorFailedAttempts: {
+    type: Number,
+    select: false
+  },
+  twoFactorLockedUntil: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  // Access tokens issued before this are rejected
+  passwordChangedAt: {
+    type: Date
+  },
   resetPasswordToken: {
     type: String
   },
@@ -44,6 +88,10 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('passwordHash')) {
     return next();
   }
+
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   
   // Check if password is already hashed (bcrypt hashes start with $2a$, $2b$, or $2y$)
   // Bcrypt hash format: $2a$10$... (60 characters total)
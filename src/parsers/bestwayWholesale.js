@@ -0,0 +1,80 @@
+const cheerio = require('cheerio');
+const { parseAmount } = require('../utils/currency');
+
+/**
+ * Bestway Wholesale page parsers (search results and product pages)
+ */
+
+const BASE_URL = 'https://www.bestwaywholesale.co.uk';
+
+/**
+ * URL of the first product in the search results
+ * @returns {string|null}
+ */
+const parseBestwaySearchResults = (html) => {
+  const $ = cheerio.load(html);
+
+  // Bestway Wholesale product selectors (may need adjustment based on actual site structure)
+  const productUrl = $('.product-item a, .product-card a, a[href*="/product/"]').first().attr('href');
+
+  if (!productUrl) {
+    return null;
+  }
+
+  return productUrl.startsWith('http') ? productUrl : `${BASE_URL}${productUrl}`;
+};
+
+/**
+ * Supplier data from a product page
+ * @param {string} html
+ * @param {string} url - Product page URL, returned as supplierUrl
+ * @returns {Object|null} null when no price was found
+ */
+const parseBestwayProductPage = (html, url) => {
+  const $ = cheerio.load(html);
+
+  // Extract price
+  let priceText = $('.price, .product-price, [class*="price"]').first().text().trim();
+  if (!priceText) {
+    priceText = $('[itemprop="price"]').attr('content') || '';
+  }
+  const price = parseAmount(priceText);
+
+  // Extract stock status
+  let stock = 'unknown';
+  const bodyText = $('body').text().toLowerCase();
+  const stockText = $('.stock, .availability, [class*="stock"]').text().toLowerCase();
+
+  if (bodyText.includes('in stock') || stockText.includes('in stock') || stockText.includes('available')) {
+    stock = 'in_stock';
+  } else if (bodyText.includes('out of stock') || stockText.includes('out of stock') || stockText.includes('unavailable')) {
+    stock = 'out_of_stock';
+  } else if (bodyText.includes('low stock') || stockText.includes('limited')) {
+    stock = 'low_stock';
+  }
+
+  // Extract SKU
+  let sku = '';
+  const skuText = $('.sku, [class*="sku"], [itemprop="sku"]').text().trim();
+  if (skuText) {
+    sku = skuText.replace(/SKU[:\s]*/i, '').trim();
+  }
+
+  if (price === 0) {
+    return null;
+  }
+
+  return {
+    supplierUrl: url,
+    supplierPrice: price,
+    supplierCurrency: 'GBP',
+    supplierStockStatus: stock,
+    supplierSku: sku
+  };
+};
+
+module.exports = {
+  BASE_URL,
+  parseBestwaySearchResults,
+  parseBestwayProductPage
+};
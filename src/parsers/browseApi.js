@@ -0,0 +1,186 @@
+const { normalizeCurrency } = require('../utils/currency');
+const { variationKey } = require('../utils/ebayVariations');
+
+/**
+ * eBay Browse API response parser (getItem / getItemByLegacyId / getItemsByItemGroup)
+ * Money fields are strings: item.price = { value: '9.75', currency: 'GBP' }
+ */
+
+// estimatedAvailabilityStatus -> stock status
+const STOCK_STATUS = {
+  IN_STOCK: 'in_stock',
+  LIMITED_STOCK: 'low_stock',
+  OUT_OF_STOCK: 'out_of_stock'
+};
+
+const readMoney = (money) => {
+  const amount = parseFloat(money?.value);
+  return {
+    amount: Number.isFinite(amount) ? amount : 0,
+    currency: normalizeCurrency(money?.currency) || null
+  };
+};
+
+/**
+ * Stock status and quantity from estimatedAvailabilities
+ * Sellers can hide exact quantities; "More than 10" is recorded as 10, like the item page
+ */
+const readAvailability = (item) => {
+  const availability = item.estimatedAvailabilities?.[0] || {};
+
+  let quantity = null;
+  if (Number.isFinite(availability.estimatedAvailableQuantity)) {
+    quantity = availability.estimatedAvailableQuantity;
+  } else if (availability.availabilityThresholdType === 'MORE_THAN' && Number.isFinite(availability.availabilityThreshold)) {
+    quantity = availability.availabilityThreshold;
+  }
+
+  let stock = STOCK_STATUS[availability.estimatedAvailabilityStatus] || 'unknown';
+  if (quantity === 0) stock = 'out_of_stock';
+
+  return { stock, quantity };
+};
+
+/**
+ * First shipping option, cost null when it's calculated at checkout
+ */
+const readShipping = (item) => {
+  const option = item.shippingOptions?.[0];
+  if (!option) return null;
+
+  const cost = option.shippingCost ? readMoney(option.shippingCost) : null;
+  return {
+    cost: cost ? cost.amount : null,
+    currency: cost ? cost.currency : null,
+    costType: option.shippingCostType || null,
+    service: option.shippingServiceCode || option.type || null
+  };
+};
+
+const readSeller = (item) => {
+  if (!item.seller?.username) return null;
+
+  const feedbackPercentage = parseFloat(item.seller.feedbackPercentage);
+  return {
+    username: item.seller.username,
+    feedbackScore: Number.isFinite(item.seller.feedbackScore) ? item.seller.feedbackScore : null,
+    feedbackPercentage: Number.isFinite(feedbackPercentage) ? feedbackPercentage : null
+  };
+};
+
+const readImages = (item) => {
+  const images = [item.image, ...(item.additionalImages || [])]
+    .map(image => image?.imageUrl)
+    .filter(Boolean);
+  return [...new Set(images)].slice(0, 10); // Limit to 10 images for gallery
+};
+
+/**
+ * Item for the eBay adapter
+ * @param {Object} item - getItem / getItemByLegacyId response
+ * @returns {Object|null} null when the item has no price
+ *   { title, price, currency, stock, quantity, images, itemId, description,
+ *     variations, condition, seller, shipping }
+ */
+const parseBrowseItem = (item) => {
+  const { amount, currency } = readMoney(item.price);
+
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  return {
+    title: item.title || 'Unknown Product',
+    price: amount,
+    currency,
+    ...readAvailability(item),
+    images: readImages(item), // ZERO PLACEHOLDER IMAGES
+    itemId: item.legacyItemId || '',
+    description: item.shortDescription || '',
+    variations: [],
+    condition: item.condition || null,
+    seller: readSeller(item),
+    shipping: readShipping(item)
+  };
+};
+
+/**
+ * Aspects that tell the items of a group apart, e.g. Colour and Size
+ */
+const variationAspects = (items) => {
+  const valuesByName = {};
+  items.forEach((item) => {
+    (item.localizedAspects || []).forEach(({ name, value }) => {
+      (valuesByName[name] = valuesByName[name] || new Set()).add(value);
+    });
+  });
+  return Object.keys(valuesByName).filter(name => valuesByName[name].size > 1);
+};
+
+/**
+ * Multi-variation listing for the eBay adapter
+ * Each item in the group is one variation; its ID is the last part of the
+ * RESTful item ID (v1|<legacy item id>|<variation id>), the same ID the item
+ * page's MSKU model uses, so variations keep their records across sources.
+ * @param {Object} data - getItemsByItemGroup response
+ * @returns {Object|null} As parseBrowseItem, priced at the cheapest variation
+ */
+const parseBrowseItemGroup = (data) => {
+  const items = (data.items || []).filter(item => readMoney(item.price).amount > 0);
+  if (items.length === 0) {
+    return null;
+  }
+
+  const aspectNames = variationAspects(items);
+  const variations = items.map((item) => {
+    const specifics = {};
+    (item.localizedAspects || [])
+      .filter(({ name }) => aspectNames.includes(name))
+      .forEach(({ name, value }) => { specifics[name] = value; });
+
+    const { amount, currency } = readMoney(item.price);
+    return {
+      variationId: String(item.itemId || '').split('|')[2] || variationKey(specifics),
+      specifics,
+      price: amount,
+      currency,
+      ...readAvailability(item)
+    };
+  });
+
+  const first = parseBrowseItem(items[0]);
+  const cheapest = variations.reduce((min, variation) => (variation.price < min.price ? variation : min));
+  const quantities = variations.map(variation => variation.quantity);
+
+  let stock = 'unknown';
+  if (variations.some(variation => variation.stock === 'in_stock')) stock = 'in_stock';
+  else if (variations.some(variation => variation.stock === 'low_stock')) stock = 'low_stock';
+  else if (variations.every(variation => variation.stock === 'out_of_stock')) stock = 'out_of_stock';
+
+  return {
+    ...first,
+    price: cheapest.price,
+    currency: cheapest.currency,
+    stock,
+    // Only when every variation reports one
+    quantity: quantities.every(quantity => quantity !== null)
+      ? quantities.reduce((sum, quantity) => sum + quantity, 0)
+      : null,
+    images: [...new Set(items.flatMap(readImages))].slice(0, 10),
+    itemId: items[0].primaryItemGroup?.itemGroupId || first.itemId,
+    variations
+  };
+};
+
+/**
+ * Either response shape: an item group has an items array
+ */
+const parseBrowseResponse = (data) => (Array.isArray(data?.items)
+  ? parseBrowseItemGroup(data)
+  : parseBrowseItem(data || {}));
+
+module.exports = {
+  parseBrowseItem,
+  parseBrowseItemGroup,
+  parseBrowseResponse
+};
@@ -0,0 +1,191 @@
+const cheerio = require('cheerio');
+const { parseMoney, normalizeCurrency } = require('../utils/currency');
+const { marketplaceForUrl } = require('../utils/ebayMarketplace');
+const { parseMskuModel, variationsFromMsku, variationsFromSelects } = require('../utils/ebayVariations');
+const { parseQuantity } = require('../utils/stock');
+
+/**
+ * eBay item page parser
+ * Works on the HTML of a rendered item page (Puppeteer page.content() or a saved fixture)
+ */
+
+// Tried in order, the first one that matches wins
+const TITLE_SELECTORS = [
+  'h1.x-item-title__mainTitle',
+  '.it-ttl',
+  'h1[itemprop="name"]',
+  'h1',
+  '[data-testid="x-item-title-label"]'
+];
+
+const PRICE_SELECTORS = [
+  '.x-price-primary .ux-textspans',
+  '#prcIsum',
+  '[itemprop="price"]',
+  '[data-testid="x-price-primary"]'
+];
+
+const DESCRIPTION_SELECTORS = [
+  '#desc_wrapper_ctr',
+  '#viTabs_0_is',
+  '.u-flL.condText',
+  '[itemprop="description"]',
+  '.notranslate',
+  '[data-testid="x-item-condition-text"]',
+  '.x-item-condition-value'
+];
+
+const QUANTITY_SELECTORS = [
+  '#qtySubTxt',
+  '.d-quantity__availability',
+  '.x-quantity__availability',
+  '[data-testid="x-quantity"]'
+];
+
+const VARIATION_SELECTS = '.msku-sel select, select[name*="Size"], select[name*="Color"], select[name*="Variation"], select[data-testid*="variation"]';
+
+/**
+ * Parse an eBay item page
+ * @param {string} html
+ * @param {string} url - Page URL, used for the item ID, the default currency and the price format
+ * @returns {Object} { title, price, currency, images, stock, quantity, itemId, description, variations, selectors }
+ *   selectors names the selector that matched each field (null when none did)
+ */
+const parseItemPage = (html, url) => {
+  const $ = cheerio.load(html);
+  const selectors = { title: null, price: null, quantity: null, description: null };
+
+  // Extract title
+  let title = '';
+  for (const selector of TITLE_SELECTORS) {
+    const text = $(selector).first().text().trim();
+    if (text) {
+      title = text;
+      selectors.title = selector;
+      break;
+    }
+  }
+
+  // Extract price text
+  let priceText = '';
+  for (const selector of PRICE_SELECTORS) {
+    const el = $(selector).first();
+    if (el.length > 0) {
+      const text = el.text() || el.attr('content') || '';
+      if (/\d/.test(text)) {
+        priceText = text.trim();
+        selectors.price = selector;
+        break;
+      }
+    }
+  }
+  const priceCurrency = $('[itemprop="priceCurrency"]').first().attr('content') || '';
+  // The site the page is on gives the default currency and the number format
+  const marketplace = marketplaceForUrl(url);
+  const money = parseMoney(
+    priceText,
+    normalizeCurrency(priceCurrency) || marketplace?.currency,
+    marketplace?.decimalSeparator
+  );
+
+  // Extract images (gallery)
+  const images = [];
+  $('img[src*="i.ebayimg.com"], img[data-testid*="image"]').each((i, img) => {
+    const src = $(img).attr('src') || $(img).attr('data-src');
+    if (src && !src.includes('s-l64') && !src.includes('s-l140') && !images.includes(src)) {
+      images.push(src);
+    }
+  });
+
+  // Extract description
+  let description = '';
+  for (const selector of DESCRIPTION_SELECTORS) {
+    const el = $(selector).first();
+    if (el.length > 0) {
+      description = el.text().trim() || (el.html() || '').trim();
+      if (description) {
+        selectors.description = selector;
+        break;
+      }
+    }
+  }
+
+  // Extract variations
+  // The MSKU model has per-variation prices and stock, the dropdowns are a fallback
+  const mskuScript = $('script').map((i, script) => $(script).html() || '').get()
+    .find(text => text.includes('"MSKU":')) || '';
+
+  const variationSelects = [];
+  $(VARIATION_SELECTS).each((index, select) => {
+    const name = $(select).attr('name') || $(select).attr('data-testid') || $(select).prev().text().trim() || `Variation ${index + 1}`;
+    const options = [];
+    $(select).find('option').each((i, opt) => {
+      const value = $(opt).attr('value');
+      const text = $(opt).text().trim();
+      // "Select" placeholders use 0 or -1
+      if (value && text && value !== '0' && !(Number(value) < 0)) {
+        options.push({ value, text });
+      }
+    });
+    if (options.length > 0) {
+      variationSelects.push({ name, options });
+    }
+  });
+
+  const msku = parseMskuModel(mskuScript);
+  const variations = msku
+    ? variationsFromMsku(msku, money.currency)
+    : variationsFromSelects(variationSelects);
+
+  // Extract stock status
+  const bodyText = $('body').text();
+  const bodyLower = bodyText.toLowerCase();
+  let stock = 'in_stock';
+  if (bodyLower.includes('out of stock') || bodyLower.includes('sold out')) {
+    stock = 'out_of_stock';
+  } else if (bodyLower.includes('limited') || /only \d+ left/i.test(bodyLower)) {
+    stock = 'low_stock';
+  }
+
+  // Extract available quantity ("3 available", "More than 10 available", "Last one")
+  let quantityText = '';
+  for (const selector of QUANTITY_SELECTORS) {
+    const text = $(selector).first().text().trim();
+    if (text && /available|left|last one/i.test(text)) {
+      quantityText = text;
+      selectors.quantity = selector;
+      break;
+    }
+  }
+  if (!quantityText) {
+    const match = bodyText.match(/(more than\s+)?\d[\d,]*\s+available|last one/i);
+    quantityText = match ? match[0] : '';
+    if (match) selectors.quantity = 'body text';
+  }
+
+  // Extract item ID from URL
+  let itemId = '';
+  try {
+    const itemIdMatch = new URL(url).pathname.match(/\/itm\/(?:[^/]+\/)?(\d+)/);
+    itemId = itemIdMatch ? itemIdMatch[1] : '';
+  } catch (error) {
+    // Not a URL, leave the item ID empty
+  }
+
+  return {
+    title,
+    price: money.amount,
+    currency: money.currency,
+    images: images.slice(0, 10), // Limit to 10 images for gallery
+    stock,
+    quantity: parseQuantity(quantityText),
+    itemId,
+    description,
+    variations,
+    selectors
+  };
+};
+
+module.exports = {
+  parseItemPage
+};
@@ -0,0 +1,168 @@
+const cheerio = require('cheerio');
+
+/**
+ * eBay seller ID parsers
+ * The seller username is what the Finding API filters on; store names are not.
+ * Storefronts and item pages expose it in different places, so each has its own order of methods.
+ */
+
+// Script patterns, most specific first
+const STOREFRONT_SCRIPT_PATTERNS = [
+  /"sellerName"\s*:\s*"([^"]+)"/,
+  /"sellerId"\s*:\s*"([^"]+)"/,
+  /"username"\s*:\s*"([^"]+)"/,
+  /sellerUsername["\s]*[:=]["\s]*([^"'\s,}]+)/,
+  /"seller"\s*:\s*{\s*"username"\s*:\s*"([^"]+)"/,
+  /seller["\s]*:["\s]*{["\s]*name["\s]*:["\s]*"([^"]+)"/,
+  /seller["\s]*:["\s]*{["\s]*id["\s]*:["\s]*"([^"]+)"/,
+  /"seller"\s*:\s*{\s*"name"\s*:\s*"([^"]+)"/,
+  /"seller"\s*:\s*{\s*"id"\s*:\s*"([^"]+)"/,
+  /sellerName["\s]*[:=]["\s]*["']([^"']+)["']/,
+  /sellerId["\s]*[:=]["\s]*["']([^"']+)["']/
+];
+
+const ITEM_PAGE_SCRIPT_PATTERNS = [
+  /"seller"\s*:\s*{\s*"username"\s*:\s*"([^"]+)"/,
+  /"seller"\s*:\s*{\s*"name"\s*:\s*"([^"]+)"/,
+  /"seller"\s*:\s*{\s*"id"\s*:\s*"([^"]+)"/,
+  /"sellerName"\s*:\s*"([^"]+)"/,
+  /"sellerId"\s*:\s*"([^"]+)"/,
+  /"username"\s*:\s*"([^"]+)"/,
+  /sellerUsername["\s]*[:=]["\s]*([^"'\s,}]+)/,
+  /sellerName["\s]*[:=]["\s]*["']([^"']+)["']/,
+  /sellerId["\s]*[:=]["\s]*["']([^"']+)["']/
+];
+
+/**
+ * Usable as a seller ID: not empty, not the marketplace name, not a sentence
+ */
+const isSellerName = (text) => Boolean(text) && text !== 'eBay UK' && text !== 'eBay' && text.length < 50;
+
+/**
+ * Seller from JSON-LD, trying the given paths in order
+ */
+const fromJsonLd = ($, paths) => {
+  const scripts = $('script[type="application/ld+json"]').get();
+  for (const script of scripts) {
+    try {
+      const data = JSON.parse($(script).html());
+      for (const path of paths) {
+        const value = path.reduce((node, key) => (node ? node[key] : undefined), data);
+        if (value) return value;
+      }
+    } catch (error) {
+      // Not valid JSON, try the next script
+    }
+  }
+  return null;
+};
+
+const fromTwitterCreator = ($) => {
+  const content = $('meta[name="twitter:creator"]').attr('content');
+  const match = content && content.match(/@?([^"'\s,]+)/);
+  const username = match && match[1] ? match[1].trim() : null;
+  return isSellerName(username) ? username : null;
+};
+
+/**
+ * First element matching one of the selectors whose text is a seller name
+ * Each selector is checked on its first match only, like document.querySelector
+ */
+const fromElements = ($, selectors) => {
+  for (const selector of selectors) {
+    const text = $(selector).first().text().trim();
+    if (isSellerName(text)) return text;
+  }
+  return null;
+};
+
+const fromScripts = ($, patterns) => {
+  const scripts = $('script').map((i, script) => $(script).html() || '').get();
+  for (const content of scripts) {
+    for (const pattern of patterns) {
+      const match = content.match(pattern);
+      if (match && match[1]) {
+        const sellerId = match[1].replace(/["'}\s]/g, '').trim();
+        if (isSellerName(sellerId) && !sellerId.includes('http')) {
+          return sellerId;
+        }
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Seller from /usr/<name> or /str/<name> links
+ * @param {boolean} firstOnly - Only look at the first such link
+ */
+const fromSellerLinks = ($, firstOnly = false) => {
+  const links = $('a[href*="/usr/"], a[href*="/str/"]').get();
+  for (const link of firstOnly ? links.slice(0, 1) : links) {
+    const match = ($(link).attr('href') || '').match(/\/(?:usr|str)\/([^/?]+)/);
+    if (match && match[1]) {
+      const username = decodeURIComponent(match[1]).trim();
+      if (isSellerName(username)) return username;
+    }
+  }
+  return null;
+};
+
+/**
+ * Seller ID from a store front page
+ * @returns {string|null}
+ */
+const parseSellerIdFromStorefront = (html) => {
+  const $ = cheerio.load(html);
+
+  const sellerId = fromJsonLd($, [
+    ['mainEntity', 'seller', 'name'],
+    ['seller', 'name'],
+    ['seller', 'username'],
+    ['author', 'name'],
+    ['brand', 'name']
+  ])
+    || fromTwitterCreator($)
+    || fromElements($, [
+      'a.mbg-id span, .mbg-id span, a[class*="mbg-id"] span',
+      'a.mbg-id, .mbg-id',
+      'a.mbg-nw, .mbg-nw',
+      '.seller-info-name, [class*="seller-info-name"]',
+      '.str-seller-info, [class*="seller-info"]'
+    ])
+    || fromScripts($, STOREFRONT_SCRIPT_PATTERNS)
+    || fromSellerLinks($);
+
+  return isSellerName(sellerId) ? sellerId : null;
+};
+
+/**
+ * Seller ID from an item page
+ * @returns {string|null}
+ */
+const parseSellerIdFromItemPage = (html) => {
+  const $ = cheerio.load(html);
+
+  const sellerId = fromJsonLd($, [
+    ['mainEntity', 'seller', 'name'],
+    ['seller', 'name'],
+    ['seller', 'username'],
+    ['seller', 'identifier'],
+    ['author', 'name']
+  ])
+    || fromTwitterCreator($)
+    || fromScripts($, ITEM_PAGE_SCRIPT_PATTERNS)
+    || fromElements($, [
+      'a.mbg-id span, .mbg-id span, a[class*="mbg-id"] span',
+      'a.mbg-id, .mbg-id',
+      '.seller-info-name, [class*="seller-info-name"]'
+    ])
+    || fromSellerLinks($, true);
+
+  return isSellerName(sellerId) ? sellerId : null;
+};
+
+module.exports = {
+  parseSellerIdFromStorefront,
+  parseSellerIdFromItemPage
+};
@@ -0,0 +1,83 @@
+const cheerio = require('cheerio');
+const { parseMoney } = require('../utils/currency');
+const { marketplaceForUrl } = require('../utils/ebayMarketplace');
+const { parseSellerIdFromStorefront } = require('./ebaySeller');
+
+/**
+ * eBay store page parser
+ * Works on the HTML of a rendered store page (Puppeteer page.content() or a saved fixture)
+ */
+
+/**
+ * Listings on one page of an eBay store
+ * @param {string} html
+ * @param {string} storeUrl - Resolves relative links and gives the default currency and price format
+ * @returns {Array} [{ itemId, url, title, price, currency, images }]
+ */
+const parseStoreListings = (html, storeUrl) => {
+  const $ = cheerio.load(html);
+  const marketplace = marketplaceForUrl(storeUrl);
+  const items = [];
+  const itemIds = new Set();
+
+  $('a[href*="/itm/"]').each((i, link) => {
+    const href = $(link).attr('href');
+    if (!href) return;
+
+    let fullUrl;
+    try {
+      fullUrl = new URL(href, storeUrl).href;
+    } catch (error) {
+      return;
+    }
+
+    const itemIdMatch = fullUrl.match(/\/itm\/(?:[^/?]+\/)?(\d+)/);
+    if (!itemIdMatch || itemIds.has(itemIdMatch[1])) return;
+    itemIds.add(itemIdMatch[1]);
+
+    // Title, price and image from the listing card
+    // (searched from the parent: the link's own class, e.g. s-item__link, would match itself)
+    const card = $(link).parent().closest('.s-item, [class*="item"], [class*="listing"]');
+    let title = '';
+    let priceText = '';
+    let image = '';
+
+    if (card.length > 0) {
+      title = card.find('.s-item__title, [class*="title"], h3').first().text().trim();
+      priceText = card.find('.s-item__price, [class*="price"]').first().text().trim();
+
+      const img = card.find('img').first();
+      image = img.attr('src') || img.attr('data-src') || '';
+    }
+
+    if (!title) {
+      title = $(link).text().trim();
+    }
+
+    const money = parseMoney(priceText, marketplace?.currency, marketplace?.decimalSeparator);
+
+    items.push({
+      itemId: itemIdMatch[1],
+      url: fullUrl.split('?')[0],
+      title: title || `Item ${itemIdMatch[1]}`,
+      price: money.amount,
+      currency: money.currency,
+      images: image ? [image] : []
+    });
+  });
+
+  return items;
+};
+
+/**
+ * Listings and seller ID of a store page
+ */
+const parseStorePage = (html, storeUrl) => ({
+  sellerId: parseSellerIdFromStorefront(html),
+  items: parseStoreListings(html, storeUrl)
+});
+
+module.exports = {
+  parseStoreListings,
+  parseStorePage
+};
@@ -0,0 +1,65 @@
+const { getMarketplace, ebayItemUrl } = require('../utils/ebayMarketplace');
+
+/**
+ * eBay Finding API response parser (findItemsAdvanced, JSON format)
+ * Every field in the response is wrapped in an array: item.title[0], item.sellingStatus[0].currentPrice[0]
+ */
+
+/**
+ * Items and page count of a findItemsAdvanced response
+ * @returns {Object} { items: [raw item], totalPages }
+ */
+const parseFindingResponse = (data) => {
+  const response = data?.findItemsAdvancedResponse?.[0];
+  const items = response?.searchResult?.[0]?.item || [];
+  const totalPages = parseInt(response?.paginationOutput?.[0]?.totalPages?.[0] || '1', 10);
+
+  return { items, totalPages };
+};
+
+/**
+ * Store listing for the store import
+ * @param {Object} item - Raw Finding API item
+ * @param {string} marketplaceId - Marketplace searched, for the fallback URL and currency
+ */
+const parseFindingListing = (item, marketplaceId) => {
+  const marketplace = getMarketplace(marketplaceId);
+  const title = item.title?.[0] || 'Unknown Product';
+  const currentPrice = item.sellingStatus?.[0]?.currentPrice?.[0];
+  const price = parseFloat(currentPrice?.__value__ || 0);
+  const itemId = item.itemId?.[0] || '';
+  const galleryUrl = item.galleryURL?.[0] || '';
+  const listingType = item.listingInfo?.[0]?.listingType?.[0] || 'Unknown';
+  const condition = item.condition?.[0]?.conditionDisplayName?.[0] || 'Used';
+  const quantity = parseInt(item.quantity?.[0] || '0', 10);
+  const quantitySold = parseInt(item.sellingStatus?.[0]?.quantitySold?.[0] || '0', 10);
+
+  // Determine stock status
+  let stock = 'in_stock';
+  if (quantity === 0 || (quantity - quantitySold) <= 0) {
+    stock = 'out_of_stock';
+  } else if ((quantity - quantitySold) < 5) {
+    stock = 'low_stock';
+  }
+
+  // Build eBay URL
+  const url = item.viewItemURL?.[0] || ebayItemUrl(itemId, marketplace.id);
+
+  return {
+    title,
+    price,
+    currency: currentPrice?.['@currencyId'] || marketplace.currency,
+    itemId,
+    url,
+    images: galleryUrl ? [galleryUrl] : [],
+    stock,
+    condition,
+    listingType,
+    quantity: quantity - quantitySold
+  };
+};
+
+module.exports = {
+  parseFindingResponse,
+  parseFindingListing
+};
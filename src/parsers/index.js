@@ -0,0 +1,60 @@
+const { parseItemPage } = require('./ebayItemPage');
+const { parseStorePage } = require('./ebayStorePage');
+const { parseSellerIdFromItemPage } = require('./ebaySeller');
+const { parseFindingResponse, parseFindingListing } = require('./findingApi');
+const { parseBrowseResponse } = require('./browseApi');
+const { parseBestwaySearchResults, parseBestwayProductPage } = require('./bestwayWholesale');
+const { parseWithAdapter } = require('../adapters/suppliers/common');
+const { findBuiltInAdapter } = require('../adapters/suppliers');
+
+/**
+ * Page Parsers
+ * Pure functions from a fetched page (HTML or API JSON) to extracted data, so
+ * extraction can be tested offline against saved fixtures (tests/fixtures).
+ * Each kind names a fixture directory; src/scripts/recordFixture.js captures new ones.
+ */
+
+const PAGE_PARSERS = {
+  // eBay item page rendered by Puppeteer
+  'ebay-item': (html, url) => ({
+    ...parseItemPage(html, url),
+    sellerId: parseSellerIdFromItemPage(html)
+  }),
+  // eBay store page rendered by Puppeteer
+  'ebay-store': (html, url) => parseStorePage(html, url),
+  // Browse API item or item group JSON, the eBay adapter's API fallback
+  browse: body => parseBrowseResponse(JSON.parse(body)),
+  // findItemsAdvanced JSON, as store listings
+  finding: (body) => {
+    const { items, totalPages } = parseFindingResponse(JSON.parse(body));
+    return {
+      totalPages,
+      listings: items.map(item => parseFindingListing(item))
+    };
+  },
+  // Supplier product page, parsed by the built-in adapter for its host
+  supplier: (html, url) => parseWithAdapter(findBuiltInAdapter(url), html, url),
+  'bestway-search': html => ({ productUrl: parseBestwaySearchResults(html) }),
+  'bestway-product': (html, url) => parseBestwayProductPage(html, url)
+};
+
+const PAGE_KINDS = Object.keys(PAGE_PARSERS);
+
+/**
+ * Parse a page of the given kind
+ * @param {string} kind - One of PAGE_KINDS
+ * @param {string} body - Page HTML or API response JSON
+ * @param {string} url - Page URL
+ */
+const parsePage = (kind, body, url) => {
+  const parser = PAGE_PARSERS[kind];
+  if (!parser) {
+    throw new Error(`Unknown page kind "${kind}", expected one of: ${PAGE_KINDS.join(', ')}`);
+  }
+  return parser(body, url);
+};
+
+module.exports = {
+  PAGE_KINDS,
+  parsePage
+};
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  getUser,
+  deactivateUser,
+  activateUser,
+  impersonateUser,
+  resetTwoFactor,
+  restartCronJob,
+  getCronJobs,
+  getAuditLog,
+  getDefaults,
+  updateDefaults
+} = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require an admin
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/admin/users
+// @desc    Users with product counts and monitoring load
+// @access  Private/Admin
+router.get('/users', getUsers);
+
+// @route   GET /api/admin/users/:id
+// @desc    One user with settings, organizations, cron job and recent runs
+// @access  Private/Admin
+router.get('/users/:id', getUser);
+
+// @route   POST /api/admin/users/:id/deactivate
+// @desc    Block sign-in and stop monitoring
+// @access  Private/Admin
+router.post('/users/:id/deactivate', deactivateUser);
+
+// @route   POST /api/admin/users/:id/activate
+// @desc    Allow sign-in and resume monitoring
+// @access  Private/Admin
+router.post('/users/:id/activate', activateUser);
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Short-lived token to act as the user
+// @access  Private/Admin
+router.post('/users/:id/impersonate', impersonateUser);
+
+// @route   POST /api/admin/users/:id/2fa/reset
+// @desc    Turn off the user's two-factor authentication
+// @access  Private/Admin
+router.post('/users/:id/2fa/reset', resetTwoFactor);
+
+// @route   POST /api/admin/users/:id/cron/restart
+// @desc    Recreate the user's monitoring cron job
+// @access  Private/Admin
+router.post('/users/:id/cron/restart', restartCronJob);
+
+// @route   GET /api/admin/cron
+// @desc    Scheduled monitoring cron jobs and their last runs
+// @access  Private/Admin
+router.get('/cron', getCronJobs);
+
+// @route   GET /api/admin/audit
+// @desc    Admin actions such as impersonation and deactivation, newest first
+// @access  Private/Admin
+router.get('/audit', getAuditLog);
+
+// @route   GET /api/admin/defaults
+// @desc    System-wide defaults new settings inherit
+// @access  Private/Admin
+router.route('/defaults')
+  .get(getDefaults)
+  .put(updateDefaults);
+
+module.exports = router;
@@ -9,8 +9,13 @@ const {
   bulkMarkAlertsRead,
   bulkDeleteAlerts
 } = require('../controllers/alertController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize, apiKeyScopes } = require('../middleware/auth');
 
+// Any member can mark an organization's alerts read, deleting needs an editor
+const canEdit = authorize('owner', 'editor');
+
+// API keys with alerts:read can read alerts but not change them
+router.use(apiKeyScopes({ read: 'alerts:read' }));
 router.use(protect);
 
 router.get('/', getAlerts);
@@ -19,10 +24,10 @@ router.put('/read-all', markAllAlertsRead);
 
 // Bulk operations
 router.put('/bulk-read', bulkMarkAlertsRead);
-router.delete('/bulk', bulkDeleteAlerts);
+router.delete('/bulk', canEdit, bulkDeleteAlerts);
 
 router.put('/:id/read', markAlertRead);
-router.delete('/:id', deleteAlert);
+router.delete('/:id', canEdit, deleteAlert);
 
 module.exports = router;
 
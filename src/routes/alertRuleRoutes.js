@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule
+} = require('../controllers/alertRuleController');
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getAlertRules)
+  .post(createAlertRule);
+
+router.route('/:id')
+  .get(getAlertRule)
+  .put(updateAlertRule)
+  .delete(deleteAlertRule);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { protect } = require('../middleware/auth');
+
+// All routes require a signed-in user; API keys cannot manage keys
+router.use(protect);
+
+// @route   GET /api/api-keys, POST creates one
+// @desc    The user's personal API keys
+// @access  Private
+router.route('/')
+  .get(getApiKeys)
+  .post(createApiKey);
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke a key, scripts using it get 401 right away
+// @access  Private
+router.delete('/:id', revokeApiKey);
+
+module.exports = router;
@@ -1,6 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { login, register, getMe, forgotPassword, resetPassword, updateProfile, changePassword } = require('../controllers/authController');
+const {
+  login,
+  register,
+  getMe,
+  forgotPassword,
+  resetPassword,
+  updateProfile,
+  changePassword,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
 
 router.post('/login', login);
@@ -11,5 +29,20 @@ router.get('/me', protect, getMe);
 router.put('/profile', protect, updateProfile);
 router.put('/change-password', protect, changePassword);
 
+// Refresh tokens and signed-in devices
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.route('/sessions')
+  .get(protect, getSessions)
+  .delete(protect, revokeAllSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
+// Two-factor authentication
+router.post('/2fa/login', loginTwoFactor);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+router.post('/2fa/disable', protect, disableTwoFactor);
+
 module.exports = router;
 
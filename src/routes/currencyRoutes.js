@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getRates, updateRates } = require('../controllers/currencyController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/rates')
+  .get(getRates)
+  .put(authorize('admin'), updateRates);
+
+module.exports = router;
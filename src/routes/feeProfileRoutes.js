@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getFeeProfiles,
+  getFeeProfile,
+  createFeeProfile,
+  updateFeeProfile,
+  deleteFeeProfile
+} = require('../controllers/feeProfileController');
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getFeeProfiles)
+  .post(createFeeProfile);
+
+router.route('/:id')
+  .get(getFeeProfile)
+  .put(updateFeeProfile)
+  .delete(deleteFeeProfile);
+
+module.exports = router;
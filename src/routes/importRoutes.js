@@ -1,15 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { importStore } = require('../controllers/importController');
-const { protect } = require('../middleware/auth');
+const {
+  importStore,
+  getImportJobs,
+  getImportJob,
+  cancelImportJob
+} = require('../controllers/importController');
+const { protect, authorize, apiKeyScopes } = require('../middleware/auth');
 
-// All routes require authentication
+// All routes require authentication; API keys need import:run
+router.use(apiKeyScopes({ read: 'import:run', write: 'import:run' }));
 router.use(protect);
 
 // @route   POST /api/import/store
-// @desc    Import all listings from an eBay store
+// @desc    Queue an import of all listings from an eBay store
+// @access  Private/Editor
+router.post('/store', authorize('owner', 'editor'), importStore);
+
+// @route   GET /api/import/jobs
+// @desc    Import job history
 // @access  Private
-router.post('/store', importStore);
+router.get('/jobs', getImportJobs);
 
-module.exports = router;
+// @route   GET /api/import/jobs/:id
+// @desc    Import job progress, DELETE cancels it
+// @access  Private (DELETE: Private/Editor)
+router.route('/jobs/:id')
+  .get(getImportJob)
+  .delete(authorize('owner', 'editor'), cancelImportJob);
 
+module.exports = router;
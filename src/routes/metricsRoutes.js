@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { getMetrics } = require('../controllers/metricsController');
-const { protect } = require('../middleware/auth');
+const { getMetrics, getScraperStats } = require('../controllers/metricsController');
+const { protect, authorize } = require('../middleware/auth');
 
 router.use(protect);
 
 router.get('/', getMetrics);
+router.get('/scraper', authorize('admin'), getScraperStats);
 
 module.exports = router;
 
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMonitoringRuns,
+  getMonitoringRun
+} = require('../controllers/monitoringController');
+const { protect } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/monitoring/runs
+// @desc    Monitoring cycle history
+// @access  Private
+router.get('/runs', getMonitoringRuns);
+
+// @route   GET /api/monitoring/runs/:id
+// @desc    One cycle with the check log of every product it checked
+// @access  Private
+router.get('/runs/:id', getMonitoringRun);
+
+module.exports = router;
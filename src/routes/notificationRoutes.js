@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  testChannel
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getChannels)
+  .post(createChannel);
+
+router.route('/:id')
+  .put(updateChannel)
+  .delete(deleteChannel);
+
+router.post('/:id/test', testChannel);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createOrganization,
+  getOrganizations,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization,
+  inviteMember,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateMember,
+  removeMember,
+  updateNotifications
+} = require('../controllers/organizationController');
+const { protect, authorize, organizationMember } = require('../middleware/auth');
+
+// All routes require authentication; /:id routes also membership of the organization
+router.use(protect);
+
+// @route   GET /api/organizations, POST creates one
+// @desc    Organizations the user belongs to
+// @access  Private
+router.route('/')
+  .get(getOrganizations)
+  .post(createOrganization);
+
+// @route   POST /api/organizations/invitations/accept
+// @desc    Join an organization with the token from an invitation email
+// @access  Private
+router.post('/invitations/accept', acceptInvitation);
+
+// @route   GET /api/organizations/:id, PUT renames, DELETE deletes
+// @desc    Organization with its members
+// @access  Private/Member (PUT, DELETE: Private/Owner)
+router.route('/:id')
+  .get(organizationMember, getOrganization)
+  .put(organizationMember, authorize('owner'), updateOrganization)
+  .delete(organizationMember, authorize('owner'), deleteOrganization);
+
+// @route   GET /api/organizations/:id/invitations, POST invites by email
+// @desc    Pending invitations
+// @access  Private/Owner
+router.route('/:id/invitations')
+  .get(organizationMember, authorize('owner'), getInvitations)
+  .post(organizationMember, authorize('owner'), inviteMember);
+
+// @route   DELETE /api/organizations/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private/Owner
+router.delete('/:id/invitations/:invitationId', organizationMember, authorize('owner'), revokeInvitation);
+
+// @route   PUT /api/organizations/:id/members/:userId, DELETE removes
+// @desc    Change a member's role; members can DELETE themselves to leave
+// @access  Private/Owner
+router.route('/:id/members/:userId')
+  .put(organizationMember, authorize('owner'), updateMember)
+  .delete(organizationMember, removeMember);
+
+// @route   PUT /api/organizations/:id/notifications
+// @desc    The current member's alert email preferences
+// @access  Private/Member
+router.put('/:id/notifications', organizationMember, updateNotifications);
+
+module.exports = router;
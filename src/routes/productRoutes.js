@@ -9,28 +9,54 @@ const {
   syncProduct,
   exportProducts,
   bulkDeleteProducts,
-  bulkSyncProducts
+  bulkSyncProducts,
+  getProductHistory,
+  getProductChecks,
+  getProductVariations,
+  updateProductVariation,
+  importProducts
 } = require('../controllers/productController');
-const { protect } = require('../middleware/auth');
-
+const { protect, authorize, apiKeyScopes } = require('../middleware/auth');
+
+const IMPORT_CONTENT_TYPES = [
+  'text/csv',
+  'text/plain',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/octet-stream'
+];
+
+// Organization viewers can read but not change products
+const canEdit = authorize('owner', 'editor');
+
+// API keys need products:read to read and products:write for everything else
+router.use(apiKeyScopes({ read: 'products:read', write: 'products:write' }));
 router.use(protect);
 
 router.route('/')
   .get(getProducts)
-  .post(addProduct);
+  .post(canEdit, addProduct);
 
 router.get('/export', exportProducts);
 
+// Spreadsheet import, the file is sent as the raw request body
+router.post('/import', canEdit, express.raw({ type: IMPORT_CONTENT_TYPES, limit: '5mb' }), importProducts);
+
 // Bulk operations
-router.delete('/bulk', bulkDeleteProducts);
-router.post('/bulk-sync', bulkSyncProducts);
+router.delete('/bulk', canEdit, bulkDeleteProducts);
+router.post('/bulk-sync', canEdit, bulkSyncProducts);
 
 router.route('/:id')
   .get(getProduct)
-  .put(updateProduct)
-  .delete(deleteProduct);
-
-router.post('/:id/sync', syncProduct);
+  .put(canEdit, updateProduct)
+  .delete(canEdit, deleteProduct);
+
+router.get('/:id/history', getProductHistory);
+router.get('/:id/checks', getProductChecks);
+router.get('/:id/variations', getProductVariations);
+router.put('/:id/variations/:variationId', canEdit, updateProductVariation);
+router.post('/:id/sync', canEdit, syncProduct);
 
 module.exports = router;
 
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getDecisions,
+  applyDecision
+} = require('../controllers/repricingController');
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/rules')
+  .get(getRules)
+  .post(createRule);
+
+router.route('/rules/:id')
+  .put(updateRule)
+  .delete(deleteRule);
+
+router.get('/decisions', getDecisions);
+router.post('/decisions/:id/apply', applyDecision);
+
+module.exports = router;
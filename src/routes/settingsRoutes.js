@@ -3,17 +3,25 @@ const router = express.Router();
 const {
   getSettings,
   updateSettings,
-  sendTestEmail
+  sendTestEmail,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  redeliverWebhook
 } = require('../controllers/settingsController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 
 router.use(protect);
 
+// Organization settings are changed by the owner
 router.route('/')
   .get(getSettings)
-  .put(updateSettings);
+  .put(authorize('owner'), updateSettings);
 
 router.post('/test-email', sendTestEmail);
 
+router.post('/webhook/secret', authorize('owner'), rotateWebhookSecret);
+router.get('/webhook/deliveries', getWebhookDeliveries);
+router.post('/webhook/deliveries/:id/redeliver', authorize('owner', 'editor'), redeliverWebhook);
+
 module.exports = router;
 
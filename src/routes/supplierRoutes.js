@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  testSupplier
+} = require('../controllers/supplierController');
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getSuppliers)
+  .post(createSupplier);
+
+router.post('/test', testSupplier);
+
+router.route('/:id')
+  .get(getSupplier)
+  .put(updateSupplier)
+  .delete(deleteSupplier);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSystemAlerts,
+  getSystemAlert,
+  acknowledgeSystemAlert,
+  getScraperSnapshot
+} = require('../controllers/systemAlertController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require an admin
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/system-alerts
+// @desc    System alerts such as scraper health drops
+// @access  Private/Admin
+router.get('/', getSystemAlerts);
+
+// @route   GET /api/system-alerts/snapshots/:id
+// @desc    Captured HTML of a page a scraper failed to parse
+// @access  Private/Admin
+router.get('/snapshots/:id', getScraperSnapshot);
+
+// @route   GET /api/system-alerts/:id
+// @desc    One alert with sample failing URLs and its snapshots
+// @access  Private/Admin
+router.get('/:id', getSystemAlert);
+
+// @route   PUT /api/system-alerts/:id/acknowledge
+// @desc    Mark an alert as seen
+// @access  Private/Admin
+router.put('/:id/acknowledge', acknowledgeSystemAlert);
+
+module.exports = router;
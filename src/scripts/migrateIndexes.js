@@ -0,0 +1,40 @@
+const Product = require('../models/Product');
+const Settings = require('../models/Settings');
+
+// Unique indexes from before organizations, replaced by indexes under other names.
+// They have to be dropped: organization documents share the creator's userId
+// (products) or have none (settings), so they would collide with personal ones
+const LEGACY_INDEXES = [
+  { model: Product, name: 'userId_1_ebayItemId_1' },
+  { model: Settings, name: 'userId_1' }
+];
+
+const existingIndexNames = async (model) => {
+  try {
+    const indexes = await model.collection.indexes();
+    return indexes.map(index => index.name);
+  } catch (err) {
+    // NamespaceNotFound: the collection does not exist yet
+    if (err.code === 26) return [];
+    throw err;
+  }
+};
+
+const migrateIndexes = async () => {
+  try {
+    for (const { model, name } of LEGACY_INDEXES) {
+      const names = await existingIndexNames(model);
+      if (names.includes(name)) {
+        await model.collection.dropIndex(name);
+        console.log(`✔ Dropped legacy ${model.collection.collectionName} index ${name}`);
+      }
+      await model.createIndexes();
+    }
+    return true;
+  } catch (err) {
+    console.error('❌ Failed to migrate indexes:', err);
+    return false;
+  }
+};
+
+module.exports = { migrateIndexes, LEGACY_INDEXES };
@@ -0,0 +1,155 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const browserPool = require('../services/browserPool');
+const puppeteerScraper = require('../services/puppeteerScraper');
+const ebayAdapter = require('../adapters/ebayAdapter');
+const { findBuiltInAdapter } = require('../adapters/suppliers');
+const { DEFAULT_HEADERS } = require('../adapters/suppliers/common');
+const { BASE_URL: BESTWAY_URL } = require('../parsers/bestwayWholesale');
+const { PAGE_KINDS, parsePage } = require('../parsers');
+const { hostKey } = require('../utils/rateLimiter');
+const { resolveMarketplace, ebayItemUrl } = require('../utils/ebayMarketplace');
+
+/**
+ * Record a parser fixture from a live page
+ *
+ *   npm run fixtures:record -- <kind> <url> [name]
+ *
+ * Saves the page to tests/fixtures/<kind>/<name>.html (.json for API responses)
+ * and what the parser extracts from it to <name>.expected.json. Check the
+ * expected output by hand before committing: the fixture test asserts it.
+ *
+ * Kinds:
+ *   ebay-item        eBay item page URL (rendered with Puppeteer)
+ *   ebay-store       eBay store page URL (rendered with Puppeteer)
+ *   browse           eBay item URL or item ID (Browse API, needs EBAY_APP_ID and EBAY_CERT_ID)
+ *   finding          eBay item URL or item ID (Finding API, needs EBAY_APP_ID)
+ *                    (a bare item ID is looked up on the default marketplace)
+ *   supplier         Supplier product page URL (parsed by the built-in adapter for its host)
+ *   bestway-search   Bestway Wholesale search term or search URL
+ *   bestway-product  Bestway Wholesale product page URL
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '../../tests/fixtures');
+
+const renderPage = (url, selector) => browserPool.withPage(async (page) => {
+  await puppeteerScraper.navigateWithRetry(page, url);
+  await puppeteerScraper.waitForContent(page, selector);
+  return { url: page.url() || url, body: await page.content() };
+});
+
+const fetchPage = async (url, headers = DEFAULT_HEADERS) => {
+  const response = await axios.get(url, { headers, timeout: 15000, responseType: 'text' });
+  return { url, body: response.data };
+};
+
+const fetchFindingItem = async (target) => {
+  const itemId = /^\d+$/.test(target) ? target : ebayAdapter.extractItemId(target);
+  const appId = process.env.EBAY_APP_ID;
+
+  if (!itemId) {
+    throw new Error('Could not find an item ID in the URL');
+  }
+  if (!appId || appId === 'your_ebay_app_id') {
+    throw new Error('EBAY_APP_ID is not configured');
+  }
+
+  const apiUrl = process.env.EBAY_ENV === 'PRODUCTION'
+    ? 'https://svcs.ebay.com/services/search/FindingService/v1'
+    : 'https://svcs.sandbox.ebay.com/services/search/FindingService/v1';
+
+  const marketplace = resolveMarketplace(null, target);
+  const response = await axios.get(apiUrl, {
+    params: {
+      'OPERATION-NAME': 'findItemsAdvanced',
+      'SERVICE-VERSION': '1.0.0',
+      'SECURITY-APPNAME': appId,
+      'RESPONSE-DATA-FORMAT': 'JSON',
+      'REST-PAYLOAD': true,
+      'itemFilter(0).name': 'ItemID',
+      'itemFilter(0).value': itemId,
+      'paginationInput.entriesPerPage': 1,
+      'GLOBAL-ID': marketplace.findingGlobalId
+    },
+    timeout: 10000
+  });
+
+  return {
+    url: ebayItemUrl(itemId, marketplace.id),
+    body: JSON.stringify(response.data, null, 2)
+  };
+};
+
+const fetchBrowseItem = async (target) => {
+  const itemId = /^(\d+|v1\|.+)$/.test(target) ? target : ebayAdapter.extractItemId(target);
+
+  if (!itemId) {
+    throw new Error('Could not find an item ID in the URL');
+  }
+
+  const marketplace = resolveMarketplace(null, target);
+  const response = await ebayAdapter.fetchBrowseItem(itemId, marketplace.id);
+  return {
+    url: ebayItemUrl(itemId.split('|')[1] || itemId, marketplace.id),
+    body: JSON.stringify(response.data, null, 2)
+  };
+};
+
+const RECORDERS = {
+  'ebay-item': url => renderPage(url, 'h1.x-item-title__mainTitle, .x-price-primary, [itemprop="price"], #prcIsum'),
+  'ebay-store': url => renderPage(url, 'a[href*="/itm/"]'),
+  browse: fetchBrowseItem,
+  finding: fetchFindingItem,
+  supplier: url => fetchPage(url, findBuiltInAdapter(url).headers || DEFAULT_HEADERS),
+  'bestway-search': target => fetchPage(/^https?:\/\//.test(target)
+    ? target
+    : `${BESTWAY_URL}/search?w=${encodeURIComponent(target)}`),
+  'bestway-product': url => fetchPage(url)
+};
+
+const recordFixture = async (kind, target, name) => {
+  const { url, body } = await RECORDERS[kind](target);
+
+  let expected;
+  try {
+    expected = parsePage(kind, body, url);
+  } catch (error) {
+    // Pages the parser rejects are fixtures too
+    expected = { error: error.message };
+  }
+
+  const dir = path.join(FIXTURES_DIR, kind);
+  const fixtureName = name || `${hostKey(url).replace(/[^a-z0-9]+/gi, '-')}-${Date.now()}`;
+  const extension = ['browse', 'finding'].includes(kind) ? 'json' : 'html';
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${fixtureName}.${extension}`), body);
+  fs.writeFileSync(
+    path.join(dir, `${fixtureName}.expected.json`),
+    `${JSON.stringify({ url, recordedAt: new Date().toISOString(), expected }, null, 2)}\n`
+  );
+
+  console.log(`✓ Recorded tests/fixtures/${kind}/${fixtureName}.${extension}`);
+  console.log(JSON.stringify(expected, null, 2));
+};
+
+const [kind, target, name] = process.argv.slice(2);
+
+if (!RECORDERS[kind] || !target) {
+  console.error('Usage: npm run fixtures:record -- <kind> <url> [name]');
+  console.error(`Kinds: ${PAGE_KINDS.join(', ')}`);
+  process.exit(1);
+}
+
+recordFixture(kind, target, name)
+  .then(async () => {
+    await browserPool.closeAll();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Recording failed:', error.message);
+    await browserPool.closeAll();
+    process.exit(1);
+  });
@@ -5,6 +5,8 @@ const Product = require('../models/Product');
 const Settings = require('../models/Settings');
 const Alert = require('../models/Alert');
 const PriceHistory = require('../models/PriceHistory');
+const FeeProfile = require('../models/FeeProfile');
+const { updateProfit } = require('../services/profitService');
 
 const connectDB = async () => {
   try {
@@ -30,6 +32,7 @@ const seedDatabase = async () => {
     await Settings.deleteMany({});
     await Alert.deleteMany({});
     await PriceHistory.deleteMany({});
+    await FeeProfile.deleteMany({});
     console.log('✓ Data cleared\n');
 
     // Create demo user
@@ -59,6 +62,15 @@ const seedDatabase = async () => {
     });
     console.log('✓ Settings created\n');
 
+    // Default eBay fees for profit calculation
+    console.log('Creating fee profile...');
+    await FeeProfile.create({
+      userId: user._id,
+      name: 'eBay UK private seller',
+      isDefault: true
+    });
+    console.log('✓ Fee profile created\n');
+
     // Create sample products
     console.log('Creating sample products...');
     const products = [
@@ -137,7 +149,7 @@ const seedDatabase = async () => {
     const createdProducts = [];
     for (const productData of products) {
       const product = await Product.create(productData);
-      product.calculateProfit();
+      await updateProfit(product);
       await product.save();
       createdProducts.push(product);
       console.log(`✓ Created: ${product.title}`);
@@ -2,14 +2,20 @@ require('dotenv').config();
 const app = require('./app');
 const { connectDB } = require('./config/database');
 const { startCron } = require('./services/cronService');
+const { startImportWorker } = require('./services/importJobService');
+const { startWebhookRetryWorker } = require('./services/webhookService');
+const { loadStoredRates } = require('./services/currencyService');
 const { createInitialUser } = require('./scripts/createInitialUser');
+const { migrateIndexes } = require('./scripts/migrateIndexes');
 const path = require('path');
 const express = require('express');
 
 const startServer = async () => {
   try {
     await connectDB();
+    await migrateIndexes();
     await createInitialUser();
+    await loadStoredRates();
 
     const PORT = process.env.PORT || 5000;
     const __dirname1 = path.resolve();
@@ -36,6 +42,8 @@ const startServer = async () => {
       console.log(`🔗 API: http://localhost:${PORT}/api`);
       console.log(`💚 Health: http://localhost:${PORT}/health`);
       startCron();
+      startImportWorker();
+      startWebhookRetryWorker();
     });
 
   } catch (error) {
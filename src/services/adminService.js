@@ -0,0 +1,97 @@
+const Product = require('../models/Product');
+const Settings = require('../models/Settings');
+const MonitoringRun = require('../models/MonitoringRun');
+const AdminAuditLog = require('../models/AdminAuditLog');
+
+/**
+ * Admin Service
+ * Per-user product counts, monitoring load and the audit log for the admin console
+ */
+
+const DEFAULT_FREQUENCY = 30;
+
+/**
+ * Product checks per hour an owner's cron asks for
+ * Every active product is checked once per monitoring frequency
+ */
+const checksPerHour = (activeProducts, monitoringFrequency = DEFAULT_FREQUENCY) => {
+  const frequency = Math.max(15, monitoringFrequency || DEFAULT_FREQUENCY);
+  return Math.round((activeProducts * 60 / frequency) * 100) / 100;
+};
+
+/**
+ * Personal product counts, monitoring frequency, checks per hour and last run per user
+ * @param {Array} userIds
+ * @returns {Map} user ID string -> { products, activeProducts, monitoringFrequency, checksPerHour, lastRun }
+ */
+const getUsersLoad = async (userIds) => {
+  const [productCounts, settingsList, lastRuns] = await Promise.all([
+    Product.aggregate([
+      { $match: { userId: { $in: userIds }, organizationId: null } },
+      {
+        $group: {
+          _id: '$userId',
+          products: { $sum: 1 },
+          activeProducts: { $sum: { $cond: ['$isActive', 1, 0] } }
+        }
+      }
+    ]),
+    Settings.find({ userId: { $in: userIds } }).select('userId monitoringFrequency'),
+    MonitoringRun.aggregate([
+      { $match: { userId: { $in: userIds }, organizationId: null } },
+      { $sort: { startedAt: -1 } },
+      {
+        $group: {
+          _id: '$userId',
+          startedAt: { $first: '$startedAt' },
+          status: { $first: '$status' },
+          checked: { $first: '$checked' },
+          failed: { $first: '$failed' },
+          durationMs: { $first: '$durationMs' }
+        }
+      }
+    ])
+  ]);
+
+  const countsById = new Map(productCounts.map(row => [String(row._id), row]));
+  const settingsById = new Map(settingsList.map(settings => [String(settings.userId), settings]));
+  const runsById = new Map(lastRuns.map(({ _id, ...run }) => [String(_id), run]));
+
+  return new Map(userIds.map((userId) => {
+    const id = String(userId);
+    const counts = countsById.get(id) || { products: 0, activeProducts: 0 };
+    const monitoringFrequency = settingsById.get(id)?.monitoringFrequency || DEFAULT_FREQUENCY;
+
+    return [id, {
+      products: counts.products,
+      activeProducts: counts.activeProducts,
+      monitoringFrequency,
+      checksPerHour: checksPerHour(counts.activeProducts, monitoringFrequency),
+      lastRun: runsById.get(id) || null
+    }];
+  }));
+};
+
+/**
+ * Record an admin action in the audit log
+ * A failed write is logged but does not fail the action
+ */
+const recordAdminAction = async (req, action, targetUserId = null, details = undefined) => {
+  try {
+    await AdminAuditLog.create({
+      adminId: req.user._id,
+      action,
+      targetUserId,
+      details,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error.message);
+  }
+};
+
+module.exports = {
+  checksPerHour,
+  getUsersLoad,
+  recordAdminAction
+};
@@ -0,0 +1,145 @@
+const Alert = require('../models/Alert');
+const Product = require('../models/Product');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { sendAlertDigestEmail } = require('./emailService');
+const { memberWantsAlert } = require('./organizationService');
+
+/**
+ * Alert Digest Service
+ * Sends one summary email per period to users and organization members with Settings.alertDigest enabled
+ */
+
+const DIGEST_PERIODS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+// The digest job runs hourly; allow for cron drift so a digest is not pushed back a whole period
+const SCHEDULE_TOLERANCE = 5 * 60 * 1000;
+
+const isDigestDue = (settings, now = new Date()) => {
+  const period = DIGEST_PERIODS[settings.alertDigest];
+  if (!period) {
+    return false;
+  }
+  if (!settings.lastDigestSentAt) {
+    return true;
+  }
+  return now - settings.lastDigestSentAt >= period - SCHEDULE_TOLERANCE;
+};
+
+/**
+ * Send pending alerts for one user
+ * @returns {number} Number of alerts included in the digest
+ */
+const sendDigestForUser = async (userId, period) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return 0;
+  }
+
+  // Organization products are sent to the organization's members
+  const productIds = await Product.find({ userId, organizationId: null }).distinct('_id');
+  const alerts = await Alert.find({ productId: { $in: productIds }, digestPending: true })
+    .populate('productId', 'title ebayUrl')
+    .sort({ createdAt: 1 });
+
+  if (alerts.length > 0) {
+    const sent = await sendAlertDigestEmail(user.email, alerts, period);
+    if (!sent) {
+      // Keep alerts pending for the next run
+      return 0;
+    }
+
+    await Alert.updateMany(
+      { _id: { $in: alerts.map(alert => alert._id) } },
+      { $set: { digestPending: false, emailSent: true } }
+    );
+  }
+
+  await Settings.updateOne({ userId }, { $set: { lastDigestSentAt: new Date() } });
+  return alerts.length;
+};
+
+/**
+ * Send pending alerts for one organization
+ * Each member gets the alerts their notification preferences accept
+ * @returns {number} Number of alerts included in the digests
+ */
+const sendDigestForOrganization = async (organizationId, period) => {
+  const organization = await Organization.findById(organizationId).populate('members.userId', 'email');
+  if (!organization) {
+    return 0;
+  }
+
+  const productIds = await Product.find({ organizationId }).distinct('_id');
+  const alerts = await Alert.find({ productId: { $in: productIds }, digestPending: true })
+    .populate('productId', 'title ebayUrl')
+    .sort({ createdAt: 1 });
+
+  if (alerts.length > 0) {
+    let attempted = 0;
+    let sent = 0;
+
+    for (const member of organization.members) {
+      const memberAlerts = alerts.filter(alert => memberWantsAlert(member, alert.type));
+      if (!member.userId || memberAlerts.length === 0) {
+        continue;
+      }
+
+      attempted++;
+      if (await sendAlertDigestEmail(member.userId.email, memberAlerts, period)) {
+        sent++;
+      }
+    }
+
+    if (attempted > 0 && sent === 0) {
+      // Keep alerts pending for the next run
+      return 0;
+    }
+
+    await Alert.updateMany(
+      { _id: { $in: alerts.map(alert => alert._id) } },
+      { $set: { digestPending: false, emailSent: sent > 0 } }
+    );
+  }
+
+  await Settings.updateOne({ organizationId }, { $set: { lastDigestSentAt: new Date() } });
+  return alerts.length;
+};
+
+/**
+ * Send digests for every user and organization whose period has elapsed
+ * Called hourly by the cron service
+ */
+const sendDueDigests = async () => {
+  const settingsList = await Settings.find({ alertDigest: { $in: Object.keys(DIGEST_PERIODS) } });
+  let sent = 0;
+
+  for (const settings of settingsList) {
+    if (!isDigestDue(settings)) {
+      continue;
+    }
+
+    const owner = settings.organizationId ? `organization ${settings.organizationId}` : `user ${settings.userId}`;
+    try {
+      const count = settings.organizationId
+        ? await sendDigestForOrganization(settings.organizationId, settings.alertDigest)
+        : await sendDigestForUser(settings.userId, settings.alertDigest);
+      if (count > 0) sent++;
+    } catch (error) {
+      console.error(`Alert digest error for ${owner}:`, error.message);
+    }
+  }
+
+  return { sent };
+};
+
+module.exports = {
+  isDigestDue,
+  sendDigestForUser,
+  sendDigestForOrganization,
+  sendDueDigests
+};
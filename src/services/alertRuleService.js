@@ -0,0 +1,78 @@
+const AlertRule = require('../models/AlertRule');
+const Product = require('../models/Product');
+const { matchesScope } = require('../utils/ruleScope');
+const {
+  parseCondition,
+  evaluateCondition,
+  getConditionFields,
+  getPath,
+  ConditionError
+} = require('../utils/alertCondition');
+
+/**
+ * Alert Rule Service
+ * Evaluates user-defined alert rules against a product after each check
+ */
+
+/**
+ * Parse a condition and check that every field exists on Product
+ * Throws ConditionError when invalid
+ */
+const validateCondition = (condition) => {
+  const ast = parseCondition(condition);
+
+  const unknown = getConditionFields(ast).filter(field => Product.schema.pathType(field) === 'adhocOrUndefined');
+  if (unknown.length > 0) {
+    throw new ConditionError(`Unknown product field(s): ${unknown.join(', ')}`);
+  }
+
+  return ast;
+};
+
+/**
+ * Find rules that became true during this check
+ * A rule triggers when its condition holds now but did not hold before the check,
+ * so a standing condition such as "profitMargin < 10" alerts once, not every cycle.
+ * Change conditions ("increased by") are false before the check by definition.
+ * @param {Object} product - Product document after the check
+ * @param {Object} previous - Plain snapshot of the product taken before the check
+ * @returns {Array} [{ rule, oldValue, newValue }]
+ */
+const findTriggeredRules = async (product, previous) => {
+  const rules = await AlertRule.find({ userId: product.userId, isActive: true });
+  const current = product.toObject ? product.toObject() : product;
+  const triggered = [];
+
+  for (const rule of rules) {
+    if (!matchesScope(rule.scope, product)) {
+      continue;
+    }
+
+    let ast;
+    try {
+      ast = parseCondition(rule.condition);
+    } catch (error) {
+      console.error(`Invalid condition on alert rule ${rule._id}:`, error.message);
+      continue;
+    }
+
+    const isTrue = evaluateCondition(ast, current, previous);
+    const wasTrue = evaluateCondition(ast, previous, previous);
+
+    if (isTrue && !wasTrue) {
+      const [field] = getConditionFields(ast);
+      triggered.push({
+        rule,
+        oldValue: getPath(previous, field),
+        newValue: getPath(current, field)
+      });
+    }
+  }
+
+  return triggered;
+};
+
+module.exports = {
+  validateCondition,
+  findTriggeredRules
+};
@@ -0,0 +1,336 @@
+let puppeteer;
+try {
+  puppeteer = require('puppeteer');
+} catch (error) {
+  console.error('Puppeteer not installed. Please run: npm install puppeteer');
+  throw new Error('Puppeteer is required for JS-rendered page scraping. Please install it: npm install puppeteer');
+}
+
+/**
+ * Browser Pool
+ * Shared Puppeteer browsers for every scraping call site.
+ * Pages are set up once (user agent, headers, resource blocking) and reused;
+ * browsers that crash are dropped and relaunched on demand, and the pool
+ * closes everything after a period without work.
+ */
+
+const MAX_BROWSERS = parseInt(process.env.BROWSER_POOL_MAX_BROWSERS || '1', 10);
+const MAX_PAGES_PER_BROWSER = parseInt(process.env.BROWSER_POOL_MAX_PAGES || '3', 10);
+const IDLE_TIMEOUT = parseInt(process.env.BROWSER_POOL_IDLE_TIMEOUT || '60000', 10);
+const ACQUIRE_TIMEOUT = parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT || '60000', 10);
+// Pages are recycled after this many uses to keep memory in check
+const MAX_PAGE_USES = parseInt(process.env.BROWSER_POOL_MAX_PAGE_USES || '50', 10);
+const BLOCKED_RESOURCES = (process.env.BROWSER_POOL_BLOCK_RESOURCES || 'image,font,media')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+const LAUNCH_OPTIONS = {
+  headless: "new",
+  ignoreDefaultArgs: ['--disable-extensions'],
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-features=site-per-process',
+    '--disable-web-security',
+    '--disable-features=IsolateOrigins',
+    '--disable-extensions',
+    '--disable-gpu',
+    '--disable-dev-shm-usage',
+    '--disable-blink-features=AutomationControlled',
+    '--disable-infobars',
+    '--window-size=1920,1080'
+  ],
+  defaultViewport: {
+    width: 1920,
+    height: 1080
+  }
+};
+
+// [{ browser, busy: Set<page>, idle: [page], opening: pages being created, closing }]
+const entries = [];
+// Callers waiting for a free page
+const waiters = [];
+let idleTimer = null;
+
+const counters = {
+  browsersLaunched: 0,
+  browserCrashes: 0,
+  pagesCreated: 0,
+  pagesReused: 0,
+  pagesRecycled: 0,
+  requestsBlocked: 0,
+  acquireTimeouts: 0
+};
+
+const pageUses = new WeakMap();
+
+const pageCount = (entry) => entry.busy.size + entry.idle.length + entry.opening;
+
+/**
+ * Setup page with user agent, headers, webdriver removal and resource blocking
+ */
+const setupPage = async (page) => {
+  await page.setUserAgent("Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36");
+  await page.setExtraHTTPHeaders({ "accept-language": "en-GB,en-US;q=0.9,en;q=0.8" });
+  await page.evaluateOnNewDocument(() => {
+    delete navigator.__proto__.webdriver;
+  });
+
+  if (BLOCKED_RESOURCES.length > 0) {
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+
+      if (BLOCKED_RESOURCES.includes(request.resourceType())) {
+        counters.requestsBlocked++;
+        request.abort().catch(() => {});
+      } else {
+        request.continue().catch(() => {});
+      }
+    });
+  }
+};
+
+/**
+ * Launch a browser and add it to the pool
+ * A browser that disconnects (crash, killed process) is removed so the next
+ * request launches a replacement
+ */
+const launchBrowser = async () => {
+  const entry = { browser: null, busy: new Set(), idle: [], opening: 0, closing: false };
+  entries.push(entry);
+
+  try {
+    entry.browser = await puppeteer.launch(LAUNCH_OPTIONS);
+    counters.browsersLaunched++;
+  } catch (error) {
+    entries.splice(entries.indexOf(entry), 1);
+    throw error;
+  }
+
+  entry.browser.on('disconnected', () => {
+    const index = entries.indexOf(entry);
+    if (index !== -1) {
+      entries.splice(index, 1);
+    }
+    if (!entry.closing) {
+      counters.browserCrashes++;
+      console.error('Browser pool: browser disconnected unexpectedly, it will be relaunched on demand');
+    }
+    // Waiters may now be able to launch a replacement
+    wakeWaiter();
+  });
+
+  return entry;
+};
+
+/**
+ * Try to take a page without waiting
+ * @returns {Object|null} { page, entry } or null when the pool is full
+ */
+const tryAcquire = async () => {
+  // Reuse an idle page
+  for (const entry of entries) {
+    if (!entry.browser || !entry.browser.isConnected()) continue;
+
+    while (entry.idle.length > 0) {
+      const page = entry.idle.pop();
+      if (!page.isClosed()) {
+        entry.busy.add(page);
+        counters.pagesReused++;
+        return { page, entry };
+      }
+    }
+  }
+
+  // Open a page on a browser with room
+  let entry = entries.find(candidate => candidate.browser
+    && candidate.browser.isConnected()
+    && pageCount(candidate) < MAX_PAGES_PER_BROWSER);
+
+  if (!entry) {
+    if (entries.length >= MAX_BROWSERS) {
+      return null;
+    }
+    entry = await launchBrowser();
+    // Callers that found the pool full while it launched can use its other pages
+    wakeWaiter();
+  }
+
+  entry.opening++;
+  try {
+    const page = await entry.browser.newPage();
+    await setupPage(page);
+    counters.pagesCreated++;
+    entry.busy.add(page);
+    return { page, entry };
+  } finally {
+    entry.opening--;
+  }
+};
+
+/**
+ * Hand the next free slot to the longest waiting caller
+ */
+const wakeWaiter = () => {
+  const waiter = waiters.shift();
+  if (waiter) {
+    waiter();
+  }
+};
+
+const scheduleIdleShutdown = () => {
+  clearTimeout(idleTimer);
+  idleTimer = null;
+
+  const busy = entries.some(entry => entry.busy.size > 0 || entry.opening > 0);
+  if (busy || entries.length === 0 || IDLE_TIMEOUT <= 0) {
+    return;
+  }
+
+  idleTimer = setTimeout(() => {
+    idleTimer = null;
+    closeAll().catch(error => console.error('Browser pool idle shutdown error:', error.message));
+  }, IDLE_TIMEOUT);
+
+  // Never keep the process alive just to close idle browsers
+  if (idleTimer.unref) idleTimer.unref();
+};
+
+/**
+ * Take a page from the pool, waiting up to BROWSER_POOL_ACQUIRE_TIMEOUT when it is full
+ * Pages must be given back with releasePage
+ * @returns {Page}
+ */
+const acquirePage = async () => {
+  clearTimeout(idleTimer);
+  idleTimer = null;
+
+  const deadline = Date.now() + ACQUIRE_TIMEOUT;
+
+  for (;;) {
+    const acquired = await tryAcquire();
+    if (acquired) {
+      pageUses.set(acquired.page, (pageUses.get(acquired.page) || 0) + 1);
+      return acquired.page;
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      counters.acquireTimeouts++;
+      throw new Error('Browser pool timed out waiting for a free page');
+    }
+
+    await new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        const index = waiters.indexOf(wake);
+        if (index !== -1) waiters.splice(index, 1);
+        resolve();
+      }, remaining);
+      const wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      waiters.push(wake);
+    });
+  }
+};
+
+/**
+ * Give a page back to the pool
+ * @param {Page} page
+ * @param {Object} options
+ * @param {boolean} options.discard - Close the page instead of reusing it (after errors)
+ */
+const releasePage = async (page, { discard = false } = {}) => {
+  const entry = entries.find(candidate => candidate.busy.has(page));
+
+  if (entry) {
+    // The page keeps its slot until it is closed or reset
+    const worn = (pageUses.get(page) || 0) >= MAX_PAGE_USES;
+    let reusable = !discard && !worn && !page.isClosed() && entry.browser.isConnected();
+
+    if (reusable) {
+      try {
+        // Stop the previous page's scripts and timers while it waits
+        await page.goto('about:blank', { timeout: 5000 });
+      } catch (error) {
+        reusable = false;
+      }
+    }
+
+    if (!reusable) {
+      if (worn) counters.pagesRecycled++;
+      await page.close().catch(() => {});
+    }
+
+    entry.busy.delete(page);
+    if (reusable) {
+      entry.idle.push(page);
+    }
+  } else {
+    // Browser already gone
+    await page.close().catch(() => {});
+  }
+
+  wakeWaiter();
+  scheduleIdleShutdown();
+};
+
+/**
+ * Run fn with a pooled page and always give it back
+ * The page is discarded if fn throws, in case it was left in a broken state
+ */
+const withPage = async (fn) => {
+  const page = await acquirePage();
+  let failed = false;
+
+  try {
+    return await fn(page);
+  } catch (error) {
+    failed = true;
+    throw error;
+  } finally {
+    await releasePage(page, { discard: failed });
+  }
+};
+
+/**
+ * Close every browser in the pool
+ */
+const closeAll = async () => {
+  clearTimeout(idleTimer);
+  idleTimer = null;
+
+  const closing = entries.splice(0, entries.length);
+  await Promise.all(closing.map(async (entry) => {
+    entry.closing = true;
+    if (entry.browser) {
+      await entry.browser.close().catch(() => {});
+    }
+  }));
+};
+
+/**
+ * Pool size, usage and lifetime counters
+ */
+const getStats = () => ({
+  maxBrowsers: MAX_BROWSERS,
+  maxPagesPerBrowser: MAX_PAGES_PER_BROWSER,
+  idleTimeout: IDLE_TIMEOUT,
+  blockedResourceTypes: BLOCKED_RESOURCES,
+  browsers: entries.length,
+  pagesInUse: entries.reduce((sum, entry) => sum + entry.busy.size, 0),
+  idlePages: entries.reduce((sum, entry) => sum + entry.idle.length, 0),
+  waiting: waiters.length,
+  ...counters
+});
+
+module.exports = {
+  acquirePage,
+  releasePage,
+  withPage,
+  closeAll,
+  getStats
+};
@@ -0,0 +1,84 @@
+const CheckLog = require('../models/CheckLog');
+
+/**
+ * Check Log Service
+ * Builds and stores the per-product record of how each monitoring check went
+ */
+
+/**
+ * What could be read from fetched data
+ * ok: title, price and a known stock status; partial: price but not the rest; failed: nothing usable
+ */
+const parseResultFor = (data) => {
+  if (!data || !(data.price > 0)) {
+    return 'failed';
+  }
+  return data.title && data.stock && data.stock !== 'unknown' ? 'ok' : 'partial';
+};
+
+/**
+ * Describe one page fetch for the check log
+ * @param {string} url
+ * @param {number} startedAt - Date.now() before the fetch
+ * @param {Object} result - { data } on success or { error } on failure
+ */
+const describeFetch = (url, startedAt, { data = null, error = null } = {}) => {
+  const attempts = data?.attempts || error?.attempts;
+  const lastAttempt = attempts && attempts.length > 0 ? attempts[attempts.length - 1] : null;
+
+  return {
+    source: data?.source || data?.adapter || (error?.adapter && !attempts ? error.adapter : 'none'),
+    url,
+    httpStatus: data?.httpStatus ?? lastAttempt?.httpStatus ?? error?.httpStatus ?? null,
+    parseResult: parseResultFor(data),
+    error: error ? error.message : null,
+    durationMs: Date.now() - startedAt,
+    attempts
+  };
+};
+
+/**
+ * Overall status of a check from its fetches
+ */
+const checkStatus = ({ ebay, supplier, error }) => {
+  if (error || !ebay || ebay.parseResult === 'failed') {
+    return 'failed';
+  }
+  if (supplier && supplier.parseResult === 'failed') {
+    return 'partial';
+  }
+  return 'success';
+};
+
+/**
+ * Store the log of a check
+ * Never throws, a logging failure must not fail the check
+ * @param {Object} product
+ * @param {Object} log - { runId, ebay, supplier, changed, error, startedAt }
+ * @returns {Object|null} The saved CheckLog
+ */
+const recordCheck = async (product, { runId = null, ebay = null, supplier = null, changed = false, error = null, startedAt }) => {
+  try {
+    return await CheckLog.create({
+      productId: product._id,
+      userId: product.userId,
+      runId,
+      status: checkStatus({ ebay, supplier, error }),
+      ebay: ebay || undefined,
+      supplier: supplier || undefined,
+      changed,
+      error: error ? error.message : undefined,
+      durationMs: Date.now() - startedAt
+    });
+  } catch (logError) {
+    console.error(`Error saving check log for product ${product._id}:`, logError.message);
+    return null;
+  }
+};
+
+module.exports = {
+  parseResultFor,
+  describeFetch,
+  checkStatus,
+  recordCheck
+};
@@ -1,58 +1,16 @@
 const axios = require('axios');
-
-// Cache for eBay OAuth token
-let cachedToken = null;
-let tokenExpiry = null;
-
-/**
- * Get eBay OAuth token using client credentials
- */
-const getEbayToken = async () => {
-  // Return cached token if still valid
-  if (cachedToken && tokenExpiry && Date.now() < tokenExpiry) {
-    return cachedToken;
-  }
-
-  const appId = process.env.EBAY_APP_ID;
-  const certId = process.env.EBAY_CERT_ID;
-
-  if (!appId || !certId || appId === 'your_ebay_app_id') {
-    throw new Error('eBay API credentials not configured');
-  }
-
-  try {
-    const credentials = Buffer.from(`${appId}:${certId}`).toString('base64');
-    const tokenUrl = process.env.EBAY_ENV === 'PRODUCTION'
-      ? 'https://api.ebay.com/identity/v1/oauth2/token'
-      : 'https://api.sandbox.ebay.com/identity/v1/oauth2/token';
-
-    const response = await axios.post(
-      tokenUrl,
-      'grant_type=client_credentials&scope=https://api.ebay.com/oauth/api_scope',
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Basic ${credentials}`
-        }
-      }
-    );
-
-    cachedToken = response.data.access_token;
-    tokenExpiry = Date.now() + (response.data.expires_in * 1000) - 60000; // Refresh 1 min early
-
-    return cachedToken;
-  } catch (error) {
-    console.error('Failed to get eBay OAuth token:', error.message);
-    throw error;
-  }
-};
+const { LIMITS, EBAY_API_KEY, waitForToken } = require('../utils/rateLimiter');
+const { getEbayApiUrl, getEbayToken } = require('./ebayAuthService');
+const { resolveMarketplace, ebayItemUrl } = require('../utils/ebayMarketplace');
 
 /**
  * Fetch real competitor data using eBay Browse API
+ * Searches the product's marketplace for listings delivering to its country
  */
 const fetchRealCompetitors = async (product) => {
   try {
     const token = await getEbayToken();
+    const marketplace = resolveMarketplace(product.ebayMarketplace, product.ebayUrl);
     
     // Use product title for search
     const searchQuery = product.title
@@ -62,19 +20,19 @@ const fetchRealCompetitors = async (product) => {
       .slice(0, 5) // Use first 5 words
       .join(' ');
 
-    const browseUrl = process.env.EBAY_ENV === 'PRODUCTION'
-      ? 'https://api.ebay.com/buy/browse/v1/item_summary/search'
-      : 'https://api.sandbox.ebay.com/buy/browse/v1/item_summary/search';
+    const browseUrl = getEbayApiUrl('/buy/browse/v1/item_summary/search');
+
+    await waitForToken(EBAY_API_KEY, LIMITS.ebayApi);
 
     const response = await axios.get(browseUrl, {
       headers: {
         'Authorization': `Bearer ${token}`,
-        'X-EBAY-C-MARKETPLACE-ID': 'EBAY_GB'
+        'X-EBAY-C-MARKETPLACE-ID': marketplace.id
       },
       params: {
         q: searchQuery,
         limit: 20,
-        filter: 'deliveryCountry:GB',
+        filter: `deliveryCountry:${marketplace.country}`,
         sort: 'price'
       }
     });
@@ -94,9 +52,9 @@ const fetchRealCompetitors = async (product) => {
         shippingCost: item.shippingOptions?.[0]?.shippingCost?.value 
           ? parseFloat(item.shippingOptions[0].shippingCost.value) 
           : 0,
-        location: item.itemLocation?.country || 'United Kingdom',
+        location: item.itemLocation?.country || marketplace.country,
         listingId: item.itemId,
-        url: item.itemWebUrl || `https://www.ebay.co.uk/itm/${item.itemId}`,
+        url: item.itemWebUrl || ebayItemUrl(item.legacyItemId || item.itemId, marketplace.id),
         feedbackScore: item.seller?.feedbackPercentage || 0,
         condition: item.condition || 'Unknown',
         image: item.image?.imageUrl || null,
@@ -1,7 +1,9 @@
 const cron = require('node-cron');
-const { checkProductsForUser } = require('./monitoringService');
+const { checkProductsForUser, checkProductsForOrganization } = require('./monitoringService');
+const { sendDueDigests } = require('./alertDigestService');
 const Settings = require('../models/Settings');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
 
 /**
  * Cron Service
@@ -9,9 +11,15 @@ const User = require('../models/User');
  * Removed global MONITOR_FREQUENCY - now uses Settings model per user
  */
 
-// Store active cron jobs per user
+// Store active cron jobs per user, keyed by user ID string
 const userCronJobs = new Map();
 
+// Organizations have their own monitoring frequency in their settings
+const organizationCronJobs = new Map();
+
+// Hourly job sending alert digests
+let digestCronJob = null;
+
 const ensureUserSettings = async (userId) => {
   let settings = await Settings.findOne({ userId });
   if (!settings) {
@@ -20,6 +28,14 @@ const ensureUserSettings = async (userId) => {
   return settings;
 };
 
+const ensureOrganizationSettings = async (organizationId) => {
+  let settings = await Settings.findOne({ organizationId });
+  if (!settings) {
+    settings = await Settings.create({ organizationId });
+  }
+  return settings;
+};
+
 /**
  * Convert monitoring frequency (minutes) to cron expression
  * Minimum frequency: 15 minutes
@@ -43,83 +59,190 @@ const frequencyToCron = (frequencyMinutes) => {
   return '0 0 * * *';
 };
 
+/**
+ * Schedule a monitoring job and keep its state in jobs
+ * Entries hold the job with its frequency and the outcome of its last run,
+ * reported by getCronState
+ * @param {string} label - Job owner for error logs, e.g. "user <id>"
+ */
+const scheduleMonitoringJob = (jobs, key, monitoringFrequency, label, task) => {
+  const cronExpression = frequencyToCron(monitoringFrequency);
+  const entry = {
+    monitoringFrequency,
+    cronExpression,
+    createdAt: new Date(),
+    lastRunAt: null,
+    lastRunError: null,
+    running: false
+  };
+
+  entry.job = cron.schedule(cronExpression, async () => {
+    entry.running = true;
+    entry.lastRunAt = new Date();
+    // Reduced logging - only log errors
+    try {
+      await task();
+      entry.lastRunError = null;
+    } catch (error) {
+      entry.lastRunError = error.message;
+      console.error(`Cron job error for ${label}:`, error);
+    } finally {
+      entry.running = false;
+    }
+  }, {
+    scheduled: false // Don't start immediately
+  });
+
+  // Start the cron job
+  entry.job.start();
+  jobs.set(key, entry);
+
+  return entry.job;
+};
+
+/**
+ * Stop a user's cron job (when the user is deactivated)
+ */
+const stopUserCron = (userId) => {
+  const key = String(userId);
+  if (userCronJobs.has(key)) {
+    userCronJobs.get(key).job.stop();
+    userCronJobs.delete(key);
+  }
+};
+
 /**
  * Create or update cron job for a specific user
  */
 const createUserCron = async (userId, settings) => {
   // Stop existing cron if any
-  if (userCronJobs.has(userId)) {
-    userCronJobs.get(userId).stop();
-    userCronJobs.delete(userId);
-  }
+  stopUserCron(userId);
 
   const resolvedSettings = settings || await ensureUserSettings(userId);
 
   // Get monitoring frequency from settings
   const monitoringFrequency = resolvedSettings?.monitoringFrequency || 30; // Default 30 minutes
-  const cronExpression = frequencyToCron(monitoringFrequency);
 
   // Reduced logging - only log on creation
   if (process.env.NODE_ENV === 'development') {
     console.log(`Creating cron job for user ${userId} with frequency ${monitoringFrequency} minutes`);
   }
 
-  // Create new cron job
-  const cronJob = cron.schedule(cronExpression, async () => {
-    // Reduced logging - only log errors
-    try {
-      const user = await User.findById(userId);
-      if (user) {
-        const userSettings = await ensureUserSettings(userId);
-        await checkProductsForUser(user, userSettings);
-      }
-    } catch (error) {
-      console.error(`Cron job error for user ${userId}:`, error);
+  return scheduleMonitoringJob(userCronJobs, String(userId), monitoringFrequency, `user ${userId}`, async () => {
+    const user = await User.findById(userId);
+    if (user && user.isActive !== false) {
+      const userSettings = await ensureUserSettings(userId);
+      await checkProductsForUser(user, userSettings);
     }
-  }, {
-    scheduled: false // Don't start immediately
   });
+};
 
-  // Start the cron job
-  cronJob.start();
-  userCronJobs.set(userId, cronJob);
+/**
+ * Create or update the cron job of an organization's shared products
+ */
+const createOrganizationCron = async (organizationId, settings) => {
+  stopOrganizationCron(organizationId);
+
+  const resolvedSettings = settings || await ensureOrganizationSettings(organizationId);
+
+  const monitoringFrequency = resolvedSettings.monitoringFrequency || 30;
+  return scheduleMonitoringJob(organizationCronJobs, String(organizationId), monitoringFrequency, `organization ${organizationId}`, async () => {
+    const organization = await Organization.findById(organizationId);
+    if (organization) {
+      const organizationSettings = await ensureOrganizationSettings(organizationId);
+      await checkProductsForOrganization(organization, organizationSettings);
+    }
+  });
+};
 
-  return cronJob;
+/**
+ * Stop an organization's cron job (when the organization is deleted)
+ */
+const stopOrganizationCron = (organizationId) => {
+  const key = String(organizationId);
+  if (organizationCronJobs.has(key)) {
+    organizationCronJobs.get(key).job.stop();
+    organizationCronJobs.delete(key);
+  }
 };
 
 /**
- * Initialize cron jobs for all users
+ * Scheduled jobs with their frequency and last run, for the admin console
+ */
+const getCronState = () => {
+  const describe = (jobs, idField) => [...jobs.entries()].map(([key, entry]) => ({
+    [idField]: key,
+    monitoringFrequency: entry.monitoringFrequency,
+    cronExpression: entry.cronExpression,
+    createdAt: entry.createdAt,
+    lastRunAt: entry.lastRunAt,
+    lastRunError: entry.lastRunError,
+    running: entry.running
+  }));
+
+  return {
+    users: describe(userCronJobs, 'userId'),
+    organizations: describe(organizationCronJobs, 'organizationId'),
+    digestScheduled: Boolean(digestCronJob)
+  };
+};
+
+/**
+ * Initialize cron jobs for all users and organizations
  */
 const initializeCronJobs = async () => {
   try {
     console.log('Initializing user-specific cron jobs...');
     
-    // Get all users with settings
-    const users = await User.find({});
+    // Get all active users
+    const users = await User.find({ isActive: { $ne: false } });
     
     for (const user of users) {
       await createUserCron(user._id);
     }
 
-    console.log(`Initialized ${userCronJobs.size} user cron jobs`);
+    const organizations = await Organization.find({}).select('_id');
+    for (const organization of organizations) {
+      await createOrganizationCron(organization._id);
+    }
+
+    console.log(`Initialized ${userCronJobs.size} user and ${organizationCronJobs.size} organization cron jobs`);
   } catch (error) {
     console.error('Error initializing cron jobs:', error);
   }
 };
 
+/**
+ * Schedule the hourly alert digest job
+ */
+const startDigestCron = () => {
+  if (digestCronJob) {
+    digestCronJob.stop();
+  }
+
+  digestCronJob = cron.schedule('0 * * * *', async () => {
+    try {
+      await sendDueDigests();
+    } catch (error) {
+      console.error('Alert digest job error:', error);
+    }
+  });
+};
+
 /**
  * Start cron system
  * Initializes cron jobs for all users
  */
 const startCron = async () => {
   await initializeCronJobs();
+  startDigestCron();
   
   // Run initial check after 5 seconds (only if DB is connected)
   setTimeout(async () => {
     console.log('Running initial product check for all users...');
     try {
       // checkProductsForUser() without params checks all users
-      const result = await checkProductsForUser();
+      const result = await checkProductsForUser(null, null, { trigger: 'startup' });
       if (result) {
         console.log(`Initial check complete. Checked: ${result.checked || 0}, Skipped: ${result.skipped || 0}`);
       }
@@ -134,11 +257,19 @@ const startCron = async () => {
  * Stop all cron jobs
  */
 const stopCron = () => {
-  userCronJobs.forEach((cronJob, userId) => {
-    cronJob.stop();
+  userCronJobs.forEach((entry, userId) => {
+    entry.job.stop();
     console.log(`Stopped cron job for user ${userId}`);
   });
   userCronJobs.clear();
+
+  organizationCronJobs.forEach(entry => entry.job.stop());
+  organizationCronJobs.clear();
+
+  if (digestCronJob) {
+    digestCronJob.stop();
+    digestCronJob = null;
+  }
   console.log('All cron jobs stopped');
 };
 
@@ -154,12 +285,24 @@ const restartUserCron = async (userId) => {
   }
 };
 
+/**
+ * Restart cron for an organization (when its settings change)
+ */
+const restartOrganizationCron = async (organizationId) => {
+  try {
+    await createOrganizationCron(organizationId);
+  } catch (error) {
+    console.error(`Error restarting cron for organization ${organizationId}:`, error);
+  }
+};
+
 /**
  * Restart all cron jobs
  */
 const restartCron = async () => {
   stopCron();
   await initializeCronJobs();
+  startDigestCron();
   console.log('All cron jobs restarted');
 };
 
@@ -168,6 +311,10 @@ module.exports = {
   stopCron,
   restartCron,
   restartUserCron,
-  createUserCron
+  createUserCron,
+  stopUserCron,
+  restartOrganizationCron,
+  stopOrganizationCron,
+  getCronState
 };
 
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const Settings = require('../models/Settings');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../utils/currency');
+const { ownerQuery } = require('../utils/workspace');
+
+/**
+ * Currency Service
+ * Keeps the exchange rate table in memory so conversions are synchronous.
+ * Rates are loaded from EXCHANGE_RATES_FILE (default src/config/exchangeRates.json)
+ * and overridden by rates stored through the admin endpoint.
+ * Internally every rate is "units of currency per 1 GBP".
+ */
+
+const RATES_BASE = 'GBP';
+const RATES_FILE = process.env.EXCHANGE_RATES_FILE || path.join(__dirname, '../config/exchangeRates.json');
+
+let rates = { [RATES_BASE]: 1 };
+let updatedAt = null;
+
+/**
+ * Re-express a rate table quoted against any base as rates per 1 GBP
+ * Partial tables are allowed as long as their base is already known
+ * @returns {Object} { rates } or { error }
+ */
+const normalizeRates = (base, table, current = rates) => {
+  const baseCode = normalizeCurrency(base);
+  if (!baseCode) {
+    return { error: 'Base currency must be a 3-letter code' };
+  }
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    return { error: 'Rates must be an object of currency codes to rates' };
+  }
+
+  // Units of the base currency per 1 GBP
+  const baseRate = baseCode === RATES_BASE
+    ? 1
+    : table[RATES_BASE] > 0 ? 1 / table[RATES_BASE] : current[baseCode];
+
+  if (!baseRate) {
+    return { error: `No ${RATES_BASE} rate known for base currency ${baseCode}` };
+  }
+
+  const normalized = {};
+  for (const [code, rate] of Object.entries(table)) {
+    const currency = normalizeCurrency(code);
+    if (!currency || typeof rate !== 'number' || !(rate > 0)) {
+      return { error: `Invalid rate for ${code}` };
+    }
+    normalized[currency] = rate * baseRate;
+  }
+  normalized[baseCode] = baseRate;
+  normalized[RATES_BASE] = 1;
+
+  return { rates: normalized };
+};
+
+/**
+ * Load the rate file synchronously (used at module load)
+ */
+const loadRatesFile = (file = RATES_FILE) => {
+  try {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const result = normalizeRates(content.base || RATES_BASE, content.rates || {}, { [RATES_BASE]: 1 });
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    rates = { ...rates, ...result.rates };
+    updatedAt = new Date();
+  } catch (error) {
+    console.error(`Could not load exchange rates from ${file}:`, error.message);
+  }
+};
+
+/**
+ * Apply rates stored through the admin endpoint on top of the file
+ */
+const loadStoredRates = async () => {
+  try {
+    const stored = await ExchangeRate.find({});
+    stored.forEach(entry => {
+      rates[entry.currency] = entry.rate;
+      if (!updatedAt || entry.updatedAt > updatedAt) updatedAt = entry.updatedAt;
+    });
+  } catch (error) {
+    console.error('Could not load stored exchange rates:', error.message);
+  }
+};
+
+/**
+ * Store new rates
+ * @param {string} base - Currency the rates are quoted against
+ * @param {Object} table - { USD: 1.27, EUR: 1.17 }
+ */
+const updateRates = async (base, table, userId = null) => {
+  const result = normalizeRates(base, table);
+  if (result.error) {
+    return result;
+  }
+
+  for (const [currency, rate] of Object.entries(result.rates)) {
+    await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { currency, rate, updatedBy: userId, updatedAt: new Date() },
+      { upsert: true, runValidators: true }
+    );
+  }
+
+  rates = { ...rates, ...result.rates };
+  updatedAt = new Date();
+  return { rates: getRates().rates };
+};
+
+/**
+ * Current rate table, optionally quoted against another base
+ */
+const getRates = (base = RATES_BASE) => {
+  const baseRate = rates[base] || 1;
+  const table = {};
+  Object.keys(rates).sort().forEach(code => {
+    table[code] = Number((rates[code] / baseRate).toFixed(6));
+  });
+  return { base: rates[base] ? base : RATES_BASE, rates: table, updatedAt };
+};
+
+const hasRate = (currency) => Boolean(rates[currency]);
+
+/**
+ * Convert an amount between currencies
+ * @returns {number|null} null when a rate is missing
+ */
+const convert = (amount, from = DEFAULT_CURRENCY, to = DEFAULT_CURRENCY) => {
+  const source = from || DEFAULT_CURRENCY;
+  const target = to || DEFAULT_CURRENCY;
+
+  if (source === target) return amount;
+  if (!rates[source] || !rates[target]) return null;
+
+  return (amount / rates[source]) * rates[target];
+};
+
+/**
+ * Base currency from the settings of a user or organization
+ * @param {Object} owner - { userId, organizationId }, e.g. a product
+ */
+const getBaseCurrency = async (owner) => {
+  const settings = await Settings.findOne(ownerQuery(owner)).select('baseCurrency');
+  return settings?.baseCurrency || DEFAULT_CURRENCY;
+};
+
+loadRatesFile();
+
+module.exports = {
+  RATES_BASE,
+  normalizeRates,
+  loadRatesFile,
+  loadStoredRates,
+  updateRates,
+  getRates,
+  hasRate,
+  convert,
+  getBaseCurrency
+};
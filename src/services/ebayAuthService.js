@@ -0,0 +1,99 @@
+const axios = require('axios');
+
+/**
+ * eBay OAuth
+ * Application tokens (client credentials grant) for the RESTful APIs, shared
+ * by the Browse API item lookups, competitor search and store import
+ */
+
+const API_SCOPE = 'https://api.ebay.com/oauth/api_scope';
+
+// Cache for eBay OAuth token
+let cachedToken = null;
+let tokenExpiry = null;
+// Concurrent callers share one token request
+let pendingToken = null;
+
+/**
+ * Whether EBAY_APP_ID and EBAY_CERT_ID are set
+ */
+const isEbayApiConfigured = () => {
+  const appId = process.env.EBAY_APP_ID;
+  const certId = process.env.EBAY_CERT_ID;
+  return Boolean(appId && certId && appId !== 'your_ebay_app_id' && certId !== 'your_ebay_cert_id');
+};
+
+/**
+ * Full URL of a RESTful API path, production or sandbox by EBAY_ENV
+ * e.g. getEbayApiUrl('/buy/browse/v1/item_summary/search')
+ */
+const getEbayApiUrl = (path) => {
+  const host = process.env.EBAY_ENV === 'PRODUCTION'
+    ? 'https://api.ebay.com'
+    : 'https://api.sandbox.ebay.com';
+  return `${host}${path}`;
+};
+
+const requestToken = async () => {
+  const credentials = Buffer.from(`${process.env.EBAY_APP_ID}:${process.env.EBAY_CERT_ID}`).toString('base64');
+
+  const response = await axios.post(
+    getEbayApiUrl('/identity/v1/oauth2/token'),
+    `grant_type=client_credentials&scope=${API_SCOPE}`,
+    {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${credentials}`
+      },
+      timeout: 10000
+    }
+  );
+
+  cachedToken = response.data.access_token;
+  tokenExpiry = Date.now() + (response.data.expires_in * 1000) - 60000; // Refresh 1 min early
+
+  return cachedToken;
+};
+
+/**
+ * Get eBay OAuth token using client credentials
+ * Cached until a minute before it expires
+ */
+const getEbayToken = async () => {
+  // Return cached token if still valid
+  if (cachedToken && tokenExpiry && Date.now() < tokenExpiry) {
+    return cachedToken;
+  }
+
+  if (!isEbayApiConfigured()) {
+    throw new Error('eBay API credentials not configured');
+  }
+
+  if (!pendingToken) {
+    pendingToken = requestToken()
+      .catch((error) => {
+        console.error('Failed to get eBay OAuth token:', error.message);
+        throw error;
+      })
+      .finally(() => {
+        pendingToken = null;
+      });
+  }
+
+  return pendingToken;
+};
+
+/**
+ * Drop the cached token, e.g. after eBay rejects it with a 401
+ */
+const clearEbayToken = () => {
+  cachedToken = null;
+  tokenExpiry = null;
+};
+
+module.exports = {
+  isEbayApiConfigured,
+  getEbayApiUrl,
+  getEbayToken,
+  clearEbayToken
+};
@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { formatMoney } = require('../utils/currency');
 
 /**
  * Email Service
@@ -42,9 +43,9 @@ const sendAlertEmail = async (userEmail, alert, product) => {
           <h2>Price Increase Alert</h2>
           <p>The price for <strong>${product.title}</strong> has increased.</p>
           <ul>
-            <li><strong>Old Price:</strong> $${alert.oldValue}</li>
-            <li><strong>New Price:</strong> $${alert.newValue}</li>
-            <li><strong>Change:</strong> +$${(alert.newValue - alert.oldValue).toFixed(2)}</li>
+            <li><strong>Old Price:</strong> ${formatMoney(alert.oldValue, alert.currency)}</li>
+            <li><strong>New Price:</strong> ${formatMoney(alert.newValue, alert.currency)}</li>
+            <li><strong>Change:</strong> +${formatMoney(alert.newValue - alert.oldValue, alert.currency)}</li>
           </ul>
           <p><a href="${product.ebayUrl}">View Product on eBay</a></p>
         `;
@@ -56,9 +57,9 @@ const sendAlertEmail = async (userEmail, alert, product) => {
           <h2>Price Decrease Alert</h2>
           <p>Good news! The price for <strong>${product.title}</strong> has decreased.</p>
           <ul>
-            <li><strong>Old Price:</strong> $${alert.oldValue}</li>
-            <li><strong>New Price:</strong> $${alert.newValue}</li>
-            <li><strong>Savings:</strong> -$${(alert.oldValue - alert.newValue).toFixed(2)}</li>
+            <li><strong>Old Price:</strong> ${formatMoney(alert.oldValue, alert.currency)}</li>
+            <li><strong>New Price:</strong> ${formatMoney(alert.newValue, alert.currency)}</li>
+            <li><strong>Savings:</strong> -${formatMoney(alert.oldValue - alert.newValue, alert.currency)}</li>
           </ul>
           <p><a href="${product.ebayUrl}">View Product on eBay</a></p>
         `;
@@ -84,6 +85,26 @@ const sendAlertEmail = async (userEmail, alert, product) => {
         `;
         break;
 
+      case 'low_stock':
+        subject = `Stock Alert: ${product.title} - Low Stock`;
+        message = `
+          <h2>Low Stock Alert</h2>
+          <p>${alert.message}</p>
+          <p>Listing: <strong>${product.title}</strong></p>
+          <p><a href="${product.ebayUrl}">View Product on eBay</a></p>
+        `;
+        break;
+
+      case 'variation_out_of_stock':
+        subject = `Stock Alert: ${product.title} - Variation Out of Stock`;
+        message = `
+          <h2>Variation Out of Stock</h2>
+          <p>${alert.message}</p>
+          <p>Listing: <strong>${product.title}</strong></p>
+          <p><a href="${product.ebayUrl}">View Product on eBay</a></p>
+        `;
+        break;
+
       case 'supplier_unavailable':
         subject = `Supplier Alert: ${product.title} - Supplier Unavailable`;
         message = `
@@ -139,6 +160,141 @@ const sendAlertEmail = async (userEmail, alert, product) => {
   }
 };
 
+/**
+ * Send alert digest email
+ * One summary of all alerts collected during the digest period
+ * @param {string} userEmail
+ * @param {Array} alerts - Alerts with productId populated (title, ebayUrl)
+ * @param {string} period - 'hourly' or 'daily'
+ */
+const sendAlertDigestEmail = async (userEmail, alerts, period) => {
+  try {
+    // Check if email is configured
+    if (!process.env.SMTP_USER || process.env.SMTP_USER === 'your_email@gmail.com') {
+      console.log('Email not configured, skipping alert digest');
+      return false;
+    }
+
+    const transporter = createTransporter();
+
+    const rows = alerts.map(alert => {
+      const product = alert.productId || {};
+      const repeats = alert.occurrences > 1 ? ` (x${alert.occurrences})` : '';
+      return `
+            <tr>
+              <td>${new Date(alert.createdAt).toLocaleString()}</td>
+              <td>${alert.severity}</td>
+              <td>${product.ebayUrl ? `<a href="${product.ebayUrl}">${product.title}</a>` : (product.title || 'N/A')}</td>
+              <td>${alert.message}${repeats}</td>
+            </tr>`;
+    }).join('');
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to: userEmail,
+      subject: `eBay Monitor - ${period === 'daily' ? 'Daily' : 'Hourly'} Alert Digest (${alerts.length} alert${alerts.length === 1 ? '' : 's'})`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            h2 { color: #0066c0; }
+            table { border-collapse: collapse; width: 100%; }
+            th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+            a { color: #0066c0; text-decoration: none; }
+            .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <h2>Alert Digest</h2>
+          <p>${alerts.length} alert${alerts.length === 1 ? '' : 's'} since your last digest.</p>
+          <table>
+            <tr><th>Time</th><th>Severity</th><th>Product</th><th>Alert</th></tr>
+            ${rows}
+          </table>
+          <div class="footer">
+            <p>This is an automated notification from your eBay Monitoring System.</p>
+            <p>To manage your alert preferences, log in to your dashboard.</p>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Alert digest sent to ${userEmail}`);
+    return true;
+  } catch (error) {
+    console.error('Digest email error:', error);
+    return false;
+  }
+};
+
+/**
+ * Send system alert email to admins
+ * @param {Array} emails - Admin addresses
+ * @param {Object} alert - SystemAlert
+ */
+const sendSystemAlertEmail = async (emails, alert) => {
+  try {
+    // Check if email is configured
+    if (!process.env.SMTP_USER || process.env.SMTP_USER === 'your_email@gmail.com') {
+      console.log('Email not configured, skipping system alert email');
+      return false;
+    }
+
+    const transporter = createTransporter();
+
+    const urls = (alert.failingUrls || [])
+      .map(url => `<li><a href="${url}">${url}</a></li>`)
+      .join('');
+    const usage = Object.entries(alert.selectorUsage || {})
+      .map(([field, counts]) => `<li>${field}: ${Object.entries(counts).map(([selector, count]) => `<code>${selector}</code> x${count}`).join(', ')}</li>`)
+      .join('');
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to: emails.join(', '),
+      subject: `eBay Monitor - System Alert: ${alert.message}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            h2 { color: #dc2626; }
+            a { color: #0066c0; text-decoration: none; }
+            .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <h2>Scraper Health Alert</h2>
+          <p>${alert.message}</p>
+          <p><strong>Severity:</strong> ${alert.severity.toUpperCase()}</p>
+          <h3>Sample failing pages</h3>
+          <ul>${urls}</ul>
+          <h3>Selectors matched</h3>
+          <ul>${usage}</ul>
+          <p>${alert.snapshots.length} HTML snapshot${alert.snapshots.length === 1 ? '' : 's'} saved: GET /api/system-alerts/${alert._id}</p>
+          <div class="footer">
+            <p>This is an automated notification from your eBay Monitoring System.</p>
+            <p>You receive it because you are an administrator.</p>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`System alert email sent to ${emails.length} admin(s)`);
+    return true;
+  } catch (error) {
+    console.error('System alert email error:', error);
+    return false;
+  }
+};
+
 /**
  * Send test email
  */
@@ -226,9 +382,51 @@ const sendPasswordResetEmail = async (userEmail, resetUrl, resetToken) => {
   }
 };
 
+/**
+ * Send organization invitation email
+ * @param {Object} invitation - { organizationName, inviterName, role, expiresAt }
+ */
+const sendOrganizationInvitationEmail = async (email, inviteUrl, invitation) => {
+  try {
+    // Check if email is configured
+    if (!process.env.SMTP_USER || process.env.SMTP_USER === 'your_email@gmail.com') {
+      console.log('Email not configured, skipping invitation email');
+      // In development, log the invitation URL
+      console.log('Invitation URL:', inviteUrl);
+      return false;
+    }
+
+    const transporter = createTransporter();
+    const { organizationName, inviterName, role, expiresAt } = invitation;
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to: email,
+      subject: `eBay Monitor - ${inviterName} invited you to ${organizationName}`,
+      html: `
+        <h2>You're invited to ${organizationName}</h2>
+        <p><strong>${inviterName}</strong> invited you to join <strong>${organizationName}</strong> on eBay Monitor as ${role === 'editor' ? 'an editor' : 'a viewer'}.</p>
+        <p>Members share the organization's product catalogue, settings and alerts.</p>
+        <p><a href="${inviteUrl}">Accept the invitation</a></p>
+        <p style="word-break: break-all;">${inviteUrl}</p>
+        <p>Sign in or register with this email address to accept. The invitation expires on ${new Date(expiresAt).toUTCString()}.</p>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Invitation email error:', error);
+    return false;
+  }
+};
+
 module.exports = {
   sendAlertEmail,
+  sendAlertDigestEmail,
+  sendSystemAlertEmail,
   sendTestEmail,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendOrganizationInvitationEmail
 };
 
@@ -0,0 +1,255 @@
+const ImportJob = require('../models/ImportJob');
+const importService = require('./importService');
+const productImportService = require('./productImportService');
+const { resolveMarketplace } = require('../utils/ebayMarketplace');
+
+/**
+ * Import Job Service
+ * Persists store and spreadsheet imports as jobs and runs them in a
+ * background worker, so the HTTP request that starts an import returns immediately
+ */
+
+// Maximum number of per-item errors kept on a job document
+const MAX_ITEM_ERRORS = 500;
+
+let isProcessing = false;
+
+/**
+ * Atomically claim the oldest queued job
+ */
+const claimNextJob = async () => {
+  return await ImportJob.findOneAndUpdate(
+    { status: 'queued' },
+    { status: 'running', startedAt: new Date(), updatedAt: new Date() },
+    { sort: { createdAt: 1 }, new: true, select: '+records' }
+  );
+};
+
+/**
+ * Copy the import counters onto the job document
+ */
+const saveProgress = async (jobId, results) => {
+  await ImportJob.updateOne(
+    { _id: jobId },
+    {
+      total: results.total,
+      processed: results.processed,
+      imported: results.imported,
+      updated: results.updated,
+      skipped: results.skipped,
+      supplierMapped: results.supplierMapped,
+      competitorSynced: results.competitorSynced,
+      updatedAt: new Date()
+    }
+  );
+};
+
+/**
+ * Copy a spreadsheet import's counters and row results onto the job document
+ */
+const saveRowProgress = async (jobId, report) => {
+  await ImportJob.updateOne(
+    { _id: jobId },
+    {
+      total: report.total,
+      processed: report.processed,
+      imported: report.created,
+      updated: report.updated,
+      failed: report.failed,
+      rows: report.rows,
+      updatedAt: new Date()
+    }
+  );
+};
+
+const isCancelRequested = async (jobId) => {
+  const current = await ImportJob.findById(jobId).select('cancelRequested');
+  return !current || current.cancelRequested;
+};
+
+/**
+ * Import all listings of the job's eBay store
+ */
+const runStoreImport = async (job) => {
+  const results = await importService.importStoreListings(job.storeUrl, { userId: job.userId, organizationId: job.organizationId }, {
+    onStart: (progress) => saveProgress(job._id, progress),
+    onProgress: (progress) => saveProgress(job._id, progress),
+    onItemError: async (item, error) => {
+      await ImportJob.updateOne(
+        { _id: job._id },
+        {
+          $push: {
+            itemErrors: {
+              $each: [{ itemId: item.itemId, title: item.title, message: error.message }],
+              $slice: -MAX_ITEM_ERRORS
+            }
+          }
+        }
+      );
+    },
+    shouldCancel: () => isCancelRequested(job._id)
+  }, job.marketplace);
+
+  await saveProgress(job._id, results);
+  return results;
+};
+
+/**
+ * Import the job's spreadsheet rows
+ * A re-queued job starts over; rows already imported are updated, not duplicated
+ */
+const runSpreadsheetImport = async (job) => {
+  const report = await productImportService.importProducts({ userId: job.userId, organizationId: job.organizationId }, job.records || [], {
+    onProgress: (progress) => saveRowProgress(job._id, progress),
+    shouldCancel: () => isCancelRequested(job._id)
+  });
+
+  await saveRowProgress(job._id, report);
+  return report;
+};
+
+/**
+ * Run a single claimed job to completion
+ */
+const runJob = async (job) => {
+  try {
+    const results = job.type === 'spreadsheet'
+      ? await runSpreadsheetImport(job)
+      : await runStoreImport(job);
+
+    await ImportJob.updateOne(
+      { _id: job._id },
+      {
+        status: results.cancelled ? 'cancelled' : 'completed',
+        finishedAt: new Date()
+      }
+    );
+
+    console.log(`Import job ${job._id} ${results.cancelled ? 'cancelled' : 'completed'}: ${results.processed}/${results.total} processed`);
+  } catch (error) {
+    console.error(`Import job ${job._id} failed:`, error.message);
+    await ImportJob.updateOne(
+      { _id: job._id },
+      {
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date(),
+        updatedAt: new Date()
+      }
+    );
+  }
+};
+
+/**
+ * Process queued jobs one at a time until the queue is empty
+ * Safe to call repeatedly - only one loop runs per process
+ */
+const processQueue = async () => {
+  if (isProcessing) {
+    return;
+  }
+
+  isProcessing = true;
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error('Import queue error:', error);
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Create a queued import job and wake the worker
+ * @param {Object} owner - { userId, organizationId } the listings are imported for
+ * @param {string} marketplace - Marketplace ID, inferred from the store URL when empty
+ */
+const enqueueImportJob = async (storeUrl, { userId, organizationId = null }, marketplace = null) => {
+  const job = await ImportJob.create({
+    storeUrl,
+    userId,
+    organizationId,
+    marketplace: resolveMarketplace(marketplace, storeUrl).id
+  });
+
+  // Fire and forget - progress is polled through the job document
+  processQueue();
+
+  return job;
+};
+
+/**
+ * Create a queued job for the rows of an uploaded spreadsheet and wake the worker
+ * @param {Object} owner - { userId, organizationId } owning the products
+ * @param {Array} records - Rows from readImportFile
+ */
+const enqueueProductImportJob = async ({ userId, organizationId = null }, records) => {
+  const job = await ImportJob.create({
+    type: 'spreadsheet',
+    userId,
+    organizationId,
+    records,
+    total: records.length
+  });
+
+  // Fire and forget - progress is polled through the job document
+  processQueue();
+
+  return job;
+};
+
+/**
+ * Cancel a job
+ * Queued jobs are cancelled immediately, running jobs stop before their next item
+ */
+const cancelImportJob = async (job) => {
+  if (job.status === 'queued') {
+    job.status = 'cancelled';
+    job.cancelRequested = true;
+    job.finishedAt = new Date();
+  } else if (job.status === 'running') {
+    job.cancelRequested = true;
+  }
+
+  await job.save();
+  return job;
+};
+
+/**
+ * Start the worker
+ * Jobs left running by a previous process are re-queued; re-importing is safe
+ * because listings are upserted on ebayItemId
+ */
+const startImportWorker = async () => {
+  try {
+    await ImportJob.updateMany(
+      { status: 'running', cancelRequested: true },
+      { status: 'cancelled', finishedAt: new Date(), updatedAt: new Date() }
+    );
+
+    const { modifiedCount } = await ImportJob.updateMany(
+      { status: 'running' },
+      { status: 'queued', updatedAt: new Date() }
+    );
+
+    if (modifiedCount > 0) {
+      console.log(`Re-queued ${modifiedCount} interrupted import job(s)`);
+    }
+
+    processQueue();
+  } catch (error) {
+    console.error('Error starting import worker:', error);
+  }
+};
+
+module.exports = {
+  enqueueImportJob,
+  enqueueProductImportJob,
+  cancelImportJob,
+  processQueue,
+  startImportWorker
+};
@@ -1,56 +1,16 @@
 const axios = require('axios');
-const cheerio = require('cheerio');
 const Product = require('../models/Product');
 const ebayAdapter = require('../adapters/ebayAdapter');
 const supplierAdapter = require('../adapters/supplierAdapter');
 const competitorService = require('./competitorService');
 const puppeteerScraper = require('./puppeteerScraper');
-
-// OAuth token cache
-let cachedToken = null;
-let tokenExpiry = null;
-
-/**
- * Get eBay OAuth token
- */
-const getEbayToken = async () => {
-  if (cachedToken && tokenExpiry && Date.now() < tokenExpiry) {
-    return cachedToken;
-  }
-
-  const appId = process.env.EBAY_APP_ID;
-  const certId = process.env.EBAY_CERT_ID;
-
-  if (!appId || !certId || appId === 'your_ebay_app_id') {
-    throw new Error('eBay API credentials not configured');
-  }
-
-  try {
-    const credentials = Buffer.from(`${appId}:${certId}`).toString('base64');
-    const tokenUrl = process.env.EBAY_ENV === 'PRODUCTION'
-      ? 'https://api.ebay.com/identity/v1/oauth2/token'
-      : 'https://api.sandbox.ebay.com/identity/v1/oauth2/token';
-
-    const response = await axios.post(
-      tokenUrl,
-      'grant_type=client_credentials&scope=https://api.ebay.com/oauth/api_scope',
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Basic ${credentials}`
-        }
-      }
-    );
-
-    cachedToken = response.data.access_token;
-    tokenExpiry = Date.now() + (response.data.expires_in * 1000) - 60000;
-
-    return cachedToken;
-  } catch (error) {
-    console.error('Failed to get eBay OAuth token:', error.message);
-    throw error;
-  }
-};
+const browserPool = require('./browserPool');
+const { getProfitContext, updateProfit } = require('./profitService');
+const { parseFindingResponse, parseFindingListing } = require('../parsers/findingApi');
+const { BASE_URL: BESTWAY_URL, parseBestwaySearchResults, parseBestwayProductPage } = require('../parsers/bestwayWholesale');
+const { LIMITS, EBAY_API_KEY, waitForToken } = require('../utils/rateLimiter');
+const { resolveMarketplace, ebayStoreUrl } = require('../utils/ebayMarketplace');
+const { ownerQuery } = require('../utils/workspace');
 
 /**
  * Extract store name from eBay store URL
@@ -81,115 +41,71 @@ const extractStoreNameFromUrl = (storeUrl) => {
  * Get sellerID from any product page in the store (fallback method using Puppeteer)
  * If storefront scraping fails, find any item link and extract sellerID from item page
  * Also tries store category pages if main storefront has no items
+ * @param {Object} marketplace - Marketplace the store is on
  */
-const getSellerIdFromProductPage = async (storeName) => {
+const getSellerIdFromProductPage = async (storeName, marketplace) => {
   try {
-    const storefrontUrl = `https://www.ebay.co.uk/str/${storeName}`;
-    
-    // Use Puppeteer to get a product link from the store page
-    const puppeteer = require('puppeteer');
-    const browser = await puppeteer.launch({
-      headless: "new",
-      ignoreDefaultArgs: ['--disable-extensions'],
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-features=site-per-process',
-        '--disable-web-security',
-        '--disable-features=IsolateOrigins',
-        '--disable-extensions',
-        '--disable-gpu',
-        '--disable-dev-shm-usage',
-        '--disable-blink-features=AutomationControlled',
-        '--disable-infobars',
-        '--window-size=1920,1080'
-      ],
-      defaultViewport: {
-        width: 1920,
-        height: 1080
-      }
-    });
-    const page = await browser.newPage();
-    
-    await page.setUserAgent("Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36");
-    await page.setExtraHTTPHeaders({ "accept-language": "en-GB,en-US;q=0.9,en;q=0.8" });
-    await page.evaluateOnNewDocument(() => {
-      delete navigator.__proto__.webdriver;
-    });
+    const storefrontUrl = ebayStoreUrl(storeName, marketplace.id);
+    const origin = `https://${marketplace.host}`;
     
-    // Navigate with retry
-    try {
-      await page.goto(storefrontUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
-    } catch (error) {
-      try {
-        await page.goto(storefrontUrl, { waitUntil: "networkidle2", timeout: 30000 });
-      } catch (error2) {
-        await page.goto(storefrontUrl, { waitUntil: "load", timeout: 30000 });
-      }
-    }
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Find first item link from storefront
-    let firstItemUrl = await page.evaluate(() => {
-      const link = document.querySelector('a[href*="/itm/"]');
-      if (link) {
-        const href = link.getAttribute('href');
-        return href.startsWith('http') ? href : `https://www.ebay.co.uk${href}`;
-      }
-      return null;
-    });
-
-    // If no items on main storefront, try to find category pages
-    if (!firstItemUrl) {
-      // Look for category links
-      const categoryLinks = await page.evaluate(() => {
-        const links = [];
-        document.querySelectorAll('a[href*="/str/"]').forEach(link => {
+    // Use a pooled page to get a product link from the store page
+    const firstItemUrl = await browserPool.withPage(async (page) => {
+      await puppeteerScraper.navigateWithRetry(page, storefrontUrl);
+      await puppeteerScraper.waitForContent(page, 'a[href*="/itm/"]');
+
+      // Find first item link from storefront
+      let itemUrl = await page.evaluate((siteOrigin) => {
+        const link = document.querySelector('a[href*="/itm/"]');
+        if (link) {
           const href = link.getAttribute('href');
-          if (href && href.includes('/str/') && href !== window.location.pathname) {
-            links.push(href);
-          }
+          return href.startsWith('http') ? href : `${siteOrigin}${href}`;
+        }
+        return null;
+      }, origin);
+
+      // If no items on main storefront, try to find category pages
+      if (!itemUrl) {
+        // Look for category links
+        const categoryLinks = await page.evaluate(() => {
+          const links = [];
+          document.querySelectorAll('a[href*="/str/"]').forEach(link => {
+            const href = link.getAttribute('href');
+            if (href && href.includes('/str/') && href !== window.location.pathname) {
+              links.push(href);
+            }
+          });
+          return links.slice(0, 3); // Try first 3 category links
         });
-        return links.slice(0, 3); // Try first 3 category links
-      });
 
-      // Try each category page
-      for (const categoryPath of categoryLinks) {
-        const categoryUrl = categoryPath.startsWith('http') 
-          ? categoryPath 
-          : `https://www.ebay.co.uk${categoryPath}`;
+        // Try each category page
+        for (const categoryPath of categoryLinks) {
+          const categoryUrl = categoryPath.startsWith('http') 
+            ? categoryPath 
+            : `${origin}${categoryPath}`;
         
-        try {
           try {
-            await page.goto(categoryUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
-          } catch (error) {
-            try {
-              await page.goto(categoryUrl, { waitUntil: "networkidle2", timeout: 30000 });
-            } catch (error2) {
-              await page.goto(categoryUrl, { waitUntil: "load", timeout: 30000 });
-            }
-          }
-          await new Promise(resolve => setTimeout(resolve, 2000));
-
-          firstItemUrl = await page.evaluate(() => {
-            const link = document.querySelector('a[href*="/itm/"]');
-            if (link) {
-              const href = link.getAttribute('href');
-              return href.startsWith('http') ? href : `https://www.ebay.co.uk${href}`;
-            }
-            return null;
-          });
+            await puppeteerScraper.navigateWithRetry(page, categoryUrl);
+            await puppeteerScraper.waitForContent(page, 'a[href*="/itm/"]');
+
+            itemUrl = await page.evaluate((siteOrigin) => {
+              const link = document.querySelector('a[href*="/itm/"]');
+              if (link) {
+                const href = link.getAttribute('href');
+                return href.startsWith('http') ? href : `${siteOrigin}${href}`;
+              }
+              return null;
+            }, origin);
 
-          if (firstItemUrl) break; // Found an item, stop searching
-        } catch (err) {
-          // Continue to next category
-          continue;
+            if (itemUrl) break; // Found an item, stop searching
+          } catch (err) {
+            // Continue to next category
+            continue;
+          }
         }
       }
-    }
 
-    await page.close();
-    await browser.close();
+      return itemUrl;
+    });
 
     if (!firstItemUrl) {
       console.warn('No item links found on store page or category pages');
@@ -209,180 +125,126 @@ const getSellerIdFromProductPage = async (storeName) => {
  * Extract sellerID by scraping the storefront using Puppeteer
  * Store name ≠ sellerID - we need to extract the real seller username
  * MUST use Puppeteer only, NO axios + cheerio
+ * @param {Object} marketplace - Marketplace the store is on
  */
-const getSellerIdFromScraping = async (storeName) => {
+const getSellerIdFromScraping = async (storeName, marketplace) => {
   try {
-    // Build storefront URL: https://www.ebay.co.uk/str/<storeName>
-    const storefrontUrl = `https://www.ebay.co.uk/str/${storeName}`;
+    // Build storefront URL on the store's site, e.g. https://www.ebay.co.uk/str/<storeName>
+    const storefrontUrl = ebayStoreUrl(storeName, marketplace.id);
+    const origin = `https://${marketplace.host}`;
     
-    const puppeteer = require('puppeteer');
-    const browser = await puppeteer.launch({
-      headless: "new",
-      ignoreDefaultArgs: ['--disable-extensions'],
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-features=site-per-process',
-        '--disable-web-security',
-        '--disable-features=IsolateOrigins',
-        '--disable-extensions',
-        '--disable-gpu',
-        '--disable-dev-shm-usage',
-        '--disable-blink-features=AutomationControlled',
-        '--disable-infobars',
-        '--window-size=1920,1080'
-      ],
-      defaultViewport: {
-        width: 1920,
-        height: 1080
-      }
-    });
-    const page = await browser.newPage();
-
-    await page.setUserAgent("Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36");
-    await page.setExtraHTTPHeaders({ "accept-language": "en-GB,en-US;q=0.9,en;q=0.8" });
-    await page.evaluateOnNewDocument(() => {
-      delete navigator.__proto__.webdriver;
-    });
-
-    // Navigate with retry
-    try {
-      await page.goto(storefrontUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
-    } catch (error) {
-      try {
-        await page.goto(storefrontUrl, { waitUntil: "networkidle2", timeout: 30000 });
-      } catch (error2) {
-        await page.goto(storefrontUrl, { waitUntil: "load", timeout: 30000 });
-      }
-    }
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Extract product links first
-    const productLinks = await page.evaluate(() => {
-      const links = [];
-      // Try multiple selectors
-      document.querySelectorAll('a.s-item__link, a.s-item__title, a[href*="/itm/"]').forEach(link => {
-        const href = link.getAttribute('href');
-        if (href && href.includes('/itm/')) {
-          const fullUrl = href.startsWith('http') ? href : `https://www.ebay.co.uk${href}`;
-          if (!links.includes(fullUrl)) {
-            links.push(fullUrl);
-          }
-        }
-      });
-      return links;
-    });
-
-    // If no links found, try paginated URL
-    let links = productLinks;
-    if (!links || links.length === 0) {
-      const paginatedUrl = `https://www.ebay.co.uk/str/${storeName}?_pgn=1`;
-      try {
-        await page.goto(paginatedUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
-      } catch (error) {
-        try {
-          await page.goto(paginatedUrl, { waitUntil: "networkidle2", timeout: 30000 });
-        } catch (error2) {
-          await page.goto(paginatedUrl, { waitUntil: "load", timeout: 30000 });
-        }
-      }
-      await new Promise(resolve => setTimeout(resolve, 2000));
+    const sellerId = await browserPool.withPage(async (page) => {
+      await puppeteerScraper.navigateWithRetry(page, storefrontUrl);
+      await puppeteerScraper.waitForContent(page, 'a[href*="/itm/"]');
 
-      links = await page.evaluate(() => {
-        const foundLinks = [];
+      // Extract product links first
+      const productLinks = await page.evaluate((siteOrigin) => {
+        const links = [];
+        // Try multiple selectors
         document.querySelectorAll('a.s-item__link, a.s-item__title, a[href*="/itm/"]').forEach(link => {
           const href = link.getAttribute('href');
           if (href && href.includes('/itm/')) {
-            const fullUrl = href.startsWith('http') ? href : `https://www.ebay.co.uk${href}`;
-            if (!foundLinks.includes(fullUrl)) {
-              foundLinks.push(fullUrl);
+            const fullUrl = href.startsWith('http') ? href : `${siteOrigin}${href}`;
+            if (!links.includes(fullUrl)) {
+              links.push(fullUrl);
             }
           }
         });
-        return foundLinks;
-      });
-    }
-
-    // If STILL no links found, return error
-    if (!links || links.length === 0) {
-      await browser.close();
-      throw new Error("Store HTML not loaded — must fix Puppeteer headers");
-    }
-
-    // Open first product page to extract sellerID
-    const firstProductUrl = links[0].split('?')[0];
-    try {
-      await page.goto(firstProductUrl, { waitUntil: "domcontentloaded", timeout: 30000 });
-    } catch (error) {
-      try {
-        await page.goto(firstProductUrl, { waitUntil: "networkidle2", timeout: 30000 });
-      } catch (error2) {
-        await page.goto(firstProductUrl, { waitUntil: "load", timeout: 30000 });
+        return links;
+      }, origin);
+
+      // If no links found, try paginated URL
+      let links = productLinks;
+      if (!links || links.length === 0) {
+        const paginatedUrl = `${storefrontUrl}?_pgn=1`;
+        await puppeteerScraper.navigateWithRetry(page, paginatedUrl);
+        await puppeteerScraper.waitForContent(page, 'a[href*="/itm/"]');
+
+        links = await page.evaluate((siteOrigin) => {
+          const foundLinks = [];
+          document.querySelectorAll('a.s-item__link, a.s-item__title, a[href*="/itm/"]').forEach(link => {
+            const href = link.getAttribute('href');
+            if (href && href.includes('/itm/')) {
+              const fullUrl = href.startsWith('http') ? href : `${siteOrigin}${href}`;
+              if (!foundLinks.includes(fullUrl)) {
+                foundLinks.push(fullUrl);
+              }
+            }
+          });
+          return foundLinks;
+        }, origin);
       }
-    }
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Extract sellerID using ALL patterns
-    const sellerId = await page.evaluate(() => {
-      // Pattern 1: JSON-LD structured data
-      const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
-      for (const script of jsonLdScripts) {
-        try {
-          const data = JSON.parse(script.textContent);
-          if (data.seller && data.seller.username) return data.seller.username;
-          if (data.seller && data.seller.name) return data.seller.name;
-          if (data.sellerName) return data.sellerName;
-          if (data.sellerId) return data.sellerId;
-          if (data.author && data.author.name) return data.author.name;
-        } catch (e) {}
+
+      // If STILL no links found, return error
+      if (!links || links.length === 0) {
+        throw new Error("Store HTML not loaded — must fix Puppeteer headers");
       }
 
-      // Pattern 2: Meta tags
-      const twitterMeta = document.querySelector('meta[name="twitter:creator"]');
-      if (twitterMeta) {
-        const content = twitterMeta.getAttribute('content');
-        if (content) {
-          const match = content.match(/@?([^"'\s,]+)/);
-          if (match && match[1] && match[1] !== 'eBay UK' && match[1] !== 'eBay') {
-            return match[1].trim();
+      // Open first product page to extract sellerID
+      const firstProductUrl = links[0].split('?')[0];
+      await puppeteerScraper.navigateWithRetry(page, firstProductUrl);
+      await puppeteerScraper.waitForContent(page, 'script[type="application/ld+json"], .mbg-id');
+
+      // Extract sellerID using ALL patterns
+      return page.evaluate(() => {
+        // Pattern 1: JSON-LD structured data
+        const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
+        for (const script of jsonLdScripts) {
+          try {
+            const data = JSON.parse(script.textContent);
+            if (data.seller && data.seller.username) return data.seller.username;
+            if (data.seller && data.seller.name) return data.seller.name;
+            if (data.sellerName) return data.sellerName;
+            if (data.sellerId) return data.sellerId;
+            if (data.author && data.author.name) return data.author.name;
+          } catch (e) {}
+        }
+
+        // Pattern 2: Meta tags
+        const twitterMeta = document.querySelector('meta[name="twitter:creator"]');
+        if (twitterMeta) {
+          const content = twitterMeta.getAttribute('content');
+          if (content) {
+            const match = content.match(/@?([^"'\s,]+)/);
+            if (match && match[1] && match[1] !== 'eBay UK' && match[1] !== 'eBay') {
+              return match[1].trim();
+            }
           }
         }
-      }
 
-      // Pattern 3: Script tags with seller data
-      const scripts = document.querySelectorAll('script');
-      for (const script of scripts) {
-        const content = script.textContent || '';
-        const patterns = [
-          /"seller"\s*:\s*{\s*"username"\s*:\s*"([^"]+)"/,
-          /"sellerName"\s*:\s*"([^"]+)"/,
-          /"sellerId"\s*:\s*"([^"]+)"/,
-          /"username"\s*:\s*"([^"]+)"/,
-          /sellerName["\s]*[:=]["\s]*["']([^"']+)["']/,
-          /sellerId["\s]*[:=]["\s]*["']([^"']+)["']/
-        ];
-        for (const pattern of patterns) {
-          const match = content.match(pattern);
-          if (match && match[1]) {
-            const id = match[1].replace(/["'}\s]/g, '').trim();
-            if (id && id !== 'eBay UK' && id !== 'eBay' && id.length < 50 && !id.includes('http')) {
-              return id;
+        // Pattern 3: Script tags with seller data
+        const scripts = document.querySelectorAll('script');
+        for (const script of scripts) {
+          const content = script.textContent || '';
+          const patterns = [
+            /"seller"\s*:\s*{\s*"username"\s*:\s*"([^"]+)"/,
+            /"sellerName"\s*:\s*"([^"]+)"/,
+            /"sellerId"\s*:\s*"([^"]+)"/,
+            /"username"\s*:\s*"([^"]+)"/,
+            /sellerName["\s]*[:=]["\s]*["']([^"']+)["']/,
+            /sellerId["\s]*[:=]["\s]*["']([^"']+)["']/
+          ];
+          for (const pattern of patterns) {
+            const match = content.match(pattern);
+            if (match && match[1]) {
+              const id = match[1].replace(/["'}\s]/g, '').trim();
+              if (id && id !== 'eBay UK' && id !== 'eBay' && id.length < 50 && !id.includes('http')) {
+                return id;
+              }
             }
           }
         }
-      }
 
-      // Pattern 4: DOM elements
-      const mbgId = document.querySelector('a.mbg-id span, .mbg-id span');
-      if (mbgId && mbgId.textContent.trim() && mbgId.textContent.trim() !== 'eBay UK' && mbgId.textContent.trim() !== 'eBay') {
-        return mbgId.textContent.trim();
-      }
+        // Pattern 4: DOM elements
+        const mbgId = document.querySelector('a.mbg-id span, .mbg-id span');
+        if (mbgId && mbgId.textContent.trim() && mbgId.textContent.trim() !== 'eBay UK' && mbgId.textContent.trim() !== 'eBay') {
+          return mbgId.textContent.trim();
+        }
 
-      return null;
+        return null;
+      });
     });
 
-    await browser.close();
-
     // NEVER return slug as sellerID
     // NEVER return "eBay UK"
     // NEVER skip sellerID — MUST FIND IT
@@ -401,8 +263,9 @@ const getSellerIdFromScraping = async (storeName) => {
  * Fetch store listings using eBay Finding API
  * Uses findItemsAdvanced with Seller filter
  * IMPORTANT: Requires actual sellerID (eBay username), NOT store name
+ * @param {Object} marketplace - Marketplace the store is on
  */
-const fetchStoreListingsAPI = async (sellerID) => {
+const fetchStoreListingsAPI = async (sellerID, marketplace) => {
   try {
     const appId = process.env.EBAY_APP_ID;
     
@@ -424,6 +287,8 @@ const fetchStoreListingsAPI = async (sellerID) => {
     // Fetch all pages
     while (pageNumber <= maxPages) {
       try {
+        await waitForToken(EBAY_API_KEY, LIMITS.ebayApi);
+
         const response = await axios.get(findingUrl, {
           params: {
             'OPERATION-NAME': 'findItemsAdvanced',
@@ -437,60 +302,20 @@ const fetchStoreListingsAPI = async (sellerID) => {
             'itemFilter(1).value': 'FixedPrice',
             'paginationInput.entriesPerPage': entriesPerPage,
             'paginationInput.pageNumber': pageNumber,
-            'GLOBAL-ID': 'EBAY-GB' // UK marketplace
+            'GLOBAL-ID': marketplace.findingGlobalId
           },
           timeout: 15000
         });
 
-        const searchResult = response.data?.findItemsAdvancedResponse?.[0]?.searchResult?.[0];
-        
-        if (!searchResult || !searchResult.item || searchResult.item.length === 0) {
+        const { items, totalPages } = parseFindingResponse(response.data);
+
+        if (items.length === 0) {
           break;
         }
 
-        const items = searchResult.item;
-
-        // Process items
-        const processedItems = items.map(item => {
-          const title = item.title?.[0] || 'Unknown Product';
-          const price = parseFloat(item.sellingStatus?.[0]?.currentPrice?.[0]?.__value__ || 0);
-          const itemId = item.itemId?.[0] || '';
-          const galleryUrl = item.galleryURL?.[0] || '';
-          const listingType = item.listingInfo?.[0]?.listingType?.[0] || 'Unknown';
-          const condition = item.condition?.[0]?.conditionDisplayName?.[0] || 'Used';
-          const quantity = parseInt(item.quantity?.[0] || '0', 10);
-          const quantitySold = parseInt(item.sellingStatus?.[0]?.quantitySold?.[0] || '0', 10);
-          
-          // Determine stock status
-          let stock = 'in_stock';
-          if (quantity === 0 || (quantity - quantitySold) <= 0) {
-            stock = 'out_of_stock';
-          } else if ((quantity - quantitySold) < 5) {
-            stock = 'low_stock';
-          }
-
-          // Build eBay URL
-          const url = item.viewItemURL?.[0] || `https://www.ebay.co.uk/itm/${itemId}`;
-
-          return {
-            title,
-            price,
-            itemId,
-            url,
-            images: galleryUrl ? [galleryUrl] : [],
-            stock,
-            condition,
-            listingType,
-            quantity: quantity - quantitySold
-          };
-        });
-
-        allItems = allItems.concat(processedItems);
+        allItems = allItems.concat(items.map(item => parseFindingListing(item, marketplace.id)));
 
         // Check if there are more pages
-        const paginationOutput = response.data?.findItemsAdvancedResponse?.[0]?.paginationOutput?.[0];
-        const totalPages = parseInt(paginationOutput?.totalPages?.[0] || '1', 10);
-        
         if (pageNumber >= totalPages) {
           break;
         }
@@ -521,11 +346,12 @@ const fetchStoreListingsAPI = async (sellerID) => {
 /**
  * Fallback: Scrape store listings using Puppeteer (paginated)
  * Scrapes multiple pages of the store to get all listings from JS-rendered pages
+ * @param {Object} marketplace - Marketplace the store is on
  */
-const fetchStoreListingsScrape = async (storeName) => {
+const fetchStoreListingsScrape = async (storeName, marketplace) => {
   try {
     
-    const storeUrl = `https://www.ebay.co.uk/str/${storeName}`;
+    const storeUrl = ebayStoreUrl(storeName, marketplace.id);
     
     // Use Puppeteer scraper to get all listings
     const allItems = await puppeteerScraper.scrapeStoreListings(storeUrl, 5);
@@ -588,7 +414,7 @@ const extractSearchTerm = (title) => {
 const searchBestwayWholesale = async (productTitle) => {
   try {
     const searchTerm = extractSearchTerm(productTitle);
-    const searchUrl = `https://www.bestwaywholesale.co.uk/search?w=${encodeURIComponent(searchTerm)}`;
+    const searchUrl = `${BESTWAY_URL}/search?w=${encodeURIComponent(searchTerm)}`;
     
 
     const response = await axios.get(searchUrl, {
@@ -599,68 +425,22 @@ const searchBestwayWholesale = async (productTitle) => {
       timeout: 15000
     });
 
-    const $ = cheerio.load(response.data);
-    
-    // Try to find first product in search results
-    // Bestway Wholesale product selectors (may need adjustment based on actual site structure)
-    const productLink = $('.product-item a, .product-card a, a[href*="/product/"]').first();
-    
-    if (productLink.length === 0) {
+    // First product in the search results
+    const productUrl = parseBestwaySearchResults(response.data);
+
+    if (!productUrl) {
       return null;
     }
 
-    const productUrl = productLink.attr('href');
-    const fullProductUrl = productUrl.startsWith('http') 
-      ? productUrl 
-      : `https://www.bestwaywholesale.co.uk${productUrl}`;
-
     // Fetch product page
-    const productResponse = await axios.get(fullProductUrl, {
+    const productResponse = await axios.get(productUrl, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
       },
       timeout: 15000
     });
 
-    const $product = cheerio.load(productResponse.data);
-
-    // Extract price
-    let priceText = $product('.price, .product-price, [class*="price"]').first().text().trim();
-    if (!priceText) {
-      priceText = $product('[itemprop="price"]').attr('content') || '';
-    }
-    const price = parseFloat(priceText.replace(/[^0-9.]/g, '')) || 0;
-
-    // Extract stock status
-    let stock = 'unknown';
-    const bodyText = $product('body').text().toLowerCase();
-    const stockText = $product('.stock, .availability, [class*="stock"]').text().toLowerCase();
-    
-    if (bodyText.includes('in stock') || stockText.includes('in stock') || stockText.includes('available')) {
-      stock = 'in_stock';
-    } else if (bodyText.includes('out of stock') || stockText.includes('out of stock') || stockText.includes('unavailable')) {
-      stock = 'out_of_stock';
-    } else if (bodyText.includes('low stock') || stockText.includes('limited')) {
-      stock = 'low_stock';
-    }
-
-    // Extract SKU
-    let sku = '';
-    const skuText = $product('.sku, [class*="sku"], [itemprop="sku"]').text().trim();
-    if (skuText) {
-      sku = skuText.replace(/SKU[:\s]*/i, '').trim();
-    }
-
-    if (price === 0) {
-      return null;
-    }
-
-    return {
-      supplierUrl: fullProductUrl,
-      supplierPrice: price,
-      supplierStockStatus: stock,
-      supplierSku: sku
-    };
+    return parseBestwayProductPage(productResponse.data, productUrl);
   } catch (error) {
     console.error(`Error searching Bestway Wholesale for "${productTitle}":`, error.message);
     return null;
@@ -683,15 +463,28 @@ const findSupplierData = async (title) => {
 
 /**
  * Main store import function
+ * @param {string} storeUrl - eBay store URL
+ * @param {Object} owner - { userId, organizationId } owning the imported products
+ * @param {Object} hooks - Optional callbacks used by the import job worker
+ * @param {Function} hooks.onStart - Called once listings are fetched, with the results object
+ * @param {Function} hooks.onProgress - Called after every processed listing, with the results object
+ * @param {Function} hooks.onItemError - Called with (item, error) when a listing fails
+ * @param {Function} hooks.shouldCancel - Checked before every listing; resolving true stops the import
+ * @param {string} marketplaceId - Marketplace the store is on, inferred from the store URL when empty
  */
-const importStoreListings = async (storeUrl, userId) => {
+const importStoreListings = async (storeUrl, owner, hooks = {}, marketplaceId = null) => {
+  const { onStart, onProgress, onItemError, shouldCancel } = hooks;
+  const marketplace = resolveMarketplace(marketplaceId, storeUrl);
+
   const results = {
     total: 0,
+    processed: 0,
     imported: 0,
     updated: 0,
     skipped: 0,
     supplierMapped: 0,
     competitorSynced: 0,
+    cancelled: false,
     errors: []
   };
 
@@ -702,28 +495,30 @@ const importStoreListings = async (storeUrl, userId) => {
       throw new Error('Could not extract store name from URL');
     }
 
+    const profitContext = await getProfitContext(owner);
+
 
     // Step 2: Get real sellerID from storefront HTML scraping
     // Store name ≠ sellerID - we need to extract the real seller username
-    let sellerID = await getSellerIdFromScraping(storeName);
+    let sellerID = await getSellerIdFromScraping(storeName, marketplace);
 
     // Step 3: Fallback to product page scraping if storefront failed
     if (!sellerID) {
-      sellerID = await getSellerIdFromProductPage(storeName);
+      sellerID = await getSellerIdFromProductPage(storeName, marketplace);
     }
 
     if (!sellerID) {
-      throw new Error(`Could not determine sellerID for store "${storeName}". The store may not exist or the page structure may have changed. Please verify the store URL is correct (e.g., https://www.ebay.co.uk/str/storename)`);
+      throw new Error(`Could not determine sellerID for store "${storeName}". The store may not exist or the page structure may have changed. Please verify the store URL is correct (e.g., ${ebayStoreUrl('storename', marketplace.id)})`);
     }
 
 
     // Step 4: Fetch listings using Finding API with real sellerID
-    let listings = await fetchStoreListingsAPI(sellerID);
+    let listings = await fetchStoreListingsAPI(sellerID, marketplace);
 
     // Step 5: Fallback to scraping if Finding API returns no results
     if (!listings || listings.length === 0) {
       try {
-        listings = await fetchStoreListingsScrape(storeName);
+        listings = await fetchStoreListingsScrape(storeName, marketplace);
       } catch (scrapeError) {
         console.error('HTML scraping fallback also failed:', scrapeError.message);
       }
@@ -735,17 +530,27 @@ const importStoreListings = async (storeUrl, userId) => {
 
     results.total = listings.length;
 
+    if (onStart) {
+      await onStart(results);
+    }
+
     // Process each listing
     for (const item of listings) {
+      // Cancellation is only honoured between items so a product is never half-imported
+      if (shouldCancel && await shouldCancel()) {
+        results.cancelled = true;
+        break;
+      }
+
       try {
         if (!item.itemId || !item.title) {
           results.skipped++;
           continue;
         }
 
-        // Check if product already exists for this user
+        // Check if product already exists for this user or organization
         const existing = await Product.findOne({
-          userId: userId,
+          ...ownerQuery(owner),
           ebayItemId: item.itemId
         });
 
@@ -753,20 +558,25 @@ const importStoreListings = async (storeUrl, userId) => {
           // Update existing product
           existing.title = item.title;
           existing.ebayPrice = item.price;
+          existing.ebayCurrency = item.currency || existing.ebayCurrency;
+          existing.ebayMarketplace = existing.ebayMarketplace || marketplace.id;
           existing.images = item.images;
           existing.stockStatus = item.stock;
           existing.lastCheckedAt = new Date();
-          existing.calculateProfit();
+          await updateProfit(existing, profitContext);
           await existing.save();
           results.updated++;
         } else {
           // Create new product
           const productData = {
-            userId: userId,
+            userId: owner.userId,
+            organizationId: owner.organizationId || null,
             title: item.title,
             ebayUrl: item.url,
             ebayItemId: item.itemId,
             ebayPrice: item.price,
+            ebayCurrency: item.currency || marketplace.currency,
+            ebayMarketplace: marketplace.id,
             images: item.images,
             stockStatus: item.stock,
             supplierUrl: '',
@@ -780,6 +590,7 @@ const importStoreListings = async (storeUrl, userId) => {
             if (supplierData && supplierData.supplierUrl) {
               productData.supplierUrl = supplierData.supplierUrl;
               productData.supplierPrice = supplierData.supplierPrice || 0;
+              productData.supplierCurrency = supplierData.supplierCurrency || 'GBP';
               productData.supplierStockStatus = supplierData.supplierStockStatus || 'unknown';
               results.supplierMapped++;
             }
@@ -817,6 +628,17 @@ const importStoreListings = async (storeUrl, userId) => {
         console.error(`Error processing item ${item.itemId}:`, err.message);
         results.errors.push(`${item.title}: ${err.message}`);
         results.skipped++;
+
+        if (onItemError) {
+          await onItemError(item, err);
+        }
+      } finally {
+        // Runs for skipped listings too, so processed always reaches total
+        results.processed++;
+
+        if (onProgress) {
+          await onProgress(results);
+        }
       }
     }
 
@@ -0,0 +1,53 @@
+/**
+ * Listing Writer
+ * Pluggable destination for applying repriced listings to eBay.
+ * The active writer is chosen with LISTING_WRITER (default: dry-run)
+ */
+
+const writers = new Map();
+
+/**
+ * Dry-run writer - records what would have been sent without touching eBay
+ */
+const dryRunWriter = {
+  name: 'dry-run',
+  dryRun: true,
+  async updatePrice(product, price) {
+    console.log(`[dry-run] Would update eBay item ${product.ebayItemId} price from ${product.ebayPrice} to ${price}`);
+    return { applied: false };
+  }
+};
+
+/**
+ * Register a listing writer
+ * Writers provide: name, updatePrice(product, price) resolving { applied: Boolean }
+ */
+const registerListingWriter = (writer) => {
+  if (!writer || !writer.name || typeof writer.updatePrice !== 'function') {
+    throw new Error('Listing writer must have a name and an updatePrice function');
+  }
+  writers.set(writer.name, writer);
+};
+
+/**
+ * Get active listing writer
+ * Falls back to dry-run if the configured writer is not registered
+ */
+const getListingWriter = () => {
+  const name = process.env.LISTING_WRITER || dryRunWriter.name;
+  const writer = writers.get(name);
+
+  if (!writer) {
+    console.warn(`Listing writer "${name}" not registered, using dry-run`);
+    return dryRunWriter;
+  }
+
+  return writer;
+};
+
+registerListingWriter(dryRunWriter);
+
+module.exports = {
+  registerListingWriter,
+  getListingWriter
+};
@@ -3,48 +3,148 @@ const PriceHistory = require('../models/PriceHistory');
 const Alert = require('../models/Alert');
 const User = require('../models/User');
 const Settings = require('../models/Settings');
+const Organization = require('../models/Organization');
+const MonitoringRun = require('../models/MonitoringRun');
 const ebayAdapter = require('../adapters/ebayAdapter');
 const supplierAdapter = require('../adapters/supplierAdapter');
 const { sendAlertEmail } = require('./emailService');
 const { fetchCompetitorInsights } = require('./competitorService');
 const { sendAlertWebhook } = require('./webhookService');
+const { dispatchAlert } = require('./notificationService');
+const { evaluateRepricing } = require('./repricingService');
+const { findTriggeredRules } = require('./alertRuleService');
+const { convert } = require('./currencyService');
+const { updateProfit } = require('./profitService');
+const { syncVariations, syncVariationSuppliers } = require('./variationService');
+const { applyEbayStock, applySupplierStock, updateSalesVelocity } = require('./stockService');
+const { describeVariation } = require('../utils/ebayVariations');
+const { formatMoney } = require('../utils/currency');
+const monitoringWorker = require('./monitoringWorker');
+const { describeFetch, checkStatus, recordCheck } = require('./checkLogService');
+const { getAlertRecipients } = require('./organizationService');
+const { ownerQuery } = require('../utils/workspace');
+
+// Products whose price or stock changed within this many hours are checked first
+const PRIORITY_WINDOW_HOURS = parseInt(process.env.MONITOR_PRIORITY_WINDOW_HOURS || '24', 10);
 
 /**
  * Monitoring Service
  * Checks products for price and stock changes
  */
 
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Find an alert of the same type and source for the product inside the cooldown window
+ * Only alerts at least as severe are reused, so a critical event is never hidden in a high one
+ * Returns the alert after recording the repeat on it, or null
+ */
+const collapseIntoRecentAlert = async (product, type, newValue, message, severity, { ruleId, variationId, source }, cooldownMinutes) => {
+  if (!cooldownMinutes) {
+    return null;
+  }
+
+  const since = new Date(Date.now() - cooldownMinutes * 60 * 1000);
+
+  return Alert.findOneAndUpdate(
+    {
+      productId: product._id,
+      type,
+      source: source || null,
+      ruleId: ruleId || null,
+      variationId: variationId || null,
+      severity: { $in: SEVERITIES.slice(Math.max(0, SEVERITIES.indexOf(severity))) },
+      createdAt: { $gte: since }
+    },
+    {
+      $inc: { occurrences: 1 },
+      $set: { newValue, message, lastOccurredAt: new Date(), read: false }
+    },
+    { new: true, sort: { createdAt: -1 } }
+  );
+};
+
+/**
+ * Addresses an alert is emailed to
+ * The product's user, or the members of its organization whose preferences accept the alert type
+ */
+const getAlertEmails = async (product, type) => {
+  if (product.organizationId) {
+    const recipients = await getAlertRecipients(product.organizationId, type);
+    return recipients.map(recipient => recipient.email);
+  }
+
+  const user = await User.findById(product.userId);
+  return user ? [user.email] : [];
+};
+
 /**
  * Create alert
+ * Repeats within the user's cooldown window only bump the occurrence counter
+ * of the existing alert, so flapping pages do not send a notification per cycle.
+ * @param {Object} options
+ * @param {ObjectId} options.ruleId - Alert rule that raised the alert
+ * @param {Array} options.channels - Channels to notify ('email', 'webhook'); defaults to Settings
+ * @param {string} options.currency - Currency of oldValue / newValue for price alerts
+ * @param {ObjectId} options.variationId - Variation the alert is about
+ * @param {string} options.source - 'ebay', 'supplier' or 'competitor', part of the repeat key
  */
-const createAlert = async (product, type, oldValue, newValue, message, severity = 'medium') => {
+const createAlert = async (product, type, oldValue, newValue, message, severity = 'medium', options = {}) => {
   try {
+    const { ruleId, channels, currency, variationId, source } = options;
+
+    // Settings of the product's user or organization
+    const settings = await Settings.findOne(ownerQuery(product));
+    const cooldownMinutes = settings?.alertCooldownMinutes ?? 60;
+
+    const repeated = await collapseIntoRecentAlert(product, type, newValue, message, severity, { ruleId, variationId, source }, cooldownMinutes);
+    if (repeated) {
+      return repeated;
+    }
+
     const alert = await Alert.create({
       productId: product._id,
       type,
+      source,
+      ruleId,
+      variationId,
       oldValue,
       newValue,
+      currency,
       message,
       severity
     });
 
-    // Get user settings
-    const settings = await Settings.findOne({ userId: product.userId });
-    const user = await User.findById(product.userId);
+    // Rule alerts use the rule's channels, built-in alerts follow Settings
+    const sendEmail = channels ? channels.includes('email') : settings && settings.emailAlerts;
+    const sendWebhook = channels ? channels.includes('webhook') : true;
 
-    // Send email if enabled
-    if (settings && settings.emailAlerts && user) {
-      const emailSent = await sendAlertEmail(user.email, alert, product);
-      if (emailSent) {
-        alert.emailSent = true;
+    if (sendEmail) {
+      if (settings?.alertDigest && settings.alertDigest !== 'off') {
+        // Picked up by the digest job
+        alert.digestPending = true;
         await alert.save();
+      } else {
+        let emailSent = false;
+        for (const email of await getAlertEmails(product, type)) {
+          if (await sendAlertEmail(email, alert, product)) {
+            emailSent = true;
+          }
+        }
+        if (emailSent) {
+          alert.emailSent = true;
+          await alert.save();
+        }
       }
     }
 
-    if (settings?.webhookUrl) {
-      await sendAlertWebhook(settings.webhookUrl, alert, product);
+    if (sendWebhook && settings?.webhookUrl) {
+      await sendAlertWebhook(settings, alert, product);
     }
 
+    // Slack, Discord, Telegram and templated webhook channels
+    await dispatchAlert(alert, product);
+
     return alert;
   } catch (error) {
     console.error('Create alert error:', error);
@@ -56,8 +156,17 @@ const createAlert = async (product, type, oldValue, newValue, message, severity
  * Check single product
  * @param {Object} product - Product to check
  * @param {Object} settings - User settings (optional, will fetch if not provided)
+ * @param {Object} options
+ * @param {string} options.runId - MonitoringRun the check belongs to, stored on its CheckLog
  */
-const checkProduct = async (product, settings = null) => {
+const checkProduct = async (product, settings = null, { runId = null } = {}) => {
+  const startedAt = Date.now();
+  // Source, HTTP status and parse result of each fetch, saved as the product's CheckLog
+  let ebayLog = null;
+  let supplierLog = null;
+  let changed = false;
+  let checkError = null;
+
   try {
     // Reduced logging - only log in development
     if (process.env.NODE_ENV === 'development') {
@@ -66,9 +175,9 @@ const checkProduct = async (product, settings = null) => {
 
     // Get settings if not provided
     if (!settings) {
-      settings = await Settings.findOne({ userId: product.userId });
+      settings = await Settings.findOne(ownerQuery(product));
       if (!settings) {
-        settings = await Settings.create({ userId: product.userId });
+        settings = await Settings.create(ownerQuery(product));
       }
     }
 
@@ -76,18 +185,27 @@ const checkProduct = async (product, settings = null) => {
     const priceChangeThreshold = settings?.priceChangeThreshold || process.env.PRICE_CHANGE_THRESHOLD || 5;
     const competitorAlertPercent = Number(process.env.COMPETITOR_PRICE_ALERT_PERCENT || 3);
 
-    const oldEbayPrice = product.ebayPrice;
+    // Snapshot for alert rules with change conditions ("increased by")
+    const previousState = product.toObject();
+
     const oldEbayStock = product.stockStatus;
-    const oldSupplierPrice = product.supplierPrice;
     const oldSupplierStock = product.supplierStockStatus;
 
     let hasChanges = false;
 
     // Fetch eBay data
+    const ebayStartedAt = Date.now();
     try {
-      const ebayData = await ebayAdapter.fetchEbayItem(product.ebayUrl);
+      const ebayData = await ebayAdapter.fetchEbayItem(product.ebayUrl, { marketplace: product.ebayMarketplace });
+      ebayLog = describeFetch(product.ebayUrl, ebayStartedAt, { data: ebayData });
 
       if (ebayData) {
+        // Stock status from the available quantity and the product's low-stock threshold
+        applyEbayStock(product, ebayData);
+
+        // Previous price in the currency just scraped, so percentages compare like with like
+        const oldEbayPrice = convert(product.ebayPrice, product.ebayCurrency, ebayData.currency) ?? product.ebayPrice;
+
         // Check for price changes
         if (ebayData.price !== oldEbayPrice && oldEbayPrice > 0) {
           const percentChange = ((ebayData.price - oldEbayPrice) / oldEbayPrice) * 100;
@@ -107,8 +225,9 @@ const checkProduct = async (product, settings = null) => {
                 type,
                 oldEbayPrice,
                 ebayData.price,
-                `eBay price changed from GBP ${oldEbayPrice} to GBP ${ebayData.price} (${percentChange.toFixed(1)}%)`,
-                severity
+                `eBay price changed from ${formatMoney(oldEbayPrice, ebayData.currency)} to ${formatMoney(ebayData.price, ebayData.currency)} (${percentChange.toFixed(1)}%)`,
+                severity,
+                { currency: ebayData.currency, source: 'ebay' }
               );
             }
           }
@@ -126,7 +245,8 @@ const checkProduct = async (product, settings = null) => {
                 'ebay',
                 oldEbayStock,
                 'Product is now out of stock on eBay',
-                'high'
+                'high',
+                { source: 'ebay' }
               );
             } else if (oldEbayStock === 'out_of_stock') {
               await createAlert(
@@ -135,15 +255,36 @@ const checkProduct = async (product, settings = null) => {
                 oldEbayStock,
                 'ebay',
                 'Product is back in stock on eBay',
-                'medium'
+                'medium',
+                { source: 'ebay' }
               );
             }
           }
+
+          const shouldAlertLowStock = !settings || !settings.alertTypes || settings.alertTypes.lowStock !== false;
+
+          if (shouldAlertLowStock && ebayData.stock === 'low_stock' && oldEbayStock === 'in_stock') {
+            await createAlert(
+              product,
+              'low_stock',
+              'ebay',
+              ebayData.quantity,
+              ebayData.quantity !== null
+                ? `Only ${ebayData.quantity} left on eBay`
+                : 'Product is running low on eBay',
+              'medium',
+              { source: 'ebay' }
+            );
+          }
+        }
+
+        if (ebayData.price !== oldEbayPrice || ebayData.stock !== oldEbayStock) {
+          changed = true;
         }
 
         // Update product
         product.ebayPrice = ebayData.price;
-        product.stockStatus = ebayData.stock;
+        product.ebayCurrency = ebayData.currency;
         product.title = ebayData.title;
         if (ebayData.images && ebayData.images.length > 0) {
           product.images = ebayData.images;
@@ -154,21 +295,56 @@ const checkProduct = async (product, settings = null) => {
           productId: product._id,
           source: 'ebay',
           price: ebayData.price,
-          stock: ebayData.stock
+          currency: ebayData.currency,
+          stock: ebayData.stock,
+          quantity: product.ebayQuantity
         });
+        await updateSalesVelocity(product);
+
+        // Per-variation price, stock and sell-out alerts
+        const variationEvents = await syncVariations(product, ebayData.variations);
+        const shouldAlertVariations = !settings || !settings.alertTypes || settings.alertTypes.outOfStock !== false;
+
+        if (shouldAlertVariations) {
+          for (const event of variationEvents) {
+            const label = describeVariation(event.variation.specifics) || event.variation.variationId;
+            const soldOut = event.type === 'variation_out_of_stock';
+
+            await createAlert(
+              product,
+              event.type,
+              event.oldStock,
+              event.newStock,
+              soldOut
+                ? `Variation ${label} is now out of stock on eBay`
+                : `Variation ${label} is back in stock on eBay`,
+              soldOut ? 'high' : 'medium',
+              { variationId: event.variation._id, source: 'ebay' }
+            );
+          }
+        }
 
         hasChanges = true;
       }
     } catch (error) {
       console.error(`Error fetching eBay data for ${product.title}:`, error.message);
+      if (!ebayLog) {
+        ebayLog = describeFetch(product.ebayUrl, ebayStartedAt, { error });
+      }
     }
 
     // Fetch supplier data
     if (product.supplierUrl) {
+      const supplierStartedAt = Date.now();
       try {
-        const supplierData = await supplierAdapter.fetchSupplierData(product.supplierUrl);
+        const supplierData = await supplierAdapter.fetchSupplierData(product.supplierUrl, { userId: product.userId });
+        supplierLog = describeFetch(product.supplierUrl, supplierStartedAt, { data: supplierData });
 
         if (supplierData) {
+          applySupplierStock(product, supplierData);
+
+          const oldSupplierPrice = convert(product.supplierPrice, product.supplierCurrency, supplierData.currency) ?? product.supplierPrice;
+
           // Check for supplier price changes
           if (supplierData.price !== oldSupplierPrice && oldSupplierPrice > 0) {
             const percentChange = ((supplierData.price - oldSupplierPrice) / oldSupplierPrice) * 100;
@@ -187,8 +363,9 @@ const checkProduct = async (product, settings = null) => {
                   type,
                   oldSupplierPrice,
                   supplierData.price,
-                `Supplier price changed from GBP ${oldSupplierPrice} to GBP ${supplierData.price} (${percentChange.toFixed(1)}%)`,
-                  severity
+                  `Supplier price changed from ${formatMoney(oldSupplierPrice, supplierData.currency)} to ${formatMoney(supplierData.price, supplierData.currency)} (${percentChange.toFixed(1)}%)`,
+                  severity,
+                  { currency: supplierData.currency, source: 'supplier' }
                 );
               }
             }
@@ -206,7 +383,8 @@ const checkProduct = async (product, settings = null) => {
                   'supplier',
                   oldSupplierStock,
                   'Product is now out of stock at supplier',
-                  'critical'
+                  'critical',
+                  { source: 'supplier' }
                 );
               } else if (oldSupplierStock === 'out_of_stock') {
                 await createAlert(
@@ -215,28 +393,54 @@ const checkProduct = async (product, settings = null) => {
                   oldSupplierStock,
                   'supplier',
                   'Product is back in stock at supplier',
-                  'medium'
+                  'medium',
+                  { source: 'supplier' }
                 );
               }
             }
+
+            const shouldAlertLowStock = !settings || !settings.alertTypes || settings.alertTypes.lowStock !== false;
+
+            if (shouldAlertLowStock && supplierData.stock === 'low_stock' && oldSupplierStock === 'in_stock') {
+              await createAlert(
+                product,
+                'low_stock',
+                'supplier',
+                supplierData.quantity,
+                supplierData.quantity !== null
+                  ? `Only ${supplierData.quantity} left at supplier`
+                  : 'Product is running low at supplier',
+                'high',
+                { source: 'supplier' }
+              );
+            }
+          }
+
+          if (supplierData.price !== oldSupplierPrice || supplierData.stock !== oldSupplierStock) {
+            changed = true;
           }
 
           // Update product
           product.supplierPrice = supplierData.price;
-          product.supplierStockStatus = supplierData.stock;
+          product.supplierCurrency = supplierData.currency;
 
           // Save price history
           await PriceHistory.create({
             productId: product._id,
             source: 'supplier',
             price: supplierData.price,
-            stock: supplierData.stock
+            currency: supplierData.currency,
+            stock: supplierData.stock,
+            quantity: product.supplierQuantity
           });
 
           hasChanges = true;
         }
       } catch (error) {
         console.error(`Error fetching supplier data for ${product.title}:`, error.message);
+        if (!supplierLog) {
+          supplierLog = describeFetch(product.supplierUrl, supplierStartedAt, { error });
+        }
 
         // Create alert for supplier unavailable
         const shouldAlert = !settings || !settings.alertTypes || settings.alertTypes.supplierUnavailable !== false;
@@ -248,7 +452,8 @@ const checkProduct = async (product, settings = null) => {
             'available',
             'unavailable',
             'Unable to fetch data from supplier',
-            'high'
+            'high',
+            { source: 'supplier' }
           );
         }
         product.supplierStockStatus = 'unknown';
@@ -256,6 +461,13 @@ const checkProduct = async (product, settings = null) => {
       }
     }
 
+    // Variations mapped to their own supplier page
+    try {
+      await syncVariationSuppliers(product);
+    } catch (error) {
+      console.error(`Error fetching variation supplier data for ${product.title}:`, error.message);
+    }
+
     // Competitor monitoring
     try {
       const insights = await fetchCompetitorInsights(product);
@@ -281,8 +493,9 @@ const checkProduct = async (product, settings = null) => {
                 'competitor_price',
                 product.ebayPrice,
                 cheapest.lowestPrice,
-                `Competitor ${cheapest.sellerName} is ${percentDifference.toFixed(1)}% cheaper (difference GBP ${difference.toFixed(2)})`,
-                severity
+                `Competitor ${cheapest.sellerName} is ${percentDifference.toFixed(1)}% cheaper (difference ${formatMoney(difference, product.ebayCurrency)})`,
+                severity,
+                { currency: product.ebayCurrency, source: 'competitor' }
               );
             }
 
@@ -290,6 +503,7 @@ const checkProduct = async (product, settings = null) => {
               productId: product._id,
               source: 'competitor',
               price: cheapest.lowestPrice,
+              currency: product.ebayCurrency,
               stock: 'in_stock'
             });
           }
@@ -301,24 +515,159 @@ const checkProduct = async (product, settings = null) => {
 
     if (hasChanges) {
       product.lastCheckedAt = Date.now();
-      product.calculateProfit();
+      if (changed) {
+        product.lastChangedAt = Date.now();
+      }
+      await updateProfit(product);
       await product.save();
     }
 
-    return { success: true, product };
+    // Repricing recommendations from the freshly checked prices
+    try {
+      await evaluateRepricing(product);
+    } catch (error) {
+      console.error(`Repricing error for ${product.title}:`, error.message);
+    }
+
+    // User-defined alert rules
+    try {
+      const triggered = await findTriggeredRules(product, previousState);
+      for (const { rule, oldValue, newValue } of triggered) {
+        await createAlert(
+          product,
+          'custom_rule',
+          oldValue,
+          newValue,
+          `Alert rule "${rule.name}" triggered: ${rule.condition}`,
+          rule.severity,
+          { ruleId: rule._id, channels: rule.channels }
+        );
+        rule.lastTriggeredAt = new Date();
+        await rule.save();
+      }
+    } catch (error) {
+      console.error(`Alert rule error for ${product.title}:`, error.message);
+    }
+
+    return { success: true, product, changed, status: checkStatus({ ebay: ebayLog, supplier: supplierLog }) };
   } catch (error) {
     console.error(`Error checking product ${product._id}:`, error);
-    return { success: false, error: error.message };
+    checkError = error;
+    return { success: false, error: error.message, status: 'failed' };
+  } finally {
+    await recordCheck(product, {
+      runId,
+      ebay: ebayLog,
+      supplier: supplierLog,
+      changed,
+      error: checkError,
+      startedAt
+    });
   }
 };
 
+/**
+ * Queue priority for a product check
+ * Products whose price or stock changed within MONITOR_PRIORITY_WINDOW_HOURS go first
+ */
+const checkPriority = (product, now = Date.now()) => {
+  const lastChanged = product.lastChangedAt ? new Date(product.lastChangedAt).getTime() : 0;
+  return lastChanged && now - lastChanged <= PRIORITY_WINDOW_HOURS * 60 * 60 * 1000 ? 1 : 0;
+};
+
+/**
+ * Check the due products of a user or organization through the monitoring worker
+ * The cycle is recorded as a MonitoringRun
+ * @param {Object} owner - { userId, organizationId }
+ * @param {string} label - Owner name for logs
+ * @returns {Object|null} The saved run, or null when there are no active products
+ */
+const runMonitoringCycle = async (owner, settings, trigger, label) => {
+  // Get the owner's active products
+  const products = await Product.find({
+    ...ownerQuery(owner),
+    isActive: true
+  });
+
+  if (products.length === 0) {
+    return null;
+  }
+
+  const run = await MonitoringRun.create({
+    userId: owner.userId,
+    organizationId: owner.organizationId || null,
+    trigger,
+    concurrency: monitoringWorker.CONCURRENCY
+  });
+
+  try {
+    const monitoringFrequency = settings.monitoringFrequency || 30; // Default 30 minutes
+    const frequencyMs = monitoringFrequency * 60 * 1000; // Convert to milliseconds
+
+    const now = Date.now();
+    run.totalProducts = products.length;
+
+    // Only check if enough time has passed based on user's frequency
+    const due = products.filter((product) => {
+      const lastChecked = product.lastCheckedAt ? new Date(product.lastCheckedAt).getTime() : 0;
+      return now - lastChecked >= frequencyMs || lastChecked === 0;
+    });
+    run.skipped = products.length - due.length;
+
+    // Reduced logging - only log summary
+    if (process.env.NODE_ENV === 'development' && due.length > 0) {
+      console.log(`Checking ${due.length} products for ${label} (frequency: ${monitoringFrequency} min)`);
+    }
+
+    // Longest unchecked first within the same priority
+    due.sort((a, b) => new Date(a.lastCheckedAt || 0) - new Date(b.lastCheckedAt || 0));
+
+    const results = await Promise.all(due.map((product) => {
+      const priority = checkPriority(product, now);
+      if (priority > 0) {
+        run.prioritized++;
+      }
+
+      return monitoringWorker
+        .enqueue(String(product._id), () => checkProduct(product, settings, { runId: run._id }), priority)
+        .catch(error => ({ success: false, error: error.message }));
+    }));
+
+    results.forEach((result) => {
+      // A check that ran but could not read eBay counts as failed
+      if (result.success && result.status !== 'failed') {
+        run.checked++;
+        if (result.changed) run.changed++;
+      } else {
+        run.failed++;
+      }
+    });
+
+    run.status = 'completed';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    throw error;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+  }
+
+  return run;
+};
+
 /**
  * Check products for a specific user based on their settings
- * Can be called with a specific user or for all users
+ * Can be called with a specific user or for all users; checking all users
+ * also checks every organization's shared catalogue
+ * @param {Object} options
+ * @param {string} options.trigger - Recorded on the MonitoringRun ('cron', 'startup', 'manual')
  */
-const checkProductsForUser = async (user = null, settings = null) => {
+const checkProductsForUser = async (user = null, settings = null, { trigger = 'cron' } = {}) => {
   try {
     let users = [];
+    let organizations = [];
     
     if (user) {
       // Check products for specific user
@@ -327,74 +676,82 @@ const checkProductsForUser = async (user = null, settings = null) => {
         settings = await Settings.findOne({ userId: user._id });
       }
     } else {
-      // Check products for all users
+      // Check products for all users and organizations
       console.log('Starting product monitoring check for all users...');
-      users = await User.find({});
+      users = await User.find({ isActive: { $ne: false } });
+      organizations = await Organization.find({});
     }
 
-    let totalChecked = 0;
-    let totalSkipped = 0;
-
-    for (const currentUser of users) {
-      // Get user settings if not provided
-      let userSettings = settings;
-      if (!userSettings) {
-        userSettings = await Settings.findOne({ userId: currentUser._id });
-      }
-      
-      if (!userSettings) {
-        continue; // Skip users without settings
+    const totals = { checked: 0, skipped: 0, failed: 0, changed: 0 };
+    const addRun = (run) => {
+      if (!run) {
+        return;
       }
-
-      const monitoringFrequency = userSettings.monitoringFrequency || 30; // Default 30 minutes
-      const frequencyMs = monitoringFrequency * 60 * 1000; // Convert to milliseconds
-
-      // Get user's active products
-      const products = await Product.find({ 
-        userId: currentUser._id, 
-        isActive: true 
-      });
-
-      if (products.length === 0) {
-        continue;
-      }
-
-      // Reduced logging - only log summary
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`Checking ${products.length} products for user ${currentUser.email} (frequency: ${monitoringFrequency} min)`);
-      }
-
-      for (const product of products) {
-        const now = Date.now();
-        const lastChecked = product.lastCheckedAt ? new Date(product.lastCheckedAt).getTime() : 0;
-        const timeSinceLastCheck = now - lastChecked;
-
-        // Only check if enough time has passed based on user's frequency
-        if (timeSinceLastCheck >= frequencyMs || lastChecked === 0) {
-          const result = await checkProduct(product, userSettings);
-          if (result.success) {
-            totalChecked++;
+      totals.checked += run.checked;
+      totals.skipped += run.skipped;
+      totals.failed += run.failed;
+      totals.changed += run.changed;
+    };
+
+    // Users run side by side; the worker's concurrency limit applies across all of them
+    await Promise.all([
+      ...users.map(async (currentUser) => {
+        try {
+          // Get user settings if not provided
+          const userSettings = settings || await Settings.findOne({ userId: currentUser._id });
+
+          if (!userSettings) {
+            return; // Skip users without settings
           }
 
-          // Add delay between requests to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        } else {
-          totalSkipped++;
+          addRun(await runMonitoringCycle(
+            { userId: currentUser._id, organizationId: null },
+            userSettings,
+            trigger,
+            `user ${currentUser.email}`
+          ));
+        } catch (error) {
+          console.error(`Monitoring cycle error for user ${currentUser._id}:`, error.message);
         }
-      }
-    }
+      }),
+      ...organizations.map(async (organization) => {
+        try {
+          addRun(await checkProductsForOrganization(organization, null, { trigger }));
+        } catch (error) {
+          console.error(`Monitoring cycle error for organization ${organization._id}:`, error.message);
+        }
+      })
+    ]);
 
     // Only log summary, not individual skips
-    if (process.env.NODE_ENV === 'development' || totalChecked > 0) {
-      console.log(`Monitoring check complete. Checked: ${totalChecked}, Skipped: ${totalSkipped}`);
+    if (process.env.NODE_ENV === 'development' || totals.checked > 0) {
+      console.log(`Monitoring check complete. Checked: ${totals.checked}, Skipped: ${totals.skipped}, Failed: ${totals.failed}`);
     }
-    return { checked: totalChecked, skipped: totalSkipped };
+    return totals;
   } catch (error) {
     console.error('Check products for user error:', error);
     throw error;
   }
 };
 
+/**
+ * Check an organization's shared products with the organization's settings
+ * @returns {Object|null} The saved MonitoringRun, or null when nothing was checked
+ */
+const checkProductsForOrganization = async (organization, settings = null, { trigger = 'cron' } = {}) => {
+  const organizationSettings = settings || await Settings.findOne({ organizationId: organization._id });
+  if (!organizationSettings) {
+    return null;
+  }
+
+  return runMonitoringCycle(
+    { userId: organization.ownerId, organizationId: organization._id },
+    organizationSettings,
+    trigger,
+    `organization ${organization.name}`
+  );
+};
+
 /**
  * Check all active products (legacy function for backward compatibility)
  * Now uses user-specific checking
@@ -407,6 +764,8 @@ module.exports = {
   checkProduct,
   checkAllProducts,
   checkProductsForUser,
+  checkProductsForOrganization,
+  checkPriority,
   createAlert
 };
 
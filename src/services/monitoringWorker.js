@@ -0,0 +1,85 @@
+/**
+ * Monitoring Worker
+ * Runs product checks from every user's cycle through one queue with a
+ * global concurrency limit. Higher priority jobs start first; jobs with the
+ * same priority run in the order they were queued. Per-host pacing is done by
+ * the rate limiters in the adapters, not here.
+ */
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.MONITOR_CONCURRENCY || '3', 10));
+
+const queue = [];
+// Jobs queued or running, by key, so a product is never checked twice at once
+const pending = new Map();
+let running = 0;
+let completed = 0;
+let failed = 0;
+
+const drain = () => {
+  while (running < CONCURRENCY && queue.length > 0) {
+    const job = queue.shift();
+    running++;
+
+    Promise.resolve()
+      .then(job.task)
+      .then(
+        (result) => {
+          completed++;
+          job.resolve(result);
+        },
+        (error) => {
+          failed++;
+          job.reject(error);
+        }
+      )
+      .finally(() => {
+        running--;
+        pending.delete(job.key);
+        drain();
+      });
+  }
+};
+
+/**
+ * Queue a job
+ * @param {string} key - Identifies the job (product id); a job already queued or running under the key is returned instead
+ * @param {Function} task - async () => result
+ * @param {number} priority - Higher runs first
+ * @returns {Promise} Resolves with the task result
+ */
+const enqueue = (key, task, priority = 0) => {
+  if (pending.has(key)) {
+    return pending.get(key);
+  }
+
+  const promise = new Promise((resolve, reject) => {
+    const job = { key, task, priority, resolve, reject };
+
+    // After the last job of the same or higher priority
+    let index = queue.findIndex(queued => queued.priority < priority);
+    if (index === -1) index = queue.length;
+    queue.splice(index, 0, job);
+  });
+
+  pending.set(key, promise);
+  drain();
+
+  return promise;
+};
+
+/**
+ * Queue size and counters
+ */
+const getWorkerStats = () => ({
+  concurrency: CONCURRENCY,
+  running,
+  queued: queue.length,
+  completed,
+  failed
+});
+
+module.exports = {
+  CONCURRENCY,
+  enqueue,
+  getWorkerStats
+};
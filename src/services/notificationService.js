@@ -0,0 +1,197 @@
+const axios = require('axios');
+const NotificationChannel = require('../models/NotificationChannel');
+
+/**
+ * Notification Service
+ * Sends alerts to the user's notification channels (Slack, Discord,
+ * Telegram, generic JSON webhook)
+ */
+
+const REQUEST_TIMEOUT = 5000;
+
+const SEVERITY_ICONS = {
+  low: 'ℹ️',
+  medium: '⚠️',
+  high: '🔶',
+  critical: '🚨'
+};
+
+const TEMPLATE_FIELDS = {
+  alert: ['id', 'type', 'message', 'severity', 'oldValue', 'newValue', 'createdAt'],
+  product: ['id', 'title', 'ebayItemId', 'ebayUrl', 'supplierUrl']
+};
+
+const DEFAULT_TEMPLATE = JSON.stringify({
+  type: '{{alert.type}}',
+  severity: '{{alert.severity}}',
+  message: '{{alert.message}}',
+  product: '{{product.title}}',
+  url: '{{product.ebayUrl}}'
+}, null, 2);
+
+const buildContext = (alert, product) => ({
+  alert: {
+    id: alert._id,
+    type: alert.type,
+    message: alert.message,
+    severity: alert.severity,
+    oldValue: alert.oldValue,
+    newValue: alert.newValue,
+    createdAt: alert.createdAt instanceof Date ? alert.createdAt.toISOString() : alert.createdAt
+  },
+  product: {
+    id: product._id,
+    title: product.title,
+    ebayItemId: product.ebayItemId,
+    ebayUrl: product.ebayUrl,
+    supplierUrl: product.supplierUrl
+  }
+});
+
+/**
+ * Render a JSON payload template
+ * Placeholders are replaced with JSON-escaped values, so they can sit inside
+ * string literals: { "text": "{{alert.message}} ({{product.title}})" }
+ * Throws when the result is not valid JSON
+ */
+const renderTemplate = (template, context) => {
+  const rendered = template.replace(/\{\{\s*(alert|product)\.(\w+)\s*\}\}/g, (match, group, field) => {
+    const value = context[group]?.[field];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return JSON.stringify(String(value)).slice(1, -1);
+  });
+
+  return JSON.parse(rendered);
+};
+
+/**
+ * Validate a template against a sample alert
+ * Returns an error message or null
+ */
+const validateTemplate = (template) => {
+  const unknown = [...template.matchAll(/\{\{\s*(\w+)\.(\w+)\s*\}\}/g)]
+    .filter(([, group, field]) => !TEMPLATE_FIELDS[group] || !TEMPLATE_FIELDS[group].includes(field))
+    .map(([match]) => match);
+
+  if (unknown.length > 0) {
+    return `Unknown template placeholder(s): ${unknown.join(', ')}`;
+  }
+
+  try {
+    renderTemplate(template, buildContext(
+      { type: 'price_increase', message: 'Sample "quoted" message', severity: 'medium', createdAt: new Date() },
+      { title: 'Sample product' }
+    ));
+  } catch (error) {
+    return `Template must be valid JSON: ${error.message}`;
+  }
+
+  return null;
+};
+
+const formatText = (alert, product) => {
+  const icon = SEVERITY_ICONS[alert.severity] || '';
+  return `${icon} ${alert.message}\n${product.title}${product.ebayUrl ? `\n${product.ebayUrl}` : ''}`.trim();
+};
+
+const channelAccepts = (channel, alert) => {
+  if (channel.severities?.length && !channel.severities.includes(alert.severity)) {
+    return false;
+  }
+  if (channel.alertTypes?.length && !channel.alertTypes.includes(alert.type)) {
+    return false;
+  }
+  return true;
+};
+
+// Channel fields not loaded by default, needed to send
+const CREDENTIAL_FIELDS = '+config.url +config.botToken';
+
+/**
+ * Send one alert to one channel
+ * Throws on delivery failure
+ */
+const sendToChannel = async (channel, alert, product) => {
+  const { config = {} } = channel;
+
+  switch (channel.type) {
+    case 'slack':
+      await axios.post(config.url, { text: formatText(alert, product) }, { timeout: REQUEST_TIMEOUT });
+      break;
+
+    case 'discord':
+      await axios.post(config.url, { content: formatText(alert, product) }, { timeout: REQUEST_TIMEOUT });
+      break;
+
+    case 'telegram':
+      await axios.post(
+        `https://api.telegram.org/bot${config.botToken}/sendMessage`,
+        { chat_id: config.chatId, text: formatText(alert, product), disable_web_page_preview: true },
+        { timeout: REQUEST_TIMEOUT }
+      );
+      break;
+
+    case 'webhook':
+      await axios.post(
+        config.url,
+        renderTemplate(config.template || DEFAULT_TEMPLATE, buildContext(alert, product)),
+        { timeout: REQUEST_TIMEOUT }
+      );
+      break;
+
+    default:
+      throw new Error(`Unsupported channel type: ${channel.type}`);
+  }
+};
+
+/**
+ * Send to a channel and record the outcome on it
+ * @returns {boolean}
+ */
+const deliverToChannel = async (channel, alert, product) => {
+  try {
+    await sendToChannel(channel, alert, product);
+    channel.lastSentAt = new Date();
+    channel.lastError = undefined;
+    await channel.save();
+    return true;
+  } catch (error) {
+    const message = error.response
+      ? `HTTP ${error.response.status}: ${JSON.stringify(error.response.data).slice(0, 200)}`
+      : error.message;
+    console.error(`Notification channel ${channel._id} error:`, message);
+    channel.lastError = message;
+    await channel.save();
+    return false;
+  }
+};
+
+/**
+ * Dispatch an alert to every matching channel of the product owner
+ * Called by monitoringService.createAlert
+ */
+const dispatchAlert = async (alert, product) => {
+  const channels = await NotificationChannel.find({ userId: product.userId, isActive: true })
+    .select(CREDENTIAL_FIELDS);
+  let sent = 0;
+
+  for (const channel of channels) {
+    if (channelAccepts(channel, alert) && await deliverToChannel(channel, alert, product)) {
+      sent++;
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  CREDENTIAL_FIELDS,
+  DEFAULT_TEMPLATE,
+  renderTemplate,
+  validateTemplate,
+  channelAccepts,
+  deliverToChannel,
+  dispatchAlert
+};
@@ -0,0 +1,131 @@
+const Organization = require('../models/Organization');
+const Invitation = require('../models/Invitation');
+const Settings = require('../models/Settings');
+const { sendOrganizationInvitationEmail } = require('./emailService');
+
+/**
+ * Organization Service
+ * Shared catalogues: members, invitations and which members receive an alert
+ */
+
+// How long an invitation link stays valid
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '7', 10);
+
+/**
+ * Check a member's notification preferences accept an alert type
+ */
+const memberWantsAlert = (member, alertType) => {
+  const notifications = member.notifications || {};
+  if (notifications.email === false) {
+    return false;
+  }
+  const alertTypes = notifications.alertTypes || [];
+  return alertTypes.length === 0 || alertTypes.includes(alertType);
+};
+
+/**
+ * Members who receive emails for an alert type
+ * @returns {Array} [{ userId, email, name }]
+ */
+const getAlertRecipients = async (organizationId, alertType) => {
+  const organization = await Organization.findById(organizationId).populate('members.userId', 'email name');
+  if (!organization) {
+    return [];
+  }
+
+  return organization.members
+    .filter(member => member.userId && memberWantsAlert(member, alertType))
+    .map(member => ({ userId: member.userId._id, email: member.userId.email, name: member.userId.name }));
+};
+
+/**
+ * Create an organization owned by the user, with its own settings
+ */
+const createOrganization = async (name, user) => {
+  const organization = await Organization.create({
+    name,
+    ownerId: user._id,
+    members: [{ userId: user._id, role: 'owner' }]
+  });
+
+  await Settings.create({ organizationId: organization._id });
+  return organization;
+};
+
+/**
+ * Invite an email address to an organization and send the invitation email
+ * A pending invitation for the same address is replaced
+ * @returns {Object} { invitation, emailSent }
+ */
+const inviteMember = async (organization, email, role, inviter) => {
+  await Invitation.deleteMany({
+    organizationId: organization._id,
+    email: email.toLowerCase(),
+    acceptedAt: null
+  });
+
+  const invitation = new Invitation({
+    organizationId: organization._id,
+    email,
+    role,
+    invitedBy: inviter._id,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  const token = invitation.generateToken();
+  await invitation.save();
+
+  const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invitations/${token}`;
+  const emailSent = await sendOrganizationInvitationEmail(invitation.email, inviteUrl, {
+    organizationName: organization.name,
+    inviterName: inviter.name,
+    role,
+    expiresAt: invitation.expiresAt
+  });
+
+  return { invitation, emailSent };
+};
+
+/**
+ * Accept an invitation as the signed-in user
+ * @returns {Object} { organization } or { error }
+ */
+const acceptInvitation = async (token, user) => {
+  const invitation = await Invitation.findOne({
+    token: Invitation.hashToken(token),
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!invitation) {
+    return { error: 'Invalid or expired invitation' };
+  }
+
+  if (invitation.email !== user.email.toLowerCase()) {
+    return { error: 'This invitation was sent to a different email address' };
+  }
+
+  const organization = await Organization.findById(invitation.organizationId);
+  if (!organization) {
+    return { error: 'Organization no longer exists' };
+  }
+
+  // Accepting twice (e.g. a re-sent invitation) keeps the current role
+  if (!organization.getMember(user._id)) {
+    organization.members.push({ userId: user._id, role: invitation.role });
+    await organization.save();
+  }
+
+  invitation.acceptedAt = new Date();
+  await invitation.save();
+
+  return { organization };
+};
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  memberWantsAlert,
+  getAlertRecipients,
+  createOrganization,
+  inviteMember,
+  acceptInvitation
+};
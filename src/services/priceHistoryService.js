@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const PriceHistory = require('../models/PriceHistory');
+
+/**
+ * Price History Service
+ * Downsamples raw PriceHistory rows into time buckets for charting
+ */
+
+const BUCKETS = ['hour', 'day', 'week'];
+const SOURCES = ['ebay', 'supplier', 'competitor'];
+
+const BUCKET_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+// Refuse ranges that would produce more points than a chart can use
+const MAX_BUCKETS = 5000;
+
+const DEFAULT_RANGE_MS = 30 * BUCKET_MS.day;
+
+/**
+ * Validate and normalise history query options
+ * Returns { error } or the resolved options
+ */
+const resolveHistoryOptions = ({ source, from, to, bucket = 'day' } = {}) => {
+  if (!BUCKETS.includes(bucket)) {
+    return { error: `Bucket must be one of: ${BUCKETS.join(', ')}` };
+  }
+
+  if (source && !SOURCES.includes(source)) {
+    return { error: `Source must be one of: ${SOURCES.join(', ')}` };
+  }
+
+  const toDate = to ? new Date(to) : new Date();
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_RANGE_MS);
+
+  if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+    return { error: 'Invalid from/to date' };
+  }
+
+  if (fromDate > toDate) {
+    return { error: '"from" must be before "to"' };
+  }
+
+  if ((toDate - fromDate) / BUCKET_MS[bucket] > MAX_BUCKETS) {
+    return { error: `Range too large for ${bucket} buckets, use a larger bucket or a shorter range` };
+  }
+
+  return { source, from: fromDate, to: toDate, bucket };
+};
+
+/**
+ * Aggregate price history for a product
+ * @param {ObjectId} productId
+ * @param {Object} options - Resolved options from resolveHistoryOptions
+ * @param {ObjectId} variationId - A single variation's history instead of the listing's
+ * @returns {Object} series per source and stock transitions
+ */
+const getPriceHistorySeries = async (productId, { source, from, to, bucket }, variationId = null) => {
+  const match = {
+    productId: new mongoose.Types.ObjectId(productId),
+    variationId: variationId ? new mongoose.Types.ObjectId(variationId) : null,
+    checkedAt: { $gte: from, $lte: to }
+  };
+  if (source) {
+    match.source = source;
+  }
+
+  const buckets = await PriceHistory.aggregate([
+    { $match: match },
+    { $sort: { checkedAt: 1 } },
+    {
+      $group: {
+        _id: {
+          source: '$source',
+          bucketStart: {
+            $dateTrunc: { date: '$checkedAt', unit: bucket, startOfWeek: 'monday' }
+          }
+        },
+        min: { $min: '$price' },
+        max: { $max: '$price' },
+        avg: { $avg: '$price' },
+        last: { $last: '$price' },
+        lastStock: { $last: '$stock' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.bucketStart': 1 } }
+  ]);
+
+  // Stock transitions: rows whose stock differs from the previous row of the same source
+  const transitions = await PriceHistory.aggregate([
+    { $match: match },
+    {
+      $setWindowFields: {
+        partitionBy: '$source',
+        sortBy: { checkedAt: 1 },
+        output: {
+          previousStock: { $shift: { output: '$stock', by: -1 } }
+        }
+      }
+    },
+    {
+      $match: {
+        previousStock: { $ne: null },
+        $expr: { $ne: ['$stock', '$previousStock'] }
+      }
+    },
+    { $sort: { checkedAt: 1 } },
+    {
+      $project: {
+        _id: 0,
+        source: 1,
+        from: '$previousStock',
+        to: '$stock',
+        price: 1,
+        at: '$checkedAt'
+      }
+    }
+  ]);
+
+  const series = {};
+  (source ? [source] : SOURCES).forEach(s => {
+    series[s] = [];
+  });
+
+  buckets.forEach(b => {
+    series[b._id.source].push({
+      bucketStart: b._id.bucketStart,
+      min: b.min,
+      max: b.max,
+      avg: Number(b.avg.toFixed(2)),
+      last: b.last,
+      stock: b.lastStock,
+      count: b.count
+    });
+  });
+
+  return {
+    series,
+    stockTransitions: transitions
+  };
+};
+
+module.exports = {
+  resolveHistoryOptions,
+  getPriceHistorySeries
+};
@@ -0,0 +1,255 @@
+const Product = require('../models/Product');
+const PriceHistory = require('../models/PriceHistory');
+const ebayAdapter = require('../adapters/ebayAdapter');
+const supplierAdapter = require('../adapters/supplierAdapter');
+const { validateProductUrls, validateMarketplace, createProduct } = require('./productService');
+const { getProfitContext, updateProfit } = require('./profitService');
+const { syncVariations } = require('./variationService');
+const { applyEbayStock, applySupplierStock, updateSalesVelocity } = require('./stockService');
+const { parseSpreadsheet } = require('../utils/spreadsheet');
+const { parseAmount } = require('../utils/currency');
+const { ownerQuery } = require('../utils/workspace');
+
+/**
+ * Product Import Service
+ * Adds or updates products from a CSV / XLSX catalogue, one row per product
+ */
+
+const MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS || '200', 10);
+
+// Accepted header spellings, compared lowercase without spaces or punctuation
+const COLUMNS = {
+  ebayUrl: ['ebayurl', 'ebaylink', 'ebay', 'url'],
+  supplierUrl: ['supplierurl', 'supplierlink', 'supplier'],
+  tags: ['tags'],
+  notes: ['notes'],
+  minPriceThreshold: ['minpricethreshold', 'minprice', 'minimumprice'],
+  ebayMarketplace: ['ebaymarketplace', 'marketplace']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Map known columns to their index in the header row
+ */
+const mapColumns = (headerRow) => {
+  const columns = {};
+  headerRow.forEach((header, index) => {
+    const name = normalizeHeader(header);
+    const field = Object.keys(COLUMNS).find(key => COLUMNS[key].includes(name));
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    }
+  });
+  return columns;
+};
+
+/**
+ * Parse an uploaded file into import records
+ * @param {Buffer} buffer - CSV or XLSX file
+ * @returns {Object} { records } or { error }
+ */
+const readImportFile = (buffer) => {
+  // The header, the row limit and one more row to tell that the file is over it
+  const rows = parseSpreadsheet(buffer, { maxRows: MAX_ROWS + 2 });
+  if (rows.length < 2) {
+    return { error: 'The file needs a header row and at least one product row' };
+  }
+
+  const columns = mapColumns(rows[0]);
+  if (columns.ebayUrl === undefined) {
+    return { error: 'The file needs an "eBay URL" column' };
+  }
+
+  if (rows.length - 1 > MAX_ROWS) {
+    return { error: `Too many rows, the limit is ${MAX_ROWS} per file` };
+  }
+
+  const cell = (row, field) => (columns[field] === undefined ? '' : String(row[columns[field]] ?? '').trim());
+
+  const records = rows.slice(1).map((row, index) => ({
+    // Spreadsheet line number, the header is line 1
+    row: index + 2,
+    ebayUrl: cell(row, 'ebayUrl'),
+    supplierUrl: cell(row, 'supplierUrl'),
+    tags: cell(row, 'tags'),
+    notes: cell(row, 'notes'),
+    minPriceThreshold: cell(row, 'minPriceThreshold'),
+    ebayMarketplace: cell(row, 'ebayMarketplace').toUpperCase()
+  }));
+
+  return { records };
+};
+
+/**
+ * Validate a record the way addProduct validates its body
+ * Returns { error } or { fields } with the optional product fields the row sets
+ */
+const validateRecord = (record) => {
+  const urlError = validateProductUrls(record.ebayUrl, record.supplierUrl) || validateMarketplace(record.ebayMarketplace);
+  if (urlError) {
+    return { error: urlError };
+  }
+
+  const fields = {};
+
+  if (record.ebayMarketplace) {
+    fields.ebayMarketplace = record.ebayMarketplace;
+  }
+
+  if (record.tags) {
+    fields.tags = record.tags.split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+  }
+  if (record.notes) {
+    fields.notes = record.notes;
+  }
+  if (record.minPriceThreshold) {
+    if (!/\d/.test(record.minPriceThreshold) || /-/.test(record.minPriceThreshold)) {
+      return { error: 'minPriceThreshold must be a non-negative number' };
+    }
+    fields.minPriceThreshold = parseAmount(record.minPriceThreshold);
+  }
+
+  return { fields };
+};
+
+/**
+ * Refresh an existing product from a row
+ * Empty cells leave the product's current values alone
+ */
+const updateFromRecord = async (product, record, fields, ebayData, profitContext) => {
+  Object.assign(product, fields);
+
+  product.ebayPrice = ebayData.price;
+  product.ebayCurrency = ebayData.currency;
+  applyEbayStock(product, ebayData);
+  product.title = ebayData.title;
+  if (ebayData.images && ebayData.images.length > 0) {
+    product.images = ebayData.images;
+  }
+
+  await PriceHistory.create({
+    productId: product._id,
+    source: 'ebay',
+    price: ebayData.price,
+    currency: ebayData.currency,
+    stock: ebayData.stock,
+    quantity: product.ebayQuantity
+  });
+  await updateSalesVelocity(product);
+  await syncVariations(product, ebayData.variations);
+
+  if (record.supplierUrl && record.supplierUrl !== product.supplierUrl) {
+    const supplierData = await supplierAdapter.fetchSupplierData(record.supplierUrl, { userId: product.userId });
+    if (supplierData) {
+      product.supplierUrl = record.supplierUrl;
+      product.supplierPrice = supplierData.price;
+      product.supplierCurrency = supplierData.currency;
+      applySupplierStock(product, supplierData);
+
+      await PriceHistory.create({
+        productId: product._id,
+        source: 'supplier',
+        price: supplierData.price,
+        currency: supplierData.currency,
+        stock: supplierData.stock,
+        quantity: product.supplierQuantity
+      });
+    }
+  }
+
+  product.lastCheckedAt = Date.now();
+  await updateProfit(product, profitContext);
+  await product.save();
+};
+
+/**
+ * Import records, creating new products and updating existing ones by ebayItemId
+ * Rows are not spaced out here, the adapters already pace requests per host
+ * @param {Object} owner - { userId, organizationId } owning the products
+ * @param {Object} hooks - Optional callbacks used by the import job worker
+ * @param {Function} hooks.onProgress - Called after every row, with the report
+ * @param {Function} hooks.shouldCancel - Checked before every row; resolving true stops the import
+ * @returns {Object} Report with a result per row
+ */
+const importProducts = async (owner, records, hooks = {}) => {
+  const { onProgress, shouldCancel } = hooks;
+
+  const report = {
+    total: records.length,
+    processed: 0,
+    created: 0,
+    updated: 0,
+    failed: 0,
+    cancelled: false,
+    rows: []
+  };
+
+  const profitContext = await getProfitContext(owner);
+
+  for (const record of records) {
+    if (shouldCancel && await shouldCancel()) {
+      report.cancelled = true;
+      break;
+    }
+
+    const result = { row: record.row, ebayUrl: record.ebayUrl };
+
+    try {
+      const { error, fields } = validateRecord(record);
+      if (error) {
+        throw new Error(error);
+      }
+
+      let ebayData;
+      try {
+        ebayData = await ebayAdapter.fetchEbayItem(record.ebayUrl, { marketplace: fields.ebayMarketplace });
+      } catch (fetchError) {
+        throw new Error(`Could not fetch eBay product data: ${fetchError.message}`);
+      }
+      if (!ebayData) {
+        throw new Error('Could not fetch eBay product data');
+      }
+
+      result.ebayItemId = ebayData.itemId;
+
+      const existing = await Product.findOne({ ...ownerQuery(owner), ebayItemId: ebayData.itemId });
+
+      if (existing) {
+        await updateFromRecord(existing, record, fields, ebayData, profitContext);
+        result.status = 'updated';
+        result.productId = existing._id;
+        report.updated++;
+      } else {
+        const product = await createProduct(owner, record.ebayUrl, ebayData, {
+          supplierUrl: record.supplierUrl,
+          fields
+        });
+        result.status = 'created';
+        result.productId = product._id;
+        report.created++;
+      }
+    } catch (error) {
+      result.status = 'failed';
+      result.message = error.message;
+      report.failed++;
+    }
+
+    report.rows.push(result);
+    report.processed++;
+
+    if (onProgress) {
+      await onProgress(report);
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  MAX_ROWS,
+  mapColumns,
+  readImportFile,
+  validateRecord,
+  importProducts
+};
@@ -0,0 +1,136 @@
+const Product = require('../models/Product');
+const PriceHistory = require('../models/PriceHistory');
+const supplierAdapter = require('../adapters/supplierAdapter');
+const { updateProfit } = require('./profitService');
+const { syncVariations } = require('./variationService');
+const { applyEbayStock, applySupplierStock } = require('./stockService');
+const { MARKETPLACE_IDS, isEbayUrl } = require('../utils/ebayMarketplace');
+
+/**
+ * Product Service
+ * Validation and creation shared by addProduct and the spreadsheet import
+ */
+
+/**
+ * Validate the eBay and supplier URLs of a new product
+ * Returns an error message or null
+ */
+const validateProductUrls = (ebayUrl, supplierUrl) => {
+  if (!ebayUrl) {
+    return 'eBay URL is required';
+  }
+
+  // Basic URL validation
+  try {
+    new URL(ebayUrl);
+  } catch (error) {
+    return 'Invalid eBay URL format';
+  }
+
+  // Check if it's an eBay URL (any marketplace)
+  if (!isEbayUrl(ebayUrl)) {
+    return 'URL must be from eBay domain';
+  }
+
+  if (supplierUrl) {
+    try {
+      new URL(supplierUrl);
+    } catch (error) {
+      return 'Invalid supplier URL format';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate a marketplace chosen for a product or store import
+ * Empty means "infer from the URL". Returns an error message or null
+ */
+const validateMarketplace = (marketplace) => {
+  if (marketplace && !MARKETPLACE_IDS.includes(marketplace)) {
+    return `Unknown eBay marketplace, expected one of: ${MARKETPLACE_IDS.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Create a product from fetched eBay data
+ * Fetches the supplier page, calculates profit and records the first price history
+ * @param {Object} owner - { userId, organizationId } the product is created for
+ * @param {string} ebayUrl
+ * @param {Object} ebayData - From ebayAdapter.fetchEbayItem
+ * @param {Object} options
+ * @param {string} options.supplierUrl
+ * @param {Object} options.fields - Extra product fields (tags, notes, shipping costs, ebayMarketplace...)
+ */
+const createProduct = async ({ userId, organizationId = null }, ebayUrl, ebayData, { supplierUrl, fields = {} } = {}) => {
+  // Fetch supplier data if URL provided
+  let supplierData = null;
+  if (supplierUrl) {
+    supplierData = await supplierAdapter.fetchSupplierData(supplierUrl, { userId });
+  }
+
+  // Create product
+  const productData = {
+    title: ebayData.title,
+    ebayUrl,
+    ebayItemId: ebayData.itemId,
+    ebayPrice: ebayData.price,
+    ebayCurrency: ebayData.currency,
+    ebayMarketplace: ebayData.marketplace,
+    images: ebayData.images,
+    ...fields,
+    userId,
+    organizationId
+  };
+
+  if (supplierData) {
+    productData.supplierUrl = supplierUrl;
+    productData.supplierPrice = supplierData.price;
+    productData.supplierCurrency = supplierData.currency;
+  }
+
+  const product = new Product(productData);
+
+  // Stock status from quantities, using the product's low-stock threshold
+  applyEbayStock(product, ebayData);
+  if (supplierData) {
+    applySupplierStock(product, supplierData);
+  }
+
+  // Calculate profit
+  await updateProfit(product);
+  await product.save();
+
+  await syncVariations(product, ebayData.variations);
+
+  // Create initial price history entries
+  await PriceHistory.create({
+    productId: product._id,
+    source: 'ebay',
+    price: ebayData.price,
+    currency: ebayData.currency,
+    stock: ebayData.stock,
+    quantity: product.ebayQuantity
+  });
+
+  if (supplierData) {
+    await PriceHistory.create({
+      productId: product._id,
+      source: 'supplier',
+      price: supplierData.price,
+      currency: supplierData.currency,
+      stock: supplierData.stock,
+      quantity: product.supplierQuantity
+    });
+  }
+
+  return product;
+};
+
+module.exports = {
+  validateProductUrls,
+  validateMarketplace,
+  createProduct
+};
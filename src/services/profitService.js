@@ -0,0 +1,80 @@
+const Product = require('../models/Product');
+const FeeProfile = require('../models/FeeProfile');
+const { getBaseCurrency } = require('./currencyService');
+
+/**
+ * Profit Service
+ * Resolves the base currency and fee profile a product's profit is calculated with
+ */
+
+/**
+ * Everything needed to calculate profit for one owner's products
+ * Load once and pass to updateProfit when handling many products
+ * @param {Object} owner - { userId, organizationId }, e.g. a product; organization
+ *   products use the organization's base currency and the owner's fee profiles
+ */
+const getProfitContext = async (owner) => {
+  const [baseCurrency, feeProfiles] = await Promise.all([
+    getBaseCurrency(owner),
+    FeeProfile.find({ userId: owner.userId })
+  ]);
+
+  return { baseCurrency, feeProfiles };
+};
+
+/**
+ * The product's own fee profile, otherwise the user's default
+ */
+const selectFeeProfile = (product, feeProfiles = []) => {
+  if (product.feeProfileId) {
+    const assigned = feeProfiles.find(profile => profile._id.equals(product.feeProfileId));
+    if (assigned) return assigned;
+  }
+  return feeProfiles.find(profile => profile.isDefault) || null;
+};
+
+/**
+ * Recalculate profit on a product (does not save)
+ * @param {Object} product - Product document
+ * @param {Object} context - From getProfitContext, loaded when omitted
+ */
+const updateProfit = async (product, context = null) => {
+  const { baseCurrency, feeProfiles } = context || await getProfitContext(product);
+  product.calculateProfit(baseCurrency, selectFeeProfile(product, feeProfiles));
+};
+
+/**
+ * Recalculate and save profit for all of a user's products
+ * Used when the base currency or a fee profile changes
+ * @param {ObjectId} userId
+ * @param {ObjectId|null} organizationId - Only this workspace (null for personal products);
+ *   all of the user's products, including organizations they own, when omitted
+ * @returns {number} Products updated
+ */
+const recalculateUserProfits = async (userId, organizationId) => {
+  const query = { userId };
+  if (organizationId !== undefined) {
+    query.organizationId = organizationId;
+  }
+  const products = await Product.find(query);
+
+  // One context per workspace, base currencies differ
+  const contexts = new Map();
+  for (const product of products) {
+    const key = String(product.organizationId || '');
+    if (!contexts.has(key)) {
+      contexts.set(key, await getProfitContext(product));
+    }
+    await updateProfit(product, contexts.get(key));
+    await product.save();
+  }
+
+  return products.length;
+};
+
+module.exports = {
+  getProfitContext,
+  selectFeeProfile,
+  updateProfit,
+  recalculateUserProfits
+};
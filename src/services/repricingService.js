@@ -0,0 +1,245 @@
+const RepricingRule = require('../models/RepricingRule');
+const RepricingDecision = require('../models/RepricingDecision');
+const { matchesScope, scopeSpecificity } = require('../utils/ruleScope');
+const { getListingWriter } = require('./listingWriter');
+const { convert } = require('./currencyService');
+const { formatMoney, DEFAULT_CURRENCY } = require('../utils/currency');
+
+/**
+ * Repricing Service
+ * Evaluates repricing rules after each product check and keeps an audit trail
+ * of every recommendation in RepricingDecision
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const formatAmount = ({ amount, type }, currency) => {
+  return type === 'percent' ? `${amount}%` : formatMoney(amount, currency);
+};
+
+/**
+ * Pick the rule that applies to a product
+ * Most specific scope wins (products > tag > all), then highest priority
+ */
+const findRuleForProduct = (rules, product) => {
+  const matching = rules
+    .filter(rule => rule.isActive && matchesScope(rule.scope, product))
+    .sort((a, b) =>
+      scopeSpecificity(b.scope) - scopeSpecificity(a.scope) || (b.priority || 0) - (a.priority || 0)
+    );
+
+  return matching[0] || null;
+};
+
+/**
+ * Calculate recommended price for a product under a rule
+ * @param {Object} product
+ * @param {Object} rule
+ * @param {number} dayStartPrice - Listing price at the start of the day, for the daily cap
+ * The floor (supplier cost plus minimum margin, or the product minimum price)
+ * is applied after the rule maximum and the daily cap, so it always holds
+ * @returns {Object|null} null when there is no competitor price to react to,
+ * or when the minimum margin is 100% or more
+ */
+const calculateRecommendation = (product, rule, dayStartPrice = product.ebayPrice) => {
+  const competitorPrice = product.competitorStats?.lowestPrice;
+  if (!competitorPrice || competitorPrice <= 0) {
+    return null;
+  }
+
+  // Everything is priced in the listing currency; supplier cost is converted
+  const currency = product.ebayCurrency;
+  const money = (amount) => formatMoney(round(amount), currency);
+  // Without an exchange rate the cost floor is skipped rather than comparing two currencies
+  const supplierCost = product.supplierPrice > 0
+    ? convert(product.supplierPrice, product.supplierCurrency, currency)
+    : 0;
+
+  const explanation = [];
+  const beatBy = rule.beatBy || { amount: 0, type: 'fixed' };
+
+  let price = beatBy.type === 'percent'
+    ? competitorPrice * (1 - beatBy.amount / 100)
+    : competitorPrice - beatBy.amount;
+
+  explanation.push(
+    `Lowest competitor${product.competitorStats.sellerName ? ` (${product.competitorStats.sellerName})` : ''} is ${money(competitorPrice)}; ` +
+    (beatBy.amount > 0 ? `beating by ${formatAmount(beatBy, currency)} gives ${money(price)}` : 'matching it')
+  );
+
+  // Floor: supplier cost plus minimum margin, and the product's own minimum price
+  let floorPrice = 0;
+  const minMargin = rule.minMargin || { amount: 0, type: 'percent' };
+
+  if (supplierCost === null) {
+    explanation.push(
+      `No ${product.supplierCurrency || DEFAULT_CURRENCY}→${currency || DEFAULT_CURRENCY} rate, so the supplier cost floor is skipped`
+    );
+  } else if (supplierCost > 0) {
+    if (minMargin.type === 'percent') {
+      // Margin is profit / sale price, so solve price = cost / (1 - margin)
+      floorPrice = minMargin.amount < 100
+        ? supplierCost / (1 - minMargin.amount / 100)
+        : Infinity;
+    } else {
+      floorPrice = supplierCost + minMargin.amount;
+    }
+  }
+
+  // No price reaches a margin of 100% or more
+  if (!Number.isFinite(floorPrice)) {
+    return null;
+  }
+
+  if (product.minPriceThreshold > floorPrice) {
+    floorPrice = product.minPriceThreshold;
+  }
+
+  if (rule.maxPrice && price > rule.maxPrice) {
+    price = rule.maxPrice;
+    explanation.push(`Capped at rule maximum ${money(rule.maxPrice)}`);
+  }
+
+  // Daily cap relative to the price the day started at
+  if (rule.maxDailyChangePercent !== undefined && rule.maxDailyChangePercent !== null && dayStartPrice > 0) {
+    const maxMove = dayStartPrice * (rule.maxDailyChangePercent / 100);
+    const lower = dayStartPrice - maxMove;
+    const upper = dayStartPrice + maxMove;
+
+    if (price < lower || price > upper) {
+      price = Math.min(Math.max(price, lower), upper);
+      explanation.push(
+        `Limited to a ${rule.maxDailyChangePercent}% daily move from ${money(dayStartPrice)}`
+      );
+    }
+  }
+
+  // The floor goes last so neither cap can take the price below it
+  if (price < floorPrice) {
+    const capped = explanation.some(line => /^(Capped|Limited)/.test(line));
+    price = floorPrice;
+    explanation.push(
+      (floorPrice === product.minPriceThreshold
+        ? `Raised to the product minimum price ${money(floorPrice)}`
+        : `Raised to supplier cost ${money(supplierCost)} plus ${formatAmount(minMargin, currency)} margin = ${money(floorPrice)}`)
+      + (capped ? ', which takes precedence over the caps above' : '')
+    );
+  }
+
+  return {
+    recommendedPrice: round(price),
+    competitorPrice,
+    floorPrice: round(floorPrice),
+    explanation
+  };
+};
+
+/**
+ * Price the listing had at the start of today
+ * Uses the first applied decision of the day, otherwise the current price
+ */
+const getDayStartPrice = async (product) => {
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const firstApplied = await RepricingDecision.findOne({
+    productId: product._id,
+    status: 'applied',
+    createdAt: { $gte: startOfDay }
+  }).sort({ createdAt: 1 });
+
+  return firstApplied ? firstApplied.currentPrice : product.ebayPrice;
+};
+
+/**
+ * Send a decision to the listing writer and record the outcome
+ */
+const applyDecision = async (decision, product) => {
+  const writer = getListingWriter();
+  decision.writer = writer.name;
+
+  try {
+    const result = await writer.updatePrice(product, decision.recommendedPrice);
+
+    if (result && result.applied) {
+      decision.status = 'applied';
+      decision.appliedAt = new Date();
+    } else {
+      decision.status = 'dry_run';
+    }
+  } catch (error) {
+    console.error(`Listing writer error for product ${product._id}:`, error.message);
+    decision.status = 'failed';
+    decision.error = error.message;
+  }
+
+  await decision.save();
+  return decision;
+};
+
+/**
+ * Check the latest decision already records this unchanged price under the same rule
+ */
+const isSameUnchangedDecision = (previous, product, rule, recommendation) => Boolean(previous)
+  && previous.status === 'unchanged'
+  && String(previous.ruleId) === String(rule._id)
+  && Math.abs(previous.currentPrice - product.ebayPrice) < 0.01
+  && Math.abs(previous.recommendedPrice - recommendation.recommendedPrice) < 0.01;
+
+/**
+ * Evaluate repricing for a checked product
+ * Called by the monitoring service after every checkProduct
+ * @returns {Object|null} RepricingDecision, or null when no rule applies
+ */
+const evaluateRepricing = async (product) => {
+  const rules = await RepricingRule.find({ userId: product.userId, isActive: true });
+  const rule = findRuleForProduct(rules, product);
+
+  if (!rule) {
+    return null;
+  }
+
+  const dayStartPrice = await getDayStartPrice(product);
+  const recommendation = calculateRecommendation(product, rule, dayStartPrice);
+
+  if (!recommendation) {
+    return null;
+  }
+
+  const unchanged = Math.abs(recommendation.recommendedPrice - product.ebayPrice) < 0.01;
+
+  // A product checked every cycle at the right price would otherwise log a decision per check
+  if (unchanged) {
+    const previous = await RepricingDecision.findOne({ productId: product._id }).sort({ createdAt: -1 });
+    if (isSameUnchangedDecision(previous, product, rule, recommendation)) {
+      return previous;
+    }
+  }
+
+  const decision = await RepricingDecision.create({
+    userId: product.userId,
+    productId: product._id,
+    ruleId: rule._id,
+    currentPrice: product.ebayPrice,
+    recommendedPrice: recommendation.recommendedPrice,
+    competitorPrice: recommendation.competitorPrice,
+    supplierPrice: product.supplierPrice,
+    floorPrice: recommendation.floorPrice,
+    explanation: recommendation.explanation,
+    status: unchanged ? 'unchanged' : 'recommended'
+  });
+
+  if (!unchanged && rule.autoApply) {
+    await applyDecision(decision, product);
+  }
+
+  return decision;
+};
+
+module.exports = {
+  findRuleForProduct,
+  calculateRecommendation,
+  isSameUnchangedDecision,
+  evaluateRepricing,
+  applyDecision
+};
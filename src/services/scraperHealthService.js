@@ -0,0 +1,227 @@
+const SystemAlert = require('../models/SystemAlert');
+const ScraperSnapshot = require('../models/ScraperSnapshot');
+const User = require('../models/User');
+const { sendSystemAlertEmail } = require('./emailService');
+
+/**
+ * Scraper Health Service
+ * Keeps the recent parse results of each scraper in memory and compares the
+ * success rate of the last SCRAPER_HEALTH_WINDOW parses with the ones before.
+ * A sudden drop (markup change breaking the selectors) raises a SystemAlert to
+ * admins with sample failing URLs and HTML snapshots of the failed pages.
+ */
+
+const WINDOW = parseInt(process.env.SCRAPER_HEALTH_WINDOW || '20', 10);
+const BASELINE_WINDOW = parseInt(process.env.SCRAPER_HEALTH_BASELINE_WINDOW || '100', 10);
+const MIN_SUCCESS_RATE = parseFloat(process.env.SCRAPER_HEALTH_MIN_SUCCESS_RATE || '0.5');
+const MAX_DROP = parseFloat(process.env.SCRAPER_HEALTH_MAX_DROP || '0.3');
+// Distinct failing URLs needed, so one broken listing cannot raise an alert
+const MIN_FAILING_URLS = parseInt(process.env.SCRAPER_HEALTH_MIN_FAILING_URLS || '3', 10);
+const ALERT_COOLDOWN_MINUTES = parseInt(process.env.SCRAPER_HEALTH_ALERT_COOLDOWN || '60', 10);
+const SNAPSHOT_SAMPLES = parseInt(process.env.SCRAPER_SNAPSHOT_SAMPLES || '3', 10);
+const SNAPSHOT_MAX_LENGTH = parseInt(process.env.SCRAPER_SNAPSHOT_MAX_LENGTH || '500000', 10);
+
+const scrapers = new Map();
+
+const getState = (scraper) => {
+  if (!scrapers.has(scraper)) {
+    scrapers.set(scraper, {
+      recent: [],
+      baseline: [],
+      // Latest failures with their HTML, saved as snapshots when an alert is raised
+      failures: [],
+      total: 0,
+      failed: 0,
+      degraded: false,
+      lastAlertAt: 0
+    });
+  }
+  return scrapers.get(scraper);
+};
+
+const successRate = (results) => {
+  if (results.length === 0) return null;
+  return results.filter(result => result.success).length / results.length;
+};
+
+/**
+ * How often each selector matched per field, "none" when no selector did
+ */
+const selectorUsage = (results) => {
+  const usage = {};
+  results.forEach((result) => {
+    Object.entries(result.selectors || {}).forEach(([field, selector]) => {
+      usage[field] = usage[field] || {};
+      const key = selector || 'none';
+      usage[field][key] = (usage[field][key] || 0) + 1;
+    });
+  });
+  return usage;
+};
+
+/**
+ * Compare the recent window with the baseline
+ * @param {Array} recent - Latest results [{ url, success }]
+ * @param {Array} baseline - Results before them
+ * @returns {Object} { status: 'unknown' | 'healthy' | 'degraded', successRate, baselineRate, sampleSize, failingUrls }
+ */
+const assessHealth = (recent, baseline = []) => {
+  const rate = successRate(recent);
+  const baselineRate = baseline.length >= WINDOW / 2 ? successRate(baseline) : null;
+  const failingUrls = [...new Set(recent.filter(result => !result.success).map(result => result.url))];
+
+  const health = {
+    status: 'unknown',
+    successRate: rate,
+    baselineRate,
+    sampleSize: recent.length,
+    failingUrls
+  };
+
+  if (recent.length < WINDOW) {
+    return health;
+  }
+
+  const dropped = rate < MIN_SUCCESS_RATE || (baselineRate !== null && baselineRate - rate >= MAX_DROP);
+  health.status = dropped && failingUrls.length >= MIN_FAILING_URLS ? 'degraded' : 'healthy';
+  return health;
+};
+
+const percent = rate => (rate === null ? 'n/a' : `${Math.round(rate * 100)}%`);
+
+/**
+ * Save snapshots, create the SystemAlert and email admins
+ */
+const raiseScraperAlert = async (scraper, state, health) => {
+  const snapshots = await ScraperSnapshot.insertMany(state.failures.map(failure => ({
+    scraper,
+    url: failure.url,
+    httpStatus: failure.httpStatus,
+    error: failure.error,
+    selectors: failure.selectors,
+    html: failure.html,
+    truncated: failure.truncated,
+    capturedAt: failure.at
+  })));
+
+  const alert = await SystemAlert.create({
+    type: 'scraper_health',
+    scraper,
+    severity: health.successRate === 0 ? 'critical' : 'high',
+    message: `${scraper} parse success rate dropped to ${percent(health.successRate)} over the last ${health.sampleSize} pages (previously ${percent(health.baselineRate)})`,
+    successRate: health.successRate,
+    baselineRate: health.baselineRate,
+    sampleSize: health.sampleSize,
+    failingUrls: health.failingUrls.slice(0, 10),
+    selectorUsage: selectorUsage(state.recent),
+    snapshots: snapshots.map(snapshot => snapshot._id)
+  });
+
+  const admins = await User.find({ role: 'admin' }).select('email');
+  if (admins.length > 0) {
+    alert.emailSent = await sendSystemAlertEmail(admins.map(admin => admin.email), alert);
+    await alert.save();
+  }
+
+  console.warn(`Scraper health alert: ${alert.message}`);
+  return alert;
+};
+
+/**
+ * Mark open alerts for the scraper resolved
+ */
+const resolveScraperAlerts = async (scraper) => {
+  await SystemAlert.updateMany(
+    { type: 'scraper_health', scraper, resolvedAt: null },
+    { $set: { resolvedAt: new Date(), updatedAt: new Date() } }
+  );
+  console.log(`Scraper health recovered: ${scraper}`);
+};
+
+/**
+ * Record one parse attempt
+ * Alerting runs in the background so the scrape is never slowed or failed by it
+ * @param {string} scraper - e.g. 'ebay_product'
+ * @param {Object} result - { url, success, selectors, httpStatus, error, html }
+ * @returns {Object} Current health, see assessHealth
+ */
+const recordParse = (scraper, { url, success, selectors = null, httpStatus = null, error = null, html = null }) => {
+  const state = getState(scraper);
+  const at = new Date();
+
+  state.total++;
+  state.recent.push({ url, success, selectors, at });
+  if (state.recent.length > WINDOW) {
+    state.baseline.push(state.recent.shift());
+    if (state.baseline.length > BASELINE_WINDOW) state.baseline.shift();
+  }
+
+  if (!success) {
+    state.failed++;
+    if (html !== null) {
+      const truncated = html.length > SNAPSHOT_MAX_LENGTH;
+      state.failures.push({
+        url,
+        httpStatus,
+        error,
+        selectors,
+        html: truncated ? html.slice(0, SNAPSHOT_MAX_LENGTH) : html,
+        truncated,
+        at
+      });
+      if (state.failures.length > SNAPSHOT_SAMPLES) state.failures.shift();
+    }
+  }
+
+  const health = assessHealth(state.recent, state.baseline);
+
+  if (health.status === 'degraded' && !state.degraded) {
+    state.degraded = true;
+
+    if (Date.now() - state.lastAlertAt >= ALERT_COOLDOWN_MINUTES * 60 * 1000) {
+      state.lastAlertAt = Date.now();
+      raiseScraperAlert(scraper, state, health)
+        .catch(alertError => console.error('Scraper health alert error:', alertError.message));
+    }
+  } else if (health.status === 'healthy' && state.degraded) {
+    state.degraded = false;
+    // The degraded window is not a fair baseline for the next drop
+    state.baseline = [];
+    resolveScraperAlerts(scraper)
+      .catch(resolveError => console.error('Scraper health resolve error:', resolveError.message));
+  }
+
+  return health;
+};
+
+/**
+ * Health, counters and selector usage per scraper
+ */
+const getHealthStats = () => {
+  const stats = {};
+
+  scrapers.forEach((state, scraper) => {
+    const health = assessHealth(state.recent, state.baseline);
+    stats[scraper] = {
+      status: health.status,
+      successRate: health.successRate,
+      baselineRate: health.baselineRate,
+      sampleSize: health.sampleSize,
+      total: state.total,
+      failed: state.failed,
+      degraded: state.degraded,
+      failingUrls: health.failingUrls.slice(0, 10),
+      selectorUsage: selectorUsage(state.recent)
+    };
+  });
+
+  return stats;
+};
+
+module.exports = {
+  WINDOW,
+  assessHealth,
+  selectorUsage,
+  recordParse,
+  getHealthStats
+};
@@ -0,0 +1,202 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const generateToken = require('../utils/generateToken');
+
+/**
+ * Session Service
+ * Short-lived access tokens (JWT_EXPIRE) paired with rotating refresh tokens
+ * stored per signed-in device
+ */
+
+// Access token lifetime; clients refresh before it runs out
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
+
+// How long a refresh token can go unused before the device has to sign in again
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /Firefox\//],
+  ['Chrome', /Chrome\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Short device label for the session list, e.g. "Firefox on Linux"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) {
+    // Scripts and HTTP clients, e.g. "curl/8.4.0"
+    return userAgent.split(/[\s/]/)[0] || 'Unknown device';
+  }
+  if (!platform) {
+    return browser[0];
+  }
+  return browser ? `${browser[0]} on ${platform[0]}` : platform[0];
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const accessToken = (session) => generateToken(session.userId, {
+  sessionId: session._id,
+  expiresIn: ACCESS_TOKEN_EXPIRE
+});
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} req - For the device and IP
+ * @returns {Object} { token, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+  const userAgent = req.headers['user-agent'] || '';
+  const session = new Session({
+    userId: user._id,
+    device: describeDevice(userAgent),
+    userAgent: userAgent.slice(0, 500),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+  const refreshToken = session.rotateToken();
+  await session.save();
+
+  return { token: accessToken(session), refreshToken, session };
+};
+
+/**
+ * Start a session for an admin acting as a user
+ * It cannot be refreshed, ends with its access token, and is revoked like any other session
+ * @param {string} expiresIn - Token lifetime, e.g. '1h'
+ * @returns {Object} { token, session }
+ */
+const createImpersonationSession = async (user, admin, req, expiresIn) => {
+  const userAgent = req.headers['user-agent'] || '';
+  const session = new Session({
+    userId: user._id,
+    impersonatedBy: admin._id,
+    device: describeDevice(userAgent),
+    userAgent: userAgent.slice(0, 500),
+    ip: req.ip,
+    expiresAt: new Date()
+  });
+  // Nobody gets this refresh token
+  session.rotateToken();
+
+  const token = generateToken(user._id, { sessionId: session._id, impersonatedBy: admin._id, expiresIn });
+  session.expiresAt = new Date(jwt.decode(token).exp * 1000);
+  await session.save();
+
+  return { token, session };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * The token is swapped in one conditional update, so of two requests with the
+ * same token only one gets a new token; the other counts as reuse
+ * A rotated token presented again revokes its session, as it was likely stolen
+ * @returns {Object} { token, refreshToken, session } or { error }
+ */
+const refreshSession = async (refreshToken, req) => {
+  const tokenHash = Session.hashToken(refreshToken);
+  const newRefreshToken = Session.generateToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      tokenHash,
+      impersonatedBy: null,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        tokenHash: Session.hashToken(newRefreshToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: now,
+        ip: req.ip,
+        expiresAt: refreshExpiry(),
+        updatedAt: now
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (reused) {
+      console.warn(`⚠️  Refresh token reused for session ${reused._id}, session revoked`);
+    }
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || user.isActive === false) {
+    await Session.updateOne({ _id: session._id }, { revokedAt: new Date() });
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  return { token: accessToken(session), refreshToken: newRefreshToken, session };
+};
+
+/**
+ * Check an access token's session has not been revoked
+ */
+const isSessionActive = async (sessionId) => {
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null }));
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @returns {boolean} false when the user has no such active session
+ */
+const revokeSession = async (sessionId, userId) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke all of a user's sessions, except the one in exceptSessionId
+ * @returns {number} Sessions revoked
+ */
+const revokeUserSessions = async (userId, exceptSessionId = null) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(query, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRE,
+  REFRESH_TOKEN_TTL_DAYS,
+  describeDevice,
+  createSession,
+  createImpersonationSession,
+  refreshSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions
+};
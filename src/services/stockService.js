@@ -0,0 +1,75 @@
+const PriceHistory = require('../models/PriceHistory');
+const { resolveStockStatus, calculateSellThrough } = require('../utils/stock');
+
+/**
+ * Stock Service
+ * Applies scraped quantities to products and tracks sell-through velocity
+ */
+
+const SALES_VELOCITY_DAYS = parseInt(process.env.SALES_VELOCITY_DAYS || '7', 10);
+
+/**
+ * Set the eBay stock status and quantity on a product
+ * ebayData.stock is rewritten from the quantity and the product's low-stock threshold
+ * so alerts and history see the same status
+ */
+const applyEbayStock = (product, ebayData) => {
+  const quantity = Number.isFinite(ebayData.quantity) ? ebayData.quantity : null;
+  ebayData.stock = resolveStockStatus(quantity, product.lowStockThreshold, ebayData.stock);
+
+  product.stockStatus = ebayData.stock;
+  product.ebayQuantity = quantity;
+};
+
+/**
+ * Set the supplier stock status and quantity on a product
+ */
+const applySupplierStock = (product, supplierData) => {
+  const quantity = Number.isFinite(supplierData.quantity) ? supplierData.quantity : null;
+  supplierData.stock = resolveStockStatus(quantity, product.lowStockThreshold, supplierData.stock);
+
+  product.supplierStockStatus = supplierData.stock;
+  product.supplierQuantity = quantity;
+};
+
+/**
+ * Re-resolve stored quantities, e.g. after the low-stock threshold changes
+ */
+const refreshStockStatus = (product) => {
+  product.stockStatus = resolveStockStatus(product.ebayQuantity, product.lowStockThreshold, product.stockStatus);
+  if (product.supplierUrl) {
+    product.supplierStockStatus = resolveStockStatus(product.supplierQuantity, product.lowStockThreshold, product.supplierStockStatus);
+  }
+};
+
+/**
+ * Recalculate sell-through from the eBay quantity readings of the last SALES_VELOCITY_DAYS
+ * Does not save the product
+ */
+const updateSalesVelocity = async (product) => {
+  const since = new Date(Date.now() - SALES_VELOCITY_DAYS * 24 * 60 * 60 * 1000);
+
+  const readings = await PriceHistory.find({
+    productId: product._id,
+    variationId: null,
+    source: 'ebay',
+    quantity: { $ne: null },
+    checkedAt: { $gte: since }
+  })
+    .select('quantity checkedAt')
+    .sort({ checkedAt: 1 })
+    .lean();
+
+  const velocity = calculateSellThrough(readings);
+  product.salesVelocity = velocity ? { ...velocity, calculatedAt: new Date() } : undefined;
+
+  return product.salesVelocity;
+};
+
+module.exports = {
+  SALES_VELOCITY_DAYS,
+  applyEbayStock,
+  applySupplierStock,
+  refreshStockStatus,
+  updateSalesVelocity
+};
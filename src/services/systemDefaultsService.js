@@ -0,0 +1,75 @@
+const SystemDefaults = require('../models/SystemDefaults');
+
+/**
+ * System Defaults Service
+ * Admin-managed values new Settings documents (users and organizations) start with.
+ * Existing settings are not changed when the defaults change.
+ */
+
+// Settings paths that can have a system default, e.g. 'monitoringFrequency', 'alertTypes.lowStock'
+const DEFAULT_PATHS = Object.keys(SystemDefaults.schema.paths)
+  .filter(path => !['_id', '__v', 'updatedBy', 'updatedAt'].includes(path));
+
+const readPath = (object, path) => path.split('.')
+  .reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+/**
+ * The defaults document, empty (not saved) when no admin has set any
+ */
+const getSystemDefaults = async () => {
+  return await SystemDefaults.findOne() || new SystemDefaults();
+};
+
+/**
+ * Copy system defaults onto a new Settings document
+ * Only paths still holding their schema default are set, so values passed
+ * to Settings.create win
+ */
+const applySystemDefaults = async (settings) => {
+  const defaults = await SystemDefaults.findOne().lean();
+  if (!defaults) {
+    return settings;
+  }
+
+  DEFAULT_PATHS.forEach((path) => {
+    const value = readPath(defaults, path);
+    if (value !== undefined && value !== null && settings.$isDefault(path)) {
+      settings.set(path, value);
+    }
+  });
+
+  return settings;
+};
+
+/**
+ * Update the defaults; null clears a value back to the built-in default
+ * @returns {Object} { defaults } or { error }
+ */
+const updateSystemDefaults = async (values, userId) => {
+  const defaults = await getSystemDefaults();
+  DEFAULT_PATHS.forEach((path) => {
+    const value = readPath(values, path);
+    if (value !== undefined) {
+      defaults.set(path, value === null ? undefined : value);
+    }
+  });
+  defaults.updatedBy = userId;
+
+  try {
+    await defaults.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { error: Object.values(error.errors).map(item => item.message).join(', ') };
+    }
+    throw error;
+  }
+
+  return { defaults };
+};
+
+module.exports = {
+  DEFAULT_PATHS,
+  getSystemDefaults,
+  applySystemDefaults,
+  updateSystemDefaults
+};
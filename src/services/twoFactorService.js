@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { generateSecret, verifyCode, provisioningUri } = require('../utils/totp');
+
+/**
+ * Two-Factor Service
+ * TOTP enrolment, recovery codes and the challenge token between the
+ * password step and the code step of a login
+ */
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'eBay Monitor';
+
+// Time allowed between the password step and the code step
+const TWO_FACTOR_CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Invalid codes in a row before the second step is locked for TWO_FACTOR_LOCK_MINUTES
+const TWO_FACTOR_MAX_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || '5', 10);
+const TWO_FACTOR_LOCK_MINUTES = parseInt(process.env.TWO_FACTOR_LOCK_MINUTES || '15', 10);
+
+// Challenge tokens carry this purpose so protect never takes them as access tokens
+const CHALLENGE_PURPOSE = '2fa';
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep +twoFactorFailedAttempts +twoFactorLockedUntil';
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Load a user with the two-factor fields that are not selected by default
+ * @param {string} fields - More fields to select, e.g. '+passwordHash'
+ */
+const findUserWithTwoFactor = (userId, fields = '') => User.findById(userId)
+  .select(`${TWO_FACTOR_FIELDS} ${fields}`.trim());
+
+/**
+ * Start enrolment with a new secret; 2FA stays off until a code is verified
+ * @returns {Object} { secret, otpauthUrl }
+ */
+const setupTwoFactor = async (user) => {
+  const secret = generateSecret();
+  user.twoFactorSecret = secret;
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl: provisioningUri(secret, user.email, TWO_FACTOR_ISSUER)
+  };
+};
+
+/**
+ * New single-use recovery codes, replacing unused ones
+ * Only their hashes are stored; the codes are returned to show once
+ * @returns {Array} e.g. ['3f9a-1c2e', ...]
+ */
+const generateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  user.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+/**
+ * Check an authenticator code, refusing one already used
+ * The time step is recorded in the same update that checks it, so two
+ * requests with one code cannot both get through
+ */
+const acceptCode = async (user, code) => {
+  if (!user.twoFactorSecret) {
+    return false;
+  }
+
+  const step = verifyCode(user.twoFactorSecret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const accepted = await User.findOneAndUpdate(
+    { _id: user._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+    { $set: { twoFactorLastStep: step } },
+    { new: true }
+  );
+  return Boolean(accepted);
+};
+
+/**
+ * Use up a recovery code; only the request that removes it succeeds
+ * @returns {number|null} Recovery codes left, or null if the code is not valid
+ */
+const useRecoveryCode = async (user, recoveryCode) => {
+  const hash = hashRecoveryCode(recoveryCode);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } },
+    { new: true, select: '+twoFactorRecoveryCodes' }
+  );
+  return updated ? updated.twoFactorRecoveryCodes.length : null;
+};
+
+/**
+ * Count an attempt before the code is checked, unless the user is locked
+ * or has no attempts left, so parallel guesses cannot go past the limit
+ * @returns {number|null} Attempts used including this one, or null when locked
+ */
+const takeAttempt = async (user) => {
+  const now = new Date();
+  const attempt = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $and: [
+        { $or: [{ twoFactorLockedUntil: null }, { twoFactorLockedUntil: { $lte: now } }] },
+        { $or: [{ twoFactorFailedAttempts: null }, { twoFactorFailedAttempts: { $lt: TWO_FACTOR_MAX_ATTEMPTS } }] }
+      ]
+    },
+    { $inc: { twoFactorFailedAttempts: 1 } },
+    { new: true, select: '+twoFactorFailedAttempts' }
+  );
+  return attempt ? attempt.twoFactorFailedAttempts : null;
+};
+
+/**
+ * Finish enrolment with a code from the authenticator app
+ * @returns {Object} { recoveryCodes } or { error }
+ */
+const enableTwoFactor = async (user, code) => {
+  if (!user.twoFactorSecret) {
+    return { error: 'Start two-factor setup first' };
+  }
+
+  if (!await acceptCode(user, code)) {
+    return { error: 'Invalid authentication code' };
+  }
+
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  const recoveryCodes = generateRecoveryCodes(user);
+  await user.save();
+
+  return { recoveryCodes };
+};
+
+/**
+ * Check the second factor: an authenticator code, or a recovery code which is then used up
+ * Repeated invalid codes lock the check for a while
+ * @returns {Object} { verified: true, recoveryCodesRemaining } or { error }
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const attempts = await takeAttempt(user);
+  if (attempts === null) {
+    return { error: 'Too many invalid codes, please try again later' };
+  }
+
+  let verified = false;
+  let recoveryCodesRemaining = (user.twoFactorRecoveryCodes || []).length;
+
+  if (code) {
+    verified = await acceptCode(user, code);
+  } else if (recoveryCode) {
+    const remaining = await useRecoveryCode(user, recoveryCode);
+    verified = remaining !== null;
+    if (verified) {
+      recoveryCodesRemaining = remaining;
+    }
+  }
+
+  if (verified) {
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorFailedAttempts: 0 } });
+    return { verified, recoveryCodesRemaining };
+  }
+
+  if (attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        twoFactorFailedAttempts: 0,
+        twoFactorLockedUntil: new Date(Date.now() + TWO_FACTOR_LOCK_MINUTES * 60 * 1000)
+      }
+    });
+  }
+
+  return { error: 'Invalid authentication code' };
+};
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes (user or admin reset)
+ */
+const disableTwoFactor = async (user) => {
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastStep = undefined;
+  user.twoFactorFailedAttempts = undefined;
+  user.twoFactorLockedUntil = undefined;
+  user.twoFactorEnabledAt = undefined;
+  await user.save();
+};
+
+/**
+ * Token proving the password step of a login, exchanged with a code for tokens
+ */
+const createChallengeToken = (user) => jwt.sign(
+  { id: user._id, purpose: CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE }
+);
+
+/**
+ * User ID and issue time (in seconds) of a valid challenge token
+ * @returns {Object|null} { userId, issuedAt }
+ */
+const readChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE
+      ? { userId: decoded.id, issuedAt: decoded.iat }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a challenge still holds: a password change or reset since the
+ * password step ends it, like it revokes access tokens
+ */
+const isChallengeCurrent = (user, challenge) => !user.passwordChangedAt
+  || challenge.issuedAt >= Math.floor(user.passwordChangedAt.getTime() / 1000);
+
+module.exports = {
+  TWO_FACTOR_CHALLENGE_EXPIRE,
+  findUserWithTwoFactor,
+  setupTwoFactor,
+  generateRecoveryCodes,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  createChallengeToken,
+  readChallengeToken,
+  isChallengeCurrent
+};
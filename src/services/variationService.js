@@ -0,0 +1,142 @@
+const ProductVariation = require('../models/ProductVariation');
+const PriceHistory = require('../models/PriceHistory');
+const supplierAdapter = require('../adapters/supplierAdapter');
+const { variationKey } = require('../utils/ebayVariations');
+const { resolveStockStatus } = require('../utils/stock');
+
+/**
+ * Variation Service
+ * Persists the variations of multi-variation listings as ProductVariation
+ * records with their own price history
+ */
+
+/**
+ * Store scraped variations for a product
+ * Variations missing from the scrape are deactivated, unless the scrape
+ * returned none at all (API fallback, page change), in which case nothing changes.
+ * @param {Object} product - Product document
+ * @param {Array} scraped - variations from ebayAdapter.fetchEbayItem
+ * @returns {Array} Stock events [{ variation, type, oldStock, newStock }] for alerting
+ */
+const syncVariations = async (product, scraped = []) => {
+  if (!Array.isArray(scraped) || scraped.length === 0) {
+    return [];
+  }
+
+  const existing = await ProductVariation.find({ productId: product._id });
+  const byVariationId = new Map(existing.map(variation => [variation.variationId, variation]));
+  const seen = new Set();
+  const events = [];
+
+  for (const data of scraped) {
+    const variationId = data.variationId || variationKey(data.specifics);
+    if (!variationId || seen.has(variationId)) {
+      continue;
+    }
+    seen.add(variationId);
+
+    let variation = byVariationId.get(variationId);
+    const isNew = !variation;
+    if (isNew) {
+      variation = new ProductVariation({
+        productId: product._id,
+        userId: product.userId,
+        variationId
+      });
+    }
+
+    const oldPrice = variation.price;
+    const oldCurrency = variation.currency;
+    const oldStock = variation.stockStatus;
+    const oldQuantity = variation.quantity;
+
+    variation.specifics = data.specifics || {};
+    if (data.price > 0) {
+      variation.price = data.price;
+      variation.currency = data.currency || product.ebayCurrency;
+    }
+    if (data.quantity !== undefined && data.quantity !== null) {
+      variation.quantity = data.quantity;
+    }
+    // Same low-stock threshold as the listing
+    variation.stockStatus = Number.isFinite(data.quantity)
+      ? resolveStockStatus(data.quantity, product.lowStockThreshold)
+      : data.stock || 'unknown';
+    variation.isActive = true;
+    variation.lastCheckedAt = Date.now();
+    await variation.save();
+
+    const priceChanged = variation.price !== oldPrice || variation.currency !== oldCurrency;
+    const stockChanged = variation.stockStatus !== oldStock || variation.quantity !== oldQuantity;
+    if (variation.price > 0 && (isNew || priceChanged || stockChanged)) {
+      await PriceHistory.create({
+        productId: product._id,
+        variationId: variation._id,
+        source: 'ebay',
+        price: variation.price,
+        currency: variation.currency,
+        stock: variation.stockStatus,
+        quantity: variation.quantity
+      });
+    }
+
+    if (!isNew && variation.stockStatus !== oldStock) {
+      if (variation.stockStatus === 'out_of_stock') {
+        events.push({ variation, type: 'variation_out_of_stock', oldStock, newStock: variation.stockStatus });
+      } else if (oldStock === 'out_of_stock' && variation.stockStatus !== 'unknown') {
+        events.push({ variation, type: 'variation_back_in_stock', oldStock, newStock: variation.stockStatus });
+      }
+    }
+  }
+
+  // Removed from the listing
+  for (const variation of existing) {
+    if (!seen.has(variation.variationId) && variation.isActive) {
+      variation.isActive = false;
+      await variation.save();
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Refresh supplier price and stock for variations mapped to their own supplier page
+ */
+const syncVariationSuppliers = async (product) => {
+  const variations = await ProductVariation.find({
+    productId: product._id,
+    isActive: true,
+    supplierUrl: { $nin: [null, ''] }
+  });
+
+  for (const variation of variations) {
+    try {
+      const supplierData = await supplierAdapter.fetchSupplierData(variation.supplierUrl, { userId: product.userId });
+      if (!supplierData) continue;
+
+      variation.supplierPrice = supplierData.price;
+      variation.supplierCurrency = supplierData.currency;
+      variation.supplierStockStatus = supplierData.stock;
+      await variation.save();
+
+      await PriceHistory.create({
+        productId: product._id,
+        variationId: variation._id,
+        source: 'supplier',
+        price: supplierData.price,
+        currency: supplierData.currency,
+        stock: supplierData.stock
+      });
+    } catch (error) {
+      console.error(`Supplier check failed for variation ${variation._id}:`, error.message);
+    }
+  }
+
+  return variations.length;
+};
+
+module.exports = {
+  syncVariations,
+  syncVariationSuppliers
+};
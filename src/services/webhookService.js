@@ -1,6 +1,146 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Settings = require('../models/Settings');
+const { ownerQuery } = require('../utils/workspace');
 
-const sendAlertWebhook = async (url, alert, product) => {
+/**
+ * Webhook Service
+ * Sends signed webhook notifications and retries failed deliveries with
+ * exponential backoff. Every delivery is recorded in WebhookDelivery.
+ *
+ * Receivers verify a request by computing
+ *   HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${rawBody}`)
+ * and comparing it to the hex digest in X-Webhook-Signature ("sha256=<hex>").
+ */
+
+const REQUEST_TIMEOUT = 5000;
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const RETRY_BASE_DELAY = 30 * 1000; // 30s, 1m, 2m, 4m, ...
+const RESPONSE_SNIPPET_LENGTH = 1000;
+const RETRY_INTERVAL = 30 * 1000;
+
+let isProcessing = false;
+
+/**
+ * Sign a raw body with the user's webhook secret
+ */
+const signPayload = (payload, secret, timestamp) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+};
+
+const getRetryDelay = (attempts) => RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+
+const toSnippet = (data) => {
+  if (data === undefined || data === null) {
+    return undefined;
+  }
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  return text.slice(0, RESPONSE_SNIPPET_LENGTH);
+};
+
+const buildAlertPayload = (alert, product) => {
+  return JSON.stringify({
+    alert: {
+      id: alert._id,
+      type: alert.type,
+      message: alert.message,
+      severity: alert.severity,
+      oldValue: alert.oldValue,
+      newValue: alert.newValue,
+      createdAt: alert.createdAt
+    },
+    product: {
+      id: product._id,
+      title: product.title,
+      ebayItemId: product.ebayItemId,
+      ebayUrl: product.ebayUrl,
+      supplierUrl: product.supplierUrl
+    },
+    sentAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Make one delivery attempt and record the outcome
+ * Failed attempts are scheduled for retry until MAX_ATTEMPTS is reached
+ */
+const attemptDelivery = async (delivery, secret) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    const response = await axios.post(delivery.url, delivery.payload, {
+      timeout: REQUEST_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(delivery.payload, secret, timestamp)}`
+      },
+      // Keep the raw body exactly as signed
+      transformRequest: [(data) => data],
+      validateStatus: () => true
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = toSnippet(response.data);
+
+    if (response.status >= 200 && response.status < 300) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = undefined;
+      delivery.error = undefined;
+      await delivery.save();
+      return true;
+    }
+
+    delivery.error = `Receiver responded with HTTP ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.error = error.message;
+  }
+
+  if (delivery.attempts < MAX_ATTEMPTS) {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  }
+
+  await delivery.save();
+  return false;
+};
+
+/**
+ * Signing secret of the settings
+ * It is not selected by default, and older documents predate it
+ */
+const ensureSecret = async (settings) => {
+  if (settings.webhookSecret) {
+    return settings.webhookSecret;
+  }
+
+  const stored = await Settings.findById(settings._id).select('+webhookSecret');
+  if (!stored.webhookSecret) {
+    stored.rotateWebhookSecret();
+    await stored.save();
+  }
+  return stored.webhookSecret;
+};
+
+/**
+ * Send an alert to the user's webhook
+ * @param {Object} settings - Settings document of the product's user or organization
+ * @returns {boolean} true when the first attempt succeeded
+ */
+const sendAlertWebhook = async (settings, alert, product) => {
+  const url = settings?.webhookUrl;
   if (!url) {
     return false;
   }
@@ -14,40 +154,93 @@ const sendAlertWebhook = async (url, alert, product) => {
   }
 
   try {
-    await axios.post(
+    const secret = await ensureSecret(settings);
+    const delivery = await WebhookDelivery.create({
+      userId: product.userId,
+      organizationId: product.organizationId || null,
+      alertId: alert._id,
       url,
-      {
-        alert: {
-          id: alert._id,
-          type: alert.type,
-          message: alert.message,
-          severity: alert.severity,
-          oldValue: alert.oldValue,
-          newValue: alert.newValue,
-          createdAt: alert.createdAt
-        },
-        product: {
-          id: product._id,
-          title: product.title,
-          ebayItemId: product.ebayItemId,
-          ebayUrl: product.ebayUrl,
-          supplierUrl: product.supplierUrl
-        },
-        sentAt: new Date().toISOString()
-      },
-      {
-        timeout: 5000
-      }
-    );
-    return true;
+      payload: buildAlertPayload(alert, product)
+    });
+
+    return attemptDelivery(delivery, secret);
   } catch (error) {
     console.error('Webhook notification error:', error.message);
     return false;
   }
 };
 
-module.exports = {
-  sendAlertWebhook
+/**
+ * Replay a delivery to the user's current webhook URL
+ * Creates a new delivery record so the original attempt history is kept
+ */
+const redeliverWebhook = async (original, settings) => {
+  const secret = await ensureSecret(settings);
+
+  const delivery = await WebhookDelivery.create({
+    userId: original.userId,
+    organizationId: original.organizationId || null,
+    alertId: original.alertId,
+    redeliveryOf: original._id,
+    event: original.event,
+    url: settings.webhookUrl || original.url,
+    payload: original.payload
+  });
+
+  await attemptDelivery(delivery, secret);
+  return delivery;
 };
 
+/**
+ * Retry deliveries whose backoff has elapsed
+ */
+const processDueDeliveries = async () => {
+  if (isProcessing) {
+    return;
+  }
+
+  isProcessing = true;
 
+  try {
+    const due = await WebhookDelivery.find({
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() }
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(50);
+
+    for (const delivery of due) {
+      const settings = await Settings.findOne(ownerQuery(delivery));
+      if (!settings) {
+        delivery.status = 'failed';
+        delivery.error = 'Settings not found';
+        delivery.nextAttemptAt = undefined;
+        await delivery.save();
+        continue;
+      }
+
+      await attemptDelivery(delivery, await ensureSecret(settings));
+    }
+  } catch (error) {
+    console.error('Webhook retry error:', error);
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Start the in-process retry loop
+ */
+const startWebhookRetryWorker = () => {
+  setInterval(processDueDeliveries, RETRY_INTERVAL);
+  processDueDeliveries();
+};
+
+module.exports = {
+  signPayload,
+  getRetryDelay,
+  sendAlertWebhook,
+  redeliverWebhook,
+  processDueDeliveries,
+  startWebhookRetryWorker
+};
@@ -0,0 +1,311 @@
+/**
+ * Alert condition expressions
+ *
+ * Grammar (case-insensitive keywords):
+ *   expression := term (("or" | "||") term)*
+ *   term       := factor (("and" | "&&") factor)*
+ *   factor     := "(" expression ")" | comparison
+ *   comparison := field operator value
+ *              |  field ("increased" | "decreased" | "changed") "by" [operator] amount
+ *
+ * Fields are dotted product paths (profitMargin, competitorStats.totalSellers).
+ * Amounts may carry a currency symbol (£2) or a percent sign (5%); percent
+ * changes are relative to the previous value.
+ *
+ * Examples:
+ *   profitMargin < 10
+ *   supplierPrice increased by > £2
+ *   competitorStats.totalSellers > 5 and stockStatus == in_stock
+ */
+
+const OPERATORS = ['<=', '>=', '==', '!=', '<', '>', '='];
+const CHANGE_KEYWORDS = ['increased', 'decreased', 'changed'];
+
+class ConditionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConditionError';
+  }
+}
+
+/**
+ * Split an expression into tokens
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+      continue;
+    }
+
+    if (input.startsWith('&&', i) || input.startsWith('||', i)) {
+      tokens.push({ type: 'logic', value: input[i] === '&' ? 'and' : 'or' });
+      i += 2;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => input.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator === '=' ? '==' : operator });
+      i += operator.length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = input.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new ConditionError('Unterminated string');
+      }
+      tokens.push({ type: 'string', value: input.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    const numberMatch = input.slice(i).match(/^([£$€]?)(-?\d+(?:\.\d+)?)(%?)/);
+    if (numberMatch && (numberMatch[1] || /[-\d]/.test(char))) {
+      tokens.push({
+        type: 'number',
+        value: parseFloat(numberMatch[2]),
+        percent: numberMatch[3] === '%'
+      });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    const wordMatch = input.slice(i).match(/^[A-Za-z_][\w.]*/);
+    if (wordMatch) {
+      const word = wordMatch[0];
+      const lower = word.toLowerCase();
+
+      if (lower === 'and' || lower === 'or') {
+        tokens.push({ type: 'logic', value: lower });
+      } else if (CHANGE_KEYWORDS.includes(lower) || lower === 'by') {
+        tokens.push({ type: 'keyword', value: lower });
+      } else {
+        tokens.push({ type: 'word', value: word });
+      }
+      i += word.length;
+      continue;
+    }
+
+    throw new ConditionError(`Unexpected character "${char}" at position ${i + 1}`);
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse an expression into an AST
+ * Throws ConditionError on invalid syntax
+ */
+const parseCondition = (input) => {
+  if (!input || typeof input !== 'string' || !input.trim()) {
+    throw new ConditionError('Condition is required');
+  }
+
+  const tokens = tokenize(input);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (type, description) => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw new ConditionError(`Expected ${description}${token ? '' : ' at end of condition'}`);
+    }
+    return token;
+  };
+
+  const parseValue = () => {
+    const token = next();
+    if (!token) {
+      throw new ConditionError('Expected a value at end of condition');
+    }
+
+    if (token.type === 'number') {
+      return { kind: 'number', value: token.value, percent: token.percent };
+    }
+
+    if (token.type === 'string' || token.type === 'word') {
+      const lower = token.value.toLowerCase();
+      if (token.type === 'word' && (lower === 'true' || lower === 'false')) {
+        return { kind: 'boolean', value: lower === 'true' };
+      }
+      return { kind: 'string', value: token.value };
+    }
+
+    throw new ConditionError('Expected a number or text value');
+  };
+
+  const parseComparison = () => {
+    const field = expect('word', 'a field name').value;
+    const token = peek();
+
+    if (token && token.type === 'keyword' && CHANGE_KEYWORDS.includes(token.value)) {
+      next();
+      const by = next();
+      if (!by || by.type !== 'keyword' || by.value !== 'by') {
+        throw new ConditionError(`Expected "by" after "${token.value}"`);
+      }
+
+      const operator = peek() && peek().type === 'operator' ? next().value : '>=';
+      const amount = parseValue();
+      if (amount.kind !== 'number') {
+        throw new ConditionError(`"${token.value} by" needs a numeric amount`);
+      }
+
+      return { type: 'change', field, direction: token.value, operator, amount };
+    }
+
+    const operator = expect('operator', `an operator after "${field}"`).value;
+    const value = parseValue();
+
+    if (value.kind === 'number' && value.percent) {
+      throw new ConditionError('Percent values are only supported with increased/decreased/changed');
+    }
+
+    return { type: 'compare', field, operator, value };
+  };
+
+  const parseFactor = () => {
+    if (peek() && peek().type === '(') {
+      next();
+      const node = parseOr();
+      expect(')', 'a closing parenthesis');
+      return node;
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseFactor();
+    while (peek() && peek().type === 'logic' && peek().value === 'and') {
+      next();
+      node = { type: 'and', left: node, right: parseFactor() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek() && peek().type === 'logic' && peek().value === 'or') {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new ConditionError('Unexpected input after end of condition');
+  }
+
+  return ast;
+};
+
+/**
+ * Collect the fields referenced by an AST
+ */
+const getConditionFields = (ast) => {
+  if (ast.type === 'and' || ast.type === 'or') {
+    return [...new Set([...getConditionFields(ast.left), ...getConditionFields(ast.right)])];
+  }
+  return [ast.field];
+};
+
+const getPath = (object, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+};
+
+const compareNumbers = (left, operator, right) => {
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '==': return left === right;
+    case '!=': return left !== right;
+    default: return false;
+  }
+};
+
+/**
+ * Evaluate an AST against product snapshots
+ * @param {Object} ast - From parseCondition
+ * @param {Object} current - Product values after the check
+ * @param {Object} previous - Product values before the check (for change conditions)
+ */
+const evaluateCondition = (ast, current, previous = current) => {
+  switch (ast.type) {
+    case 'and':
+      return evaluateCondition(ast.left, current, previous) && evaluateCondition(ast.right, current, previous);
+
+    case 'or':
+      return evaluateCondition(ast.left, current, previous) || evaluateCondition(ast.right, current, previous);
+
+    case 'change': {
+      const now = Number(getPath(current, ast.field));
+      const before = Number(getPath(previous, ast.field));
+      if (!Number.isFinite(now) || !Number.isFinite(before)) {
+        return false;
+      }
+
+      const delta = now - before;
+      let amount = ast.direction === 'increased' ? delta
+        : ast.direction === 'decreased' ? -delta
+          : Math.abs(delta);
+
+      if (ast.amount.percent) {
+        if (before === 0) return false;
+        amount = (amount / Math.abs(before)) * 100;
+      }
+
+      return compareNumbers(amount, ast.operator, ast.amount.value);
+    }
+
+    case 'compare': {
+      const actual = getPath(current, ast.field);
+      if (actual === undefined || actual === null) {
+        return false;
+      }
+
+      if (ast.value.kind === 'number') {
+        const number = Number(actual);
+        return Number.isFinite(number) && compareNumbers(number, ast.operator, ast.value.value);
+      }
+
+      if (ast.value.kind === 'boolean') {
+        if (ast.operator === '==') return Boolean(actual) === ast.value.value;
+        if (ast.operator === '!=') return Boolean(actual) !== ast.value.value;
+        return false;
+      }
+
+      const equal = String(actual).toLowerCase() === ast.value.value.toLowerCase();
+      if (ast.operator === '==') return equal;
+      if (ast.operator === '!=') return !equal;
+      return false;
+    }
+
+    default:
+      return false;
+  }
+};
+
+module.exports = {
+  ConditionError,
+  parseCondition,
+  evaluateCondition,
+  getConditionFields,
+  getPath
+};
@@ -0,0 +1,18 @@
+/**
+ * API key helpers
+ * Personal API keys authenticate scripts with `Authorization: Bearer ebm_...`
+ * and only reach routes that declare the scope they need (see apiKeyScopes in middleware/auth)
+ */
+
+// Lets protect tell API keys from JWTs
+const API_KEY_PREFIX = 'ebm_';
+
+const API_KEY_SCOPES = ['products:read', 'products:write', 'alerts:read', 'import:run'];
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  isApiKey
+};
@@ -0,0 +1,144 @@
+const { marketplaceForUrl } = require('./ebayMarketplace');
+
+/**
+ * Currency helpers
+ * Parse scraped price text into { amount, currency } and format amounts
+ */
+
+const DEFAULT_CURRENCY = 'GBP';
+
+// Longest prefixes first so "AU $" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['AU $', 'AUD'],
+  ['AU$', 'AUD'],
+  ['A$', 'AUD'],
+  ['C $', 'CAD'],
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['US $', 'USD'],
+  ['US$', 'USD'],
+  ['£', 'GBP'],
+  ['€', 'EUR'],
+  ['$', 'USD'],
+  ['¥', 'JPY'],
+  ['zł', 'PLN'],
+  ['CHF', 'CHF']
+];
+
+const DISPLAY_SYMBOLS = {
+  GBP: '£',
+  EUR: '€',
+  USD: '$',
+  CAD: 'C$',
+  AUD: 'A$'
+};
+
+const ISO_CODE = /\b(GBP|EUR|USD|CAD|AUD|JPY|PLN|CHF|SEK|NOK|DKK|CNY|HKD|NZD)\b/i;
+
+/**
+ * Detect the currency named in a price string
+ * @returns {string|null} ISO 4217 code
+ */
+const detectCurrency = (text) => {
+  if (!text) return null;
+  const value = String(text);
+
+  const iso = value.match(ISO_CODE);
+  if (iso) return iso[1].toUpperCase();
+
+  for (const [symbol, code] of CURRENCY_SYMBOLS) {
+    if (value.includes(symbol)) return code;
+  }
+
+  return null;
+};
+
+/**
+ * Parse the numeric part of a price string, handling both
+ * "1,250.00" and "1.250,00" / "12,50" style separators
+ * @param {string} decimalSeparator - The page locale's decimal separator ("." or ","),
+ *   used when the text alone can't tell, e.g. "1.250" is 1250 on ebay.de but 1.25 otherwise
+ */
+const parseAmount = (text, decimalSeparator = null) => {
+  if (text === undefined || text === null) return 0;
+  if (typeof text === 'number') return Number.isFinite(text) ? text : 0;
+
+  const match = String(text).match(/\d[\d.,\s ']*/);
+  if (!match) return 0;
+
+  let number = match[0].replace(/[\s ']/g, '').replace(/[.,]+$/, '');
+  const lastComma = number.lastIndexOf(',');
+  const lastDot = number.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal point
+    number = lastComma > lastDot
+      ? number.replace(/\./g, '').replace(',', '.')
+      : number.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    const commas = number.split(',').length - 1;
+    const decimals = number.length - lastComma - 1;
+    // "12,50" is a decimal comma, "1,250" and "1,250,000" are thousands
+    // unless the locale uses a decimal comma
+    number = commas === 1 && (decimals !== 3 || decimalSeparator === ',')
+      ? number.replace(',', '.')
+      : number.replace(/,/g, '');
+  } else if (number.split('.').length > 2) {
+    // "1.250.000" uses dots for thousands
+    number = number.replace(/\./g, '');
+  } else if (lastDot !== -1 && decimalSeparator === ',' && number.length - lastDot - 1 === 3) {
+    // "1.250" on a decimal comma site
+    number = number.replace('.', '');
+  }
+
+  return parseFloat(number) || 0;
+};
+
+/**
+ * Parse price text into an amount and currency
+ * @param {string} text - e.g. "£12.99", "EUR 1.250,00", "12,50 €"
+ * @param {string} fallbackCurrency - Used when the text names no currency
+ * @param {string} decimalSeparator - See parseAmount
+ */
+const parseMoney = (text, fallbackCurrency = null, decimalSeparator = null) => {
+  return {
+    amount: parseAmount(text, decimalSeparator),
+    currency: detectCurrency(text) || fallbackCurrency
+  };
+};
+
+const normalizeCurrency = (code) => {
+  return typeof code === 'string' && /^[A-Za-z]{3}$/.test(code.trim())
+    ? code.trim().toUpperCase()
+    : null;
+};
+
+/**
+ * Currency of the eBay site a listing URL belongs to
+ * eBay sites price listings in their local currency
+ * @returns {string|null}
+ */
+const currencyForEbayUrl = (url) => {
+  const marketplace = marketplaceForUrl(url);
+  return marketplace ? marketplace.currency : null;
+};
+
+/**
+ * Format an amount for messages, e.g. "£12.50" or "SEK 99.00"
+ */
+const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  const value = Number(amount);
+  const text = Number.isFinite(value) ? value.toFixed(2) : String(amount);
+  const code = currency || DEFAULT_CURRENCY;
+  return DISPLAY_SYMBOLS[code] ? `${DISPLAY_SYMBOLS[code]}${text}` : `${code} ${text}`;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  detectCurrency,
+  parseAmount,
+  parseMoney,
+  normalizeCurrency,
+  currencyForEbayUrl,
+  formatMoney
+};
@@ -0,0 +1,100 @@
+/**
+ * eBay marketplaces
+ * Each eBay site has its own host, currency, delivery country and number format.
+ * Products and store imports carry a marketplace ID (inferred from the URL when
+ * not set), which picks the API marketplace header, the host scraped URLs are
+ * built on and how ambiguous prices such as "1.250" are read.
+ */
+
+// decimalSeparator: what "1.250" / "1,250" means on the site's own pages
+const MARKETPLACES = {
+  EBAY_US: { host: 'www.ebay.com', currency: 'USD', country: 'US', findingGlobalId: 'EBAY-US', acceptLanguage: 'en-US,en;q=0.9', decimalSeparator: '.' },
+  EBAY_GB: { host: 'www.ebay.co.uk', currency: 'GBP', country: 'GB', findingGlobalId: 'EBAY-GB', acceptLanguage: 'en-GB,en-US;q=0.9,en;q=0.8', decimalSeparator: '.' },
+  EBAY_AU: { host: 'www.ebay.com.au', currency: 'AUD', country: 'AU', findingGlobalId: 'EBAY-AU', acceptLanguage: 'en-AU,en;q=0.9', decimalSeparator: '.' },
+  EBAY_CA: { host: 'www.ebay.ca', currency: 'CAD', country: 'CA', findingGlobalId: 'EBAY-ENCA', acceptLanguage: 'en-CA,en;q=0.9', decimalSeparator: '.' },
+  EBAY_IE: { host: 'www.ebay.ie', currency: 'EUR', country: 'IE', findingGlobalId: 'EBAY-IE', acceptLanguage: 'en-IE,en;q=0.9', decimalSeparator: '.' },
+  EBAY_DE: { host: 'www.ebay.de', currency: 'EUR', country: 'DE', findingGlobalId: 'EBAY-DE', acceptLanguage: 'de-DE,de;q=0.9,en;q=0.8', decimalSeparator: ',' },
+  EBAY_AT: { host: 'www.ebay.at', currency: 'EUR', country: 'AT', findingGlobalId: 'EBAY-AT', acceptLanguage: 'de-AT,de;q=0.9,en;q=0.8', decimalSeparator: ',' },
+  EBAY_CH: { host: 'www.ebay.ch', currency: 'CHF', country: 'CH', findingGlobalId: 'EBAY-CH', acceptLanguage: 'de-CH,de;q=0.9,en;q=0.8', decimalSeparator: '.' },
+  EBAY_FR: { host: 'www.ebay.fr', currency: 'EUR', country: 'FR', findingGlobalId: 'EBAY-FR', acceptLanguage: 'fr-FR,fr;q=0.9,en;q=0.8', decimalSeparator: ',' },
+  EBAY_IT: { host: 'www.ebay.it', currency: 'EUR', country: 'IT', findingGlobalId: 'EBAY-IT', acceptLanguage: 'it-IT,it;q=0.9,en;q=0.8', decimalSeparator: ',' },
+  EBAY_ES: { host: 'www.ebay.es', currency: 'EUR', country: 'ES', findingGlobalId: 'EBAY-ES', acceptLanguage: 'es-ES,es;q=0.9,en;q=0.8', decimalSeparator: ',' },
+  EBAY_NL: { host: 'www.ebay.nl', currency: 'EUR', country: 'NL', findingGlobalId: 'EBAY-NL', acceptLanguage: 'nl-NL,nl;q=0.9,en;q=0.8', decimalSeparator: ',' },
+  EBAY_BE: { host: 'www.benl.ebay.be', currency: 'EUR', country: 'BE', findingGlobalId: 'EBAY-NLBE', acceptLanguage: 'nl-BE,nl;q=0.9,fr-BE;q=0.8,en;q=0.7', decimalSeparator: ',' },
+  EBAY_PL: { host: 'www.ebay.pl', currency: 'PLN', country: 'PL', findingGlobalId: 'EBAY-PL', acceptLanguage: 'pl-PL,pl;q=0.9,en;q=0.8', decimalSeparator: ',' }
+};
+
+const MARKETPLACE_IDS = Object.keys(MARKETPLACES);
+
+const DEFAULT_MARKETPLACE_ID = MARKETPLACES[process.env.EBAY_DEFAULT_MARKETPLACE]
+  ? process.env.EBAY_DEFAULT_MARKETPLACE
+  : 'EBAY_GB';
+
+// Registrable domain of each site, longest first so "ebay.com.au" wins over "ebay.com"
+const MARKETPLACE_DOMAINS = MARKETPLACE_IDS
+  .map(id => [MARKETPLACES[id].host.replace(/^www\.(?:benl\.)?/, ''), id])
+  .sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * Marketplace by ID, the default marketplace for unknown IDs
+ * @returns {Object} { id, host, currency, country, findingGlobalId, acceptLanguage, decimalSeparator }
+ */
+const getMarketplace = (marketplaceId) => {
+  const id = MARKETPLACES[marketplaceId] ? marketplaceId : DEFAULT_MARKETPLACE_ID;
+  return { id, ...MARKETPLACES[id] };
+};
+
+/**
+ * ID of the eBay marketplace a URL belongs to
+ * @returns {string|null} null when the URL is not on an eBay site
+ */
+const marketplaceIdForUrl = (url) => {
+  try {
+    const hostname = new URL(url).hostname.toLowerCase();
+    const match = MARKETPLACE_DOMAINS.find(([domain]) => hostname === domain || hostname.endsWith(`.${domain}`));
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Marketplace of a URL, or null when the URL is not on an eBay site
+ */
+const marketplaceForUrl = (url) => {
+  const id = marketplaceIdForUrl(url);
+  return id ? getMarketplace(id) : null;
+};
+
+/**
+ * Marketplace for a product or store: the one set on it, else the one its URL is on
+ * @param {string} marketplaceId - Explicit marketplace, may be empty
+ * @param {string} url - eBay listing or store URL
+ */
+const resolveMarketplace = (marketplaceId, url) => {
+  return getMarketplace(MARKETPLACES[marketplaceId] ? marketplaceId : marketplaceIdForUrl(url));
+};
+
+const isEbayUrl = (url) => marketplaceIdForUrl(url) !== null;
+
+/**
+ * Listing URL on a marketplace, e.g. https://www.ebay.de/itm/123
+ */
+const ebayItemUrl = (itemId, marketplaceId) => `https://${getMarketplace(marketplaceId).host}/itm/${itemId}`;
+
+/**
+ * Store front URL on a marketplace, e.g. https://www.ebay.com.au/str/storename
+ */
+const ebayStoreUrl = (storeName, marketplaceId) => `https://${getMarketplace(marketplaceId).host}/str/${storeName}`;
+
+module.exports = {
+  MARKETPLACE_IDS,
+  DEFAULT_MARKETPLACE_ID,
+  getMarketplace,
+  marketplaceIdForUrl,
+  marketplaceForUrl,
+  resolveMarketplace,
+  isEbayUrl,
+  ebayItemUrl,
+  ebayStoreUrl
+};
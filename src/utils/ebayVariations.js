@@ -0,0 +1,185 @@
+/**
+ * eBay listing variations
+ *
+ * Multi-variation listings embed an "MSKU" model in a page script:
+ *   variationsMap        { [variationId]: { binModel.price, quantity, outOfStock } }
+ *   selectMenus          [{ displayLabel: 'Size', menuItemValueIds: [0, 1] }]
+ *   menuItemMap          { [valueId]: { displayName: 'M' } }
+ *   variationCombinations { '0_3': variationId } (one value id per menu, in menu order)
+ * Older pages only expose the dropdowns, which give names and sold-out markers but no prices.
+ */
+
+const { parseMoney, normalizeCurrency } = require('./currency');
+
+/**
+ * Cut the JSON object that starts at `start` out of a larger string
+ */
+const extractJsonObject = (text, start) => {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}') {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find and parse the MSKU model in page script text
+ * @returns {Object|null}
+ */
+const parseMskuModel = (text) => {
+  if (!text) return null;
+
+  const marker = text.indexOf('"MSKU":');
+  if (marker === -1) return null;
+
+  const start = text.indexOf('{', marker);
+  const json = start === -1 ? null : extractJsonObject(text, start);
+  if (!json) return null;
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Stable key for a set of specifics, used when eBay gives no variation id
+ * e.g. { Size: 'M', Colour: 'Red' } -> "Colour=Red|Size=M"
+ */
+const variationKey = (specifics = {}) => {
+  return Object.keys(specifics)
+    .sort()
+    .map(name => `${name}=${specifics[name]}`)
+    .join('|');
+};
+
+const readQuantity = (variation) => {
+  const candidates = [
+    variation.quantity?.quantityAvailable,
+    variation.quantityAvailable,
+    variation.availableQuantity,
+    typeof variation.quantity === 'number' ? variation.quantity : undefined
+  ];
+  const quantity = candidates.find(value => Number.isFinite(Number(value)) && value !== null && value !== '');
+  return quantity === undefined ? null : Number(quantity);
+};
+
+const readPrice = (variation, fallbackCurrency) => {
+  const price = variation.binModel?.price;
+  if (!price) return { amount: 0, currency: fallbackCurrency };
+
+  if (price.value && typeof price.value.value === 'number') {
+    return {
+      amount: price.value.value,
+      currency: normalizeCurrency(price.value.currency) || fallbackCurrency
+    };
+  }
+
+  const text = (price.textSpans || []).map(span => span.text).join('');
+  return parseMoney(text, fallbackCurrency);
+};
+
+/**
+ * Turn an MSKU model into variation records
+ * @returns {Array} [{ variationId, specifics, price, currency, quantity, stock }]
+ */
+const variationsFromMsku = (msku, fallbackCurrency = null) => {
+  if (!msku || !msku.variationsMap) return [];
+
+  const menus = msku.selectMenus || [];
+  const menuItems = msku.menuItemMap || {};
+
+  // variationId -> { Size: 'M', Colour: 'Red' }
+  const specificsById = {};
+  Object.entries(msku.variationCombinations || {}).forEach(([combination, variationId]) => {
+    const specifics = {};
+    combination.split('_').forEach((valueId, index) => {
+      const label = menus[index]?.displayLabel || `Option ${index + 1}`;
+      const item = menuItems[valueId];
+      if (item) specifics[label] = item.displayName || item.valueName || String(valueId);
+    });
+    specificsById[String(variationId)] = specifics;
+  });
+
+  return Object.entries(msku.variationsMap).map(([variationId, variation]) => {
+    const { amount, currency } = readPrice(variation, fallbackCurrency);
+    const quantity = readQuantity(variation);
+
+    let stock = 'unknown';
+    if (variation.outOfStock === true || quantity === 0) stock = 'out_of_stock';
+    else if (variation.outOfStock === false || quantity > 0) stock = 'in_stock';
+
+    return {
+      variationId: String(variationId),
+      specifics: specificsById[String(variationId)] || {},
+      price: amount,
+      currency,
+      quantity,
+      stock
+    };
+  });
+};
+
+/**
+ * Variation records from dropdowns scraped off the page
+ * Each option becomes one variation; multi-menu listings can't be combined
+ * without the MSKU model, so options are recorded per menu
+ * @param {Array} selects - [{ name, options: [{ value, text }] }]
+ */
+const variationsFromSelects = (selects = []) => {
+  const variations = [];
+
+  selects.forEach(({ name, options = [] }) => {
+    options.forEach(({ value, text }) => {
+      const soldOut = /out of stock|sold out/i.test(text);
+      const label = text.replace(/\s*[([]\s*(out of stock|sold out)\s*[)\]]\s*/i, '').trim();
+      const specifics = { [name]: label };
+
+      variations.push({
+        variationId: variationKey(specifics) || String(value),
+        specifics,
+        price: 0,
+        currency: null,
+        quantity: soldOut ? 0 : null,
+        stock: soldOut ? 'out_of_stock' : 'unknown'
+      });
+    });
+  });
+
+  return variations;
+};
+
+/**
+ * Short label for messages, e.g. "Colour: Red, Size: M"
+ */
+const describeVariation = (specifics = {}) => {
+  const entries = specifics instanceof Map ? [...specifics.entries()] : Object.entries(specifics);
+  return entries.map(([name, value]) => `${name}: ${value}`).join(', ');
+};
+
+module.exports = {
+  parseMskuModel,
+  variationKey,
+  variationsFromMsku,
+  variationsFromSelects,
+  describeVariation
+};
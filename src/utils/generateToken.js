@@ -1,14 +1,27 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (id) => {
+/**
+ * Sign an access token for a user
+ * @param {Object} options
+ * @param {ObjectId} options.sessionId - Refresh token session the token belongs to, revoking it revokes the token
+ * @param {ObjectId} options.impersonatedBy - Admin signing in as the user, kept in the token
+ * @param {string} options.expiresIn - Overrides JWT_EXPIRE
+ */
+const generateToken = (id, { sessionId, impersonatedBy, expiresIn } = {}) => {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET is not set in environment variables');
   }
-  
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+
+  const payload = { id };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+  if (impersonatedBy) {
+    payload.impersonatedBy = impersonatedBy;
+  }
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: expiresIn || process.env.JWT_EXPIRE || '15m'
   });
 };
 
 module.exports = generateToken;
-
@@ -0,0 +1,153 @@
+/**
+ * Landed-cost profit
+ *
+ * All amounts are in one currency. Selling and supplier prices are treated as
+ * VAT-inclusive. eBay fees are charged on the order total (item + shipping charged).
+ *
+ * VAT schemes:
+ *   none      - not VAT registered
+ *   standard  - output VAT on the sale less input VAT reclaimed on stock and inbound shipping
+ *   flat_rate - flat rate percentage of the order total, nothing reclaimed
+ *   margin    - VAT on the margin between sale and purchase price only
+ */
+
+const VAT_SCHEMES = ['none', 'standard', 'flat_rate', 'margin'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Final value fee percentage for a category
+ * Falls back to the profile default
+ */
+const getFinalValueFeePercent = (profile, category) => {
+  const fees = profile?.finalValueFee || {};
+  if (category && Array.isArray(fees.categories)) {
+    const match = fees.categories.find(entry =>
+      entry.category && entry.category.toLowerCase() === String(category).toLowerCase()
+    );
+    if (match) return match.percent;
+  }
+  return fees.defaultPercent || 0;
+};
+
+/**
+ * Rates that scale with the order total, and fixed per-order amounts
+ */
+const getFeeRates = (profile, category) => {
+  const percent = getFinalValueFeePercent(profile, category)
+    + (profile?.promotedRate || 0)
+    + (profile?.paymentFee?.percent || 0);
+
+  return {
+    percent,
+    fixed: (profile?.perOrderFee || 0) + (profile?.paymentFee?.fixed || 0)
+  };
+};
+
+/**
+ * Fraction of a VAT-inclusive amount that is VAT
+ */
+const vatFraction = (rate) => (rate > 0 ? rate / (100 + rate) : 0);
+
+/**
+ * Calculate a profit breakdown
+ * @param {Object} costs
+ * @param {number} costs.salePrice - Item price on eBay
+ * @param {number} costs.shippingCharged - Shipping the buyer pays
+ * @param {number} costs.supplierCost - Supplier price
+ * @param {number} costs.shippingIn - Shipping from the supplier, per unit
+ * @param {number} costs.shippingOut - Postage to the buyer
+ * @param {string} costs.category - eBay category, for the final value fee
+ * @param {Object} profile - FeeProfile (fixed fees already in the same currency), or null for no fees
+ * @returns {Object} Breakdown including netProfit and breakEvenPrice
+ */
+const calculateLandedCost = (costs, profile = null) => {
+  const salePrice = costs.salePrice || 0;
+  const shippingCharged = costs.shippingCharged || 0;
+  const supplierCost = costs.supplierCost || 0;
+  const shippingIn = costs.shippingIn || 0;
+  const shippingOut = costs.shippingOut || 0;
+
+  const orderTotal = salePrice + shippingCharged;
+  const finalValueFeePercent = getFinalValueFeePercent(profile, costs.category);
+
+  const finalValueFee = orderTotal * finalValueFeePercent / 100;
+  const perOrderFee = profile?.perOrderFee || 0;
+  const promotedFee = orderTotal * (profile?.promotedRate || 0) / 100;
+  const paymentFee = orderTotal * (profile?.paymentFee?.percent || 0) / 100 + (profile?.paymentFee?.fixed || 0);
+  const totalFees = finalValueFee + perOrderFee + promotedFee + paymentFee;
+
+  const scheme = profile?.vat?.scheme || 'none';
+  const vatRate = profile?.vat?.rate || 0;
+  const purchaseCost = supplierCost + shippingIn;
+
+  let vat = 0;
+  if (scheme === 'standard') {
+    vat = (orderTotal - purchaseCost) * vatFraction(vatRate);
+  } else if (scheme === 'flat_rate') {
+    vat = orderTotal * (profile?.vat?.flatRatePercent || 0) / 100;
+  } else if (scheme === 'margin') {
+    vat = Math.max(0, orderTotal - purchaseCost) * vatFraction(vatRate);
+  }
+
+  const grossProfit = salePrice - supplierCost;
+  const netProfit = orderTotal - purchaseCost - shippingOut - totalFees - vat;
+
+  return {
+    salePrice: round(salePrice),
+    shippingCharged: round(shippingCharged),
+    supplierCost: round(supplierCost),
+    shippingIn: round(shippingIn),
+    shippingOut: round(shippingOut),
+    finalValueFeePercent,
+    finalValueFee: round(finalValueFee),
+    perOrderFee: round(perOrderFee),
+    promotedFee: round(promotedFee),
+    paymentFee: round(paymentFee),
+    totalFees: round(totalFees),
+    vatScheme: scheme,
+    vat: round(vat),
+    grossProfit: round(grossProfit),
+    netProfit: round(netProfit),
+    netMargin: salePrice > 0 ? round((netProfit / salePrice) * 100) : 0,
+    breakEvenPrice: calculateBreakEvenPrice(costs, profile)
+  };
+};
+
+/**
+ * Lowest item price with a net profit of zero
+ * Net profit is linear in the order total above the purchase cost, so solve
+ *   total * (1 - feeRate - vatOut) = purchaseCost + shippingOut + fixedFees - purchaseCost * vatIn
+ * @returns {number|null} null when fees and VAT consume the whole sale
+ */
+const calculateBreakEvenPrice = (costs, profile = null) => {
+  const purchaseCost = (costs.supplierCost || 0) + (costs.shippingIn || 0);
+  const { percent, fixed } = getFeeRates(profile, costs.category);
+
+  const scheme = profile?.vat?.scheme || 'none';
+  const vatRate = profile?.vat?.rate || 0;
+
+  let vatOut = 0;
+  let vatIn = 0;
+  if (scheme === 'standard' || scheme === 'margin') {
+    vatOut = vatFraction(vatRate);
+    vatIn = vatOut;
+  } else if (scheme === 'flat_rate') {
+    vatOut = (profile?.vat?.flatRatePercent || 0) / 100;
+  }
+
+  const denominator = 1 - percent / 100 - vatOut;
+  if (denominator <= 0) {
+    return null;
+  }
+
+  const orderTotal = (purchaseCost + (costs.shippingOut || 0) + fixed - purchaseCost * vatIn) / denominator;
+  return round(Math.max(0, orderTotal - (costs.shippingCharged || 0)));
+};
+
+module.exports = {
+  VAT_SCHEMES,
+  getFinalValueFeePercent,
+  calculateLandedCost,
+  calculateBreakEvenPrice
+};
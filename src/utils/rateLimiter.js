@@ -0,0 +1,114 @@
+/**
+ * Token bucket rate limiting per host
+ * Each key (a hostname, or "ebay-api") gets a bucket that refills one token
+ * every intervalMs up to capacity. Callers that find the bucket empty reserve
+ * the next token and wait for it, so concurrent callers are served in order.
+ */
+
+const buckets = new Map();
+
+// Limits per kind of host, as { capacity (burst), intervalMs (one token per) }
+const LIMITS = {
+  ebay: {
+    capacity: parseInt(process.env.EBAY_RATE_LIMIT_BURST || '2', 10),
+    intervalMs: parseInt(process.env.EBAY_RATE_LIMIT_DELAY || '1000', 10)
+  },
+  ebayApi: {
+    capacity: parseInt(process.env.EBAY_API_RATE_LIMIT_BURST || '5', 10),
+    intervalMs: parseInt(process.env.EBAY_API_RATE_LIMIT_DELAY || '200', 10)
+  },
+  supplier: {
+    capacity: parseInt(process.env.SUPPLIER_RATE_LIMIT_BURST || '1', 10),
+    intervalMs: parseInt(process.env.SUPPLIER_RATE_LIMIT_DELAY || '2000', 10)
+  }
+};
+
+// Key used for the eBay APIs, shared by every endpoint
+const EBAY_API_KEY = 'ebay-api';
+
+/**
+ * Bucket key for a URL: its hostname without "www."
+ */
+const hostKey = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return 'unknown';
+  }
+};
+
+const getBucket = (key, limits) => {
+  if (!buckets.has(key)) {
+    const capacity = Math.max(1, limits.capacity);
+    buckets.set(key, {
+      capacity,
+      intervalMs: Math.max(0, limits.intervalMs),
+      tokens: capacity,
+      updatedAt: Date.now(),
+      granted: 0,
+      waited: 0
+    });
+  }
+  return buckets.get(key);
+};
+
+/**
+ * Take a token for key, waiting until one is available
+ * @param {string} key - Bucket key, see hostKey
+ * @param {Object} limits - { capacity, intervalMs } used when the bucket is created
+ * @returns {number} Milliseconds waited
+ */
+const waitForToken = async (key, limits = LIMITS.supplier) => {
+  const bucket = getBucket(key, limits);
+  const now = Date.now();
+
+  if (bucket.intervalMs > 0) {
+    const refilled = (now - bucket.updatedAt) / bucket.intervalMs;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + refilled);
+  } else {
+    bucket.tokens = bucket.capacity;
+  }
+  bucket.updatedAt = now;
+
+  // Reserve a token; a negative balance is the queue of callers ahead of us
+  bucket.tokens -= 1;
+  bucket.granted++;
+
+  if (bucket.tokens >= 0) {
+    return 0;
+  }
+
+  const waitMs = Math.ceil(-bucket.tokens * bucket.intervalMs);
+  bucket.waited++;
+  await new Promise(resolve => setTimeout(resolve, waitMs));
+  return waitMs;
+};
+
+/**
+ * Current balance and counters per bucket
+ */
+const getRateLimiterStats = () => {
+  const now = Date.now();
+  const stats = {};
+
+  buckets.forEach((bucket, key) => {
+    const refilled = bucket.intervalMs > 0 ? (now - bucket.updatedAt) / bucket.intervalMs : bucket.capacity;
+    stats[key] = {
+      capacity: bucket.capacity,
+      intervalMs: bucket.intervalMs,
+      tokens: Number(Math.min(bucket.capacity, bucket.tokens + refilled).toFixed(2)),
+      granted: bucket.granted,
+      waited: bucket.waited
+    };
+  });
+
+  return stats;
+};
+
+module.exports = {
+  LIMITS,
+  EBAY_API_KEY,
+  hostKey,
+  waitForToken,
+  getRateLimiterStats
+};
@@ -0,0 +1,63 @@
+/**
+ * Rule scope helpers
+ * Rules can target all products, products carrying a tag, or specific products
+ */
+
+const SCOPE_TYPES = ['all', 'tag', 'products'];
+
+/**
+ * Check whether a rule scope covers a product
+ */
+const matchesScope = (scope, product) => {
+  if (!scope || !scope.type || scope.type === 'all') {
+    return true;
+  }
+
+  if (scope.type === 'tag') {
+    const productTags = (product.tags || []).map(tag => tag.toLowerCase());
+    return (scope.tags || []).some(tag => productTags.includes(tag.toLowerCase()));
+  }
+
+  if (scope.type === 'products') {
+    return (scope.productIds || []).some(id => id.toString() === product._id.toString());
+  }
+
+  return false;
+};
+
+/**
+ * Higher is more specific: products > tag > all
+ */
+const scopeSpecificity = (scope) => {
+  if (!scope || !scope.type) return 0;
+  return SCOPE_TYPES.indexOf(scope.type);
+};
+
+/**
+ * Validate a scope from a request body
+ * Returns an error message or null
+ */
+const validateScope = (scope) => {
+  if (scope === undefined) return null;
+
+  if (!scope || !SCOPE_TYPES.includes(scope.type)) {
+    return `Scope type must be one of: ${SCOPE_TYPES.join(', ')}`;
+  }
+
+  if (scope.type === 'tag' && (!Array.isArray(scope.tags) || scope.tags.length === 0)) {
+    return 'Please provide at least one tag for a tag scope';
+  }
+
+  if (scope.type === 'products' && (!Array.isArray(scope.productIds) || scope.productIds.length === 0)) {
+    return 'Please provide at least one product ID for a products scope';
+  }
+
+  return null;
+};
+
+module.exports = {
+  SCOPE_TYPES,
+  matchesScope,
+  scopeSpecificity,
+  validateScope
+};
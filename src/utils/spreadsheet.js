@@ -0,0 +1,236 @@
+/**
+ * Spreadsheet parsing
+ * CSV (RFC 4180) and the first worksheet of an XLSX workbook, read into
+ * arrays of cell strings. XLSX is a zip of XML parts, read with zlib and cheerio.
+ */
+
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells with commas, newlines and "" escapes
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Limits for uploaded workbooks, so a small zip cannot expand into gigabytes
+// (a real XLSX has a few dozen parts, and 200 rows of XML are far below the size limit)
+const MAX_ZIP_ENTRIES = 1000;
+const MAX_PART_SIZE = 10 * 1024 * 1024;
+
+// Last column Excel allows (XFD)
+const MAX_COLUMNS = 16384;
+
+/**
+ * List the entries of a zip archive without extracting them
+ * @returns {Map} name -> { method, compressedSize, localOffset }
+ */
+const listZip = (buffer) => {
+  // End of central directory record, searched from the end (it may be followed by a comment)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a valid XLSX file');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  if (entryCount > MAX_ZIP_ENTRIES) {
+    throw new Error('XLSX file has too many parts');
+  }
+
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let n = 0; n < entryCount; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt XLSX file');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Extract one zip entry, refusing parts larger than MAX_PART_SIZE
+ * @returns {Buffer}
+ */
+const readZipEntry = (buffer, { method, compressedSize, localOffset }) => {
+  if (buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+    throw new Error('Corrupt XLSX file');
+  }
+
+  const localNameLength = buffer.readUInt16LE(localOffset + 26);
+  const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+  const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+  const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+  if (method === 0) {
+    if (data.length > MAX_PART_SIZE) {
+      throw new Error('XLSX file is too large');
+    }
+    return data;
+  }
+  if (method !== 8) {
+    throw new Error('Unsupported XLSX compression');
+  }
+
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_SIZE });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error('XLSX file is too large');
+    }
+    throw error;
+  }
+};
+
+// "AB12" -> 27 (zero-based column index)
+const columnIndex = (reference) => {
+  const letters = (reference.match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+/**
+ * Parse the first worksheet of an XLSX workbook into rows of cells
+ * Cells right of the header row are ignored
+ * @param {number} maxRows - Stop after this many non-blank rows
+ */
+const parseXlsx = (buffer, { maxRows = Infinity } = {}) => {
+  // Only the first worksheet and the shared strings are extracted
+  const entries = listZip(buffer);
+
+  const sheetName = entries.has('xl/worksheets/sheet1.xml')
+    ? 'xl/worksheets/sheet1.xml'
+    : [...entries.keys()].filter(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name)).sort()[0];
+  if (!sheetName) {
+    throw new Error('XLSX file has no worksheets');
+  }
+
+  const sharedStrings = [];
+  if (entries.has('xl/sharedStrings.xml')) {
+    const $strings = cheerio.load(readZipEntry(buffer, entries.get('xl/sharedStrings.xml')).toString('utf8'), { xmlMode: true });
+    $strings('si').each((i, si) => {
+      // Rich text is split over several <t> runs
+      sharedStrings.push($strings(si).find('t').map((j, t) => $strings(t).text()).get().join(''));
+    });
+  }
+
+  const $ = cheerio.load(readZipEntry(buffer, entries.get(sheetName)).toString('utf8'), { xmlMode: true });
+  const rows = [];
+  let width = MAX_COLUMNS;
+
+  $('sheetData > row').each((i, rowElement) => {
+    const row = [];
+    $(rowElement).children('c').each((j, cellElement) => {
+      const cell = $(cellElement);
+      const type = cell.attr('t');
+      const reference = cell.attr('r');
+      const index = reference ? columnIndex(reference) : row.length;
+
+      // The reference decides how many cells are padded in, so it is bounded
+      if (index >= MAX_COLUMNS) {
+        throw new Error(`XLSX cell reference ${reference} is out of range`);
+      }
+      if (index >= width) {
+        return;
+      }
+
+      let value = '';
+      if (type === 's') value = sharedStrings[parseInt(cell.children('v').text(), 10)] || '';
+      else if (type === 'inlineStr') value = cell.find('is t').map((k, t) => $(t).text()).get().join('');
+      else value = cell.children('v').text();
+
+      while (row.length < index) row.push('');
+      row[index] = value;
+    });
+
+    if (row.some(value => String(value).trim() !== '')) {
+      if (rows.length === 0) {
+        width = row.length;
+      }
+      rows.push(row);
+    }
+    return rows.length < maxRows;
+  });
+
+  return rows;
+};
+
+/**
+ * Parse an uploaded spreadsheet
+ * XLSX files are recognised by their zip signature, anything else is read as CSV
+ * @param {Object} options - { maxRows } to stop reading after that many non-blank rows
+ */
+const parseSpreadsheet = (buffer, { maxRows = Infinity } = {}) => {
+  const data = Buffer.isBuffer(buffer) ? buffer : Buffer.from(String(buffer), 'utf8');
+  const isZip = data.length > 4 && data.readUInt32LE(0) === 0x04034b50;
+  return isZip ? parseXlsx(data, { maxRows }) : parseCsv(data.toString('utf8')).slice(0, maxRows);
+};
+
+module.exports = {
+  parseCsv,
+  parseXlsx,
+  parseSpreadsheet
+};
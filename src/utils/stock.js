@@ -0,0 +1,93 @@
+/**
+ * Stock helpers
+ * Read available quantities from page text and derive stock status and
+ * sell-through velocity from them
+ */
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 3;
+
+// Most specific first; "More than 10 available" is recorded as 10
+const QUANTITY_PATTERNS = [
+  /more than\s+([\d,]+)\s+available/i,
+  /([\d,]+)\s+(?:available|pieces available|units? available)/i,
+  /only\s+([\d,]+)\s+left/i,
+  /([\d,]+)\s+(?:left in stock|in stock|left)/i,
+  /(?:quantity|stock|qty)\s*(?:available)?\s*[:=]\s*([\d,]+)/i
+];
+
+/**
+ * Parse an available quantity out of text such as "3 available",
+ * "Only 2 left in stock", "Last one" or "Stock: 12"
+ * @returns {number|null} null when the text gives no quantity
+ */
+const parseQuantity = (text) => {
+  if (text === undefined || text === null) return null;
+  if (typeof text === 'number') return Number.isFinite(text) && text >= 0 ? Math.floor(text) : null;
+
+  const value = String(text);
+  if (/\blast one\b/i.test(value)) return 1;
+  if (/\b(out of stock|sold out)\b/i.test(value) && !/\d/.test(value)) return 0;
+
+  for (const pattern of QUANTITY_PATTERNS) {
+    const match = value.match(pattern);
+    if (match) {
+      return parseInt(match[1].replace(/,/g, ''), 10);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Stock status for a quantity, or the scraped status when the quantity is unknown
+ */
+const resolveStockStatus = (quantity, lowStockThreshold = DEFAULT_LOW_STOCK_THRESHOLD, fallbackStatus = 'unknown') => {
+  if (quantity === null || quantity === undefined || !Number.isFinite(quantity)) {
+    return fallbackStatus || 'unknown';
+  }
+  if (quantity <= 0) return 'out_of_stock';
+
+  const threshold = lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+  return quantity <= threshold ? 'low_stock' : 'in_stock';
+};
+
+/**
+ * Sell-through velocity from a series of quantity readings
+ * Drops in quantity count as sales; increases are restocks and are skipped.
+ * @param {Array} readings - [{ quantity, checkedAt }] in any order
+ * @param {Date} now
+ * @returns {Object|null} { unitsSold, days, perDay, daysOfStockLeft } or null with fewer than two readings
+ */
+const calculateSellThrough = (readings = [], now = new Date()) => {
+  const points = readings
+    .filter(reading => Number.isFinite(reading.quantity))
+    .sort((a, b) => new Date(a.checkedAt) - new Date(b.checkedAt));
+
+  if (points.length < 2) {
+    return null;
+  }
+
+  let unitsSold = 0;
+  for (let i = 1; i < points.length; i++) {
+    const drop = points[i - 1].quantity - points[i].quantity;
+    if (drop > 0) unitsSold += drop;
+  }
+
+  const days = Math.max((new Date(now) - new Date(points[0].checkedAt)) / (24 * 60 * 60 * 1000), 1 / 24);
+  const perDay = unitsSold / days;
+  const current = points[points.length - 1].quantity;
+
+  return {
+    unitsSold,
+    days: Number(days.toFixed(2)),
+    perDay: Number(perDay.toFixed(2)),
+    daysOfStockLeft: perDay > 0 ? Number((current / perDay).toFixed(1)) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  parseQuantity,
+  resolveStockStatus,
+  calculateSellThrough
+};
@@ -0,0 +1,56 @@
+/**
+ * Workspace helpers
+ * A request acts on the user's own catalogue, or on an organization's when it
+ * sends an X-Organization-Id header (resolved by the protect middleware).
+ * Organization products keep the organization owner as userId, so the owner's
+ * fee profiles, supplier definitions, rules and notification channels apply to them.
+ */
+
+const ORGANIZATION_HEADER = 'x-organization-id';
+
+// owner: members, settings and everything editors do; editor: products, alerts and imports; viewer: read only
+const ORGANIZATION_ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * Owner of the request's workspace
+ * @returns {Object} { userId, organizationId } - organizationId is null for the personal workspace
+ */
+const workspaceOwner = (req) => (req.organization
+  ? { userId: req.organization.ownerId, organizationId: req.organization._id }
+  : { userId: req.user._id, organizationId: null });
+
+/**
+ * Query matching documents of one owner (products, settings, import jobs...)
+ * Personal documents never match organization ones of the same user
+ * @param {Object} owner - { userId, organizationId }, e.g. a product
+ */
+const ownerQuery = ({ userId, organizationId }) => (organizationId
+  ? { organizationId }
+  : { userId, organizationId: null });
+
+/**
+ * Query matching documents of the request's workspace
+ */
+const workspaceQuery = (req) => ownerQuery(workspaceOwner(req));
+
+/**
+ * Check a populated document (e.g. an alert's product) belongs to the request's workspace
+ */
+const inWorkspace = (req, doc) => {
+  if (!doc) return false;
+
+  const { userId, organizationId } = workspaceOwner(req);
+  if (organizationId) {
+    return String(doc.organizationId) === String(organizationId);
+  }
+  return !doc.organizationId && String(doc.userId) === String(userId);
+};
+
+module.exports = {
+  ORGANIZATION_HEADER,
+  ORGANIZATION_ROLES,
+  workspaceOwner,
+  ownerQuery,
+  workspaceQuery,
+  inWorkspace
+};
@@ -0,0 +1,174 @@
+/**
+ * Admin Tests
+ * Run with: npm test
+ */
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Settings = require('../src/models/Settings');
+const SystemDefaults = require('../src/models/SystemDefaults');
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const { protect } = require('../src/middleware/auth');
+const { createImpersonationSession } = require('../src/services/sessionService');
+const generateToken = require('../src/utils/generateToken');
+const { checksPerHour } = require('../src/services/adminService');
+const { DEFAULT_PATHS, applySystemDefaults } = require('../src/services/systemDefaultsService');
+const { getCronState } = require('../src/services/cronService');
+
+describe('Admin', () => {
+  describe('monitoring load', () => {
+    it('should count checks per hour from active products and frequency', () => {
+      expect(checksPerHour(10, 30)).toBe(20);
+      expect(checksPerHour(3, 1440)).toBe(0.13);
+      expect(checksPerHour(0, 15)).toBe(0);
+    });
+
+    it('should apply the 15 minute minimum and default frequency', () => {
+      expect(checksPerHour(5, 5)).toBe(20);
+      expect(checksPerHour(5)).toBe(10);
+    });
+  });
+
+  describe('impersonation tokens', () => {
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    });
+
+    it('should record the impersonating admin in the token', () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      const adminId = new mongoose.Types.ObjectId().toString();
+      const decoded = jwt.verify(generateToken(userId, { impersonatedBy: adminId, expiresIn: '1h' }), process.env.JWT_SECRET);
+
+      expect(decoded.id).toBe(userId);
+      expect(decoded.impersonatedBy).toBe(adminId);
+      expect(decoded.exp - decoded.iat).toBe(3600);
+    });
+
+    it('should leave regular tokens without the claim', () => {
+      const decoded = jwt.decode(generateToken('abc'));
+
+      expect(decoded.impersonatedBy).toBeUndefined();
+    });
+
+    describe('sessions', () => {
+      const user = { _id: new mongoose.Types.ObjectId(), role: 'user', isActive: true };
+      const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin', isActive: true };
+
+      const authenticate = async (token) => {
+        const req = { method: 'GET', headers: { authorization: `Bearer ${token}` } };
+        const res = {};
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => res);
+        const next = jest.fn();
+
+        await protect(req, res, next);
+        return { req, res, next };
+      };
+
+      const mockUsers = (adminFields = {}) => {
+        jest.spyOn(User, 'findById').mockImplementation(id => ({
+          select: async () => (String(id) === String(admin._id) ? { ...admin, ...adminFields } : user)
+        }));
+      };
+
+      const impersonate = async () => {
+        jest.spyOn(Session.prototype, 'save').mockImplementation(async function() { return this; });
+        return createImpersonationSession(user, admin, { headers: {}, ip: '127.0.0.1' }, '1h');
+      };
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should tie the token to a revocable session that ends with it', async () => {
+        const { token, session } = await impersonate();
+        const decoded = jwt.decode(token);
+
+        expect(decoded.sid).toBe(String(session._id));
+        expect(String(session.impersonatedBy)).toBe(String(admin._id));
+        expect(session.expiresAt.getTime()).toBe(decoded.exp * 1000);
+      });
+
+      it('should accept the token while the session and admin are active', async () => {
+        const { token } = await impersonate();
+        mockUsers();
+        jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session' });
+
+        const { req, next } = await authenticate(token);
+
+        expect(next).toHaveBeenCalled();
+        expect(String(req.impersonatedBy)).toBe(String(admin._id));
+      });
+
+      it('should reject the token once its session is revoked', async () => {
+        const { token } = await impersonate();
+        mockUsers();
+        jest.spyOn(Session, 'exists').mockResolvedValue(null);
+
+        const { res, next } = await authenticate(token);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+      });
+
+      it('should reject the token of a demoted or deactivated admin', async () => {
+        const { token } = await impersonate();
+        jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session' });
+
+        mockUsers({ role: 'user' });
+        expect((await authenticate(token)).next).not.toHaveBeenCalled();
+
+        mockUsers({ isActive: false });
+        expect((await authenticate(token)).next).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('system defaults', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const mockDefaults = (defaults) => {
+      jest.spyOn(SystemDefaults, 'findOne').mockReturnValue({ lean: async () => defaults });
+    };
+
+    it('should cover the settings fields new owners inherit', () => {
+      expect(DEFAULT_PATHS).toEqual(expect.arrayContaining([
+        'monitoringFrequency',
+        'baseCurrency',
+        'alertTypes.lowStock'
+      ]));
+      expect(DEFAULT_PATHS).not.toContain('updatedBy');
+    });
+
+    it('should fill unset settings from the defaults', async () => {
+      mockDefaults({ monitoringFrequency: 60, baseCurrency: 'EUR', alertTypes: { lowStock: false } });
+      const settings = await applySystemDefaults(new Settings({ userId: new mongoose.Types.ObjectId() }));
+
+      expect(settings.monitoringFrequency).toBe(60);
+      expect(settings.baseCurrency).toBe('EUR');
+      expect(settings.alertTypes.lowStock).toBe(false);
+      expect(settings.alertTypes.outOfStock).toBe(true);
+    });
+
+    it('should keep values given when the settings were created', async () => {
+      mockDefaults({ monitoringFrequency: 60 });
+      const settings = await applySystemDefaults(new Settings({ userId: new mongoose.Types.ObjectId(), monitoringFrequency: 120 }));
+
+      expect(settings.monitoringFrequency).toBe(120);
+    });
+
+    it('should leave built-in defaults when no admin set any', async () => {
+      mockDefaults(null);
+      const settings = await applySystemDefaults(new Settings({ userId: new mongoose.Types.ObjectId() }));
+
+      expect(settings.monitoringFrequency).toBe(Settings.schema.path('monitoringFrequency').defaultValue);
+    });
+  });
+
+  it('should report no cron jobs before any are scheduled', () => {
+    expect(getCronState()).toEqual({ users: [], organizations: [], digestScheduled: false });
+  });
+});
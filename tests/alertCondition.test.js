@@ -0,0 +1,71 @@
+/**
+ * Alert Condition Tests
+ * Run with: npm test
+ */
+
+const { parseCondition, evaluateCondition, getConditionFields } = require('../src/utils/alertCondition');
+
+describe('Alert Conditions', () => {
+  const previous = {
+    profitMargin: 15,
+    supplierPrice: 10,
+    stockStatus: 'in_stock',
+    competitorStats: { totalSellers: 4 }
+  };
+
+  const current = {
+    profitMargin: 8,
+    supplierPrice: 12.5,
+    stockStatus: 'in_stock',
+    competitorStats: { totalSellers: 6 }
+  };
+
+  const evaluate = (condition) => evaluateCondition(parseCondition(condition), current, previous);
+
+  describe('parseCondition', () => {
+    it('should reject empty and malformed conditions', () => {
+      expect(() => parseCondition('')).toThrow('Condition is required');
+      expect(() => parseCondition('profitMargin <')).toThrow(/Expected a value/);
+      expect(() => parseCondition('profitMargin 10')).toThrow(/Expected an operator/);
+      expect(() => parseCondition('(profitMargin < 10')).toThrow(/closing parenthesis/);
+      expect(() => parseCondition('profitMargin < 10%')).toThrow(/Percent values/);
+    });
+
+    it('should collect referenced fields', () => {
+      const ast = parseCondition('profitMargin < 10 or (competitorStats.totalSellers > 5 and profitMargin < 20)');
+
+      expect(getConditionFields(ast)).toEqual(['profitMargin', 'competitorStats.totalSellers']);
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    it('should compare numbers and text', () => {
+      expect(evaluate('profitMargin < 10')).toBe(true);
+      expect(evaluate('profitMargin >= 10')).toBe(false);
+      expect(evaluate('stockStatus == IN_STOCK')).toBe(true);
+      expect(evaluate("stockStatus != 'out_of_stock'")).toBe(true);
+    });
+
+    it('should combine with and / or', () => {
+      expect(evaluate('competitorStats.totalSellers > 5 and profitMargin < 10')).toBe(true);
+      expect(evaluate('competitorStats.totalSellers > 10 && profitMargin < 10')).toBe(false);
+      expect(evaluate('competitorStats.totalSellers > 10 || profitMargin < 10')).toBe(true);
+    });
+
+    it('should compare changes against the previous value', () => {
+      expect(evaluate('supplierPrice increased by > £2')).toBe(true);
+      expect(evaluate('supplierPrice increased by > £3')).toBe(false);
+      expect(evaluate('supplierPrice increased by 25%')).toBe(true);
+      expect(evaluate('profitMargin decreased by 7')).toBe(true);
+      expect(evaluate('supplierPrice decreased by 1')).toBe(false);
+    });
+
+    it('should not treat a change condition as true without a change', () => {
+      expect(evaluateCondition(parseCondition('supplierPrice changed by 0.01'), previous, previous)).toBe(false);
+    });
+
+    it('should be false for missing fields', () => {
+      expect(evaluate('competitorStats.lowestPrice < 5')).toBe(false);
+    });
+  });
+});
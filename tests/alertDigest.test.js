@@ -0,0 +1,29 @@
+/**
+ * Alert Digest Tests
+ * Run with: npm test
+ */
+
+const { isDigestDue } = require('../src/services/alertDigestService');
+
+describe('Alert Digest', () => {
+  const now = new Date('2024-01-01T12:00:00Z');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+  it('should never be due when the digest is off', () => {
+    expect(isDigestDue({ alertDigest: 'off' }, now)).toBe(false);
+  });
+
+  it('should be due when no digest has been sent yet', () => {
+    expect(isDigestDue({ alertDigest: 'daily' }, now)).toBe(true);
+  });
+
+  it('should wait for the period to elapse', () => {
+    expect(isDigestDue({ alertDigest: 'hourly', lastDigestSentAt: minutesAgo(30) }, now)).toBe(false);
+    expect(isDigestDue({ alertDigest: 'hourly', lastDigestSentAt: minutesAgo(60) }, now)).toBe(true);
+    expect(isDigestDue({ alertDigest: 'daily', lastDigestSentAt: minutesAgo(120) }, now)).toBe(false);
+  });
+
+  it('should tolerate the hourly job running slightly early', () => {
+    expect(isDigestDue({ alertDigest: 'hourly', lastDigestSentAt: minutesAgo(58) }, now)).toBe(true);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * API Key Tests
+ * Run with: npm test
+ */
+
+const mongoose = require('mongoose');
+const ApiKey = require('../src/models/ApiKey');
+const User = require('../src/models/User');
+const { protect, apiKeyScopes } = require('../src/middleware/auth');
+const { API_KEY_PREFIX, isApiKey } = require('../src/utils/apiKeys');
+
+describe('API keys', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  // Run the router middleware in order: apiKeyScopes then protect
+  const authenticate = async (key, method, scopes) => {
+    const req = { method, headers: { authorization: `Bearer ${key}` } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    apiKeyScopes(scopes)(req, res, () => {});
+    await protect(req, res, next);
+    return { req, res, next };
+  };
+
+  it('should generate prefixed keys stored only as a hash', () => {
+    const apiKey = new ApiKey({ userId, name: 'Sync script', scopes: ['products:read'] });
+    const key = apiKey.generateKey();
+
+    expect(isApiKey(key)).toBe(true);
+    expect(key.startsWith(apiKey.prefix)).toBe(true);
+    expect(apiKey.keyHash).toBe(ApiKey.hashKey(key));
+    expect(apiKey.keyHash).not.toBe(key);
+  });
+
+  it('should not mistake JWTs for API keys', () => {
+    expect(isApiKey('eyJhbGciOiJIUzI1NiJ9.e30.x')).toBe(false);
+    expect(isApiKey(undefined)).toBe(false);
+  });
+
+  it('should require at least one known scope', () => {
+    const empty = new ApiKey({ userId, name: 'Empty', prefix: 'ebm_x', keyHash: 'x', scopes: [] });
+    const unknown = new ApiKey({ userId, name: 'Unknown', prefix: 'ebm_x', keyHash: 'x', scopes: ['settings:write'] });
+
+    expect(empty.validateSync().errors.scopes).toBeDefined();
+    expect(unknown.validateSync().errors['scopes.0']).toBeDefined();
+  });
+
+  describe('protect', () => {
+    const key = `${API_KEY_PREFIX}test`;
+    const productScopes = { read: 'products:read', write: 'products:write' };
+
+    beforeEach(() => {
+      jest.spyOn(ApiKey, 'findOne').mockImplementation(async ({ keyHash }) => (
+        keyHash === ApiKey.hashKey(key)
+          ? { _id: new mongoose.Types.ObjectId(), userId, scopes: ['products:read'] }
+          : null
+      ));
+      jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select: async () => ({ _id: userId, role: 'user', isActive: true })
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should accept a key with the route scope and record its use', async () => {
+      const { req, next } = await authenticate(key, 'GET', productScopes);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user._id).toBe(userId);
+      expect(req.apiKey.scopes).toEqual(['products:read']);
+      expect(ApiKey.updateOne).toHaveBeenCalled();
+    });
+
+    it('should refuse a key without the route scope', async () => {
+      const { res, next } = await authenticate(key, 'POST', productScopes);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].message).toMatch(/products:write/);
+    });
+
+    it('should refuse keys on routes without API key scopes', async () => {
+      const req = { method: 'GET', headers: { authorization: `Bearer ${key}` } };
+      const res = mockResponse();
+      const next = jest.fn();
+      await protect(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should refuse writes on read-only routers', async () => {
+      const { res } = await authenticate(key, 'PUT', { read: 'products:read' });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should reject unknown and revoked keys', async () => {
+      const { res, next } = await authenticate(`${API_KEY_PREFIX}revoked`, 'GET', productScopes);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Browser Pool Tests
+ * Run with: npm test
+ */
+
+const { EventEmitter } = require('events');
+
+// In-memory stand-in for Chrome so pool bookkeeping can be tested without a browser
+const createFakeBrowser = () => {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.isConnected = () => browser.connected;
+  browser.newPage = async () => {
+    const page = new EventEmitter();
+    page.closed = false;
+    page.isClosed = () => page.closed;
+    page.close = async () => { page.closed = true; };
+    page.goto = async () => {};
+    page.setUserAgent = async () => {};
+    page.setExtraHTTPHeaders = async () => {};
+    page.evaluateOnNewDocument = async () => {};
+    page.setRequestInterception = async () => {};
+    return page;
+  };
+  browser.close = async () => {
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+  browser.crash = () => {
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+  return browser;
+};
+
+const launched = [];
+
+jest.mock('puppeteer', () => ({
+  launch: jest.fn(async () => {
+    const browser = createFakeBrowser();
+    launched.push(browser);
+    return browser;
+  })
+}));
+
+process.env.BROWSER_POOL_MAX_BROWSERS = '1';
+process.env.BROWSER_POOL_MAX_PAGES = '2';
+process.env.BROWSER_POOL_ACQUIRE_TIMEOUT = '200';
+process.env.BROWSER_POOL_IDLE_TIMEOUT = '0';
+
+const browserPool = require('../src/services/browserPool');
+const { extractSellerIdFromProductPage, scrapeProductDetails } = require('../src/services/puppeteerScraper');
+const { getHealthStats } = require('../src/services/scraperHealthService');
+
+describe('Browser pool', () => {
+  afterEach(async () => {
+    await browserPool.closeAll();
+  });
+
+  it('should reuse released pages', async () => {
+    const page = await browserPool.acquirePage();
+    await browserPool.releasePage(page);
+    const again = await browserPool.acquirePage();
+
+    expect(again).toBe(page);
+    expect(browserPool.getStats()).toMatchObject({ browsers: 1, pagesInUse: 1, pagesReused: 1 });
+    await browserPool.releasePage(again);
+  });
+
+  it('should make callers wait when every page is busy', async () => {
+    const first = await browserPool.acquirePage();
+    const second = await browserPool.acquirePage();
+
+    const third = browserPool.acquirePage();
+    expect(browserPool.getStats().pagesInUse).toBe(2);
+
+    await browserPool.releasePage(first);
+    await expect(third).resolves.toBe(first);
+
+    await browserPool.releasePage(second);
+    await browserPool.releasePage(first);
+  });
+
+  it('should time out when no page frees up', async () => {
+    const pages = [await browserPool.acquirePage(), await browserPool.acquirePage()];
+
+    await expect(browserPool.acquirePage()).rejects.toThrow(/timed out/);
+
+    for (const page of pages) {
+      await browserPool.releasePage(page);
+    }
+  });
+
+  it('should relaunch after a browser crash', async () => {
+    const page = await browserPool.acquirePage();
+    const crashes = browserPool.getStats().browserCrashes;
+    launched[launched.length - 1].crash();
+
+    expect(browserPool.getStats().browsers).toBe(0);
+    await browserPool.releasePage(page);
+
+    const replacement = await browserPool.acquirePage();
+    expect(replacement).not.toBe(page);
+    expect(browserPool.getStats()).toMatchObject({ browsers: 1, browserCrashes: crashes + 1 });
+    await browserPool.releasePage(replacement);
+  });
+
+  it('should discard pages that failed', async () => {
+    await expect(browserPool.withPage(async () => {
+      throw new Error('navigation failed');
+    })).rejects.toThrow('navigation failed');
+
+    expect(browserPool.getStats()).toMatchObject({ pagesInUse: 0, idlePages: 0 });
+  });
+
+  it('should not hand out a page again after a scraper failed on it', async () => {
+    const page = await browserPool.acquirePage();
+    page.content = async () => { throw new Error('Target closed'); };
+    await browserPool.releasePage(page);
+    expect(browserPool.getStats().idlePages).toBe(1);
+
+    expect(await extractSellerIdFromProductPage('https://www.ebay.co.uk/itm/123')).toBeNull();
+    expect(page.isClosed()).toBe(true);
+    expect(browserPool.getStats()).toMatchObject({ pagesInUse: 0, idlePages: 0 });
+  });
+
+  describe('scraper health', () => {
+    const failures = () => getHealthStats().ebay_product?.failed || 0;
+
+    // Prepare the idle page the scraper gets next (after release, which navigates it to about:blank)
+    const preparePage = async (fields) => {
+      const page = await browserPool.acquirePage();
+      await browserPool.releasePage(page);
+      Object.assign(page, { url: () => 'https://www.ebay.co.uk/itm/123' }, fields);
+      return page;
+    };
+
+    it('should not count navigation errors as parse failures', async () => {
+      await preparePage({ goto: async () => { throw new Error('net::ERR_TIMED_OUT'); } });
+      const before = failures();
+
+      await expect(scrapeProductDetails('https://www.ebay.co.uk/itm/123')).rejects.toThrow('ERR_TIMED_OUT');
+      expect(failures()).toBe(before);
+    }, 10000);
+
+    it('should not count HTTP errors as parse failures', async () => {
+      await preparePage({
+        goto: async () => ({ status: () => 503 }),
+        content: async () => '<html>Service unavailable</html>'
+      });
+      const before = failures();
+
+      await expect(scrapeProductDetails('https://www.ebay.co.uk/itm/123')).rejects.toThrow('HTTP 503');
+      expect(failures()).toBe(before);
+    });
+
+    it('should count loaded pages that cannot be parsed', async () => {
+      await preparePage({
+        goto: async () => ({ status: () => 200 }),
+        content: async () => '<html><body>New markup</body></html>'
+      });
+      const before = failures();
+
+      await expect(scrapeProductDetails('https://www.ebay.co.uk/itm/123')).rejects.toThrow('Could not extract');
+      expect(failures()).toBe(before + 1);
+    });
+  });
+});
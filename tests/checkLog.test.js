@@ -0,0 +1,92 @@
+/**
+ * Check Log Tests
+ * Run with: npm test
+ */
+
+const { parseResultFor, describeFetch, checkStatus } = require('../src/services/checkLogService');
+
+describe('Check log', () => {
+  describe('parseResultFor', () => {
+    it('should be ok when title, price and stock were read', () => {
+      expect(parseResultFor({ title: 'Lamp', price: 19.99, stock: 'in_stock' })).toBe('ok');
+    });
+
+    it('should be partial when only the price was read', () => {
+      expect(parseResultFor({ title: '', price: 19.99, stock: 'in_stock' })).toBe('partial');
+      expect(parseResultFor({ title: 'Lamp', price: 19.99, stock: 'unknown' })).toBe('partial');
+    });
+
+    it('should be failed without data or a price', () => {
+      expect(parseResultFor(null)).toBe('failed');
+      expect(parseResultFor({ title: 'Lamp', price: 0, stock: 'in_stock' })).toBe('failed');
+    });
+  });
+
+  describe('describeFetch', () => {
+    const url = 'https://www.ebay.co.uk/itm/123456789012';
+
+    it('should record the source and status of the attempt that succeeded', () => {
+      const entry = describeFetch(url, Date.now(), {
+        data: {
+          title: 'Lamp',
+          price: 19.99,
+          stock: 'in_stock',
+          source: 'api',
+          attempts: [
+            { source: 'puppeteer', httpStatus: 503, error: 'Could not extract valid product data with Puppeteer' },
+            { source: 'api', httpStatus: 200, error: null }
+          ]
+        }
+      });
+
+      expect(entry.source).toBe('api');
+      expect(entry.httpStatus).toBe(200);
+      expect(entry.parseResult).toBe('ok');
+      expect(entry.error).toBeNull();
+      expect(entry.attempts).toHaveLength(2);
+    });
+
+    it('should record a failed eBay fetch with its attempts', () => {
+      const error = new Error('Failed to fetch eBay product data: Could not fetch');
+      error.attempts = [
+        { source: 'puppeteer', httpStatus: 403, error: 'blocked' },
+        { source: 'api', httpStatus: null, error: 'eBay API not configured' }
+      ];
+
+      const entry = describeFetch(url, Date.now(), { error });
+
+      expect(entry.source).toBe('none');
+      expect(entry.parseResult).toBe('failed');
+      expect(entry.error).toBe(error.message);
+      expect(entry.attempts[0].httpStatus).toBe(403);
+    });
+
+    it('should record the adapter and HTTP status of a failed supplier fetch', () => {
+      const error = new Error('Failed to fetch Amazon product data: Request failed with status code 404');
+      error.adapter = 'amazon';
+      error.httpStatus = 404;
+
+      const entry = describeFetch('https://www.amazon.co.uk/dp/B000000000', Date.now(), { error });
+
+      expect(entry.source).toBe('amazon');
+      expect(entry.httpStatus).toBe(404);
+      expect(entry.parseResult).toBe('failed');
+    });
+  });
+
+  describe('checkStatus', () => {
+    it('should be success when eBay and the supplier were read', () => {
+      expect(checkStatus({ ebay: { parseResult: 'ok' }, supplier: { parseResult: 'partial' } })).toBe('success');
+      expect(checkStatus({ ebay: { parseResult: 'ok' }, supplier: null })).toBe('success');
+    });
+
+    it('should be partial when only the supplier failed', () => {
+      expect(checkStatus({ ebay: { parseResult: 'ok' }, supplier: { parseResult: 'failed' } })).toBe('partial');
+    });
+
+    it('should be failed when eBay failed or the check errored', () => {
+      expect(checkStatus({ ebay: { parseResult: 'failed' }, supplier: { parseResult: 'ok' } })).toBe('failed');
+      expect(checkStatus({ ebay: { parseResult: 'ok' }, error: new Error('boom') })).toBe('failed');
+    });
+  });
+});
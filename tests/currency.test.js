@@ -0,0 +1,74 @@
+/**
+ * Currency Tests
+ * Run with: npm test
+ */
+
+const { parseMoney, formatMoney, currencyForEbayUrl } = require('../src/utils/currency');
+const { parsePrice } = require('../src/adapters/suppliers/common');
+const { normalizeRates, convert } = require('../src/services/currencyService');
+
+describe('Currency', () => {
+  describe('parseMoney', () => {
+    it('should handle decimal commas and thousands separators', () => {
+      expect(parseMoney('€12,50')).toEqual({ amount: 12.5, currency: 'EUR' });
+      expect(parseMoney('EUR 1.250,00')).toEqual({ amount: 1250, currency: 'EUR' });
+      expect(parseMoney('£1,250.00')).toEqual({ amount: 1250, currency: 'GBP' });
+      expect(parseMoney('1,250')).toEqual({ amount: 1250, currency: null });
+    });
+
+    it('should detect prefixed dollar currencies', () => {
+      expect(parseMoney('AU $19.99').currency).toBe('AUD');
+      expect(parseMoney('C $5.00').currency).toBe('CAD');
+      expect(parseMoney('US $5.00').currency).toBe('USD');
+    });
+
+    it('should fall back when no currency is named', () => {
+      expect(parseMoney('12.99', 'GBP')).toEqual({ amount: 12.99, currency: 'GBP' });
+    });
+
+    it('should read ambiguous amounts in the page locale', () => {
+      expect(parseMoney('EUR 1.250', null, ',')).toEqual({ amount: 1250, currency: 'EUR' });
+      expect(parseMoney('1,250 €', null, ',')).toEqual({ amount: 1.25, currency: 'EUR' });
+      expect(parseMoney('1.250', null, '.').amount).toBe(1.25);
+      // Unambiguous amounts ignore the locale
+      expect(parseMoney('US $1,250.00', null, ',').amount).toBe(1250);
+      expect(parseMoney('12,99 €', null, '.').amount).toBe(12.99);
+    });
+  });
+
+  it('should parse supplier prices with locale separators', () => {
+    expect(parsePrice('€12,50')).toBe(12.5);
+    expect(parsePrice('Price: 3,49 EUR per unit', /Price:\s*([\d.,]+)/)).toBe(3.49);
+  });
+
+  it('should format amounts with symbols or codes', () => {
+    expect(formatMoney(12.5, 'EUR')).toBe('€12.50');
+    expect(formatMoney(99, 'SEK')).toBe('SEK 99.00');
+  });
+
+  it('should map eBay sites to their currency', () => {
+    expect(currencyForEbayUrl('https://www.ebay.de/itm/123')).toBe('EUR');
+    expect(currencyForEbayUrl('https://www.ebay.com.au/itm/123')).toBe('AUD');
+    expect(currencyForEbayUrl('https://www.ebay.com/itm/123')).toBe('USD');
+  });
+
+  describe('rates', () => {
+    it('should normalize rates quoted against another base', () => {
+      const { rates } = normalizeRates('EUR', { GBP: 0.8, USD: 1.1 });
+
+      expect(rates.GBP).toBe(1);
+      expect(rates.EUR).toBeCloseTo(1.25);
+      expect(rates.USD).toBeCloseTo(1.375);
+    });
+
+    it('should reject a base without a known rate', () => {
+      expect(normalizeRates('XYZ', { EUR: 1 }, { GBP: 1 }).error).toMatch(/XYZ/);
+    });
+
+    it('should convert through the rates table', () => {
+      expect(convert(10, 'GBP', 'GBP')).toBe(10);
+      expect(convert(10, 'XYZ', 'GBP')).toBeNull();
+      expect(convert(convert(10, 'GBP', 'EUR'), 'EUR', 'GBP')).toBeCloseTo(10);
+    });
+  });
+});
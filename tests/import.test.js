@@ -0,0 +1,133 @@
+/**
+ * Store Import Jobs API Tests
+ * Run with: npm test
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const ImportJob = require('../src/models/ImportJob');
+const { connectDB, disconnectDB } = require('../src/config/database');
+
+describe('Import Jobs API', () => {
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await disconnectDB();
+  });
+  let authToken;
+  let userId;
+  let testUser = {
+    name: 'Import Test User',
+    email: `importtest${Date.now()}@example.com`,
+    password: 'test123456'
+  };
+
+  beforeAll(async () => {
+    const registerRes = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    authToken = registerRes.body.token;
+    userId = registerRes.body.user.id;
+  });
+
+  describe('POST /api/import/store', () => {
+    it('should reject missing store URL', async () => {
+      const res = await request(app)
+        .post('/api/import/store')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should reject non-eBay store URL', async () => {
+      const res = await request(app)
+        .post('/api/import/store')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ storeUrl: 'https://www.amazon.com/shops/example' })
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/import/jobs', () => {
+    it('should list import jobs for the user', async () => {
+      await ImportJob.create({
+        userId,
+        storeUrl: 'https://www.ebay.co.uk/str/example',
+        status: 'completed'
+      });
+
+      const res = await request(app)
+        .get('/api/import/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.length).toBe(1);
+      expect(res.body.data[0]).not.toHaveProperty('itemErrors');
+    });
+
+    it('should return 404 for an unknown job', async () => {
+      const res = await request(app)
+        .get('/api/import/jobs/000000000000000000000000')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('DELETE /api/import/jobs/:id', () => {
+    it('should cancel a queued job immediately', async () => {
+      const job = await ImportJob.create({
+        userId,
+        storeUrl: 'https://www.ebay.co.uk/str/example'
+      });
+
+      const res = await request(app)
+        .delete(`/api/import/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(res.body.data.status).toBe('cancelled');
+    });
+
+    it('should flag a running job for cancellation', async () => {
+      const job = await ImportJob.create({
+        userId,
+        storeUrl: 'https://www.ebay.co.uk/str/example',
+        status: 'running'
+      });
+
+      const res = await request(app)
+        .delete(`/api/import/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(res.body.data.status).toBe('running');
+      expect(res.body.data.cancelRequested).toBe(true);
+    });
+
+    it('should reject cancelling a finished job', async () => {
+      const job = await ImportJob.create({
+        userId,
+        storeUrl: 'https://www.ebay.co.uk/str/example',
+        status: 'completed'
+      });
+
+      const res = await request(app)
+        .delete(`/api/import/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Landed Cost Tests
+ * Run with: npm test
+ */
+
+const Product = require('../src/models/Product');
+const { calculateLandedCost, calculateBreakEvenPrice, getFinalValueFeePercent } = require('../src/utils/landedCost');
+
+const profile = (overrides = {}) => ({
+  finalValueFee: {
+    defaultPercent: 12.8,
+    categories: [{ category: 'Video Games', percent: 6.9 }]
+  },
+  perOrderFee: 0.30,
+  promotedRate: 0,
+  paymentFee: { percent: 0, fixed: 0 },
+  vat: { scheme: 'none', rate: 20, flatRatePercent: 0 },
+  ...overrides
+});
+
+const costs = {
+  salePrice: 20,
+  supplierCost: 8,
+  shippingIn: 1,
+  shippingOut: 3
+};
+
+describe('Landed cost', () => {
+  it('should deduct fees and shipping from the sale', () => {
+    const breakdown = calculateLandedCost(costs, profile());
+
+    expect(breakdown.finalValueFee).toBe(2.56);
+    expect(breakdown.totalFees).toBe(2.86);
+    expect(breakdown.grossProfit).toBe(12);
+    expect(breakdown.netProfit).toBe(5.14);
+    expect(breakdown.breakEvenPrice).toBe(14.11);
+  });
+
+  it('should only subtract the supplier price without a fee profile', () => {
+    const breakdown = calculateLandedCost({ salePrice: 20, supplierCost: 8 });
+    expect(breakdown.netProfit).toBe(12);
+    expect(breakdown.breakEvenPrice).toBe(8);
+  });
+
+  it('should use the category final value fee when one matches', () => {
+    expect(getFinalValueFeePercent(profile(), 'video games')).toBe(6.9);
+    expect(getFinalValueFeePercent(profile(), 'Toys')).toBe(12.8);
+  });
+
+  it('should charge fees on shipping paid by the buyer', () => {
+    const breakdown = calculateLandedCost({ ...costs, shippingCharged: 5 }, profile());
+    expect(breakdown.finalValueFee).toBe(3.2);
+  });
+
+  it('should apply promoted and payment fees', () => {
+    const breakdown = calculateLandedCost(costs, profile({
+      promotedRate: 5,
+      paymentFee: { percent: 2, fixed: 0.2 }
+    }));
+
+    expect(breakdown.promotedFee).toBe(1);
+    expect(breakdown.paymentFee).toBe(0.6);
+  });
+
+  describe('VAT schemes', () => {
+    it('should pay output VAT less input VAT on the standard scheme', () => {
+      const breakdown = calculateLandedCost(costs, profile({ vat: { scheme: 'standard', rate: 20 } }));
+      expect(breakdown.vat).toBe(1.83);
+      expect(breakdown.netProfit).toBe(3.31);
+    });
+
+    it('should pay a percentage of the order total on the flat rate scheme', () => {
+      const breakdown = calculateLandedCost(costs, profile({ vat: { scheme: 'flat_rate', flatRatePercent: 7.5 } }));
+      expect(breakdown.vat).toBe(1.5);
+    });
+
+    it('should not charge margin VAT when selling at a loss', () => {
+      const breakdown = calculateLandedCost({ ...costs, salePrice: 5 }, profile({ vat: { scheme: 'margin', rate: 20 } }));
+      expect(breakdown.vat).toBe(0);
+    });
+
+    it.each(['none', 'standard', 'flat_rate', 'margin'])('should break even at the break-even price (%s)', (scheme) => {
+      const fees = profile({
+        promotedRate: 3,
+        paymentFee: { percent: 1, fixed: 0.2 },
+        vat: { scheme, rate: 20, flatRatePercent: 7.5 }
+      });
+      const salePrice = calculateBreakEvenPrice(costs, fees);
+      const breakdown = calculateLandedCost({ ...costs, salePrice }, fees);
+
+      expect(Math.abs(breakdown.netProfit)).toBeLessThanOrEqual(0.01);
+    });
+  });
+
+  it('should return no break-even price when fees take the whole sale', () => {
+    expect(calculateBreakEvenPrice(costs, profile({ promotedRate: 90 }))).toBeNull();
+  });
+
+  it('should store the breakdown on the product', () => {
+    const product = new Product({
+      title: 'Test',
+      ebayUrl: 'https://www.ebay.co.uk/itm/1',
+      ebayItemId: '1',
+      userId: '507f1f77bcf86cd799439011',
+      ebayPrice: 20,
+      supplierPrice: 8,
+      shippingCostIn: 1,
+      shippingCostOut: 3
+    });
+
+    product.calculateProfit('GBP', profile());
+
+    expect(product.profit).toBe(5.14);
+    expect(product.profitBreakdown.breakEvenPrice).toBe(14.11);
+    expect(product.profitBreakdown.grossProfit).toBe(12);
+  });
+});
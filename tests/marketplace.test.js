@@ -0,0 +1,53 @@
+/**
+ * Marketplace Tests
+ * Run with: npm test
+ */
+
+const {
+  getMarketplace,
+  marketplaceIdForUrl,
+  resolveMarketplace,
+  isEbayUrl,
+  ebayItemUrl,
+  ebayStoreUrl
+} = require('../src/utils/ebayMarketplace');
+const { parseItemPage } = require('../src/parsers/ebayItemPage');
+
+describe('eBay marketplaces', () => {
+  it('should infer the marketplace from the URL host', () => {
+    expect(marketplaceIdForUrl('https://www.ebay.co.uk/itm/1')).toBe('EBAY_GB');
+    expect(marketplaceIdForUrl('https://www.ebay.com/itm/1')).toBe('EBAY_US');
+    expect(marketplaceIdForUrl('https://www.ebay.com.au/str/shop')).toBe('EBAY_AU');
+    expect(marketplaceIdForUrl('https://m.ebay.de/itm/1')).toBe('EBAY_DE');
+    expect(marketplaceIdForUrl('https://www.befr.ebay.be/itm/1')).toBe('EBAY_BE');
+  });
+
+  it('should not treat look-alike hosts as eBay', () => {
+    expect(marketplaceIdForUrl('https://www.notebay.com/itm/1')).toBeNull();
+    expect(marketplaceIdForUrl('https://www.ebay.com.evil.example/itm/1')).toBeNull();
+    expect(isEbayUrl('not a url')).toBe(false);
+  });
+
+  it('should prefer the marketplace set on a product over its URL', () => {
+    expect(resolveMarketplace('EBAY_DE', 'https://www.ebay.com/itm/1').id).toBe('EBAY_DE');
+    expect(resolveMarketplace(undefined, 'https://www.ebay.com/itm/1').id).toBe('EBAY_US');
+    expect(resolveMarketplace('EBAY_XX', 'https://www.ebay.com.au/itm/1').id).toBe('EBAY_AU');
+  });
+
+  it('should fall back to the default marketplace', () => {
+    expect(getMarketplace('EBAY_XX').id).toBe('EBAY_GB');
+    expect(resolveMarketplace(null, 'https://example.com').currency).toBe('GBP');
+  });
+
+  it('should build URLs on the marketplace host', () => {
+    expect(ebayItemUrl('123', 'EBAY_AU')).toBe('https://www.ebay.com.au/itm/123');
+    expect(ebayStoreUrl('shop', 'EBAY_US')).toBe('https://www.ebay.com/str/shop');
+  });
+
+  it('should parse item page prices in the marketplace format', () => {
+    const html = '<html><body><h1 class="x-item-title__mainTitle">Gartenbank</h1><div class="x-price-primary"><span class="ux-textspans">EUR 1.250</span></div></body></html>';
+
+    expect(parseItemPage(html, 'https://www.ebay.de/itm/1')).toMatchObject({ price: 1250, currency: 'EUR' });
+    expect(parseItemPage(html.replace('EUR 1.250', '$1.250'), 'https://www.ebay.com/itm/1')).toMatchObject({ price: 1.25, currency: 'USD' });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Monitoring Worker Tests
+ * Run with: npm test
+ */
+
+process.env.MONITOR_CONCURRENCY = '2';
+
+const monitoringWorker = require('../src/services/monitoringWorker');
+const { hostKey, waitForToken } = require('../src/utils/rateLimiter');
+const mongoose = require('mongoose');
+const Alert = require('../src/models/Alert');
+const Settings = require('../src/models/Settings');
+const { checkPriority, createAlert } = require('../src/services/monitoringService');
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('Monitoring worker', () => {
+  it('should run at most MONITOR_CONCURRENCY jobs at once', async () => {
+    let active = 0;
+    let peak = 0;
+
+    const task = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      active--;
+      return 'done';
+    };
+
+    const results = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(key => monitoringWorker.enqueue(`limit-${key}`, task)));
+
+    expect(results).toEqual(['done', 'done', 'done', 'done', 'done']);
+    expect(peak).toBe(2);
+  });
+
+  it('should start higher priority jobs first', async () => {
+    const gate = deferred();
+    const order = [];
+    const blocker = async () => { await gate.promise; };
+
+    // Fill both slots, then queue the rest
+    const running = [monitoringWorker.enqueue('busy-1', blocker), monitoringWorker.enqueue('busy-2', blocker)];
+    const queued = [
+      monitoringWorker.enqueue('old-1', async () => order.push('old-1'), 0),
+      monitoringWorker.enqueue('changed', async () => order.push('changed'), 1),
+      monitoringWorker.enqueue('old-2', async () => order.push('old-2'), 0)
+    ];
+
+    gate.resolve();
+    await Promise.all([...running, ...queued]);
+
+    expect(order).toEqual(['changed', 'old-1', 'old-2']);
+  });
+
+  it('should not queue a product twice', async () => {
+    let runs = 0;
+    const task = async () => {
+      runs++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return runs;
+    };
+
+    const [first, second] = await Promise.all([
+      monitoringWorker.enqueue('same-product', task),
+      monitoringWorker.enqueue('same-product', task)
+    ]);
+
+    expect(runs).toBe(1);
+    expect(second).toBe(first);
+  });
+
+  it('should prioritise recently changed products', () => {
+    const now = Date.now();
+    expect(checkPriority({ lastChangedAt: new Date(now - 60 * 60 * 1000) }, now)).toBe(1);
+    expect(checkPriority({ lastChangedAt: new Date(now - 48 * 60 * 60 * 1000) }, now)).toBe(0);
+    expect(checkPriority({ lastChangedAt: null }, now)).toBe(0);
+  });
+});
+
+describe('Rate limiter', () => {
+  it('should key buckets by hostname', () => {
+    expect(hostKey('https://www.ebay.co.uk/itm/1')).toBe('ebay.co.uk');
+    expect(hostKey('https://shop.example.com/p/2')).toBe('shop.example.com');
+    expect(hostKey('not a url')).toBe('unknown');
+  });
+
+  it('should allow a burst then pace requests', async () => {
+    const limits = { capacity: 2, intervalMs: 50 };
+    const waits = [];
+    for (let i = 0; i < 4; i++) {
+      waits.push(await waitForToken('test-burst', limits));
+    }
+
+    expect(waits[0]).toBe(0);
+    expect(waits[1]).toBe(0);
+    expect(waits[2]).toBeGreaterThan(0);
+    expect(waits[3]).toBeGreaterThan(0);
+  });
+
+  it('should queue concurrent callers in order', async () => {
+    const limits = { capacity: 1, intervalMs: 30 };
+    const waits = await Promise.all([0, 1, 2].map(() => waitForToken('test-queue', limits)));
+
+    expect(waits[0]).toBe(0);
+    expect(waits[1]).toBeGreaterThanOrEqual(29);
+    expect(waits[2]).toBeGreaterThanOrEqual(59);
+  });
+});
+
+describe('Alert repeats', () => {
+  const product = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId(), organizationId: null };
+
+  beforeEach(() => {
+    jest.spyOn(Settings, 'findOne').mockResolvedValue({ alertCooldownMinutes: 60 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only collapse into alerts from the same source with at least the same severity', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId() };
+    const findOneAndUpdate = jest.spyOn(Alert, 'findOneAndUpdate').mockResolvedValue(existing);
+
+    const alert = await createAlert(product, 'out_of_stock', 'supplier', 'in_stock', 'Out of stock at supplier', 'critical', { source: 'supplier' });
+    const [query] = findOneAndUpdate.mock.calls[0];
+
+    expect(alert).toBe(existing);
+    expect(query.source).toBe('supplier');
+    expect(query.severity.$in).toEqual(['critical']);
+  });
+
+  it('should treat alerts without a source separately from sourced ones', async () => {
+    const findOneAndUpdate = jest.spyOn(Alert, 'findOneAndUpdate').mockResolvedValue({});
+
+    await createAlert(product, 'custom_rule', 1, 2, 'Rule triggered', 'medium', { ruleId: new mongoose.Types.ObjectId() });
+    const [query] = findOneAndUpdate.mock.calls[0];
+
+    expect(query.source).toBeNull();
+    expect(query.severity.$in).toEqual(['medium', 'high', 'critical']);
+  });
+});
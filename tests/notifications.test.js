@@ -0,0 +1,109 @@
+/**
+ * Notification Channel Tests
+ * Run with: npm test
+ */
+
+const mongoose = require('mongoose');
+const NotificationChannel = require('../src/models/NotificationChannel');
+const { renderTemplate, validateTemplate, channelAccepts } = require('../src/services/notificationService');
+const { getChannels, updateChannel } = require('../src/controllers/notificationController');
+
+describe('Notification Channels', () => {
+  const context = {
+    alert: { type: 'price_increase', message: 'Price rose to "£12"', severity: 'high' },
+    product: { title: 'Widget' }
+  };
+
+  describe('renderTemplate', () => {
+    it('should substitute escaped values inside JSON strings', () => {
+      const body = renderTemplate('{ "text": "{{alert.message}} - {{ product.title }}", "level": "{{alert.severity}}" }', context);
+
+      expect(body).toEqual({ text: 'Price rose to "£12" - Widget', level: 'high' });
+    });
+
+    it('should leave missing values empty', () => {
+      expect(renderTemplate('{ "url": "{{product.ebayUrl}}" }', context)).toEqual({ url: '' });
+    });
+  });
+
+  describe('validateTemplate', () => {
+    it('should reject unknown placeholders and invalid JSON', () => {
+      expect(validateTemplate('{ "a": "{{alert.price}}" }')).toMatch(/Unknown template placeholder/);
+      expect(validateTemplate('{ "a": {{alert.message}} }')).toMatch(/valid JSON/);
+      expect(validateTemplate('{ "a": "{{alert.message}}" }')).toBeNull();
+    });
+  });
+
+  describe('channelAccepts', () => {
+    const alert = { type: 'out_of_stock', severity: 'high' };
+
+    it('should accept everything without filters', () => {
+      expect(channelAccepts({ severities: [], alertTypes: [] }, alert)).toBe(true);
+    });
+
+    it('should apply severity and alert type filters', () => {
+      expect(channelAccepts({ severities: ['critical'], alertTypes: [] }, alert)).toBe(false);
+      expect(channelAccepts({ severities: ['high'], alertTypes: ['price_increase'] }, alert)).toBe(false);
+      expect(channelAccepts({ severities: ['high'], alertTypes: ['out_of_stock'] }, alert)).toBe(true);
+    });
+  });
+
+  describe('credentials', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const slackUrl = 'https://hooks.slack.com/services/T000/B000/abcd1234';
+
+    const mockResponse = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not load webhook URLs and bot tokens by default', () => {
+      expect(NotificationChannel.schema.path('config.url').options.select).toBe(false);
+      expect(NotificationChannel.schema.path('config.botToken').options.select).toBe(false);
+    });
+
+    it('should mask credentials when serialized', () => {
+      const slack = new NotificationChannel({ userId, name: 'Team', type: 'slack', config: { url: slackUrl } });
+      const telegram = new NotificationChannel({ userId, name: 'Phone', type: 'telegram', config: { botToken: '123456:ABC-secret-token', chatId: '42' } });
+
+      expect(JSON.parse(JSON.stringify(slack)).config).toEqual({ url: 'https://hooks.slack.com/••••1234' });
+      expect(JSON.parse(JSON.stringify(telegram)).config).toEqual({ botToken: '••••oken', chatId: '42' });
+      expect(JSON.stringify(telegram)).not.toContain('secret');
+    });
+
+    it('should list channels with masked credentials', async () => {
+      const channel = new NotificationChannel({ userId, name: 'Team', type: 'slack', config: { url: slackUrl } });
+      const query = { select: jest.fn(() => query), sort: jest.fn(async () => [channel]) };
+      jest.spyOn(NotificationChannel, 'find').mockReturnValue(query);
+      const res = mockResponse();
+
+      await getChannels({ user: { _id: userId } }, res);
+
+      expect(query.select).toHaveBeenCalledWith('+config.url +config.botToken');
+      expect(JSON.stringify(res.json.mock.calls[0][0])).not.toContain(slackUrl);
+    });
+
+    it('should keep the stored credential when its masked value is sent back', async () => {
+      const channel = new NotificationChannel({ userId, name: 'Team', type: 'slack', config: { url: slackUrl } });
+      channel.save = jest.fn(async () => channel);
+      jest.spyOn(NotificationChannel, 'findOne').mockReturnValue({ select: jest.fn(async () => channel) });
+      const res = mockResponse();
+
+      await updateChannel({
+        user: { _id: userId },
+        params: { id: channel._id },
+        body: { name: 'Renamed', config: { url: 'https://hooks.slack.com/••••1234' } }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(channel.name).toBe('Renamed');
+      expect(channel.config.url).toBe(slackUrl);
+    });
+  });
+});
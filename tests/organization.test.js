@@ -0,0 +1,147 @@
+/**
+ * Organization Tests
+ * Run with: npm test
+ */
+
+const mongoose = require('mongoose');
+const Invitation = require('../src/models/Invitation');
+const Product = require('../src/models/Product');
+const Settings = require('../src/models/Settings');
+const { migrateIndexes } = require('../src/scripts/migrateIndexes');
+const { authorize } = require('../src/middleware/auth');
+const { memberWantsAlert } = require('../src/services/organizationService');
+const { workspaceOwner, ownerQuery, workspaceQuery, inWorkspace } = require('../src/utils/workspace');
+
+describe('Organizations', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const ownerId = new mongoose.Types.ObjectId();
+  const organizationId = new mongoose.Types.ObjectId();
+
+  const personalRequest = () => ({ user: { _id: userId, role: 'user' }, workspaceRole: 'owner' });
+  const organizationRequest = (role) => ({
+    user: { _id: userId, role: 'user' },
+    organization: { _id: organizationId, ownerId },
+    workspaceRole: role
+  });
+
+  describe('workspace', () => {
+    it('should scope personal requests to the user without organization products', () => {
+      expect(workspaceOwner(personalRequest())).toEqual({ userId, organizationId: null });
+      expect(workspaceQuery(personalRequest())).toEqual({ userId, organizationId: null });
+    });
+
+    it('should scope organization requests to the organization, owned by its owner', () => {
+      expect(workspaceOwner(organizationRequest('viewer'))).toEqual({ userId: ownerId, organizationId });
+      expect(workspaceQuery(organizationRequest('viewer'))).toEqual({ organizationId });
+    });
+
+    it('should build owner queries from products', () => {
+      expect(ownerQuery({ userId: ownerId, organizationId })).toEqual({ organizationId });
+      expect(ownerQuery({ userId, organizationId: null })).toEqual({ userId, organizationId: null });
+    });
+
+    it('should keep personal and organization documents apart', () => {
+      const personalProduct = { userId: ownerId, organizationId: null };
+      const organizationProduct = { userId: ownerId, organizationId };
+      const ownerRequest = { user: { _id: ownerId }, workspaceRole: 'owner' };
+
+      expect(inWorkspace(ownerRequest, personalProduct)).toBe(true);
+      expect(inWorkspace(ownerRequest, organizationProduct)).toBe(false);
+      expect(inWorkspace(organizationRequest('editor'), organizationProduct)).toBe(true);
+      expect(inWorkspace(organizationRequest('editor'), personalProduct)).toBe(false);
+      expect(inWorkspace(personalRequest(), null)).toBe(false);
+    });
+  });
+
+  describe('authorize', () => {
+    const run = (middleware, req) => {
+      const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+      };
+      const next = jest.fn();
+      middleware(req, res, next);
+      return { res, next };
+    };
+
+    it('should accept workspace roles', () => {
+      expect(run(authorize('owner', 'editor'), organizationRequest('editor')).next).toHaveBeenCalled();
+      expect(run(authorize('owner', 'editor'), personalRequest()).next).toHaveBeenCalled();
+    });
+
+    it('should reject viewers from editor routes', () => {
+      const { res, next } = run(authorize('owner', 'editor'), organizationRequest('viewer'));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toMatch(/Organization role 'viewer'/);
+    });
+
+    it('should keep user roles for admin routes', () => {
+      expect(run(authorize('admin'), personalRequest()).res.statusCode).toBe(403);
+      expect(run(authorize('admin'), { user: { role: 'admin' }, workspaceRole: 'owner' }).next).toHaveBeenCalled();
+    });
+  });
+
+  describe('member notifications', () => {
+    it('should send every alert type by default', () => {
+      expect(memberWantsAlert({ notifications: { email: true, alertTypes: [] } }, 'price_increase')).toBe(true);
+      expect(memberWantsAlert({}, 'out_of_stock')).toBe(true);
+    });
+
+    it('should respect opted-out members and chosen alert types', () => {
+      expect(memberWantsAlert({ notifications: { email: false, alertTypes: [] } }, 'price_increase')).toBe(false);
+
+      const member = { notifications: { email: true, alertTypes: ['out_of_stock'] } };
+      expect(memberWantsAlert(member, 'out_of_stock')).toBe(true);
+      expect(memberWantsAlert(member, 'price_decrease')).toBe(false);
+    });
+  });
+
+  it('should store only the hash of invitation tokens', () => {
+    const invitation = new Invitation({ email: 'Colleague@Example.com' });
+    const token = invitation.generateToken();
+
+    expect(invitation.email).toBe('colleague@example.com');
+    expect(invitation.token).not.toBe(token);
+    expect(invitation.token).toBe(Invitation.hashToken(token));
+  });
+
+  describe('index migration', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should give the personal settings index a name of its own', () => {
+      const [, options] = Settings.schema.indexes().find(([fields]) => fields.userId === 1);
+      expect(options.name).toBe('userId_personal');
+      expect(options.name).not.toBe('userId_1');
+    });
+
+    it('should drop the legacy unique indexes and build the new ones', async () => {
+      jest.spyOn(Product.collection, 'indexes').mockResolvedValue([{ name: '_id_' }, { name: 'userId_1_ebayItemId_1' }]);
+      jest.spyOn(Settings.collection, 'indexes').mockResolvedValue([{ name: '_id_' }, { name: 'userId_1' }]);
+      const dropProduct = jest.spyOn(Product.collection, 'dropIndex').mockResolvedValue();
+      const dropSettings = jest.spyOn(Settings.collection, 'dropIndex').mockResolvedValue();
+      jest.spyOn(Product, 'createIndexes').mockResolvedValue();
+      jest.spyOn(Settings, 'createIndexes').mockResolvedValue();
+
+      expect(await migrateIndexes()).toBe(true);
+      expect(dropProduct).toHaveBeenCalledWith('userId_1_ebayItemId_1');
+      expect(dropSettings).toHaveBeenCalledWith('userId_1');
+      expect(Settings.createIndexes).toHaveBeenCalled();
+    });
+
+    it('should skip collections that do not exist yet', async () => {
+      const missing = Object.assign(new Error('ns does not exist'), { code: 26 });
+      jest.spyOn(Product.collection, 'indexes').mockRejectedValue(missing);
+      jest.spyOn(Settings.collection, 'indexes').mockRejectedValue(missing);
+      const drop = jest.spyOn(Settings.collection, 'dropIndex');
+      jest.spyOn(Product, 'createIndexes').mockResolvedValue();
+      jest.spyOn(Settings, 'createIndexes').mockResolvedValue();
+
+      expect(await migrateIndexes()).toBe(true);
+      expect(drop).not.toHaveBeenCalled();
+    });
+  });
+});
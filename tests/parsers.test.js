@@ -0,0 +1,129 @@
+/**
+ * Parser Tests
+ * Offline extraction tests against saved pages in tests/fixtures/<kind>/.
+ * Every <name>.html / <name>.json with a <name>.expected.json next to it is
+ * parsed and compared; record new fixtures with `npm run fixtures:record`.
+ * Run with: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PAGE_KINDS, parsePage } = require('../src/parsers');
+const { parseItemPage } = require('../src/parsers/ebayItemPage');
+const { parseSellerIdFromItemPage, parseSellerIdFromStorefront } = require('../src/parsers/ebaySeller');
+const { parseFindingResponse } = require('../src/parsers/findingApi');
+const { parseBrowseItem, parseBrowseItemGroup } = require('../src/parsers/browseApi');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const readFixture = (kind, name) => {
+  const dir = path.join(FIXTURES_DIR, kind);
+  const bodyFile = fs.readdirSync(dir).find(file => file.startsWith(`${name}.`) && !file.endsWith('.expected.json'));
+  return fs.readFileSync(path.join(dir, bodyFile), 'utf8');
+};
+
+const fixtureCases = PAGE_KINDS.flatMap((kind) => {
+  const dir = path.join(FIXTURES_DIR, kind);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.expected.json'))
+    .map(file => [kind, file.replace('.expected.json', '')]);
+});
+
+describe('Parsers', () => {
+  it('should have fixtures for every page kind', () => {
+    const kinds = new Set(fixtureCases.map(([kind]) => kind));
+    expect([...kinds].sort()).toEqual([...PAGE_KINDS].sort());
+  });
+
+  describe.each(fixtureCases)('%s/%s', (kind, name) => {
+    it('should extract the recorded data', () => {
+      const { url, expected } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, kind, `${name}.expected.json`), 'utf8'));
+      const body = readFixture(kind, name);
+
+      if (expected.error) {
+        expect(() => parsePage(kind, body, url)).toThrow(expected.error);
+      } else {
+        expect(parsePage(kind, body, url)).toEqual(expected);
+      }
+    });
+  });
+
+  describe('eBay item page', () => {
+    it('should report which selectors matched', () => {
+      const details = parseItemPage(readFixture('ebay-item', 'legacy-layout'), 'https://www.ebay.com/itm/334455667788');
+
+      expect(details.selectors).toEqual({
+        title: '.it-ttl',
+        price: '#prcIsum',
+        quantity: '#qtySubTxt',
+        description: '#viTabs_0_is'
+      });
+    });
+
+    it('should show changed markup as a generic title match and no price', () => {
+      const details = parseItemPage(readFixture('ebay-item', 'changed-markup'), 'https://www.ebay.co.uk/itm/204577889900');
+
+      expect(details.selectors.title).toBe('h1');
+      expect(details.selectors.price).toBeNull();
+      expect(details.price).toBe(0);
+    });
+
+    it('should prefer the MSKU model over the dropdowns for variations', () => {
+      const details = parseItemPage(readFixture('ebay-item', 'msku-variations'), 'https://www.ebay.co.uk/itm/285566778899');
+
+      expect(details.variations.map(variation => variation.variationId)).toEqual(['111', '222']);
+      expect(details.variations[1]).toMatchObject({ price: 14.49, stock: 'out_of_stock' });
+    });
+  });
+
+  describe('eBay seller ID', () => {
+    it('should never return the marketplace name', () => {
+      const html = '<html><head><meta name="twitter:creator" content="@eBay"></head><body><a class="mbg-id">eBay UK</a></body></html>';
+
+      expect(parseSellerIdFromItemPage(html)).toBeNull();
+      expect(parseSellerIdFromStorefront(html)).toBeNull();
+    });
+
+    it('should read the seller from a /usr/ link', () => {
+      const html = '<html><body><a href="https://www.ebay.co.uk/usr/crisp%20king?_trksid=1">Visit store</a></body></html>';
+      expect(parseSellerIdFromItemPage(html)).toBe('crisp king');
+    });
+  });
+
+  describe('Finding API', () => {
+    it('should return nothing for an empty response', () => {
+      expect(parseFindingResponse({ findItemsAdvancedResponse: [{ searchResult: [{ '@count': '0' }] }] }))
+        .toEqual({ items: [], totalPages: 1 });
+    });
+  });
+
+  describe('Browse API', () => {
+    it('should reject an item without a price', () => {
+      expect(parseBrowseItem({ legacyItemId: '1', title: 'No price' })).toBeNull();
+    });
+
+    it('should leave quantity and stock unknown without availability', () => {
+      const item = parseBrowseItem({ legacyItemId: '1', title: 'Quiet seller', price: { value: '5.00', currency: 'GBP' } });
+
+      expect(item.stock).toBe('unknown');
+      expect(item.quantity).toBeNull();
+      expect(item.seller).toBeNull();
+      expect(item.shipping).toBeNull();
+    });
+
+    it('should leave the total quantity unknown when a variation hides it', () => {
+      const group = parseBrowseItemGroup({
+        items: [
+          { itemId: 'v1|9|1', price: { value: '4.00', currency: 'GBP' }, localizedAspects: [{ name: 'Size', value: 'S' }], estimatedAvailabilities: [{ estimatedAvailabilityStatus: 'IN_STOCK' }] },
+          { itemId: 'v1|9|2', price: { value: '5.00', currency: 'GBP' }, localizedAspects: [{ name: 'Size', value: 'L' }], estimatedAvailabilities: [{ estimatedAvailableQuantity: 3 }] }
+        ]
+      });
+
+      expect(group.quantity).toBeNull();
+      expect(group.variations.map(variation => variation.variationId)).toEqual(['1', '2']);
+      expect(group.variations[1].specifics).toEqual({ Size: 'L' });
+    });
+  });
+});
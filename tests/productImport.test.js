@@ -0,0 +1,226 @@
+/**
+ * Product Import Tests
+ * Run with: npm test
+ */
+
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const ImportJob = require('../src/models/ImportJob');
+const Settings = require('../src/models/Settings');
+const FeeProfile = require('../src/models/FeeProfile');
+const { parseCsv, parseSpreadsheet } = require('../src/utils/spreadsheet');
+const productImportService = require('../src/services/productImportService');
+const { processQueue } = require('../src/services/importJobService');
+
+const { readImportFile, validateRecord } = productImportService;
+
+// Minimal zip writer for an in-memory XLSX (deflated entries)
+const buildZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(Buffer.from(content));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+};
+
+describe('Product import', () => {
+  it('should parse quoted CSV cells', () => {
+    const rows = parseCsv('\uFEFFeBay URL,Notes\r\n"https://www.ebay.co.uk/itm/1","Red, large ""XL"""\n\n');
+    expect(rows).toEqual([
+      ['eBay URL', 'Notes'],
+      ['https://www.ebay.co.uk/itm/1', 'Red, large "XL"']
+    ]);
+  });
+
+  it('should read the first worksheet of an XLSX file', () => {
+    const xlsx = buildZip({
+      'xl/sharedStrings.xml': '<sst><si><t>eBay URL</t></si><si><r><t>Min </t></r><r><t>Price</t></r></si><si><t>https://www.ebay.co.uk/itm/2</t></si></sst>',
+      'xl/worksheets/sheet1.xml': '<worksheet><sheetData>'
+        + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>'
+        + '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2"><v>4.5</v></c></row>'
+        + '</sheetData></worksheet>'
+    });
+
+    expect(parseSpreadsheet(xlsx)).toEqual([
+      ['eBay URL', '', 'Min Price'],
+      ['https://www.ebay.co.uk/itm/2', '', '4.5']
+    ]);
+  });
+
+  it('should refuse XLSX parts that inflate beyond the size limit', () => {
+    const sheet = '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>eBay URL</t></is></c></row></sheetData></worksheet>';
+    const bomb = ' '.repeat(11 * 1024 * 1024);
+
+    expect(() => parseSpreadsheet(buildZip({ 'xl/worksheets/sheet1.xml': sheet + bomb }))).toThrow('XLSX file is too large');
+    // Parts other than the worksheet and shared strings are never extracted
+    expect(parseSpreadsheet(buildZip({ 'xl/media/image1.xml': bomb, 'xl/worksheets/sheet1.xml': sheet }))).toEqual([['eBay URL']]);
+  });
+
+  it('should refuse cell references beyond the last Excel column', () => {
+    const xlsx = buildZip({
+      'xl/worksheets/sheet1.xml': '<worksheet><sheetData>'
+        + '<row r="1"><c r="ZZZZZ1" t="inlineStr"><is><t>eBay URL</t></is></c></row>'
+        + '</sheetData></worksheet>'
+    });
+
+    expect(() => parseSpreadsheet(xlsx)).toThrow('XLSX cell reference ZZZZZ1 is out of range');
+  });
+
+  it('should ignore cells right of the header row', () => {
+    const xlsx = buildZip({
+      'xl/worksheets/sheet1.xml': '<worksheet><sheetData>'
+        + '<row r="1"><c r="A1" t="inlineStr"><is><t>eBay URL</t></is></c></row>'
+        + '<row r="2"><c r="A2"><v>1</v></c><c r="XFD2"><v>2</v></c></row>'
+        + '</sheetData></worksheet>'
+    });
+
+    expect(parseSpreadsheet(xlsx)).toEqual([['eBay URL'], ['1']]);
+  });
+
+  it('should stop reading rows past the limit', () => {
+    const rows = Array.from({ length: 10 }, (item, i) => `<row r="${i + 1}"><c r="A${i + 1}"><v>${i}</v></c></row>`).join('');
+    const xlsx = buildZip({ 'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${rows}</sheetData></worksheet>` });
+
+    expect(parseSpreadsheet(xlsx, { maxRows: 3 })).toEqual([['0'], ['1'], ['2']]);
+    expect(parseSpreadsheet('a\nb\nc\n', { maxRows: 2 })).toEqual([['a'], ['b']]);
+  });
+
+  it('should refuse XLSX files with too many parts', () => {
+    const files = {};
+    for (let i = 0; i <= 1000; i++) {
+      files[`xl/worksheets/sheet${i}.xml`] = '<worksheet/>';
+    }
+
+    expect(() => parseSpreadsheet(buildZip(files))).toThrow('XLSX file has too many parts');
+  });
+
+  it('should map columns by header name', () => {
+    const csv = 'Supplier URL,eBay URL,Tags,minPriceThreshold\nhttps://supplier.example/a,https://www.ebay.co.uk/itm/3,"a; b",5\n';
+    const { records } = readImportFile(Buffer.from(csv));
+
+    expect(records).toEqual([{
+      row: 2,
+      ebayUrl: 'https://www.ebay.co.uk/itm/3',
+      supplierUrl: 'https://supplier.example/a',
+      tags: 'a; b',
+      notes: '',
+      minPriceThreshold: '5',
+      ebayMarketplace: ''
+    }]);
+  });
+
+  it('should reject files without an eBay URL column', () => {
+    expect(readImportFile(Buffer.from('Title\nSomething\n')).error).toMatch(/eBay URL/);
+  });
+
+  it('should validate rows like addProduct', () => {
+    expect(validateRecord({ ebayUrl: '' }).error).toBe('eBay URL is required');
+    expect(validateRecord({ ebayUrl: 'https://amazon.co.uk/x' }).error).toBe('URL must be from eBay domain');
+    expect(validateRecord({ ebayUrl: 'https://www.ebay.co.uk/itm/1', supplierUrl: 'not a url' }).error).toBe('Invalid supplier URL format');
+    expect(validateRecord({ ebayUrl: 'https://www.ebay.co.uk/itm/1', minPriceThreshold: 'abc' }).error).toMatch(/minPriceThreshold/);
+    expect(validateRecord({ ebayUrl: 'https://www.ebay.co.uk/itm/1', ebayMarketplace: 'EBAY_XX' }).error).toMatch(/Unknown eBay marketplace/);
+  });
+
+  it('should accept listings on any eBay marketplace', () => {
+    ['https://www.ebay.com/itm/1', 'https://www.ebay.de/itm/1', 'https://www.ebay.com.au/itm/1', 'https://www.befr.ebay.be/itm/1']
+      .forEach(ebayUrl => expect(validateRecord({ ebayUrl }).error).toBeUndefined());
+    expect(validateRecord({ ebayUrl: 'https://www.ebay-deals.com/itm/1' }).error).toBe('URL must be from eBay domain');
+  });
+
+  it('should only set fields the row fills in', () => {
+    const { fields } = validateRecord({
+      ebayUrl: 'https://www.ebay.co.uk/itm/1',
+      tags: 'toys, outdoor|summer',
+      notes: '',
+      minPriceThreshold: '£7.50'
+    });
+
+    expect(fields).toEqual({ tags: ['toys', 'outdoor', 'summer'], minPriceThreshold: 7.5 });
+  });
+
+  describe('import jobs', () => {
+    const owner = { userId: new mongoose.Types.ObjectId(), organizationId: null };
+    const records = [
+      { row: 2, ebayUrl: '' },
+      { row: 3, ebayUrl: 'https://amazon.co.uk/x' },
+      { row: 4, ebayUrl: 'not a url' }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(Settings, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      jest.spyOn(FeeProfile, 'find').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should report every row and stop between rows when cancelled', async () => {
+      const progress = [];
+      const report = await productImportService.importProducts(owner, records, {
+        onProgress: (current) => progress.push(current.processed),
+        shouldCancel: async () => progress.length === 2
+      });
+
+      expect(progress).toEqual([1, 2]);
+      expect(report).toMatchObject({ total: 3, processed: 2, failed: 2, cancelled: true });
+      expect(report.rows.map(row => row.message)).toEqual(['eBay URL is required', 'URL must be from eBay domain']);
+    });
+
+    it('should run spreadsheet jobs in the worker and keep the row results on the job', async () => {
+      const job = new ImportJob({ type: 'spreadsheet', ...owner, records, total: records.length });
+      jest.spyOn(ImportJob, 'findOneAndUpdate')
+        .mockResolvedValueOnce(job)
+        .mockResolvedValueOnce(null);
+      jest.spyOn(ImportJob, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ cancelRequested: false }) });
+      const updateOne = jest.spyOn(ImportJob, 'updateOne').mockResolvedValue({});
+
+      await processQueue();
+
+      expect(ImportJob.findOneAndUpdate.mock.calls[0][2].select).toBe('+records');
+      const updates = updateOne.mock.calls.map(([, update]) => update);
+      expect(updates.find(update => update.processed === 3)).toMatchObject({ failed: 3, imported: 0 });
+      expect(updates.find(update => update.processed === 3).rows.map(row => row.row)).toEqual([2, 3, 4]);
+      expect(updates[updates.length - 1].status).toBe('completed');
+    });
+
+    it('should not require a store URL for spreadsheet jobs', () => {
+      expect(new ImportJob({ type: 'spreadsheet', userId: owner.userId }).validateSync()).toBeUndefined();
+      expect(new ImportJob({ userId: owner.userId }).validateSync().errors.storeUrl).toBeDefined();
+    });
+
+    it('should not return the queued rows in responses', () => {
+      const job = new ImportJob({ type: 'spreadsheet', userId: owner.userId, records });
+      expect(job.toJSON().records).toBeUndefined();
+    });
+  });
+});
@@ -5,6 +5,8 @@
 
 const request = require('supertest');
 const app = require('../src/app');
+const Product = require('../src/models/Product');
+const PriceHistory = require('../src/models/PriceHistory');
 const { connectDB, disconnectDB } = require('../src/config/database');
 
 describe('Products API', () => {
@@ -87,5 +89,66 @@ describe('Products API', () => {
     // Note: Actual product creation test would require mocking the eBay adapter
     // or having a valid eBay URL, which is skipped here
   });
+
+  describe('GET /api/products/:id/history', () => {
+    let product;
+
+    beforeAll(async () => {
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      product = await Product.create({
+        title: 'History Test Product',
+        ebayUrl: 'https://www.ebay.co.uk/itm/123456789',
+        ebayItemId: '123456789',
+        userId: meRes.body.user.id
+      });
+
+      const day = (n, hour) => new Date(Date.UTC(2024, 0, n, hour));
+      await PriceHistory.create([
+        { productId: product._id, source: 'ebay', price: 10, stock: 'in_stock', checkedAt: day(1, 8) },
+        { productId: product._id, source: 'ebay', price: 12, stock: 'in_stock', checkedAt: day(1, 16) },
+        { productId: product._id, source: 'ebay', price: 11, stock: 'out_of_stock', checkedAt: day(2, 8) },
+        { productId: product._id, source: 'supplier', price: 5, stock: 'in_stock', checkedAt: day(1, 9) }
+      ]);
+    });
+
+    it('should aggregate prices per day bucket', async () => {
+      const res = await request(app)
+        .get(`/api/products/${product._id}/history`)
+        .query({ source: 'ebay', bucket: 'day', from: '2024-01-01', to: '2024-01-03' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const series = res.body.data.series.ebay;
+      expect(series.length).toBe(2);
+      expect(series[0]).toMatchObject({ min: 10, max: 12, avg: 11, last: 12, count: 2 });
+      expect(res.body.data.series).not.toHaveProperty('supplier');
+    });
+
+    it('should report stock transitions', async () => {
+      const res = await request(app)
+        .get(`/api/products/${product._id}/history`)
+        .query({ from: '2024-01-01', to: '2024-01-03' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(res.body.data.series.supplier.length).toBe(1);
+      expect(res.body.data.stockTransitions).toEqual([
+        expect.objectContaining({ source: 'ebay', from: 'in_stock', to: 'out_of_stock' })
+      ]);
+    });
+
+    it('should reject an unknown bucket', async () => {
+      const res = await request(app)
+        .get(`/api/products/${product._id}/history`)
+        .query({ bucket: 'minute' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
 });
 
@@ -0,0 +1,154 @@
+/**
+ * Repricing Rules Tests
+ * Run with: npm test
+ */
+
+const { calculateRecommendation, findRuleForProduct, isSameUnchangedDecision } = require('../src/services/repricingService');
+
+describe('Repricing', () => {
+  const product = {
+    _id: 'product1',
+    tags: ['snacks'],
+    ebayPrice: 20,
+    supplierPrice: 12,
+    minPriceThreshold: 0,
+    competitorStats: { lowestPrice: 18, sellerName: 'rival' }
+  };
+
+  const rule = {
+    beatBy: { amount: 0.5, type: 'fixed' },
+    minMargin: { amount: 10, type: 'percent' },
+    maxDailyChangePercent: 100
+  };
+
+  describe('calculateRecommendation', () => {
+    it('should undercut the lowest competitor', () => {
+      const result = calculateRecommendation(product, rule);
+
+      expect(result.recommendedPrice).toBe(17.5);
+      expect(result.explanation.length).toBe(1);
+    });
+
+    it('should never go below supplier cost plus minimum margin', () => {
+      const result = calculateRecommendation(
+        { ...product, competitorStats: { lowestPrice: 12 } },
+        rule
+      );
+
+      // 12 / (1 - 0.10)
+      expect(result.recommendedPrice).toBe(13.33);
+      expect(result.explanation[1]).toMatch(/supplier cost/);
+    });
+
+    it('should respect the product minimum price', () => {
+      const result = calculateRecommendation(
+        { ...product, minPriceThreshold: 19 },
+        rule
+      );
+
+      expect(result.recommendedPrice).toBe(19);
+    });
+
+    it('should cap the daily move', () => {
+      const result = calculateRecommendation(
+        { ...product, competitorStats: { lowestPrice: 10 } },
+        { ...rule, minMargin: { amount: 0, type: 'fixed' }, maxDailyChangePercent: 10 },
+        20
+      );
+
+      expect(result.recommendedPrice).toBe(18);
+      expect(result.explanation[result.explanation.length - 1]).toMatch(/10% daily move/);
+    });
+
+    it('should keep the floor when the daily move would go below it', () => {
+      // Supplier cost jumped from 12 to 25: the floor is 25 / 0.9 = 27.78, more than a 10% move from 20
+      const result = calculateRecommendation(
+        { ...product, supplierPrice: 25 },
+        { ...rule, maxDailyChangePercent: 10 },
+        20
+      );
+
+      expect(result.recommendedPrice).toBe(27.78);
+      expect(result.floorPrice).toBe(27.78);
+      expect(result.explanation[result.explanation.length - 1]).toMatch(/supplier cost .* takes precedence/);
+    });
+
+    it('should keep the floor when the rule maximum is below it', () => {
+      const result = calculateRecommendation(product, { ...rule, maxPrice: 13 });
+
+      expect(result.recommendedPrice).toBe(13.33);
+      expect(result.explanation).toEqual([
+        expect.stringMatching(/Lowest competitor/),
+        expect.stringMatching(/Capped at rule maximum/),
+        expect.stringMatching(/supplier cost .* takes precedence/)
+      ]);
+    });
+
+    it('should not recommend a price for a margin of 100% or more', () => {
+      expect(calculateRecommendation(product, { ...rule, minMargin: { amount: 100, type: 'percent' } })).toBeNull();
+    });
+
+    it('should skip the cost floor when the supplier currency cannot be converted', () => {
+      const result = calculateRecommendation(
+        { ...product, ebayCurrency: 'GBP', supplierCurrency: 'XXX', supplierPrice: 30 },
+        rule
+      );
+
+      // 30 XXX is not compared with GBP prices
+      expect(result.recommendedPrice).toBe(17.5);
+      expect(result.floorPrice).toBe(0);
+      expect(result.explanation[1]).toBe('No XXX→GBP rate, so the supplier cost floor is skipped');
+    });
+
+    it('should still apply the product minimum price without a rate', () => {
+      const result = calculateRecommendation(
+        { ...product, ebayCurrency: 'GBP', supplierCurrency: 'XXX', minPriceThreshold: 19 },
+        rule
+      );
+
+      expect(result.recommendedPrice).toBe(19);
+    });
+
+    it('should return null without a competitor price', () => {
+      expect(calculateRecommendation({ ...product, competitorStats: undefined }, rule)).toBeNull();
+    });
+  });
+
+  describe('findRuleForProduct', () => {
+    it('should prefer the most specific scope, then priority', () => {
+      const rules = [
+        { name: 'all', isActive: true, priority: 10, scope: { type: 'all' } },
+        { name: 'tag-low', isActive: true, priority: 1, scope: { type: 'tag', tags: ['Snacks'] } },
+        { name: 'tag-high', isActive: true, priority: 5, scope: { type: 'tag', tags: ['snacks'] } },
+        { name: 'other-tag', isActive: true, priority: 99, scope: { type: 'tag', tags: ['drinks'] } }
+      ];
+
+      expect(findRuleForProduct(rules, product).name).toBe('tag-high');
+    });
+
+    it('should ignore inactive rules', () => {
+      const rules = [
+        { name: 'inactive', isActive: false, scope: { type: 'products', productIds: ['product1'] } },
+        { name: 'all', isActive: true, scope: { type: 'all' } }
+      ];
+
+      expect(findRuleForProduct(rules, product).name).toBe('all');
+    });
+  });
+
+  describe('isSameUnchangedDecision', () => {
+    const activeRule = { _id: 'rule1' };
+    const previous = { status: 'unchanged', ruleId: 'rule1', currentPrice: 20, recommendedPrice: 20 };
+
+    it('should reuse the latest unchanged decision for the same price and rule', () => {
+      expect(isSameUnchangedDecision(previous, product, activeRule, { recommendedPrice: 20 })).toBe(true);
+    });
+
+    it('should record a new decision when anything differs', () => {
+      expect(isSameUnchangedDecision(null, product, activeRule, { recommendedPrice: 20 })).toBe(false);
+      expect(isSameUnchangedDecision({ ...previous, status: 'applied' }, product, activeRule, { recommendedPrice: 20 })).toBe(false);
+      expect(isSameUnchangedDecision({ ...previous, ruleId: 'rule2' }, product, activeRule, { recommendedPrice: 20 })).toBe(false);
+      expect(isSameUnchangedDecision({ ...previous, currentPrice: 21 }, product, activeRule, { recommendedPrice: 20 })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Scraper Health Tests
+ * Run with: npm test
+ */
+
+process.env.SCRAPER_HEALTH_WINDOW = '10';
+
+jest.mock('../src/models/SystemAlert', () => ({
+  create: jest.fn(async alert => ({ _id: 'alert-1', ...alert, save: jest.fn() })),
+  updateMany: jest.fn(async () => ({}))
+}));
+jest.mock('../src/models/ScraperSnapshot', () => ({
+  insertMany: jest.fn(async snapshots => snapshots.map((snapshot, index) => ({ _id: `snapshot-${index}`, ...snapshot })))
+}));
+jest.mock('../src/models/User', () => ({
+  find: jest.fn(() => ({ select: async () => [{ email: 'admin@example.com' }] }))
+}));
+jest.mock('../src/services/emailService', () => ({
+  sendSystemAlertEmail: jest.fn(async () => true)
+}));
+
+const SystemAlert = require('../src/models/SystemAlert');
+const ScraperSnapshot = require('../src/models/ScraperSnapshot');
+const { sendSystemAlertEmail } = require('../src/services/emailService');
+const { assessHealth, selectorUsage, recordParse } = require('../src/services/scraperHealthService');
+
+const results = (count, success, prefix = 'item') => Array.from({ length: count }, (_, index) => ({
+  url: `https://www.ebay.co.uk/itm/${prefix}${index}`,
+  success
+}));
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Scraper health', () => {
+  describe('assessHealth', () => {
+    it('should be unknown until the window is full', () => {
+      expect(assessHealth(results(5, false)).status).toBe('unknown');
+    });
+
+    it('should be healthy when most pages parse', () => {
+      const health = assessHealth([...results(9, true), ...results(1, false)]);
+      expect(health.status).toBe('healthy');
+      expect(health.successRate).toBe(0.9);
+    });
+
+    it('should be degraded when the success rate drops below the minimum', () => {
+      const health = assessHealth([...results(2, true), ...results(8, false)]);
+      expect(health.status).toBe('degraded');
+      expect(health.failingUrls).toHaveLength(8);
+    });
+
+    it('should be degraded on a sudden drop from the baseline', () => {
+      const health = assessHealth([...results(6, true), ...results(4, false)], results(10, true, 'old'));
+      expect(health.baselineRate).toBe(1);
+      expect(health.status).toBe('degraded');
+    });
+
+    it('should not be degraded by one product failing repeatedly', () => {
+      const sameProduct = Array.from({ length: 8 }, () => ({ url: 'https://www.ebay.co.uk/itm/1', success: false }));
+      expect(assessHealth([...results(2, true), ...sameProduct]).status).toBe('healthy');
+    });
+  });
+
+  it('should count which selector matched each field', () => {
+    const usage = selectorUsage([
+      { selectors: { title: 'h1.x-item-title__mainTitle', price: '#prcIsum' } },
+      { selectors: { title: 'h1', price: null } },
+      { selectors: { title: 'h1', price: null } }
+    ]);
+
+    expect(usage.title).toEqual({ 'h1.x-item-title__mainTitle': 1, h1: 2 });
+    expect(usage.price).toEqual({ '#prcIsum': 1, none: 2 });
+  });
+
+  it('should alert admins once with failing URLs and snapshots, and resolve on recovery', async () => {
+    const selectors = { title: 'h1.x-item-title__mainTitle', price: '.x-price-primary .ux-textspans' };
+    results(10, true).forEach(result => recordParse('test_scraper', { ...result, selectors }));
+
+    results(6, false, 'broken').forEach(result => recordParse('test_scraper', {
+      ...result,
+      selectors: { title: 'h1', price: null },
+      httpStatus: 200,
+      error: 'Could not extract valid product data',
+      html: '<html><body>new markup</body></html>'
+    }));
+    await flush();
+
+    expect(SystemAlert.create).toHaveBeenCalledTimes(1);
+    const alert = SystemAlert.create.mock.calls[0][0];
+    expect(alert.type).toBe('scraper_health');
+    expect(alert.failingUrls.length).toBeGreaterThanOrEqual(3);
+    expect(alert.selectorUsage.price.none).toBeGreaterThan(0);
+    expect(alert.snapshots).toHaveLength(3);
+    expect(ScraperSnapshot.insertMany.mock.calls[0][0][0].html).toContain('new markup');
+    expect(sendSystemAlertEmail).toHaveBeenCalledWith(['admin@example.com'], expect.any(Object));
+
+    results(10, true, 'fixed').forEach(result => recordParse('test_scraper', { ...result, selectors }));
+    await flush();
+
+    expect(SystemAlert.create).toHaveBeenCalledTimes(1);
+    expect(SystemAlert.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ scraper: 'test_scraper', resolvedAt: null }),
+      expect.any(Object)
+    );
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Session Tests
+ * Run with: npm test
+ */
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const generateToken = require('../src/utils/generateToken');
+const { protect } = require('../src/middleware/auth');
+const { describeDevice, refreshSession } = require('../src/services/sessionService');
+
+describe('Sessions', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const sessionId = new mongoose.Types.ObjectId();
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  it('should label devices from their user agent', () => {
+    expect(describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'))
+      .toBe('Chrome on Windows');
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'))
+      .toBe('Safari on iOS');
+    expect(describeDevice('Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0')).toBe('Firefox on Linux');
+    expect(describeDevice('curl/8.4.0')).toBe('curl');
+    expect(describeDevice(undefined)).toBe('Unknown device');
+  });
+
+  it('should rotate refresh tokens and remember the replaced one', () => {
+    const session = new Session({ userId, expiresAt: new Date() });
+    const first = session.rotateToken();
+    const second = session.rotateToken();
+
+    expect(second).not.toBe(first);
+    expect(session.tokenHash).toBe(Session.hashToken(second));
+    expect(session.previousTokenHash).toBe(Session.hashToken(first));
+  });
+
+  it('should tie access tokens to their session', () => {
+    const decoded = jwt.decode(generateToken(userId, { sessionId, expiresIn: '15m' }));
+
+    expect(decoded.sid).toBe(String(sessionId));
+    expect(decoded.exp - decoded.iat).toBe(15 * 60);
+  });
+
+  describe('protect', () => {
+    const authenticate = async (token) => {
+      const req = { method: 'GET', headers: { authorization: `Bearer ${token}` } };
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      const next = jest.fn();
+
+      await protect(req, res, next);
+      return { req, res, next };
+    };
+
+    const mockUser = (user) => {
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select: async () => ({ _id: userId, role: 'user', isActive: true, ...user })
+      });
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should accept tokens of an active session', async () => {
+      mockUser();
+      jest.spyOn(Session, 'exists').mockResolvedValue({ _id: sessionId });
+
+      const { req, next } = await authenticate(generateToken(userId, { sessionId }));
+
+      expect(next).toHaveBeenCalled();
+      expect(req.sessionId).toBe(String(sessionId));
+    });
+
+    it('should reject tokens of a revoked session', async () => {
+      mockUser();
+      jest.spyOn(Session, 'exists').mockResolvedValue(null);
+
+      const { res, next } = await authenticate(generateToken(userId, { sessionId }));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should reject tokens issued before a password change', async () => {
+      const iat = Math.floor(Date.now() / 1000) - 60;
+      const token = jwt.sign({ id: userId, iat }, process.env.JWT_SECRET);
+      mockUser({ passwordChangedAt: new Date() });
+
+      const { res, next } = await authenticate(token);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].message).toMatch(/revoked/);
+    });
+
+    it('should accept a token issued right after a password change', async () => {
+      mockUser({ passwordChangedAt: new Date() });
+
+      const { next } = await authenticate(generateToken(userId));
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('refresh', () => {
+    // Stored session; each conditional update is applied to it after a tick,
+    // one at a time, like MongoDB applies single-document updates
+    let stored;
+
+    const matches = (filter) => Object.entries(filter).every(([key, condition]) => {
+      if (condition === null) return stored[key] == null;
+      if (condition && condition.$gt) return stored[key] > condition.$gt;
+      return stored[key] === condition;
+    });
+
+    const applyUpdate = async (filter, update) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (!matches(filter)) return null;
+      Object.assign(stored, update.$set || update);
+      return new Session(stored);
+    };
+
+    let refreshToken;
+
+    beforeEach(() => {
+      const session = new Session({ userId, expiresAt: new Date(Date.now() + 60000) });
+      refreshToken = session.rotateToken();
+      stored = session.toObject();
+
+      jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(applyUpdate);
+      jest.spyOn(Session, 'updateOne').mockImplementation(applyUpdate);
+      jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should rotate the refresh token', async () => {
+      const result = await refreshSession(refreshToken, { ip: '127.0.0.1' });
+
+      expect(result.refreshToken).not.toBe(refreshToken);
+      expect(stored.tokenHash).toBe(Session.hashToken(result.refreshToken));
+      expect(stored.previousTokenHash).toBe(Session.hashToken(refreshToken));
+      expect(stored.revokedAt).toBeNull();
+    });
+
+    it('should revoke the session when a rotated token is used again', async () => {
+      await refreshSession(refreshToken, { ip: '127.0.0.1' });
+
+      expect((await refreshSession(refreshToken, { ip: '127.0.0.1' })).error).toBeDefined();
+      expect(stored.revokedAt).toBeInstanceOf(Date);
+    });
+
+    it('should give only one of two concurrent refreshes a new token and revoke the session', async () => {
+      const results = await Promise.all([
+        refreshSession(refreshToken, { ip: '127.0.0.1' }),
+        refreshSession(refreshToken, { ip: '127.0.0.2' })
+      ]);
+
+      expect(results.filter(result => result.refreshToken)).toHaveLength(1);
+      expect(results.filter(result => result.error)).toHaveLength(1);
+      expect(stored.revokedAt).toBeInstanceOf(Date);
+    });
+  });
+});
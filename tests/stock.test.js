@@ -0,0 +1,59 @@
+/**
+ * Stock Tests
+ * Run with: npm test
+ */
+
+const cheerio = require('cheerio');
+const { parseQuantity, resolveStockStatus, calculateSellThrough } = require('../src/utils/stock');
+const genericAdapter = require('../src/adapters/suppliers/generic');
+
+describe('Stock quantities', () => {
+  it('should read quantities from eBay and supplier wording', () => {
+    expect(parseQuantity('3 available')).toBe(3);
+    expect(parseQuantity('More than 10 available')).toBe(10);
+    expect(parseQuantity('Only 2 left in stock - order soon.')).toBe(2);
+    expect(parseQuantity('1,250 pieces available')).toBe(1250);
+    expect(parseQuantity('Stock: 12')).toBe(12);
+    expect(parseQuantity('Last one')).toBe(1);
+    expect(parseQuantity('Sold out')).toBe(0);
+    expect(parseQuantity('In stock')).toBeNull();
+    expect(parseQuantity(null)).toBeNull();
+  });
+
+  it('should derive stock status from quantity and threshold', () => {
+    expect(resolveStockStatus(0, 3)).toBe('out_of_stock');
+    expect(resolveStockStatus(3, 3)).toBe('low_stock');
+    expect(resolveStockStatus(4, 3)).toBe('in_stock');
+    expect(resolveStockStatus(5, 10)).toBe('low_stock');
+    expect(resolveStockStatus(null, 3, 'in_stock')).toBe('in_stock');
+  });
+
+  it('should count quantity drops as sales and skip restocks', () => {
+    const now = new Date('2024-01-05T00:00:00Z');
+    const velocity = calculateSellThrough([
+      { quantity: 20, checkedAt: new Date('2024-01-01T00:00:00Z') },
+      { quantity: 15, checkedAt: new Date('2024-01-02T00:00:00Z') },
+      { quantity: 30, checkedAt: new Date('2024-01-03T00:00:00Z') },
+      { quantity: 27, checkedAt: new Date('2024-01-04T00:00:00Z') }
+    ], now);
+
+    expect(velocity).toEqual({ unitsSold: 8, days: 4, perDay: 2, daysOfStockLeft: 13.5 });
+  });
+
+  it('should need two readings for velocity', () => {
+    expect(calculateSellThrough([{ quantity: 5, checkedAt: new Date() }])).toBeNull();
+  });
+
+  it('should read supplier quantity and prefer schema.org availability', () => {
+    const $ = cheerio.load(`
+      <h1>Widget</h1><span class="price">£4.99</span>
+      <link itemprop="availability" href="https://schema.org/OutOfStock">
+      <p>Delivery available</p>
+    `);
+    expect(genericAdapter.parse($).stock).toBe('out_of_stock');
+
+    const $inStock = cheerio.load('<h1>Widget</h1><span class="price">£4.99</span><div class="stock-level">Only 2 left in stock</div>');
+    const data = genericAdapter.parse($inStock);
+    expect(data.quantity).toBe(2);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Supplier Adapter Tests
+ * Hostname matching, registry resolution order, stored definitions and their validation
+ * Run with: npm test
+ */
+
+const cheerio = require('cheerio');
+const mongoose = require('mongoose');
+const SupplierDefinition = require('../src/models/SupplierDefinition');
+const {
+  registerSupplierAdapter,
+  resolveSupplierAdapter,
+  findBuiltInAdapter,
+  listBuiltInAdapters,
+  matchesHostname
+} = require('../src/adapters/suppliers');
+const { checkPriceRegex, createDefinitionAdapter } = require('../src/adapters/suppliers/definitionAdapter');
+const { parsePrice } = require('../src/adapters/suppliers/common');
+const { createSupplier, updateSupplier } = require('../src/controllers/supplierController');
+
+describe('Supplier adapters', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  const definition = (fields = {}) => new SupplierDefinition({
+    userId,
+    name: 'Bestway',
+    hostnames: ['bestwaywholesale.co.uk'],
+    selectors: { title: '.title', price: '.price', stock: '.stock' },
+    ...fields
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('matchesHostname', () => {
+    it('should match the host and its subdomains', () => {
+      expect(matchesHostname('bestwaywholesale.co.uk', 'bestwaywholesale.co.uk')).toBe(true);
+      expect(matchesHostname('www.bestwaywholesale.co.uk', 'bestwaywholesale.co.uk')).toBe(true);
+      expect(matchesHostname('shop.bestwaywholesale.co.uk', 'www.bestwaywholesale.co.uk')).toBe(true);
+      expect(matchesHostname('notbestwaywholesale.co.uk', 'bestwaywholesale.co.uk')).toBe(false);
+    });
+
+    it('should match wildcard TLDs', () => {
+      expect(matchesHostname('www.amazon.co.uk', 'amazon.*')).toBe(true);
+      expect(matchesHostname('amazon.de', 'amazon.*')).toBe(true);
+      expect(matchesHostname('smile.amazon.com', 'amazon.*')).toBe(true);
+      expect(matchesHostname('amazonbasics.com', 'amazon.*')).toBe(false);
+      expect(matchesHostname('amazon', 'amazon.*')).toBe(false);
+    });
+  });
+
+  describe('registry', () => {
+    it('should resolve built-in modules by hostname and fall back to the generic scraper', () => {
+      expect(findBuiltInAdapter('https://www.amazon.co.uk/dp/B000').name).toBe('amazon');
+      expect(findBuiltInAdapter('https://www.aliexpress.com/item/1.html').name).toBe('aliexpress');
+      expect(findBuiltInAdapter('https://shop.example.com/p/1').name).toBe('generic');
+      expect(findBuiltInAdapter('not a url').name).toBe('generic');
+    });
+
+    it('should prefer a stored definition over the built-in modules', async () => {
+      jest.spyOn(SupplierDefinition, 'find').mockResolvedValue([definition({ name: 'My Amazon', hostnames: ['amazon.co.uk'] })]);
+
+      const adapter = await resolveSupplierAdapter('https://www.amazon.co.uk/dp/B000', { userId });
+
+      expect(adapter.label).toBe('My Amazon');
+      expect(SupplierDefinition.find).toHaveBeenCalledWith({ userId, isActive: true });
+    });
+
+    it('should use the built-in module when no stored definition matches', async () => {
+      jest.spyOn(SupplierDefinition, 'find').mockResolvedValue([definition()]);
+
+      expect((await resolveSupplierAdapter('https://www.amazon.de/dp/B000', { userId })).name).toBe('amazon');
+      expect((await resolveSupplierAdapter('https://shop.example.com/p/1', { userId })).name).toBe('generic');
+    });
+
+    it('should not look up definitions without a user', async () => {
+      jest.spyOn(SupplierDefinition, 'find');
+
+      expect((await resolveSupplierAdapter('https://www.bestwaywholesale.co.uk/p/1')).name).toBe('generic');
+      expect(SupplierDefinition.find).not.toHaveBeenCalled();
+    });
+
+    it('should register and replace built-in modules', () => {
+      const parse = () => ({ title: 'Test' });
+      registerSupplierAdapter({ name: 'test-supplier', label: 'Test', hostnames: ['test-supplier.example'], parse });
+      registerSupplierAdapter({ name: 'test-supplier', label: 'Test 2', hostnames: ['test-supplier.example'], parse });
+
+      expect(listBuiltInAdapters().filter(adapter => adapter.name === 'test-supplier')).toEqual([
+        { name: 'test-supplier', label: 'Test 2', hostnames: ['test-supplier.example'] }
+      ]);
+      expect(findBuiltInAdapter('https://test-supplier.example/p/1').label).toBe('Test 2');
+      expect(() => registerSupplierAdapter({ name: 'broken' })).toThrow(/parse function/);
+    });
+  });
+
+  describe('stored definitions', () => {
+    const page = cheerio.load(`
+      <h1 class="title">Cola 24 x 330ml</h1>
+      <span class="price">Now only £12,50 per case</span>
+      <p class="stock">Limited stock - 4 in stock</p>
+    `);
+
+    it('should parse a page with the definition selectors and stock phrases', () => {
+      const data = createDefinitionAdapter(definition()).parse(page);
+
+      expect(data).toMatchObject({
+        title: 'Cola 24 x 330ml',
+        price: 12.5,
+        currency: 'GBP',
+        stock: 'low_stock',
+        quantity: 4
+      });
+    });
+
+    it('should apply the price regex to the price text', () => {
+      const adapter = createDefinitionAdapter(definition({ priceRegex: 'only £([\\d,]+)' }));
+
+      expect(adapter.parse(page).price).toBe(12.5);
+      expect(parsePrice('12.99', /(\d+)\.\d+/)).toBe(12);
+      expect(parsePrice('no price', /(\d+)/)).toBe(0);
+    });
+
+    it('should ignore an unsafe stored price regex', () => {
+      const adapter = createDefinitionAdapter(definition({ priceRegex: '(\\d+)+$' }));
+
+      expect(adapter.parse(page).price).toBe(12.5);
+    });
+  });
+
+  describe('price regex check', () => {
+    it('should accept ordinary price patterns', () => {
+      ['(\\d+)', '£([\\d.,]+)', '(\\d+\\.\\d{2})', 'Price:\\s*(\\d+)', '([+*])+'].forEach(pattern => {
+        expect(checkPriceRegex(pattern)).toBeNull();
+      });
+    });
+
+    it('should refuse patterns that can backtrack catastrophically', () => {
+      ['(a+)+$', '(\\d*)*', '(a|ab)*', '((ab)*c)+', '(x{2,})+'].forEach(pattern => {
+        expect(checkPriceRegex(pattern)).toMatch(/cannot repeat a group/);
+      });
+      expect(checkPriceRegex('(\\d)\\1')).toMatch(/backreferences/);
+    });
+
+    it('should refuse long or invalid patterns', () => {
+      expect(checkPriceRegex('\\d'.repeat(60))).toMatch(/at most 100 characters/);
+      expect(checkPriceRegex('(\\d+')).toMatch(/Invalid price regex/);
+      expect(checkPriceRegex(42)).toMatch(/must be a string/);
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject definitions without hostnames or with invalid ones', async () => {
+      jest.spyOn(SupplierDefinition, 'create');
+
+      let res = mockResponse();
+      await createSupplier({ user: { _id: userId }, body: { name: 'Bestway' } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toBe('Please provide an array of hostnames');
+
+      res = mockResponse();
+      await createSupplier({ user: { _id: userId }, body: { name: 'Bestway', hostnames: ['https://bestway.co.uk/'] } }, res);
+      expect(res.json.mock.calls[0][0].message).toBe('Invalid hostname: https://bestway.co.uk/');
+
+      expect(SupplierDefinition.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unsafe price regex', async () => {
+      jest.spyOn(SupplierDefinition, 'create');
+      const res = mockResponse();
+
+      await createSupplier({ user: { _id: userId }, body: { name: 'Bestway', hostnames: ['bestway.co.uk'], priceRegex: '(a+)+$' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(SupplierDefinition.create).not.toHaveBeenCalled();
+    });
+
+    it('should only store editable fields for the signed-in user', async () => {
+      jest.spyOn(SupplierDefinition, 'create').mockImplementation(async (fields) => fields);
+      const res = mockResponse();
+
+      await createSupplier({
+        user: { _id: userId },
+        body: { name: 'Bestway', hostnames: ['bestway.co.uk'], userId: new mongoose.Types.ObjectId(), isAdmin: true }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(SupplierDefinition.create).toHaveBeenCalledWith({ name: 'Bestway', hostnames: ['bestway.co.uk'], userId });
+    });
+
+    it('should only update definitions of the signed-in user', async () => {
+      jest.spyOn(SupplierDefinition, 'findOne').mockResolvedValue(null);
+      const res = mockResponse();
+
+      await updateSupplier({ user: { _id: userId }, params: { id: 'abc' }, body: { name: 'Renamed' } }, res);
+
+      expect(SupplierDefinition.findOne).toHaveBeenCalledWith({ _id: 'abc', userId });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
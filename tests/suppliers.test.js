@@ -0,0 +1,173 @@
+/**
+ * Suppliers API Tests
+ * Run with: npm test
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const { connectDB, disconnectDB } = require('../src/config/database');
+
+describe('Suppliers API', () => {
+  beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await connectDB();
+  });
+
+  afterAll(async () => {
+    await disconnectDB();
+  });
+
+  let authToken;
+  let otherToken;
+  let supplierId;
+
+  const register = async (name) => {
+    const user = {
+      name,
+      email: `${name.toLowerCase().replace(/\s/g, '')}${Date.now()}@example.com`,
+      password: 'test123456'
+    };
+    await request(app).post('/api/auth/register').send(user);
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: user.password });
+    return loginRes.body.token;
+  };
+
+  beforeAll(async () => {
+    authToken = await register('Supplier Test User');
+    otherToken = await register('Other Supplier User');
+  });
+
+  describe('POST /api/suppliers', () => {
+    it('should create a supplier definition', async () => {
+      const res = await request(app)
+        .post('/api/suppliers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Bestway',
+          hostnames: ['bestwaywholesale.co.uk'],
+          selectors: { title: 'h1', price: '.price' },
+          priceRegex: '£([\\d.,]+)',
+          currency: 'gbp'
+        })
+        .expect(201);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.data).toMatchObject({ name: 'Bestway', currency: 'GBP', hostnames: ['bestwaywholesale.co.uk'] });
+      supplierId = res.body.data._id;
+    });
+
+    it('should reject a duplicate name', async () => {
+      const res = await request(app)
+        .post('/api/suppliers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Bestway', hostnames: ['bestway.example'] })
+        .expect(400);
+
+      expect(res.body.message).toBe('A supplier with this name already exists');
+    });
+
+    it('should reject an unsafe price regex', async () => {
+      const res = await request(app)
+        .post('/api/suppliers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Slow', hostnames: ['slow.example'], priceRegex: '(a+)+$' })
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should reject an invalid currency', async () => {
+      await request(app)
+        .post('/api/suppliers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Euro', hostnames: ['euro.example'], currency: 'EURO' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/suppliers', () => {
+    it('should list definitions and built-in modules', async () => {
+      const res = await request(app)
+        .get('/api/suppliers')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].name).toBe('Bestway');
+      expect(res.body.builtIn.map(adapter => adapter.name)).toEqual(expect.arrayContaining(['aliexpress', 'amazon']));
+    });
+
+    it('should not show definitions of other users', async () => {
+      const res = await request(app)
+        .get('/api/suppliers')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(res.body.count).toBe(0);
+
+      await request(app)
+        .get(`/api/suppliers/${supplierId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+
+    it('should reject request without token', async () => {
+      await request(app)
+        .get('/api/suppliers')
+        .expect(401);
+    });
+  });
+
+  describe('PUT /api/suppliers/:id', () => {
+    it('should update a definition', async () => {
+      const res = await request(app)
+        .put(`/api/suppliers/${supplierId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ hostnames: ['bestway.*'], isActive: false })
+        .expect(200);
+
+      expect(res.body.data).toMatchObject({ hostnames: ['bestway.*'], isActive: false, name: 'Bestway' });
+    });
+
+    it('should reject invalid hostnames', async () => {
+      const res = await request(app)
+        .put(`/api/suppliers/${supplierId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ hostnames: [] })
+        .expect(400);
+
+      expect(res.body.message).toBe('Please provide an array of hostnames');
+    });
+
+    it('should not update definitions of other users', async () => {
+      await request(app)
+        .put(`/api/suppliers/${supplierId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ name: 'Taken' })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/suppliers/:id', () => {
+    it('should not delete definitions of other users', async () => {
+      await request(app)
+        .delete(`/api/suppliers/${supplierId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+
+    it('should delete a definition', async () => {
+      await request(app)
+        .delete(`/api/suppliers/${supplierId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/suppliers/${supplierId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+});
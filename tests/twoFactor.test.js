@@ -0,0 +1,276 @@
+/**
+ * Two-Factor Authentication Tests
+ * Run with: npm test
+ */
+
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const generateToken = require('../src/utils/generateToken');
+const { protect } = require('../src/middleware/auth');
+const {
+  base32Encode,
+  base32Decode,
+  generateCode,
+  timeStep,
+  verifyCode,
+  provisioningUri
+} = require('../src/utils/totp');
+const {
+  generateRecoveryCodes,
+  enableTwoFactor,
+  verifySecondFactor,
+  createChallengeToken,
+  readChallengeToken,
+  isChallengeCurrent
+} = require('../src/services/twoFactorService');
+const {
+  loginTwoFactor,
+  enableTwoFactor: enableTwoFactorHandler,
+  regenerateRecoveryCodes
+} = require('../src/controllers/authController');
+
+describe('Two-factor authentication', () => {
+  // RFC 6238 test secret
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  const fakeUser = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    email: 'seller@example.com',
+    twoFactorSecret: secret,
+    save: jest.fn().mockResolvedValue(),
+    ...fields
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  describe('TOTP', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      expect(generateCode(secret, timeStep(59 * 1000))).toBe('287082');
+      expect(generateCode(secret, timeStep(1111111109 * 1000))).toBe('081804');
+      expect(generateCode(secret, timeStep(20000000000 * 1000))).toBe('353130');
+    });
+
+    it('should round-trip base32 secrets', () => {
+      expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+      expect(base32Decode(secret.toLowerCase()).toString()).toBe('12345678901234567890');
+    });
+
+    it('should accept codes from neighbouring steps only', () => {
+      const now = 1111111109 * 1000;
+      const step = timeStep(now);
+
+      expect(verifyCode(secret, generateCode(secret, step), { now })).toBe(step);
+      expect(verifyCode(secret, generateCode(secret, step - 1), { now })).toBe(step - 1);
+      expect(verifyCode(secret, generateCode(secret, step + 3), { now })).toBeNull();
+      expect(verifyCode(secret, 'abc123', { now })).toBeNull();
+    });
+
+    it('should build an otpauth URI for authenticator apps', () => {
+      expect(provisioningUri('ABC', 'seller@example.com', 'eBay Monitor'))
+        .toBe('otpauth://totp/eBay%20Monitor:seller%40example.com?secret=ABC&issuer=eBay%20Monitor&algorithm=SHA1&digits=6&period=30');
+    });
+  });
+
+  describe('codes', () => {
+    const currentCode = () => generateCode(secret, timeStep());
+
+    // Stored copy of the user; the conditional updates below are applied to it
+    // one at a time, after a tick, the way MongoDB applies single-document updates
+    let stored;
+
+    const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+      if (key === '$or') {
+        return condition.some(item => matches(doc, item));
+      }
+      if (key === '$and') {
+        return condition.every(item => matches(doc, item));
+      }
+      const value = doc[key];
+      if (condition === null) {
+        return value == null;
+      }
+      if (condition.$lt !== undefined) {
+        return value != null && value < condition.$lt;
+      }
+      if (condition.$lte !== undefined) {
+        return value != null && value <= condition.$lte;
+      }
+      return Array.isArray(value) ? value.includes(condition) : String(value) === String(condition);
+    });
+
+    const applyUpdate = async (filter, update) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (!matches(stored, filter)) {
+        return null;
+      }
+      Object.assign(stored, update.$set);
+      Object.entries(update.$inc || {}).forEach(([key, amount]) => {
+        stored[key] = (stored[key] || 0) + amount;
+      });
+      Object.entries(update.$pull || {}).forEach(([key, item]) => {
+        stored[key] = stored[key].filter(value => value !== item);
+      });
+      return { ...stored };
+    };
+
+    const storedUser = (fields = {}) => {
+      const user = fakeUser(fields);
+      stored = { ...user };
+      return user;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findOneAndUpdate').mockImplementation(applyUpdate);
+      jest.spyOn(User, 'updateOne').mockImplementation(applyUpdate);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should enable 2FA with a valid code and return recovery codes', async () => {
+      const user = storedUser();
+      const { recoveryCodes } = await enableTwoFactor(user, currentCode());
+
+      expect(user.twoFactorEnabled).toBe(true);
+      expect(recoveryCodes).toHaveLength(10);
+      expect(user.twoFactorRecoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    it('should not accept the same code twice', async () => {
+      const user = storedUser({ twoFactorEnabled: true });
+      const code = currentCode();
+
+      expect((await verifySecondFactor(user, { code })).verified).toBe(true);
+      expect((await verifySecondFactor(user, { code })).error).toBeDefined();
+    });
+
+    it('should use recovery codes once', async () => {
+      const user = storedUser({ twoFactorEnabled: true });
+      const [first, second] = generateRecoveryCodes(user);
+      stored.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes;
+
+      expect(await verifySecondFactor(user, { recoveryCode: first.toUpperCase() }))
+        .toEqual({ verified: true, recoveryCodesRemaining: 9 });
+      expect((await verifySecondFactor(user, { recoveryCode: first })).error).toBeDefined();
+      expect(stored.twoFactorRecoveryCodes).toHaveLength(9);
+      expect((await verifySecondFactor(user, { recoveryCode: second })).recoveryCodesRemaining).toBe(8);
+    });
+
+    it('should lock the second step after repeated invalid codes', async () => {
+      const user = storedUser({ twoFactorEnabled: true });
+      for (let i = 0; i < 5; i++) {
+        await verifySecondFactor(user, { code: '000000' });
+      }
+
+      expect(stored.twoFactorLockedUntil.getTime()).toBeGreaterThan(Date.now());
+      expect((await verifySecondFactor(user, { code: currentCode() })).error).toMatch(/Too many/);
+    });
+
+    it('should accept a code only once when verified concurrently', async () => {
+      const user = storedUser({ twoFactorEnabled: true });
+      const code = currentCode();
+
+      const results = await Promise.all([1, 2, 3].map(() => verifySecondFactor(user, { code })));
+
+      expect(results.filter(result => result.verified)).toHaveLength(1);
+    });
+
+    it('should accept a recovery code only once when used concurrently', async () => {
+      const user = storedUser({ twoFactorEnabled: true });
+      const [first] = generateRecoveryCodes(user);
+      stored.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes;
+
+      const results = await Promise.all([1, 2, 3].map(() => verifySecondFactor(user, { recoveryCode: first })));
+
+      expect(results.filter(result => result.verified)).toHaveLength(1);
+      expect(stored.twoFactorRecoveryCodes).toHaveLength(9);
+    });
+
+    it('should not check more guesses than allowed when they arrive together', async () => {
+      const user = storedUser({ twoFactorEnabled: true });
+      const guesses = Array.from({ length: 12 }, () => 'abc123');
+
+      const results = await Promise.all(guesses.map(code => verifySecondFactor(user, { code })));
+
+      expect(results.filter(result => /Too many/.test(result.error))).toHaveLength(7);
+      expect(stored.twoFactorLockedUntil.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe('challenge tokens', () => {
+    it('should only be read as challenges', () => {
+      const user = fakeUser();
+
+      expect(readChallengeToken(createChallengeToken(user))).toEqual({
+        userId: String(user._id),
+        issuedAt: expect.any(Number)
+      });
+      expect(readChallengeToken(generateToken(user._id))).toBeNull();
+      expect(readChallengeToken('not-a-token')).toBeNull();
+    });
+
+    it('should not be accepted as access tokens', async () => {
+      const req = { method: 'GET', headers: { authorization: `Bearer ${createChallengeToken(fakeUser())}` } };
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      const next = jest.fn();
+
+      await protect(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should end with a password change or reset', () => {
+      const challenge = { userId: 'abc', issuedAt: 1000 };
+
+      expect(isChallengeCurrent(fakeUser(), challenge)).toBe(true);
+      expect(isChallengeCurrent(fakeUser({ passwordChangedAt: new Date(999 * 1000) }), challenge)).toBe(true);
+      expect(isChallengeCurrent(fakeUser({ passwordChangedAt: new Date(1001 * 1000) }), challenge)).toBe(false);
+    });
+
+    it('should not sign in with a challenge issued before the password changed', async () => {
+      const user = fakeUser({ twoFactorEnabled: true });
+      const challengeToken = createChallengeToken(user);
+      user.passwordChangedAt = new Date(Date.now() + 1000);
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      const res = mockResponse();
+
+      await loginTwoFactor({ body: { challengeToken, code: generateCode(secret, timeStep()) } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].message).toBe('Invalid or expired login, please sign in again');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('impersonation', () => {
+    it('should not enable 2FA or show recovery codes to an impersonating admin', async () => {
+      jest.spyOn(User, 'findById');
+
+      for (const handler of [enableTwoFactorHandler, regenerateRecoveryCodes]) {
+        const res = mockResponse();
+        await handler({ user: fakeUser(), impersonatedBy: new mongoose.Types.ObjectId(), body: { code: '123456' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json.mock.calls[0][0].recoveryCodes).toBeUndefined();
+      }
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+});
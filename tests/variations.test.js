@@ -0,0 +1,74 @@
+/**
+ * Variation Tests
+ * Run with: npm test
+ */
+
+const {
+  parseMskuModel,
+  variationKey,
+  variationsFromMsku,
+  variationsFromSelects,
+  describeVariation
+} = require('../src/utils/ebayVariations');
+
+const msku = {
+  variationsMap: {
+    111: {
+      binModel: { price: { value: { value: 12.99, currency: 'GBP' } } },
+      quantity: { quantityAvailable: 4 },
+      outOfStock: false
+    },
+    222: {
+      binModel: { price: { textSpans: [{ text: '£14.49' }] } },
+      outOfStock: true
+    }
+  },
+  selectMenus: [
+    { displayLabel: 'Size', menuItemValueIds: [0, 1] },
+    { displayLabel: 'Colour', menuItemValueIds: [2] }
+  ],
+  menuItemMap: {
+    0: { valueId: 0, displayName: 'S' },
+    1: { valueId: 1, displayName: 'M' },
+    2: { valueId: 2, displayName: 'Red' }
+  },
+  variationCombinations: {
+    '0_2': 111,
+    '1_2': 222
+  }
+};
+
+describe('Variations', () => {
+  it('should find the MSKU model inside page script', () => {
+    const script = `window.$data = {"other":{"text":"a } brace"},"MSKU":${JSON.stringify(msku)},"after":1};`;
+    expect(parseMskuModel(script)).toEqual(JSON.parse(JSON.stringify(msku)));
+  });
+
+  it('should return null without an MSKU model', () => {
+    expect(parseMskuModel('var x = {};')).toBeNull();
+    expect(parseMskuModel('"MSKU":{"broken":')).toBeNull();
+  });
+
+  it('should build a record per variation with specifics, price and stock', () => {
+    const variations = variationsFromMsku(msku, 'GBP');
+
+    expect(variations).toEqual([
+      { variationId: '111', specifics: { Size: 'S', Colour: 'Red' }, price: 12.99, currency: 'GBP', quantity: 4, stock: 'in_stock' },
+      { variationId: '222', specifics: { Size: 'M', Colour: 'Red' }, price: 14.49, currency: 'GBP', quantity: null, stock: 'out_of_stock' }
+    ]);
+  });
+
+  it('should fall back to dropdown options without prices', () => {
+    const variations = variationsFromSelects([
+      { name: 'Size', options: [{ value: '1', text: 'S' }, { value: '2', text: 'M [out of stock]' }] }
+    ]);
+
+    expect(variations[0]).toMatchObject({ variationId: 'Size=S', stock: 'unknown', price: 0 });
+    expect(variations[1]).toMatchObject({ variationId: 'Size=M', specifics: { Size: 'M' }, stock: 'out_of_stock', quantity: 0 });
+  });
+
+  it('should key and describe specifics independent of order', () => {
+    expect(variationKey({ Size: 'M', Colour: 'Red' })).toBe('Colour=Red|Size=M');
+    expect(describeVariation(new Map([['Size', 'M']]))).toBe('Size: M');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Webhook Tests
+ * Run with: npm test
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Settings = require('../src/models/Settings');
+const { signPayload, getRetryDelay } = require('../src/services/webhookService');
+
+describe('Webhooks', () => {
+  describe('signPayload', () => {
+    it('should sign the timestamp and raw body with HMAC-SHA256', () => {
+      const body = JSON.stringify({ alert: { type: 'price_increase' } });
+      const expected = crypto.createHmac('sha256', 'whsec_test')
+        .update(`1700000000.${body}`)
+        .digest('hex');
+
+      expect(signPayload(body, 'whsec_test', 1700000000)).toBe(expected);
+    });
+
+    it('should change when the body or secret changes', () => {
+      const signature = signPayload('{"a":1}', 'secret', 1);
+
+      expect(signPayload('{"a":2}', 'secret', 1)).not.toBe(signature);
+      expect(signPayload('{"a":1}', 'other', 1)).not.toBe(signature);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should back off exponentially', () => {
+      expect(getRetryDelay(1)).toBe(30000);
+      expect(getRetryDelay(2)).toBe(60000);
+      expect(getRetryDelay(4)).toBe(240000);
+    });
+  });
+
+  describe('secret', () => {
+    it('should not be serialized with settings', () => {
+      const settings = new Settings({ userId: new mongoose.Types.ObjectId() });
+      settings.rotateWebhookSecret();
+
+      expect(settings.webhookSecret).toMatch(/^whsec_/);
+      expect(JSON.parse(JSON.stringify(settings))).not.toHaveProperty('webhookSecret');
+    });
+
+    it('should not be selected by default', () => {
+      expect(Settings.schema.path('webhookSecret').options.select).toBe(false);
+    });
+  });
+});